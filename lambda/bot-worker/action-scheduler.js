@@ -0,0 +1,109 @@
+// lambda/bot-worker/action-scheduler.js
+// Per-bot scheduler for delayed game actions (ready, submit, vote, question).
+//
+// Actions are keyed (e.g. "2:What song...:vote"), so repeated polls can't
+// schedule the same action twice, and tagged with the game state they belong
+// to, so they can be cancelled once the game moves on. Before the worker
+// exits it cancels whatever hasn't started and awaits what is running.
+
+class ActionScheduler {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.logPrefix] - Prefix for log lines
+   */
+  constructor(options = {}) {
+    this.logPrefix = options.logPrefix || 'Scheduler';
+    this.actions = new Map();   // key → { key, state, status, timer, promise, resolve }
+    this.completed = new Set(); // keys that ran successfully
+  }
+
+  /**
+   * Whether an action with this key is pending, running or already done
+   */
+  has(key) {
+    return this.actions.has(key) || this.completed.has(key);
+  }
+
+  /**
+   * Schedule `run` after `delay` ms. Returns false if the key is already known.
+   * If `run` throws, the key is released so a later poll can try again.
+   */
+  schedule(key, run, { delay = 0, state } = {}) {
+    if (this.has(key)) {
+      return false;
+    }
+
+    const action = { key, state, status: 'pending', timer: null };
+    action.promise = new Promise(resolve => {
+      action.resolve = resolve;
+      action.timer = setTimeout(async () => {
+        action.status = 'running';
+        try {
+          await run();
+          this.completed.add(key);
+        } catch (error) {
+          console.error(`${this.logPrefix}: action ${key} failed:`, error.message);
+        } finally {
+          this.actions.delete(key);
+          resolve();
+        }
+      }, Math.max(0, delay));
+    });
+
+    this.actions.set(key, action);
+    return true;
+  }
+
+  /**
+   * Cancel pending actions matching `predicate`; running actions are left to finish
+   */
+  cancelWhere(predicate, reason = 'cancelled') {
+    let cancelled = 0;
+    for (const action of [...this.actions.values()]) {
+      if (action.status !== 'pending' || !predicate(action)) continue;
+
+      clearTimeout(action.timer);
+      this.actions.delete(action.key);
+      action.resolve();
+      cancelled++;
+      console.log(`${this.logPrefix}: cancelled ${action.key} (${reason})`);
+    }
+    return cancelled;
+  }
+
+  /**
+   * Cancel pending actions that belong to a different game state
+   */
+  cancelStale(currentState) {
+    return this.cancelWhere(action => action.state && action.state !== currentState, `state is now ${currentState}`);
+  }
+
+  /**
+   * Cancel everything not yet started, then wait (up to `timeout` ms) for running actions
+   */
+  async drain({ timeout = 30000, reason = 'worker exiting' } = {}) {
+    this.cancelWhere(() => true, reason);
+
+    const running = [...this.actions.values()].map(action => action.promise);
+    if (running.length === 0) return true;
+
+    console.log(`${this.logPrefix}: waiting for ${running.length} running action(s)`);
+    let timer;
+    const finished = await Promise.race([
+      Promise.all(running).then(() => true),
+      new Promise(resolve => { timer = setTimeout(() => resolve(false), timeout); })
+    ]);
+    clearTimeout(timer);
+
+    if (!finished) {
+      console.warn(`${this.logPrefix}: ${this.actions.size} action(s) still running after ${timeout}ms`);
+    }
+    return finished;
+  }
+
+  get size() {
+    return this.actions.size;
+  }
+}
+
+module.exports = { ActionScheduler };
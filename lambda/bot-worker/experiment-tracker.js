@@ -0,0 +1,107 @@
+// lambda/bot-worker/experiment-tracker.js
+// Joins what a bot did in a round (submitted or passed, whether its AI
+// suggestions matched anything) to how the round ended, and stores one record
+// per experiment the bot is in. Rounds waiting for their result are kept in
+// the worker checkpoint, so a re-invoked worker still reports them.
+
+const { EXPERIMENT_RECORD_TTL, recordKey } = require('../shared/experiments');
+
+class ExperimentTracker {
+  /**
+   * @param {Object} options
+   * @param {Object} options.assignments - Experiment id → variant id
+   * @param {Object} [options.store] - State store for round records (null: only logged)
+   * @param {string} options.gameId
+   * @param {string} options.botId
+   * @param {string} [options.personality]
+   * @param {string} [options.logPrefix]
+   * @param {Object} [data] - A previous toJSON() snapshot
+   */
+  constructor({ assignments = {}, store = null, gameId, botId, personality, logPrefix = 'Bot' }, data = {}) {
+    this.assignments = assignments;
+    this.store = store;
+    this.gameId = gameId;
+    this.botId = botId;
+    this.personality = personality;
+    this.logPrefix = logPrefix;
+    this.rounds = data.rounds || {}; // round → { question, passed, matchFailed, promptVersions }
+  }
+
+  get enabled() {
+    return Object.keys(this.assignments).length > 0;
+  }
+
+  toJSON() {
+    return { rounds: this.rounds };
+  }
+
+  entry(round) {
+    return this.rounds[round] || (this.rounds[round] = { question: null, passed: null, matchFailed: false, promptVersions: {} });
+  }
+
+  /**
+   * What the bot finally did this round; a later call (e.g. a pass after a failed submit) wins
+   */
+  recordPlay(round, question, { passed, promptVersions = {} }) {
+    if (!this.enabled || !round) return;
+    Object.assign(this.entry(round), { question, passed, promptVersions: { ...promptVersions } });
+  }
+
+  /**
+   * The AI suggested songs but none of them matched a search result
+   */
+  recordMatchFailure(round) {
+    if (!this.enabled || !round) return;
+    this.entry(round).matchFailed = true;
+  }
+
+  /**
+   * Whether a round is waiting for its result
+   */
+  isPending(round) {
+    return typeof this.rounds[round]?.passed === 'boolean';
+  }
+
+  /**
+   * Store the round's records once its winner is known; returns them (empty if nothing was pending)
+   */
+  async recordOutcome(round, won) {
+    if (!this.isPending(round)) return [];
+
+    const { question, passed, matchFailed, promptVersions } = this.rounds[round];
+    delete this.rounds[round];
+
+    const records = Object.entries(this.assignments).map(([experiment, variant]) => ({
+      experiment,
+      variant,
+      gameId: this.gameId,
+      botId: this.botId,
+      personality: this.personality,
+      round,
+      question,
+      passed,
+      matchFailed,
+      won: !!won,
+      promptVersions,
+      recordedAt: Date.now()
+    }));
+
+    const variants = records.map(record => `${record.experiment}=${record.variant}`).join(', ');
+    console.log(`🧪 ${this.logPrefix} round ${round} (${variants}): ${won ? 'won' : passed ? 'passed' : 'lost'}${matchFailed ? ', no suggestion matched' : ''}`);
+
+    if (this.store) {
+      for (const record of records) {
+        try {
+          await this.store.set(recordKey(record.experiment, record), record, { ttl: EXPERIMENT_RECORD_TTL });
+        } catch (error) {
+          console.warn(`${this.logPrefix} could not store ${record.experiment} round record in ${this.store.name} store:`, error.message);
+        }
+      }
+    }
+    return records;
+  }
+}
+
+module.exports = {
+  ExperimentTracker
+};
@@ -0,0 +1,151 @@
+// lambda/bot-worker/game-memory.js
+// What a bot remembers about the game it is playing: its own submissions,
+// the questions asked and who won each round. The worker uses it to never
+// repeat a song within a game and to give the AI some context. It is saved
+// in the worker checkpoint, so it survives Lambda re-invocations.
+
+const { parseArtist, parseTitle } = require('../shared/song-matcher');
+const { questionKey } = require('../shared/question-bank');
+const { escapeUntrusted, describeSong } = require('../shared/prompt-safety');
+
+// Older rounds are dropped from the prompt to keep it short; exclusion always uses everything
+const PROMPT_HISTORY_LIMIT = 10;
+
+/**
+ * Normalised "artist|title" key so "The Beatles - Hey Jude" and "Beatles - Hey Jude (Remastered)" match
+ */
+function songKey(artist, title) {
+  return `${parseArtist(artist).primary}|${parseTitle(title).title}`;
+}
+
+/**
+ * The round's winning submission: most votes, then earliest submission. Null if everyone passed.
+ */
+function findRoundWinner(submissions = []) {
+  const songs = submissions.filter(s => !s.hasPassed);
+  if (songs.length === 0) return null;
+
+  return [...songs].sort((a, b) => {
+    const voteDiff = (b.votes?.length || 0) - (a.votes?.length || 0);
+    if (voteDiff !== 0) return voteDiff;
+    return new Date(a.submittedAt) - new Date(b.submittedAt);
+  })[0];
+}
+
+class GameMemory {
+  /**
+   * @param {Object} [data] - A previous toJSON() snapshot
+   */
+  constructor(data = {}) {
+    this.submissions = data.submissions || [];  // [{ round, question, songId, name, artist }]
+    this.questions = data.questions || [];      // [{ round, text }]
+    this.winners = data.winners || [];          // [{ round, question, songName, artist, playerName, isBot }]
+  }
+
+  static from(data) {
+    return new GameMemory(data || {});
+  }
+
+  toJSON() {
+    return { submissions: this.submissions, questions: this.questions, winners: this.winners };
+  }
+
+  /**
+   * Record questions and round winners from a game state; safe to call on every poll
+   */
+  observe(gameState, botId) {
+    const round = gameState?.round;
+    const question = gameState?.currentQuestion?.text;
+    if (!round || !question) return;
+
+    if (!this.questions.some(q => q.round === round)) {
+      this.questions.push({ round, text: question });
+    }
+
+    if (gameState.status === 'results' && !this.winners.some(w => w.round === round)) {
+      const winner = findRoundWinner(gameState.submissions);
+      const playerId = winner && (winner.player._id || winner.player);
+      this.winners.push({
+        round,
+        question,
+        songName: winner?.songName || null,
+        artist: winner?.artist || null,
+        playerName: winner?.player.displayName || null,
+        isBot: !!winner && String(playerId) === String(botId)
+      });
+    }
+  }
+
+  recordSubmission(round, question, song) {
+    if (this.submissions.some(s => s.round === round)) return;
+    this.submissions.push({ round, question, songId: song.id, name: song.name, artist: song.artist });
+  }
+
+  /**
+   * Whether the bot already played this song; takes AI suggestions ({ artist, song }) or search results ({ id, artist, name })
+   */
+  hasPlayed(candidate) {
+    const key = songKey(candidate.artist, candidate.song ?? candidate.name);
+    return this.submissions.some(s =>
+      (candidate.id && s.songId === candidate.id) || songKey(s.artist, s.name) === key
+    );
+  }
+
+  /**
+   * Candidates the bot has not played yet this game
+   */
+  excludePlayed(candidates) {
+    return candidates.filter(candidate => !this.hasPlayed(candidate));
+  }
+
+  /**
+   * Whether this question (or the same words with different punctuation) was already asked this game
+   */
+  hasAsked(text) {
+    const key = questionKey(text);
+    return this.questions.some(q => questionKey(q.text) === key);
+  }
+
+  /**
+   * Questions asked so far, for the question prompt; empty before the first round
+   */
+  toQuestionPromptContext() {
+    if (this.questions.length === 0) return '';
+    return ['Questions already asked this game (never repeat these):', ...this.questions.map(q => `- "${escapeUntrusted(q.text)}"`)].join('\n');
+  }
+
+  /**
+   * Game history for the suggestion prompt; empty on the first round. Questions and songs come from players,
+   * so they are escaped (see prompt-safety.js)
+   */
+  toPromptContext(currentRound) {
+    const lines = [];
+    const played = this.submissions.slice(-PROMPT_HISTORY_LIMIT);
+    const earlier = this.questions.filter(q => q.round !== currentRound).slice(-PROMPT_HISTORY_LIMIT);
+
+    if (played.length > 0) {
+      lines.push('Songs you already played this game (never suggest these again):');
+      played.forEach(s => lines.push(`- Round ${s.round}: ${describeSong(s.name, s.artist)}`));
+    }
+
+    if (earlier.length > 0) {
+      lines.push('Earlier rounds this game:');
+      for (const question of earlier) {
+        const winner = this.winners.find(w => w.round === question.round);
+        const result = winner?.songName
+          ? ` won by ${describeSong(winner.songName, winner.artist)}${winner.isBot ? ' (yours)' : ''}`
+          : '';
+        lines.push(`- Round ${question.round}: "${escapeUntrusted(question.text)}"${result}`);
+      }
+    }
+
+    return lines.join('\n');
+  }
+}
+
+module.exports = {
+  GameMemory,
+  findRoundWinner,
+  songKey,
+  PROMPT_HISTORY_LIMIT
+};
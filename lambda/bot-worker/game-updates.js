@@ -0,0 +1,245 @@
+// lambda/bot-worker/game-updates.js
+// Decides when the worker looks at the game again.
+//
+// Two modes:
+//   poll (default) - adaptive polling: back off while nothing is happening,
+//                    speed up when a phase transition is close
+//   sse            - subscribe to /game/:id/events and wake on every push,
+//                    with a slow safety poll; falls back to adaptive polling
+//                    if the stream is unavailable or keeps dropping
+
+// Base intervals in ms (scaled by the worker's timeScale)
+const POLL_INTERVALS = {
+  fast: 1000,     // a transition is imminent
+  normal: 2000,   // the bot has something to do
+  idle: 5000,     // waiting on other players; grows while nothing changes
+  max: 15000,     // idle backoff cap
+  error: 5000,    // after a failed poll
+  safety: 30000,  // sse mode: re-check even without a push
+  stable: 60000   // sse mode: a stream that stays up this long is healthy again
+};
+
+const UPDATE_MODES = ['poll', 'sse'];
+
+const totalVotes = (game) => (game.submissions || []).reduce((sum, s) => sum + (s.votes?.length || 0), 0);
+
+/**
+ * Poll interval for the current game, before scaling.
+ * `unchangedPolls` counts consecutive polls that saw no change.
+ */
+function nextPollInterval(game, { botId, unchangedPolls = 0 } = {}) {
+  if (!game) return POLL_INTERVALS.normal;
+
+  const players = game.players || [];
+  const submissions = game.submissions || [];
+  let base = POLL_INTERVALS.normal;
+
+  switch (game.status) {
+    case 'waiting': {
+      const botPlayer = players.find(p => p.user._id === botId);
+      const notReady = players.filter(p => !p.isReady).length;
+      if (botPlayer && !botPlayer.isReady) base = POLL_INTERVALS.normal;
+      else base = notReady === 0 ? POLL_INTERVALS.fast : POLL_INTERVALS.idle;
+      break;
+    }
+
+    case 'selecting': {
+      const submitted = submissions.some(s => s.player._id === botId);
+      const remaining = players.length - submissions.length;
+      if (!submitted) base = POLL_INTERVALS.normal;
+      else base = remaining <= 1 ? POLL_INTERVALS.fast : POLL_INTERVALS.idle;
+      break;
+    }
+
+    case 'voting': {
+      const voted = submissions.some(s => (s.votes || []).some(v => v._id === botId));
+      const remaining = players.length - totalVotes(game);
+      if (!voted) base = POLL_INTERVALS.normal;
+      else base = remaining <= 1 ? POLL_INTERVALS.fast : POLL_INTERVALS.idle;
+      break;
+    }
+
+    case 'results':
+      // Nothing to do until the server moves on
+      base = POLL_INTERVALS.idle;
+      break;
+
+    case 'question-selection':
+      // Once a question is picked the next round starts shortly
+      base = game.winnerSelectedQuestion?.text ? POLL_INTERVALS.fast : POLL_INTERVALS.normal;
+      break;
+  }
+
+  if (base !== POLL_INTERVALS.idle) return base;
+  return Math.min(POLL_INTERVALS.max, Math.round(base * Math.pow(1.5, unchangedPolls)));
+}
+
+/**
+ * Everything that can change within a phase, for detecting idle polls
+ */
+function progressSignature(game) {
+  if (!game) return null;
+  return [
+    game.status,
+    game.round,
+    (game.players || []).filter(p => p.isReady).length,
+    (game.submissions || []).length,
+    totalVotes(game),
+    game.winnerSelectedQuestion?.text || ''
+  ].join('|');
+}
+
+class GameUpdates {
+  /**
+   * @param {Object} options
+   * @param {Object} options.client - HeartSongsClient
+   * @param {string} options.gameId
+   * @param {string} options.botId
+   * @param {string} [options.mode='poll'] - poll | sse
+   * @param {number} [options.timeScale=1] - Scales every interval
+   * @param {number} [options.reconnectLimit=3] - Failed sse connects or early drops before falling back to polling
+   * @param {number} [options.stableAfter] - How long (ms, before scaling) a stream must stay up to clear the failures
+   * @param {string} [options.logPrefix]
+   */
+  constructor(options = {}) {
+    if (options.mode && !UPDATE_MODES.includes(options.mode)) {
+      throw new Error(`Unknown update mode "${options.mode}". Expected one of: ${UPDATE_MODES.join(', ')}`);
+    }
+
+    this.client = options.client;
+    this.gameId = options.gameId;
+    this.botId = options.botId;
+    this.mode = options.mode || 'poll';
+    this.timeScale = options.timeScale ?? 1;
+    this.reconnectLimit = options.reconnectLimit ?? 3;
+    this.stableAfter = options.stableAfter ?? POLL_INTERVALS.stable;
+    this.logPrefix = options.logPrefix || 'GameUpdates';
+
+    this.subscription = null;
+    this.pushedState = null;
+    this.wake = null;
+    this.failedConnects = 0;
+    this.lastSignature = null;
+    this.unchangedPolls = 0;
+    this.stats = { waits: 0, pushes: 0 };
+  }
+
+  /**
+   * Subscribe up front in sse mode so the first state comes from the stream
+   */
+  async start() {
+    if (this.mode === 'sse' && !this.subscription) {
+      await this.connect();
+    }
+  }
+
+  /**
+   * Latest pushed snapshot, if one arrived since the last call
+   */
+  takePushedState() {
+    const state = this.pushedState;
+    this.pushedState = null;
+    return state;
+  }
+
+  /**
+   * Wait until the worker should look at the game again
+   */
+  async wait(game, { error = false } = {}) {
+    this.stats.waits++;
+    this.observe(game);
+
+    if (this.mode === 'sse') {
+      if (!this.subscription) await this.connect();
+      if (this.subscription) {
+        return this.waitForPush(error ? POLL_INTERVALS.error : POLL_INTERVALS.safety);
+      }
+    }
+
+    const interval = error ? POLL_INTERVALS.error : nextPollInterval(game, {
+      botId: this.botId,
+      unchangedPolls: this.unchangedPolls
+    });
+    await this.delay(interval);
+  }
+
+  observe(game) {
+    const signature = progressSignature(game);
+    if (signature && signature === this.lastSignature) {
+      this.unchangedPolls++;
+    } else {
+      this.unchangedPolls = 0;
+      this.lastSignature = signature;
+    }
+  }
+
+  async connect() {
+    try {
+      const connectedAt = Date.now();
+      this.subscription = await this.client.subscribeToGame(this.gameId, {
+        onUpdate: (game) => {
+          this.stats.pushes++;
+          this.pushedState = game;
+          this.wake?.();
+        },
+        onClose: (error) => {
+          console.log(`${this.logPrefix}: game event stream closed${error ? ` (${error.kind})` : ''}`);
+          this.subscription = null;
+          // Only a stream that stayed up clears earlier failures; one that drops early or with an error counts as one
+          const stable = Date.now() - connectedAt >= this.stableAfter * this.timeScale;
+          if (stable) this.failedConnects = 0;
+          if (error || !stable) this.recordFailure(error?.kind || 'closed early', 'game event stream dropped');
+          this.wake?.();
+        }
+      });
+      console.log(`📡 ${this.logPrefix}: subscribed to game events`);
+    } catch (error) {
+      this.recordFailure(error.kind, 'game event subscribe failed', { giveUp: error.kind === 'not_found' });
+    }
+  }
+
+  /**
+   * Count a failed subscribe or a dropped stream
+   */
+  recordFailure(kind, what, { giveUp = false } = {}) {
+    this.failedConnects++;
+    // No such endpoint, or it keeps failing: poll for the rest of this invocation
+    if (giveUp || this.failedConnects >= this.reconnectLimit) {
+      console.log(`${this.logPrefix}: game events unavailable (${kind}), falling back to adaptive polling`);
+      this.mode = 'poll';
+    } else {
+      console.log(`${this.logPrefix}: ${what} (${kind}), will retry`);
+    }
+  }
+
+  waitForPush(timeout) {
+    if (this.pushedState) return Promise.resolve();
+
+    return new Promise(resolve => {
+      const done = () => {
+        clearTimeout(timer);
+        this.wake = null;
+        resolve();
+      };
+      const timer = setTimeout(done, timeout * this.timeScale);
+      this.wake = done;
+    });
+  }
+
+  delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms * this.timeScale));
+  }
+
+  close() {
+    this.subscription?.close();
+    this.subscription = null;
+    this.wake?.();
+  }
+}
+
+module.exports = {
+  GameUpdates,
+  nextPollInterval,
+  POLL_INTERVALS,
+  UPDATE_MODES
+};
@@ -1,78 +1,398 @@
 // heartsongs-bot-service/lambda/bot-worker/handler.js
-const axios = require('axios');
 const AWS = require('aws-sdk');
+const crypto = require('crypto');
+const { HeartSongsClient, neverTookEffect } = require('../shared/heartsongs-client');
+const { createLLMProviderWithFallback } = require('../shared/llm-providers');
+const { createStateStore } = require('../shared/state-store');
+const { Cache, CACHE_TTLS, cacheKey, createCacheStore } = require('../shared/cache');
+const { getDifficulty } = require('../shared/difficulty');
+const { matchSong, rankMatches } = require('../shared/song-matcher');
+const { versionWeightsFor, versionPromptHints } = require('../shared/version-preferences');
+const { ActionScheduler } = require('./action-scheduler');
+const { GameMemory, findRoundWinner } = require('./game-memory');
+const { findSong, SearchStats } = require('./song-search');
+const { completeStructured, voteSchema, LLMOutputError, LLMOutputStats } = require('../shared/llm-output');
+const { GameUpdates } = require('./game-updates');
+const {
+  getPersonalityRegistry,
+  validatePersonality,
+  CUSTOM_PERSONALITY_ID
+} = require('../shared/personality-registry');
+const { getPromptRegistry } = require('../shared/prompt-templates');
+const { getExperimentRegistry, createExperimentStore } = require('../shared/experiments');
+const { ExperimentTracker } = require('./experiment-tracker');
+const { UsageBudget, BudgetExceededError, createUsageStore } = require('../shared/usage-budget');
+const { CircuitBreaker, CircuitOpenError, readCircuitOptions, createCircuitStore, circuitName } = require('../shared/circuit-breaker');
+const { getSongCatalog } = require('../shared/song-catalog');
+const { getQuestionBank, CATEGORIES } = require('../shared/question-bank');
+const { MAX_QUESTION_ATTEMPTS, normalizeQuestion, validateQuestion } = require('../shared/question-validator');
+const { createContentPolicy, getContentRules } = require('../shared/content-policy');
+const { escapeUntrusted, describeSong, findInstructions } = require('../shared/prompt-safety');
+const { VOTE_QUALITY, resolveCompetitiveness, chooseStrategicVote } = require('../shared/voting-strategy');
 
 const lambda = new AWS.Lambda();
+const personalities = getPersonalityRegistry();
+const promptTemplates = getPromptRegistry();
+const experimentRegistry = getExperimentRegistry();
+const songCatalog = getSongCatalog();
+const questionBank = getQuestionBank();
+const contentRules = getContentRules();
+
+const CHECKPOINT_VERSION = 1;
+
+/**
+ * Personality definition for a worker payload: custom ones arrive in full
+ * from spawn-bot (and are re-validated), registered ones come from the registry
+ */
+function resolvePersonality(config) {
+  if (config.personality === CUSTOM_PERSONALITY_ID) {
+    const problems = validatePersonality(config.personalityConfig, 'personalityConfig');
+    if (problems.length === 0) {
+      return config.personalityConfig;
+    }
+    console.warn(`Invalid custom personality, using ${personalities.defaultId}:`, problems.join('; '));
+  }
+  
+  return personalities.resolve(config.personality);
+}
 
 class BotWorker {
-  constructor(config) {
+  /**
+   * @param {Object} config - Worker payload from spawn-bot (or a re-invocation)
+   * @param {Object} [options]
+   * @param {Object} [options.stateStore] - Overrides the BOT_STATE_STORE backend
+   * @param {Object} [options.cacheStore] - Overrides the BOT_CACHE_STORE backend
+   * @param {Object} [options.prompts] - Overrides the prompt template registry
+   * @param {string} [options.stage] - Overrides STAGE for prompt template overrides
+   * @param {Object} [options.experiments] - Overrides the experiment registry
+   * @param {Object} [options.experimentStore] - Overrides the BOT_EXPERIMENT_STORE backend
+   * @param {Object} [options.usageStore] - Overrides the BOT_USAGE_STORE backend
+   * @param {Object} [options.budgetLimits] - Overrides the LLM_BUDGET_* limits
+   * @param {Object} [options.circuitStore] - Overrides the BOT_CIRCUIT_STORE backend
+   * @param {Object} [options.circuitOptions] - Overrides the LLM_CIRCUIT_* settings
+   * @param {string} [options.moderation] - Overrides LLM_MODERATION
+   */
+  constructor(config, options = {}) {
     this.botId = config.botId;
     this.botName = config.botName;
     this.gameCode = config.gameCode;
     this.gameId = config.gameId;
     this.sessionToken = config.sessionToken;
-    this.personality = config.personality;
-    this.personalityConfig = config.personalityConfig;
-    this.apiUrl = process.env.HEARTSONGS_API_URL;
-    this.openaiApiKey = process.env.OPENAI_API_KEY;
+    // Prompts, voting preference and fallbacks come from personalities/<id>.json
+    this.personalityDef = resolvePersonality(config);
+    this.personality = this.personalityDef.id;
+    this.personalityConfig = config.personalityConfig || {};
+    // How many suggestions it weighs, how strictly it matches, how often it slips up
+    this.difficulty = getDifficulty(config.difficulty);
+    // How much the scoreboard sways its votes in 3+ player games (spawn request, else personality)
+    this.competitiveness = resolveCompetitiveness(config.competitiveness, this.personalityDef.voting.competitiveness);
+    this.apiUrl = config.apiUrl || process.env.HEARTSONGS_API_URL;
+    // Provider/model come from the spawn request (config.llm) or the environment; a bad one falls back
+    this.llm = createLLMProviderWithFallback(config.llm, process.env, { logPrefix: `Bot ${this.botName}` });
+    this.client = new HeartSongsClient({
+      apiUrl: this.apiUrl,
+      sessionToken: this.sessionToken,
+      logPrefix: `Bot ${this.botName}`
+    });
     this.gameState = null;
     this.hasSubmitted = false;
     this.hasVoted = false;
-    this._isSelectingQuestion = false;
+    // Delayed actions, deduped per round and cancelled when the state moves on
+    this.scheduler = new ActionScheduler({ logPrefix: `Bot ${this.botName}` });
     this.stateStartTime = Date.now();
     this.currentState = null;
     this.MAX_STATE_DURATION = 15 * 60 * 1000; // 15 minutes
     this.spawnTime = Date.now();
     this.MAX_AGE = 24 * 60 * 60 * 1000; 
+    // Scales every human-like delay and poll interval (1 in production, ~0 for local simulator games)
+    this.timeScale = config.timeScale ?? 1;
+    // When to look at the game next: adaptive polling, or SSE pushes (BOT_UPDATE_MODE=sse)
+    this.updates = new GameUpdates({
+      client: this.client,
+      gameId: this.gameId,
+      botId: this.botId,
+      mode: config.updateMode || process.env.BOT_UPDATE_MODE || undefined,
+      timeScale: this.timeScale,
+      logPrefix: `Bot ${this.botName}`
+    });
+    this.stateStore = options.stateStore !== undefined ? options.stateStore : createStateStore();
+    this.invocation = 1;
+    // Decisions made this round; pending ones are replayed by a re-invoked worker
+    this.roundMemory = { key: null, decisions: {} };
+    // Songs played, questions asked and round winners for this whole game
+    this.memory = new GameMemory();
+    // Which search strategies found the suggested songs
+    this.searchStats = new SearchStats();
+    // Search results and AI suggestions, optionally shared with other bots (BOT_CACHE_STORE)
+    this.cache = new Cache({
+      store: options.cacheStore !== undefined ? options.cacheStore : createCacheStore(),
+      logPrefix: `Bot ${this.botName}`
+    });
+    this.searchRequests = 0;
+    // Valid, repaired and rejected AI replies per task
+    this.outputStats = new LLMOutputStats();
+    // Token and cost budgets per bot, game and day (game and day shared through BOT_USAGE_STORE)
+    this.usageStore = options.usageStore !== undefined ? options.usageStore : createUsageStore();
+    this.budgetLimits = options.budgetLimits;
+    this.budget = this.createUsageBudget();
+    // Stops calling a failing AI provider for a while (state shared through BOT_CIRCUIT_STORE)
+    this.breaker = new CircuitBreaker({
+      name: circuitName(this.llm),
+      store: options.circuitStore !== undefined ? options.circuitStore : createCircuitStore(),
+      ...(options.circuitOptions || readCircuitOptions()),
+      logPrefix: `Bot ${this.botName}`
+    });
+    // Word lists and moderation for AI questions; explicit songs and blocked artists are dropped in family games
+    this.familyFriendly = config.familyFriendly === true;
+    this.contentPolicy = createContentPolicy({
+      rules: contentRules,
+      familyFriendly: this.familyFriendly,
+      llm: this.llm,
+      moderation: options.moderation
+    });
+    if (this.familyFriendly) {
+      console.log(`🛡️ Bot ${this.botName} is playing a family-friendly game`);
+    }
+    // Prompt templates (prompts/), overridable per personality and stage
+    this.prompts = options.prompts || promptTemplates;
+    this.stage = options.stage !== undefined ? options.stage : process.env.STAGE;
+    // Version id of the last prompt rendered for each task
+    this.promptVersions = {};
+    // Prompt experiment variants assigned by spawn-bot, and the round records they produce
+    const { assignments, problems } = (options.experiments || experimentRegistry).checkAssignments(config.experiments);
+    problems.forEach(problem => console.warn(`Bot ${this.botName} ignoring experiment assignment: ${problem}`));
+    this.experiments = assignments;
+    this.experimentStore = options.experimentStore !== undefined ? options.experimentStore : createExperimentStore();
+    this.experimentTracker = this.createExperimentTracker();
+    if (this.experimentTracker.enabled && !this.experimentStore) {
+      console.warn(`Bot ${this.botName} is in experiments but BOT_EXPERIMENT_STORE is not set; round results will only be logged`);
+    }
 
     console.log(`Bot ${this.botName} initialized with 15-minute state timeout`);
   }
 
-  async getGameState() {
-    const maxRetries = 3;
-    const baseDelay = 2000;
-    
-    for (let attempt = 0; attempt <= maxRetries; attempt++) {
+  /**
+   * Snapshot of everything a re-invoked worker needs to carry on
+   */
+  toCheckpoint() {
+    return {
+      version: CHECKPOINT_VERSION,
+      savedAt: Date.now(),
+      invocation: this.invocation,
+      spawnTime: this.spawnTime,
+      currentState: this.currentState,
+      stateStartTime: this.stateStartTime,
+      roundMemory: this.roundMemory,
+      gameMemory: this.memory.toJSON(),
+      searchStats: this.searchStats.toJSON(),
+      outputStats: this.outputStats.toJSON(),
+      experiments: this.experimentTracker.toJSON(),
+      usage: this.budget.toJSON()
+    };
+  }
+
+  /**
+   * Restore a checkpoint; returns false if it is missing or unusable
+   */
+  restoreCheckpoint(checkpoint) {
+    if (!checkpoint || checkpoint.version !== CHECKPOINT_VERSION) {
+      return false;
+    }
+
+    this.invocation = (checkpoint.invocation || 1) + 1;
+    this.spawnTime = checkpoint.spawnTime;
+    this.currentState = checkpoint.currentState;
+    this.stateStartTime = checkpoint.stateStartTime;
+    this.roundMemory = checkpoint.roundMemory || { key: null, decisions: {} };
+    this.memory = GameMemory.from(checkpoint.gameMemory);
+    this.searchStats = SearchStats.from(checkpoint.searchStats);
+    this.outputStats = LLMOutputStats.from(checkpoint.outputStats);
+    this.experimentTracker = this.createExperimentTracker(checkpoint.experiments);
+    this.budget = this.createUsageBudget(checkpoint.usage);
+
+    const ageMinutes = Math.floor((Date.now() - this.spawnTime) / 60000);
+    const stateMinutes = Math.floor((Date.now() - this.stateStartTime) / 60000);
+    console.log(`Bot ${this.botName} resumed as invocation ${this.invocation}: age ${ageMinutes}m, ${stateMinutes}m in '${this.currentState}'`);
+    return true;
+  }
+
+  createExperimentTracker(data) {
+    return new ExperimentTracker({
+      assignments: this.experiments,
+      store: this.experimentStore,
+      gameId: this.gameId,
+      botId: this.botId,
+      personality: this.personality,
+      logPrefix: `Bot ${this.botName}`
+    }, data);
+  }
+
+  createUsageBudget(data) {
+    return new UsageBudget({
+      gameId: this.gameId,
+      limits: this.budgetLimits,
+      store: this.usageStore,
+      logPrefix: `Bot ${this.botName}`
+    }, data);
+  }
+
+  checkpointKey() {
+    return `checkpoint:${this.botId}:${this.gameId}`;
+  }
+
+  /**
+   * Restore from the payload checkpoint or the state store, whichever is newer
+   */
+  async loadCheckpoint(payloadCheckpoint) {
+    let stored = null;
+    if (this.stateStore) {
       try {
-        const response = await axios.get(`${this.apiUrl}/game/${this.gameId}`, {
-          headers: { Authorization: `Bearer ${this.sessionToken}` },
-          timeout: 10000
-        });
-        
-        const newGameState = response.data;
-        
-        // NEW: Check if game state changed
-        if (this.currentState !== newGameState.status) {
-          console.log(`Bot ${this.botName}: State changed from ${this.currentState} to ${newGameState.status}`);
-          this.currentState = newGameState.status;
-          this.stateStartTime = Date.now();
-        }
-        
-        this.gameState = newGameState;
-        return this.gameState;
+        stored = await this.stateStore.get(this.checkpointKey());
       } catch (error) {
-        console.error(`Bot ${this.botName} getGameState attempt ${attempt + 1} failed:`, error.message);
-        
-        // Check if this is a retryable error
-        const isRetryable = error.response?.status === 429 || 
-                           error.response?.status >= 500 || 
-                           error.code === 'ECONNRESET' || 
-                           error.code === 'ETIMEDOUT' || 
-                           error.code === 'ENOTFOUND' ||
-                           error.code === 'ECONNREFUSED';
-        
-        if (attempt === maxRetries || !isRetryable) {
-          throw error;
+        console.warn(`Bot ${this.botName} could not read checkpoint from ${this.stateStore.name} store:`, error.message);
+      }
+    }
+
+    const newest = [payloadCheckpoint, stored]
+      .filter(Boolean)
+      .sort((a, b) => (b.savedAt || 0) - (a.savedAt || 0))[0];
+
+    return this.restoreCheckpoint(newest);
+  }
+
+  async saveCheckpoint() {
+    if (!this.stateStore) return;
+
+    try {
+      await this.stateStore.set(this.checkpointKey(), this.toCheckpoint(), { ttl: this.MAX_AGE });
+    } catch (error) {
+      console.warn(`Bot ${this.botName} could not save checkpoint to ${this.stateStore.name} store:`, error.message);
+    }
+  }
+
+  async clearCheckpoint() {
+    if (!this.stateStore) return;
+
+    try {
+      await this.stateStore.delete(this.checkpointKey());
+    } catch (error) {
+      console.warn(`Bot ${this.botName} could not clear checkpoint:`, error.message);
+    }
+  }
+
+  /**
+   * Identifies the current round; the question stays set through results and question-selection
+   */
+  getRoundKey() {
+    return `${this.gameState?.round ?? ''}:${this.gameState?.currentQuestion?.text ?? ''}`;
+  }
+
+  /**
+   * Start a fresh round memory when the round changes
+   */
+  syncRoundMemory() {
+    const key = this.getRoundKey();
+    if (this.roundMemory.key !== key) {
+      this.roundMemory = { key, decisions: {} };
+    }
+  }
+
+  /**
+   * Whether a decision of this type was already made for the current round
+   */
+  hasDecision(type) {
+    return this.roundMemory.key === this.getRoundKey() && !!this.roundMemory.decisions[type];
+  }
+
+  recordDecision(type, details = {}) {
+    this.syncRoundMemory();
+    this.roundMemory.decisions[type] = { ...details, status: 'pending', decidedAt: Date.now() };
+    this.saveCheckpoint();
+  }
+
+  completeDecision(type) {
+    const decision = this.roundMemory.decisions[type];
+    if (decision) {
+      decision.status = 'done';
+      this.saveCheckpoint();
+    }
+  }
+
+  /**
+   * Carry out decisions a previous invocation made but never acted on
+   */
+  async resumePendingDecisions() {
+    this.syncRoundMemory();
+    const pending = Object.entries(this.roundMemory.decisions).filter(([, d]) => d.status === 'pending');
+
+    for (const [type, decision] of pending) {
+      console.log(`Bot ${this.botName} resuming pending ${type} decision from previous invocation`);
+      const status = this.gameState.status;
+
+      try {
+        if (type === 'submit' && status === 'selecting' &&
+            !this.gameState.submissions.some(s => s.player._id === this.botId)) {
+          await (decision.song ? this.submitSong(decision.song) : this.passTurn());
+        } else if (type === 'vote' && status === 'voting' && decision.submissionId &&
+                   !this.gameState.submissions.some(s => s.votes.some(v => v._id === this.botId))) {
+          await this.client.vote(this.gameId, this.botId, decision.submissionId);
+          console.log(`Bot ${this.botName} successfully voted for: "${decision.songName}" by ${decision.artist}`);
+        } else if (type === 'question' && status === 'question-selection' &&
+                   !this.gameState.winnerSelectedQuestion?.text && this.isBotTheWinner()) {
+          await this.selectWinnerQuestion();
         }
-        
-        // Exponential backoff with jitter
-        const delay = baseDelay * Math.pow(2, attempt) + Math.random() * 1000;
-        console.log(`Bot ${this.botName} retrying getGameState in ${Math.round(delay)}ms...`);
-        await new Promise(resolve => setTimeout(resolve, delay));
+      } catch (error) {
+        console.error(`Bot ${this.botName} failed to resume ${type} decision:`, error.message);
+      } finally {
+        this.completeDecision(type);
+      }
+    }
+  }
+
+  async getGameState() {
+    try {
+      const newGameState = this.updates.takePushedState() || await this.client.getGame(this.gameId);
+      
+      // NEW: Check if game state changed
+      if (this.currentState !== newGameState.status) {
+        console.log(`Bot ${this.botName}: State changed from ${this.currentState} to ${newGameState.status}`);
+        this.currentState = newGameState.status;
+        this.stateStartTime = Date.now();
+        this.gameState = newGameState;
+        this.scheduler.cancelStale(newGameState.status);
+        await this.saveCheckpoint();
       }
+      
+      this.gameState = newGameState;
+      return this.gameState;
+    } catch (error) {
+      console.error(`Bot ${this.botName} getGameState failed after ${error.attempts} attempt(s) (${error.kind}):`, error.message);
+      throw error;
     }
   }
 
+  /**
+   * Random human-like delay between `min` and `min + spread` ms, scaled by timeScale
+   */
+  humanDelay(min, spread = 0) {
+    return (min + Math.random() * spread) * this.timeScale;
+  }
+
+  sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms * this.timeScale));
+  }
+
+  actionKey(type) {
+    return `${this.getRoundKey()}:${type}`;
+  }
+
+  /**
+   * Schedule a delayed action for the current round and state; false if already scheduled or done
+   */
+  scheduleAction(type, run, delay) {
+    return this.scheduler.schedule(this.actionKey(type), run, { delay, state: this.gameState.status });
+  }
+
   checkStateTimeout() {
     const timeInCurrentState = Date.now() - this.stateStartTime;
     
@@ -103,6 +423,10 @@ class BotWorker {
     }
 
     console.log(`Bot ${this.botName} processing game state: ${this.gameState.status}`);
+    this.memory.observe(this.gameState, this.botId);
+    if (['results', 'question-selection', 'ended'].includes(this.gameState.status)) {
+      await this.recordRoundOutcome();
+    }
 
     switch (this.gameState.status) {
       case 'waiting':
@@ -122,6 +446,10 @@ class BotWorker {
         break;
       case 'ended':
         console.log(`Game ended. Bot ${this.botName} final score: ${this.getBotScore()}`);
+        console.log(`📊 Bot ${this.botName} search strategy hit rates:`, JSON.stringify(this.searchStats.summary()));
+        console.log(`📊 Bot ${this.botName} cache:`, JSON.stringify(this.cache.summary()));
+        console.log(`📊 Bot ${this.botName} AI replies:`, JSON.stringify(this.outputStats.toJSON().tasks));
+        console.log(`📊 Bot ${this.botName} AI spend:`, JSON.stringify(await this.budget.summary()));
         return false; // End processing
     }
     
@@ -133,49 +461,47 @@ class BotWorker {
     
     if (botPlayer && !botPlayer.isReady) {
       // Random delay to seem human-like
-      const delay = 2000 + Math.random() * 3000; // 2-5 seconds
+      const delay = this.humanDelay(2000, 3000); // 2-5 seconds
       
-      setTimeout(async () => {
-        try {
-          await axios.post(`${this.apiUrl}/game/ready`, {
-            gameId: this.gameId,
-            userId: this.botId
-          }, {
-            headers: { Authorization: `Bearer ${this.sessionToken}` }
-          });
-          
-          console.log(`Bot ${this.botName} is ready to rock!`);
-        } catch (error) {
-          console.error('Failed to set ready:', error.message);
-        }
+      // A failed ready is released by the scheduler and retried on the next poll
+      this.scheduleAction('ready', async () => {
+        await this.client.ready(this.gameId, this.botId);
+        
+        console.log(`Bot ${this.botName} is ready to rock!`);
       }, delay);
     }
   }
 
   async handleSelection() {
     const hasSubmitted = this.gameState.submissions.some(s => s.player._id === this.botId);
-    if (hasSubmitted) return;
+    if (hasSubmitted || this.hasDecision('submit')) return;
 
     try {
       console.log(`Bot ${this.botName} analyzing question: "${this.gameState.currentQuestion.text}"`);
       
       const songChoice = await this.chooseSongForQuestion(this.gameState.currentQuestion);
+      this.recordDecision('submit', { song: songChoice });
       
       // Human-like delay
-      const delay = 4000 + Math.random() * 8000; // 4-12 seconds
+      const delay = this.humanDelay(4000, 8000); // 4-12 seconds
       
-      setTimeout(async () => {
+      this.scheduleAction('submit', async () => {
         if (songChoice) {
           await this.submitSong(songChoice);
         } else {
           await this.passTurn();
         }
+        this.completeDecision('submit');
       }, delay);
       
     } catch (error) {
       console.error('Selection error:', error.message);
       // Fallback: pass the turn
-      setTimeout(() => this.passTurn(), 3000);
+      this.recordDecision('submit', { song: null });
+      this.scheduleAction('submit', async () => {
+        await this.passTurn();
+        this.completeDecision('submit');
+      }, this.humanDelay(3000));
     }
   }
 
@@ -187,7 +513,13 @@ class BotWorker {
       console.log(`🤖 Bot ${this.botName} starting song selection process...`);
       console.log(`🎯 Question: "${question.text}"`);
       console.log(`🎭 Personality: ${this.personality}`);
-      console.log(`🔑 OpenAI API Key available: ${!!this.openaiApiKey}`);
+      console.log(`🔑 AI provider available: ${this.llm.name} (${this.llm.isAvailable()})`);
+      console.log(`🎚️ Difficulty: ${this.difficulty.name}`);
+      
+      if (this.rollDifficulty('passChance')) {
+        console.log(`🎚️ Bot ${this.botName} is sitting this round out (${this.difficulty.name} difficulty), will pass`);
+        return null;
+      }
       
       // Step 1: Get AI suggestions with detailed logging
       console.log(`🧠 Step 1: Getting AI suggestions...`);
@@ -204,9 +536,25 @@ class BotWorker {
         return null;
       }
       
+      // Never repeat a song the bot already played this game
+      const unplayedSuggestions = this.memory.excludePlayed(aiSuggestions);
+      if (unplayedSuggestions.length < aiSuggestions.length) {
+        console.log(`🧠 Skipping ${aiSuggestions.length - unplayedSuggestions.length} suggestion(s) already played this game`);
+      }
+      const freshSuggestions = this.contentPolicy.filterSongs(unplayedSuggestions);
+      if (freshSuggestions.length < unplayedSuggestions.length) {
+        console.log(`🛡️ Skipping ${unplayedSuggestions.length - freshSuggestions.length} suggestion(s) by blocked artists in this family game`);
+      }
+      if (freshSuggestions.length === 0) {
+        console.log(`❌ Bot ${this.botName} already played or may not play every suggestion, will pass`);
+        return null;
+      }
+      
       // Step 2: Randomize order
       console.log(`🔀 Step 2: Randomizing suggestion order...`);
-      const shuffledSuggestions = [...aiSuggestions].sort(() => Math.random() - 0.5);
+      const shuffledSuggestions = freshSuggestions
+        .slice(0, this.difficulty.suggestionCount)
+        .sort(() => Math.random() - 0.5);
       console.log(`🔀 Randomized order:`, shuffledSuggestions.map((s, i) => `${i + 1}. ${s.artist} - ${s.song}`));
       
       // Step 3: Try each suggestion with detailed logging
@@ -219,27 +567,25 @@ class BotWorker {
         console.log(`   Song: "${suggestion.song}"`);
         console.log(`   Reasoning: "${suggestion.reasoning}"`);
         
-        // Search for the song
-        const searchQuery = `${suggestion.artist} ${suggestion.song}`;
-        console.log(`🔎 Search query: "${searchQuery}"`);
-        
-        const searchResults = await this.searchSongs(searchQuery);
-        console.log(`📊 Search results: ${searchResults.length} found`);
+        // Search for the song, trying other queries if the first one misses
+        const requestsBefore = this.searchRequests;
+        const lookup = await this.lookupSong(suggestion);
         
-        if (searchResults.length === 0) {
-          console.log(`❌ No search results for "${searchQuery}"`);
+        if (!lookup.song) {
+          console.log(`❌ No confident match for "${suggestion.artist} - ${suggestion.song}"`);
+          await this.pauseAfterSearch(requestsBefore);
           continue;
         }
         
         // Log all search results
-        console.log(`📃 All search results:`);
-        searchResults.forEach((result, idx) => {
+        console.log(`📃 Ranked search results:`);
+        lookup.results.forEach((result, idx) => {
           console.log(`   ${idx + 1}. "${result.name}" by ${result.artist} (ID: ${result.id})`);
         });
         
         // Find best match
         console.log(`🎯 Finding best match...`);
-        const bestMatch = this.findBestMatch(searchResults, suggestion);
+        const bestMatch = this.pickCandidate(lookup.results, suggestion);
         console.log(`🎯 Best match: "${bestMatch.name}" by ${bestMatch.artist}`);
         
         // Check if it's a good match
@@ -249,27 +595,19 @@ class BotWorker {
         
         if (isGood) {
           console.log(`🎉 Bot ${this.botName} SELECTED: "${bestMatch.name}" by ${bestMatch.artist}`);
-          console.log(`🎉 From AI suggestion: "${suggestion.artist} - ${suggestion.song}"`);
+          console.log(`🎉 From AI suggestion: "${suggestion.artist} - ${suggestion.song}" (prompt ${this.promptVersions.suggestions})`);
           console.log(`🎉 AI reasoning: ${suggestion.reasoning}`);
           return bestMatch;
         } else {
           console.log(`❌ Match "${bestMatch.name}" by ${bestMatch.artist} not good enough for suggestion "${suggestion.artist} - ${suggestion.song}"`);
-          
-          // Let's see why it failed the match test
-          console.log(`🔍 Match analysis:`);
-          console.log(`   Target artist: "${suggestion.artist.toLowerCase()}"`);
-          console.log(`   Found artist: "${bestMatch.artist.toLowerCase()}"`);
-          console.log(`   Target song: "${suggestion.song.toLowerCase()}"`);
-          console.log(`   Found song: "${bestMatch.name.toLowerCase()}"`);
-          console.log(`   Artist includes check: ${bestMatch.artist.toLowerCase().includes(suggestion.artist.toLowerCase())}`);
-          console.log(`   Reverse artist check: ${suggestion.artist.toLowerCase().includes(bestMatch.artist.toLowerCase())}`);
         }
         
         // Small delay between searches
-        await new Promise(resolve => setTimeout(resolve, 500));
+        await this.pauseAfterSearch(requestsBefore);
       }
       
       console.log(`❌ Bot ${this.botName} couldn't find any viable songs from AI suggestions, will pass`);
+      this.experimentTracker.recordMatchFailure(this.gameState?.round);
       return null;
       
     } catch (error) {
@@ -280,29 +618,52 @@ class BotWorker {
   }
 
   /**
-   * Enhanced song search with debugging
+   * Find a suggestion in the music search with the strategy chain (see song-search.js).
+   * Songs the bot already played, and `avoidSongIds`, are never returned.
+   */
+  async lookupSong(suggestion, avoidSongIds = []) {
+    const lookup = await findSong(suggestion, {
+      search: (query, limit) => this.searchSongs(query, limit),
+      thresholds: this.difficulty.matchStrictness,
+      versions: this.currentVersions(),
+      exclude: (results) => this.contentPolicy.filterSongs(this.memory.excludePlayed(results)).filter(result => !avoidSongIds.includes(result.id)),
+      stats: this.searchStats
+    });
+    
+    for (const attempt of lookup.attempts) {
+      console.log(`🔎 ${attempt.strategy}: "${attempt.query}" → ${attempt.results} result(s)${attempt.hit ? ', confident match' : ''}`);
+    }
+    if (lookup.song) {
+      console.log(`🎯 Found "${lookup.song.name}" by ${lookup.song.artist} via ${lookup.strategy} search`);
+    }
+    
+    return lookup;
+  }
+
+  /**
+   * Enhanced song search with debugging; results are cached by normalised query
    */
-  async searchSongs(query) {
+  async searchSongs(query, limit = 8) {
     try {
       console.log(`🔍 Searching songs with query: "${query}"`);
-      console.log(`🔗 API URL: ${this.apiUrl}/music/search`);
-      console.log(`🔑 Session token available: ${!!this.sessionToken}`);
       
-      const response = await axios.get(`${this.apiUrl}/music/search`, {
-        params: { query, limit: 8 },
-        headers: { Authorization: `Bearer ${this.sessionToken}` },
-        timeout: 10000
-      });
+      const requestsBefore = this.searchRequests;
+      const results = await this.cache.wrap(cacheKey('search', query, limit), () => {
+        console.log(`🔗 API URL: ${this.client.apiUrl}/music/search`);
+        console.log(`🔑 Session token available: ${!!this.sessionToken}`);
+        this.searchRequests++;
+        return this.client.search(query, { limit });
+      }, { ttl: CACHE_TTLS.search, emptyTtl: CACHE_TTLS.emptySearch });
       
-      console.log(`✅ Search API responded with status: ${response.status}`);
-      console.log(`📊 Found ${response.data.length} results`);
+      console.log(`📊 Found ${results.length} results${this.searchRequests === requestsBefore ? ' (cached)' : ''}`);
       
-      return response.data;
+      return results;
     } catch (error) {
       console.error(`❌ Song search API failed:`, {
         message: error.message,
-        status: error.response?.status,
-        data: error.response?.data,
+        kind: error.kind,
+        status: error.status,
+        data: error.data,
         query: query
       });
       return [];
@@ -310,361 +671,254 @@ class BotWorker {
   }
 
   /**
-   * Enhanced match checking with detailed logging
+   * Version weights (live, cover, karaoke...) for the current question and this personality
+   */
+  currentVersions() {
+    return versionWeightsFor(this.personalityDef.versionPreferences, this.gameState?.currentQuestion?.text);
+  }
+
+  /**
+   * Small delay between searches, skipped when the last lookup was served from the cache
+   */
+  async pauseAfterSearch(requestsBefore) {
+    if (this.searchRequests > requestsBefore) {
+      await this.sleep(500);
+    }
+  }
+
+  /**
+   * Whether a search result is the suggested song, at this bot's difficulty thresholds
    */
   isGoodMatch(match, suggestion) {
-    const matchArtist = match.artist.toLowerCase().trim();
-    const targetArtist = suggestion.artist.toLowerCase().trim();
-    const matchSong = match.name.toLowerCase().trim();
-    const targetSong = suggestion.song.toLowerCase().trim();
+    const result = matchSong(match, suggestion, this.difficulty.matchStrictness, { versions: this.currentVersions() });
     
-    console.log(`🔍 Detailed match analysis:`);
-    console.log(`   Target: "${targetArtist}" - "${targetSong}"`);
-    console.log(`   Found:  "${matchArtist}" - "${matchSong}"`);
+    console.log(`🔍 Match analysis (${this.difficulty.matchStrictness}):`);
+    console.log(`   Target: "${suggestion.artist}" - "${suggestion.song}"`);
+    console.log(`   Found:  "${match.artist}" - "${match.name}"`);
+    console.log(`   Artist similarity: ${result.artist}, title similarity: ${result.title}${result.featured ? ' (featured artist credit)' : ''}`);
+    if (result.versions.length > 0) console.log(`   Version: ${result.versions.join(', ')}`);
+    console.log(`   Overall match result: ${result.isMatch}`);
     
-    // Check artist similarity
-    const artistMatch1 = matchArtist.includes(targetArtist);
-    const artistMatch2 = targetArtist.includes(matchArtist);
-    const artistSimilar = this.areArtistsSimilar(matchArtist, targetArtist);
-    
-    console.log(`   Artist checks:`);
-    console.log(`     Found includes target: ${artistMatch1}`);
-    console.log(`     Target includes found: ${artistMatch2}`);
-    console.log(`     Artists similar: ${artistSimilar}`);
-    
-    // Check song similarity (optional - might be too strict)
-    const songMatch1 = matchSong.includes(targetSong);
-    const songMatch2 = targetSong.includes(matchSong);
-    
-    console.log(`   Song checks (for info only):`);
-    console.log(`     Found includes target: ${songMatch1}`);
-    console.log(`     Target includes found: ${songMatch2}`);
-    
-    const isGood = artistMatch1 || artistMatch2 || artistSimilar;
-    console.log(`   Overall match result: ${isGood}`);
-    
-    return isGood;
+    return result.isMatch;
   }
 
   /**
-   * Get song suggestions from OpenAI based on the question
+   * Get song suggestions from the AI provider based on the question
    */
   async getAISongSuggestions(questionText) {
     console.log(`Bot ${this.botName} starting AI suggestion process...`);
-    console.log(`OpenAI API Key available: ${!!this.openaiApiKey}`);
+    console.log(`AI provider: ${this.llm.name}, model: ${this.llm.model}`);
     
-    if (!this.openaiApiKey) {
-      console.warn(`Bot ${this.botName}: OpenAI API key not available, will pass`);
-      return null;
+    if (!this.llm.isAvailable()) {
+      console.warn(`Bot ${this.botName}: AI provider ${this.llm.name} not available, using ${this.personality} fallback songs`);
+      return this.getFallbackSuggestions(questionText);
+    }
+    const prompt = this.renderPrompt('suggestions', {
+      personalityPrompt: this.getPersonalityPrompt(),
+      question: this.untrustedQuestion(questionText),
+      history: this.memory.toPromptContext(this.gameState?.round),
+      versionHints: versionPromptHints(versionWeightsFor(this.personalityDef.versionPreferences, questionText)).join('\n'),
+      count: this.difficulty.suggestionCount
+    });
+
+    // Duplicate retries and repeated questions reuse earlier answers, unless the bot already played all of them
+    const suggestionsKey = this.suggestionsCacheKey(questionText, prompt.versionId);
+    const cached = await this.cache.get(suggestionsKey);
+    if (cached && this.memory.excludePlayed(cached).length > 0) {
+      console.log(`Bot ${this.botName}: Reusing ${cached.length} cached AI suggestions`);
+      return cached;
+    }
+
+    // Cached answers cost nothing, so the budget and the circuit only stop new calls
+    if (this.budget.isExhausted()) {
+      console.warn(`Bot ${this.botName}: AI budget used up, using ${this.personality} fallback songs`);
+      return this.getFallbackSuggestions(questionText);
+    }
+    if (this.breaker.isOpen()) {
+      console.warn(`Bot ${this.botName}: ${this.llm.name} circuit open, using ${this.personality} fallback songs`);
+      return this.getFallbackSuggestions(questionText);
     }
 
     try {
-      const personalityPrompt = this.getPersonalityPrompt();
       console.log(`Bot ${this.botName}: Using personality: ${this.personality}`);
-      
-      const prompt = `${personalityPrompt}
-
-Question: "${questionText}"
-
-Please suggest 5 songs that would be good answers to this question. Consider:
-- The literal meaning of the question
-- Popular and well-known songs that people would recognize
-- Songs that fit the mood, era, or genre mentioned in the question
-- Your personality as described above
-
-For each song, provide:
-- Artist name (exact spelling)
-- Song title (exact spelling)  
-- Brief reasoning (1-2 sentences)
-
-Format your response as JSON:
-{
-  "suggestions": [
-    {
-      "artist": "Artist Name",
-      "song": "Song Title",
-      "reasoning": "Why this song fits the question"
-    }
-  ]
-}`;
-
-      console.log(`Bot ${this.botName}: Making OpenAI API call...`);
-      console.log(`Bot ${this.botName}: Full prompt length: ${prompt.length}`);
-
-      const response = await axios.post('https://api.openai.com/v1/chat/completions', {
-        model: 'gpt-4o-mini',
-        messages: [
-          {
-            role: 'system',
-            content: 'You are a music expert helping to answer music-related questions. Always respond with valid JSON in the exact format requested.'
-          },
-          {
-            role: 'user',
-            content: prompt
-          }
-        ],
-        max_tokens: 500,
-        temperature: this.personalityConfig.temperature || 0.7
-      }, {
-        headers: {
-          'Authorization': `Bearer ${this.openaiApiKey}`,
-          'Content-Type': 'application/json'
-        },
+      console.log(`Bot ${this.botName}: Making ${this.llm.name} API call...`);
+      console.log(`Bot ${this.botName}: Full prompt length: ${prompt.messages[1].content.length}`);
+
+      const { value, response } = await completeStructured(this.llm, {
+        task: 'suggestions',
+        messages: prompt.messages,
+        maxTokens: 500,
+        temperature: this.personalityDef.temperature,
         timeout: 15000 // Increased timeout
-      });
+      }, { stats: this.outputStats, budget: this.budget, breaker: this.breaker });
 
-      console.log(`Bot ${this.botName}: OpenAI API call successful!`);
-      console.log(`Bot ${this.botName}: Response status: ${response.status}`);
-      console.log(`Bot ${this.botName}: Response usage:`, response.data.usage);
+      console.log(`Bot ${this.botName}: ${response.provider} API call successful!`);
+      console.log(`Bot ${this.botName}: Response model: ${response.model}`);
+      console.log(`Bot ${this.botName}: Response usage:`, response.usage);
+      console.log(`Bot ${this.botName}: Got ${value.suggestions.length} AI suggestions`);
 
-      const aiResponse = response.data.choices[0].message.content;
-      console.log(`Bot ${this.botName}: Raw AI response:`, aiResponse);
+      await this.cache.set(suggestionsKey, value.suggestions, { ttl: CACHE_TTLS.suggestions });
+      return value.suggestions;
       
-      // Parse the JSON response
-      try {
-        const parsed = JSON.parse(aiResponse);
-        console.log(`Bot ${this.botName}: Successfully parsed AI response:`, parsed);
-        
-        if (parsed.suggestions && Array.isArray(parsed.suggestions) && parsed.suggestions.length > 0) {
-          console.log(`Bot ${this.botName}: Got ${parsed.suggestions.length} AI suggestions`);
-          return parsed.suggestions;
-        } else {
-          console.warn(`Bot ${this.botName}: AI response missing suggestions array, falling back`);
-          return this.getFallbackSuggestions(questionText);
-        }
-      } catch (parseError) {
-        console.error(`Bot ${this.botName}: Failed to parse AI response as JSON:`, parseError);
-        console.log(`Bot ${this.botName}: Attempting to extract from malformed response...`);
-        
-        // Try to extract suggestions from malformed response
-        const extracted = this.extractSuggestionsFromText(aiResponse);
-        if (extracted.length > 0) {
-          console.log(`Bot ${this.botName}: Successfully extracted ${extracted.length} suggestions from text`);
-          return extracted;
-        }
-        
-        console.warn(`Bot ${this.botName}: Could not extract suggestions, using fallback`);
+    } catch (error) {
+      if (error instanceof LLMOutputError) {
+        this.reportOutputError(error);
+        console.warn(`Bot ${this.botName}: Using ${this.personality} fallback songs`);
+        return this.getFallbackSuggestions(questionText);
+      }
+      if (error instanceof BudgetExceededError || error instanceof CircuitOpenError) {
+        console.warn(`Bot ${this.botName}: ${error.message}, using ${this.personality} fallback songs`);
         return this.getFallbackSuggestions(questionText);
       }
       
-    } catch (error) {
-      console.error(`Bot ${this.botName}: OpenAI API error:`, error.message);
+      console.error(`Bot ${this.botName}: ${this.llm.name} API error:`, error.message);
       
-      if (error.response) {
-        console.error(`Bot ${this.botName}: OpenAI API response status:`, error.response.status);
-        console.error(`Bot ${this.botName}: OpenAI API response data:`, error.response.data);
-        
-        // Check for specific error types
-        if (error.response.status === 401) {
-          console.error(`Bot ${this.botName}: OpenAI API authentication failed - check API key`);
-        } else if (error.response.status === 429) {
-          console.error(`Bot ${this.botName}: OpenAI API rate limit exceeded`);
-        } else if (error.response.status >= 500) {
-          console.error(`Bot ${this.botName}: OpenAI API server error`);
-        }
-      } else if (error.code === 'ECONNREFUSED') {
-        console.error(`Bot ${this.botName}: Could not connect to OpenAI API`);
-      } else if (error.code === 'ENOTFOUND') {
-        console.error(`Bot ${this.botName}: OpenAI API hostname not found`);
-      } else if (error.code === 'ETIMEDOUT') {
-        console.error(`Bot ${this.botName}: OpenAI API request timed out`);
+      if (error.status) {
+        console.error(`Bot ${this.botName}: ${this.llm.name} API response status:`, error.status);
+        console.error(`Bot ${this.botName}: ${this.llm.name} API response data:`, error.data);
       }
       
-      // No fallback - just return null and let bot pass
-      console.log(`Bot ${this.botName}: Will pass due to AI API error`);
-      return null;
+      // Check for specific error types
+      if (error.kind === 'auth') {
+        console.error(`Bot ${this.botName}: ${this.llm.name} API authentication failed - check API key`);
+      } else if (error.kind === 'rate_limited') {
+        console.error(`Bot ${this.botName}: ${this.llm.name} API rate limit exceeded`);
+      } else if (error.kind === 'server') {
+        console.error(`Bot ${this.botName}: ${this.llm.name} API server error`);
+      } else if (error.kind === 'network') {
+        console.error(`Bot ${this.botName}: Could not connect to ${this.llm.name} API (${error.code})`);
+      } else if (error.kind === 'timeout') {
+        console.error(`Bot ${this.botName}: ${this.llm.name} API request timed out`);
+      }
+      
+      // The bot can still answer from its personality's songs; the breaker decides when to stop calling
+      console.warn(`Bot ${this.botName}: Using ${this.personality} fallback songs after the ${this.llm.name} API error`);
+      return this.getFallbackSuggestions(questionText);
+    }
+  }
+
+  /**
+   * Suggestions depend on the question, the model, the prompt template, the personality (custom ones included)
+   * and how many are asked for
+   */
+  suggestionsCacheKey(questionText, promptVersion) {
+    const { id, temperature, prompts, versionPreferences } = this.personalityDef;
+    const personality = crypto.createHash('sha1')
+      .update(JSON.stringify({ id, temperature, prompt: prompts.songSelection, versionPreferences }))
+      .digest('hex')
+      .slice(0, 12);
+    return cacheKey('suggestions', `${this.llm.name}/${this.llm.model}`, promptVersion, personality, this.difficulty.suggestionCount, questionText);
+  }
+
+  /**
+   * Chat messages for an AI task from its prompt template; the version id is logged and kept for the decision logs
+   */
+  renderPrompt(task, variables) {
+    const prompt = this.prompts.render(task, variables, {
+      personality: this.personality,
+      stage: this.stage,
+      experiments: this.experiments
+    });
+    this.promptVersions[task] = prompt.versionId;
+    console.log(`🧾 Bot ${this.botName} ${task} prompt: ${prompt.versionId}`);
+    return prompt;
+  }
+
+  /**
+   * Whether player-written text tries to instruct the AI; such phrases are logged (and removed by escapeUntrusted)
+   */
+  hasInstructions(source, ...texts) {
+    const instructions = texts.flatMap(text => findInstructions(text));
+    if (instructions.length > 0) {
+      console.warn(`🛡️ Bot ${this.botName}: instruction-like text in ${source}: ${instructions.map(i => `"${i}"`).join(', ')}`);
     }
+    return instructions.length > 0;
+  }
+
+  /**
+   * The current question for a prompt, escaped for its double quotes
+   */
+  untrustedQuestion(text) {
+    this.hasInstructions('the question', text);
+    return escapeUntrusted(text);
+  }
+
+  /**
+   * Whether AI calls can be made: the provider is configured, no spending budget is used up
+   * and its circuit is not open
+   */
+  aiAvailable() {
+    return this.llm.isAvailable() && !this.budget.isExhausted() && !this.breaker.isOpen();
   }
 
   /**
    * Get personality-specific prompt for the AI
    */
   getPersonalityPrompt() {
-    const prompts = {
-      eclectic: "You are an eclectic music lover who enjoys discovering hidden gems and lesser-known tracks across all genres. You prefer unique, creative, and sometimes obscure songs that others might not think of.",
-      
-      mainstream: "You are a mainstream music fan who knows all the biggest hits and crowd favorites. You prefer popular, chart-topping songs that everyone knows and loves.",
-      
-      indie: "You are an indie music enthusiast who champions underground and alternative artists. You prefer authentic, non-commercial tracks from independent artists and smaller labels.",
-      
-      vintage: "You are a music historian who specializes in classic tracks from past decades. You prefer timeless songs from the 60s, 70s, 80s, and 90s that have stood the test of time.",
-      
-      analytical: "You are a music scholar who analyzes songs based on musical theory, lyrical content, and artistic merit. You prefer songs with complex compositions, meaningful lyrics, or innovative production."
-    };
-    
-    return prompts[this.personality] || prompts.eclectic;
+    return this.personalityDef.prompts.songSelection;
   }
 
   /**
-   * Fallback suggestions when AI is not available
+   * Fallback suggestions when AI is not available: catalog tracks ranked for the question and the
+   * personality's catalogPreferences, skipping songs already played; the personality's fixed list if none match
    */
   getFallbackSuggestions(questionText) {
-    const text = questionText.toLowerCase();
-    
-    // Basic keyword matching for common questions
-    if (text.includes('beatles')) {
-      return [
-        { artist: 'The Beatles', song: 'Hey Jude', reasoning: 'Classic Beatles hit' },
-        { artist: 'The Beatles', song: 'Let It Be', reasoning: 'Iconic Beatles song' },
-        { artist: 'The Beatles', song: 'Come Together', reasoning: 'Popular Beatles track' }
-      ];
-    }
-    
-    if (text.includes('taylor swift')) {
-      return [
-        { artist: 'Taylor Swift', song: 'Shake It Off', reasoning: 'Popular Taylor Swift hit' },
-        { artist: 'Taylor Swift', song: 'Love Story', reasoning: 'Classic Taylor Swift song' },
-        { artist: 'Taylor Swift', song: 'Anti-Hero', reasoning: 'Recent Taylor Swift hit' }
-      ];
-    }
-    
-    if (text.includes('90s')) {
-      return [
-        { artist: 'Nirvana', song: 'Smells Like Teen Spirit', reasoning: '90s grunge anthem' },
-        { artist: 'Alanis Morissette', song: 'You Oughta Know', reasoning: '90s alternative hit' },
-        { artist: 'TLC', song: 'Waterfalls', reasoning: '90s R&B classic' }
-      ];
-    }
-    
-    if (text.includes('sad') || text.includes('cry')) {
-      return [
-        { artist: 'Johnny Cash', song: 'Hurt', reasoning: 'Emotionally powerful song' },
-        { artist: 'Mad World', song: 'Gary Jules', reasoning: 'Haunting and melancholic' },
-        { artist: 'The Sound of Silence', song: 'Simon & Garfunkel', reasoning: 'Classic sad song' }
-      ];
-    }
-    
-    if (text.includes('happy') || text.includes('dance')) {
-      return [
-        { artist: 'Pharrell Williams', song: 'Happy', reasoning: 'Literally about being happy' },
-        { artist: 'Bruno Mars', song: 'Uptown Funk', reasoning: 'Upbeat dance track' },
-        { artist: 'Daft Punk', song: 'Get Lucky', reasoning: 'Feel-good dance music' }
-      ];
+    const suggestions = songCatalog.suggest(questionText, {
+      preferences: this.personalityDef.catalogPreferences,
+      limit: this.difficulty.suggestionCount,
+      exclude: track => this.memory.hasPlayed(track) || !this.contentPolicy.allowsSong(track)
+    });
+    if (suggestions.length > 0) {
+      console.log(`🎵 Bot ${this.botName}: ${suggestions.length} catalog suggestions for "${questionText}"`);
+      return suggestions;
     }
-    
+
     // Default suggestions based on personality
-    const personalityDefaults = {
-      eclectic: [
-        { artist: 'Tame Impala', song: 'The Less I Know The Better', reasoning: 'Unique psychedelic sound' },
-        { artist: 'FKA twigs', song: 'Two Weeks', reasoning: 'Innovative and creative' },
-        { artist: 'King Gizzard', song: 'Inner Cell', reasoning: 'Experimental and interesting' }
-      ],
-      mainstream: [
-        { artist: 'Ed Sheeran', song: 'Shape of You', reasoning: 'Massive mainstream hit' },
-        { artist: 'Adele', song: 'Rolling in the Deep', reasoning: 'Popular crowd favorite' },
-        { artist: 'The Weeknd', song: 'Blinding Lights', reasoning: 'Chart-topping hit' }
-      ],
-      indie: [
-        { artist: 'Arctic Monkeys', song: 'Do I Wanna Know?', reasoning: 'Indie rock favorite' },
-        { artist: 'Vampire Weekend', song: 'A-Punk', reasoning: 'Indie classic' },
-        { artist: 'The Strokes', song: 'Last Nite', reasoning: 'Indie rock anthem' }
-      ],
-      vintage: [
-        { artist: 'Fleetwood Mac', song: 'Dreams', reasoning: 'Timeless 70s classic' },
-        { artist: 'David Bowie', song: 'Heroes', reasoning: 'Iconic vintage track' },
-        { artist: 'Queen', song: 'Bohemian Rhapsody', reasoning: 'Classic rock masterpiece' }
-      ],
-      analytical: [
-        { artist: 'Radiohead', song: 'Paranoid Android', reasoning: 'Complex composition and deep lyrics' },
-        { artist: 'Pink Floyd', song: 'Comfortably Numb', reasoning: 'Musically sophisticated' },
-        { artist: 'Tool', song: 'Schism', reasoning: 'Complex time signatures and meaning' }
-      ]
-    };
-    
-    return personalityDefaults[this.personality] || personalityDefaults.eclectic;
+    return this.personalityDef.fallbackSongs;
   }
 
   /**
-   * Try to extract song suggestions from malformed AI response
+   * Log an AI reply that stayed invalid after its repair round-trip
    */
-  extractSuggestionsFromText(text) {
-    const suggestions = [];
-    const lines = text.split('\n');
-    
-    let currentSuggestion = {};
-    
-    for (const line of lines) {
-      const lower = line.toLowerCase().trim();
-      
-      if (lower.includes('artist:') || lower.includes('"artist"')) {
-        const match = line.match(/(?:artist[":]\s*["']?)([^"',\n]+)/i);
-        if (match) currentSuggestion.artist = match[1].trim();
-      }
-      
-      if (lower.includes('song:') || lower.includes('"song"') || lower.includes('title:')) {
-        const match = line.match(/(?:(?:song|title)[":]\s*["']?)([^"',\n]+)/i);
-        if (match) currentSuggestion.song = match[1].trim();
-      }
-      
-      if (lower.includes('reasoning:') || lower.includes('"reasoning"')) {
-        const match = line.match(/(?:reasoning[":]\s*["']?)([^"',\n]+)/i);
-        if (match) currentSuggestion.reasoning = match[1].trim();
-      }
-      
-      // If we have a complete suggestion, add it
-      if (currentSuggestion.artist && currentSuggestion.song) {
-        suggestions.push({ ...currentSuggestion });
-        currentSuggestion = {};
-      }
-    }
-    
-    return suggestions.slice(0, 3); // Max 3 suggestions
+  reportOutputError(error) {
+    console.error(`Bot ${this.botName}: ${error.task} reply rejected (${error.kind}): ${error.problems.join('; ')}`);
+    console.error(`Bot ${this.botName}: ${this.outputStats.failures()} rejected AI replies so far`);
   }
 
   /**
    * Find best match between search results and AI suggestion
    */
   findBestMatch(searchResults, suggestion) {
-    let bestMatch = searchResults[0]; // Default to first result
-    let bestScore = 0;
+    const [best] = rankMatches(searchResults, suggestion, this.difficulty.matchStrictness, { versions: this.currentVersions() });
     
-    const targetArtist = suggestion.artist.toLowerCase();
-    const targetSong = suggestion.song.toLowerCase();
+    console.log(`Best match for "${suggestion.artist} - ${suggestion.song}": ${best.candidate.name} by ${best.candidate.artist} (score: ${best.match.score})`);
+    return best.candidate;
+  }
+
+  /**
+   * Best match for a suggestion; easier bots sometimes settle for a lower-ranked version of it
+   */
+  pickCandidate(searchResults, suggestion) {
+    const bestMatch = this.findBestMatch(searchResults, suggestion);
+    // Only results that still match the suggestion, so a weaker pick is never a different song
+    const others = rankMatches(searchResults, suggestion, this.difficulty.matchStrictness, { versions: this.currentVersions() })
+      .filter(({ candidate, match }) => candidate !== bestMatch && match.isMatch)
+      .map(({ candidate }) => candidate);
     
-    for (const result of searchResults) {
-      let score = 0;
-      const resultArtist = result.artist.toLowerCase();
-      const resultSong = result.name.toLowerCase();
-      
-      // Artist matching (most important)
-      if (resultArtist === targetArtist) {
-        score += 100;
-      } else if (resultArtist.includes(targetArtist) || targetArtist.includes(resultArtist)) {
-        score += 50;
-      }
-      
-      // Song matching
-      if (resultSong === targetSong) {
-        score += 80;
-      } else if (resultSong.includes(targetSong) || targetSong.includes(resultSong)) {
-        score += 40;
-      }
-      
-      // Avoid instrumentals, karaoke, etc.
-      if (resultSong.includes('instrumental') || resultSong.includes('karaoke') || 
-          resultSong.includes('cover') || resultSong.includes('remix')) {
-        score -= 30;
-      }
-      
-      if (score > bestScore) {
-        bestScore = score;
-        bestMatch = result;
-      }
+    if (others.length === 0 || !this.rollDifficulty('weakPickChance')) {
+      return bestMatch;
     }
     
-    console.log(`Best match for "${suggestion.artist} - ${suggestion.song}": ${bestMatch.name} by ${bestMatch.artist} (score: ${bestScore})`);
-    return bestMatch;
+    const weaker = others[Math.floor(Math.random() * others.length)];
+    console.log(`🎚️ Bot ${this.botName} settling for a weaker candidate: "${weaker.name}" by ${weaker.artist}`);
+    return weaker;
   }
 
   /**
-   * Check if artists are similar (handles common variations)
+   * True `difficulty[setting]` of the time (settings are chances between 0 and 1)
    */
-  areArtistsSimilar(artist1, artist2) {
-    // Remove common prefixes/suffixes
-    const clean1 = artist1.replace(/^the\s+/i, '').replace(/\s+band$/i, '');
-    const clean2 = artist2.replace(/^the\s+/i, '').replace(/\s+band$/i, '');
-    
-    return clean1.includes(clean2) || clean2.includes(clean1);
+  rollDifficulty(setting) {
+    return Math.random() < this.difficulty[setting];
   }
 
   /**
@@ -672,24 +926,13 @@ Format your response as JSON:
    */
   async submitSong(song) {
     try {
-      await axios.post(`${this.apiUrl}/game/submit`, {
-        gameId: this.gameId,
-        userId: this.botId,
-        songId: song.id,
-        songName: song.name,
-        artist: song.artist,
-        albumCover: song.albumArt || '',
-        hasPassed: false
-      }, {
-        headers: { Authorization: `Bearer ${this.sessionToken}` }
-      });
-      
+      await this.submitAndRecord(song);
       console.log(`Bot ${this.botName} successfully submitted: "${song.name}" by ${song.artist}`);
     } catch (error) {
       console.error(`Bot ${this.botName} failed to submit song:`, error.message);
       
-      // Handle duplicate song error gracefully
-      if (error.response?.status === 409 && error.response?.data?.errorCode === 'DUPLICATE_SONG') {
+      if (error.kind === 'conflict' && error.errorCode === 'DUPLICATE_SONG') {
+        // Handle duplicate song error gracefully
         console.log(`Bot ${this.botName} ⚠️ Song already selected: "${song.name}" by ${song.artist}`);
         console.log(`Bot ${this.botName} 🔄 Attempting to find alternative...`);
         
@@ -703,6 +946,36 @@ Format your response as JSON:
     }
   }
 
+  /**
+   * Submit a song and remember it. Throws the submit error unless the submit landed anyway.
+   */
+  async submitAndRecord(song) {
+    try {
+      await this.client.submit(this.gameId, this.botId, song);
+    } catch (error) {
+      // Submits are not retried on timeouts or 5xx; the first attempt may still have landed
+      if (!error.retryable || neverTookEffect(error) || !await this.submissionLanded()) {
+        throw error;
+      }
+      console.log(`Bot ${this.botName} ✅ Submission went through despite the ${error.kind} error: "${song.name}" by ${song.artist}`);
+    }
+    this.memory.recordSubmission(this.gameState.round, this.gameState.currentQuestion?.text, song);
+    this.recordPlay(false);
+  }
+
+  /**
+   * Check whether a submit that failed ambiguously reached the game anyway
+   */
+  async submissionLanded() {
+    try {
+      const game = await this.client.getGame(this.gameId);
+      return game.submissions.some(s => s.player._id === this.botId && !s.hasPassed);
+    } catch (error) {
+      console.error(`Bot ${this.botName} could not check the submission:`, error.message);
+      return false;
+    }
+  }
+
   /**
    * Handle duplicate song error by finding an alternative
    */
@@ -729,9 +1002,9 @@ Format your response as JSON:
       console.log(`Bot ${this.botName} avoiding already submitted songs:`, submittedSongIds);
       
       // Try to get alternative AI suggestions
-      const aiSuggestions = await this.getAISongSuggestions(currentQuestion.text);
+      const aiSuggestions = this.contentPolicy.filterSongs(this.memory.excludePlayed(await this.getAISongSuggestions(currentQuestion.text) || []));
       
-      if (!aiSuggestions || aiSuggestions.length === 0) {
+      if (aiSuggestions.length === 0) {
         console.log(`Bot ${this.botName} ❌ No alternative AI suggestions, passing turn`);
         await this.passTurn();
         return;
@@ -742,53 +1015,32 @@ Format your response as JSON:
         const suggestion = aiSuggestions[i];
         console.log(`Bot ${this.botName} trying alternative suggestion ${i + 1}/${aiSuggestions.length}: "${suggestion.artist} - ${suggestion.song}"`);
         
-        // Search for the specific song
-        const searchQuery = `${suggestion.artist} ${suggestion.song}`;
-        const searchResults = await this.searchSongs(searchQuery);
+        // Search for the specific song, skipping anything already submitted
+        const requestsBefore = this.searchRequests;
+        const { song: bestMatch } = await this.lookupSong(suggestion, submittedSongIds);
         
-        if (searchResults.length > 0) {
-          const bestMatch = this.findBestMatch(searchResults, suggestion);
-          
-          // Check if this song is already submitted
-          if (submittedSongIds.includes(bestMatch.id)) {
-            console.log(`Bot ${this.botName} ⏭️ "${bestMatch.name}" also already submitted, trying next...`);
-            continue;
-          }
+        if (bestMatch) {
+          console.log(`Bot ${this.botName} ✅ Found alternative: "${bestMatch.name}" by ${bestMatch.artist}`);
           
-          if (this.isGoodMatch(bestMatch, suggestion)) {
-            console.log(`Bot ${this.botName} ✅ Found alternative: "${bestMatch.name}" by ${bestMatch.artist}`);
+          // Try to submit the alternative
+          try {
+            await this.submitAndRecord(bestMatch);
+            console.log(`Bot ${this.botName} ✅ Successfully submitted alternative: "${bestMatch.name}" by ${bestMatch.artist}`);
+            return; // Success!
             
-            // Try to submit the alternative
-            try {
-              await axios.post(`${this.apiUrl}/game/submit`, {
-                gameId: this.gameId,
-                userId: this.botId,
-                songId: bestMatch.id,
-                songName: bestMatch.name,
-                artist: bestMatch.artist,
-                albumCover: bestMatch.albumArt || '',
-                hasPassed: false
-              }, {
-                headers: { Authorization: `Bearer ${this.sessionToken}` }
-              });
-              
-              console.log(`Bot ${this.botName} ✅ Successfully submitted alternative: "${bestMatch.name}" by ${bestMatch.artist}`);
-              return; // Success!
-              
-            } catch (retryError) {
-              if (retryError.response?.status === 409) {
-                console.log(`Bot ${this.botName} ⚠️ Alternative also duplicated, trying next...`);
-                continue; // Try next suggestion
-              } else {
-                console.error(`Bot ${this.botName} ❌ Failed to submit alternative:`, retryError.message);
-                break; // Break on other errors
-              }
+          } catch (retryError) {
+            if (retryError.kind === 'conflict') {
+              console.log(`Bot ${this.botName} ⚠️ Alternative also duplicated, trying next...`);
+              continue; // Try next suggestion
+            } else {
+              console.error(`Bot ${this.botName} ❌ Failed to submit alternative:`, retryError.message);
+              break; // Break on other errors
             }
           }
         }
         
         // Small delay between searches
-        await new Promise(resolve => setTimeout(resolve, 500));
+        await this.pauseAfterSearch(requestsBefore);
       }
       
       // If we get here, no alternatives worked
@@ -803,13 +1055,8 @@ Format your response as JSON:
 
   async passTurn() {
     try {
-      await axios.post(`${this.apiUrl}/game/submit`, {
-        gameId: this.gameId,
-        userId: this.botId,
-        hasPassed: true
-      }, {
-        headers: { Authorization: `Bearer ${this.sessionToken}` }
-      });
+      await this.client.pass(this.gameId, this.botId);
+      this.recordPlay(true);
       
       console.log(`Bot ${this.botName} passed this round`);
     } catch (error) {
@@ -817,12 +1064,32 @@ Format your response as JSON:
     }
   }
 
+  /**
+   * Note for the bot's prompt experiments whether it played or passed this round
+   */
+  recordPlay(passed) {
+    this.experimentTracker.recordPlay(this.gameState?.round, this.gameState?.currentQuestion?.text, {
+      passed,
+      promptVersions: this.promptVersions
+    });
+  }
+
+  /**
+   * Join the round's play to its result (isBotTheWinner) for the bot's prompt experiments
+   */
+  async recordRoundOutcome() {
+    const round = this.gameState.round;
+    if (this.experimentTracker.isPending(round)) {
+      await this.experimentTracker.recordOutcome(round, this.isBotTheWinner());
+    }
+  }
+
   async handleVoting() {
     const hasVoted = this.gameState.submissions.some(s => 
       s.votes.some(v => v._id === this.botId)
     );
     
-    if (hasVoted) return;
+    if (hasVoted || this.scheduler.has(this.actionKey('vote'))) return;
 
     // Get all non-passed submissions (including bot's own in 2-player games)
     const allSubmissions = this.gameState.submissions.filter(s => !s.hasPassed);
@@ -859,30 +1126,27 @@ Format your response as JSON:
     }
 
     // Human-like voting delay
-    const delay = 3000 + Math.random() * 8000; // 3-11 seconds
+    const delay = this.humanDelay(3000, 8000); // 3-11 seconds
     
-    setTimeout(async () => {
+    this.scheduleAction('vote', async () => {
       try {
         // Smart voting decision
         const choice = await this.makeSmartVotingChoice(votableSubmissions, canVoteForSelf);
         
         console.log(`Bot ${this.botName} chose to vote for: "${choice.songName}" by ${choice.artist}`);
         console.log(`Voting for submission ID: ${choice._id}`);
+        this.recordDecision('vote', { submissionId: choice._id, songName: choice.songName, artist: choice.artist });
         
-        await axios.post(`${this.apiUrl}/game/vote`, {
-          gameId: this.gameId,
-          userId: this.botId,
-          submissionId: choice._id
-        }, {
-          headers: { Authorization: `Bearer ${this.sessionToken}` }
-        });
+        await this.client.vote(this.gameId, this.botId, choice._id);
+        this.completeDecision('vote');
         
         console.log(`Bot ${this.botName} successfully voted for: "${choice.songName}" by ${choice.artist}`);
       } catch (error) {
         console.error(`Bot ${this.botName} failed to vote:`, error.message);
-        if (error.response?.data) {
-          console.error('Vote error details:', error.response.data);
+        if (error.data) {
+          console.error('Vote error details:', error.data);
         }
+        throw error; // let the next poll try again
       }
     }, delay);
   }
@@ -914,77 +1178,60 @@ Format your response as JSON:
       
       if (shouldVoteForSelf) {
         console.log(`Bot ${this.botName} decided to vote for own submission`);
+        this.logVoteRationale(`"${ownSubmission.songName}" by ${ownSubmission.artist} (own submission): judged the better answer in a 2-player game`);
         return ownSubmission;
       } else {
         console.log(`Bot ${this.botName} decided to vote for opponent's submission`);
+        this.logVoteRationale(`"${opponentSubmission.songName}" by ${opponentSubmission.artist} (opponent): judged the better answer in a 2-player game`);
         return opponentSubmission;
       }
     }
     
-    // Fallback to personality-based voting
-    return this.chooseVoteByPersonality(submissions);
+    // 3+ player games: AI judgment, falling back to personality-based voting
+    return this.chooseVote(submissions);
   }
 
   /**
    * AI-powered decision on whether to vote for own submission
    */
   async shouldVoteForOwnSubmission(ownSubmission, opponentSubmission) {
-    // If no OpenAI, use personality-based logic
-    if (!this.openaiApiKey) {
+    // If no AI (or the difficulty says so), use personality-based logic
+    if (!this.aiAvailable() || this.rollDifficulty('heuristicVoteChance')) {
+      return this.shouldVoteForSelfByPersonality(ownSubmission, opponentSubmission);
+    }
+    // An opponent whose submission tries to instruct the judge does not get an AI judgement
+    if (this.hasInstructions('the opponent\'s submission', opponentSubmission.songName, opponentSubmission.artist)) {
       return this.shouldVoteForSelfByPersonality(ownSubmission, opponentSubmission);
     }
     
     try {
       const currentQuestion = this.gameState.currentQuestion?.text || "the music question";
       
-      const prompt = `You are judging a music game where two players answered: "${currentQuestion}"
-
-  Player 1 submitted: "${ownSubmission.songName}" by ${ownSubmission.artist}
-  Player 2 submitted: "${opponentSubmission.songName}" by ${opponentSubmission.artist}
-
-  As an impartial judge, which song better answers the question? Consider:
-  - How well the song fits the question
-  - Song quality and popularity
-  - Creativity of the choice
-
-  Be honest and objective. If Player 2's song is better, vote for it.
-
-  Respond with just "PLAYER1" or "PLAYER2" and a brief reason.`;
+      const prompt = this.renderPrompt('self-vote', {
+        question: this.untrustedQuestion(currentQuestion),
+        ownSong: describeSong(ownSubmission.songName, ownSubmission.artist),
+        opponentSong: describeSong(opponentSubmission.songName, opponentSubmission.artist)
+      });
 
       console.log(`Bot ${this.botName} asking AI to compare submissions...`);
 
-      const response = await axios.post('https://api.openai.com/v1/chat/completions', {
-        model: 'gpt-4o-mini',
-        messages: [
-          {
-            role: 'system',
-            content: 'You are an impartial music expert judging which song better answers a question. Be honest and objective.'
-          },
-          {
-            role: 'user',
-            content: prompt
-          }
-        ],
-        max_tokens: 100,
-        temperature: 0.3 // Lower temperature for more consistent judging
-      }, {
-        headers: {
-          'Authorization': `Bearer ${this.openaiApiKey}`,
-          'Content-Type': 'application/json'
-        },
+      const { value } = await completeStructured(this.llm, {
+        task: 'self-vote',
+        messages: prompt.messages,
+        maxTokens: 100,
+        temperature: 0.3, // Lower temperature for more consistent judging
         timeout: 10000
-      });
+      }, { stats: this.outputStats, budget: this.budget, breaker: this.breaker });
 
-      const aiResponse = response.data.choices[0].message.content.trim();
-      console.log(`Bot ${this.botName} AI judgment: ${aiResponse}`);
+      console.log(`Bot ${this.botName} AI judgment: ${value.winner} - ${value.reason}`);
       
-      // Parse the response
-      const shouldVoteForSelf = aiResponse.toUpperCase().includes('PLAYER1');
-      console.log(`Bot ${this.botName} AI decision: ${shouldVoteForSelf ? 'vote for self' : 'vote for opponent'}`);
+      const shouldVoteForSelf = value.winner === 'PLAYER1';
+      console.log(`Bot ${this.botName} AI decision: ${shouldVoteForSelf ? 'vote for self' : 'vote for opponent'} (prompt ${prompt.versionId})`);
       
       return shouldVoteForSelf;
       
     } catch (error) {
+      if (error instanceof LLMOutputError) this.reportOutputError(error);
       console.error(`Bot ${this.botName} AI voting analysis failed:`, error.message);
       // Fallback to personality-based decision
       return this.shouldVoteForSelfByPersonality(ownSubmission, opponentSubmission);
@@ -997,219 +1244,185 @@ Format your response as JSON:
   shouldVoteForSelfByPersonality(ownSubmission, opponentSubmission) {
     console.log(`Bot ${this.botName} using personality-based voting decision`);
     
-    switch (this.personality) {
-      case 'analytical':
-        // Analytical bots are more objective - vote for opponent 60% of the time
-        const shouldBeObjective = Math.random() < 0.6;
-        console.log(`Bot ${this.botName} (analytical) being ${shouldBeObjective ? 'objective' : 'slightly biased'}`);
-        return !shouldBeObjective;
-        
-      case 'eclectic':
-        // Eclectic bots prefer unique choices - check if opponent has something more unique
+    const { prefer, objectivity = 0.5 } = this.personalityDef.voting;
+    
+    switch (prefer) {
+      case 'unique':
+        // Unique-leaning bots check if opponent has something more unique
         const opponentIsMoreUnique = !this.isMainstreamSong(opponentSubmission) && this.isMainstreamSong(ownSubmission);
-        console.log(`Bot ${this.botName} (eclectic) checking uniqueness: opponent more unique = ${opponentIsMoreUnique}`);
+        console.log(`Bot ${this.botName} (${this.personality}) checking uniqueness: opponent more unique = ${opponentIsMoreUnique}`);
         return !opponentIsMoreUnique;
         
-      case 'mainstream':
-        // Mainstream bots prefer popular songs
+      case 'popular':
+        // Popular-leaning bots prefer mainstream songs
         const opponentIsMoreMainstream = this.isMainstreamSong(opponentSubmission) && !this.isMainstreamSong(ownSubmission);
-        console.log(`Bot ${this.botName} (mainstream) checking popularity: opponent more mainstream = ${opponentIsMoreMainstream}`);
+        console.log(`Bot ${this.botName} (${this.personality}) checking popularity: opponent more mainstream = ${opponentIsMoreMainstream}`);
         return !opponentIsMoreMainstream;
         
       case 'indie':
-        // Indie bots prefer alternative choices
+        // Indie-leaning bots prefer alternative choices
         const opponentIsMoreIndie = this.isIndieArtist(opponentSubmission.artist) && !this.isIndieArtist(ownSubmission.artist);
-        console.log(`Bot ${this.botName} (indie) checking indie cred: opponent more indie = ${opponentIsMoreIndie}`);
+        console.log(`Bot ${this.botName} (${this.personality}) checking indie cred: opponent more indie = ${opponentIsMoreIndie}`);
         return !opponentIsMoreIndie;
         
       case 'vintage':
-        // Vintage bots prefer older songs
+        // Vintage-leaning bots prefer older songs
         const opponentIsMoreVintage = this.isVintageSong(opponentSubmission) && !this.isVintageSong(ownSubmission);
-        console.log(`Bot ${this.botName} (vintage) checking age: opponent more vintage = ${opponentIsMoreVintage}`);
+        console.log(`Bot ${this.botName} (${this.personality}) checking age: opponent more vintage = ${opponentIsMoreVintage}`);
         return !opponentIsMoreVintage;
         
       default:
-        // Default: vote for opponent 50% of the time (fair)
-        const randomChoice = Math.random() < 0.5;
-        console.log(`Bot ${this.botName} making random fair choice: ${randomChoice ? 'self' : 'opponent'}`);
-        return randomChoice;
+        // Vote for the opponent `objectivity` of the time (0.5 is a fair coin)
+        const shouldBeObjective = Math.random() < objectivity;
+        console.log(`Bot ${this.botName} (${this.personality}) being ${shouldBeObjective ? 'objective' : 'slightly biased'}`);
+        return !shouldBeObjective;
     }
   }
 
   /**
-   * Fallback personality-based voting (for 3+ player games)
+   * Log why the bot voted the way it did
    */
-  chooseVoteByPersonality(submissions) {
-    console.log(`Bot ${this.botName} using personality-based choice from ${submissions.length} submissions`);
-    
-    const votingStyles = {
-      eclectic: () => {
-        const unique = submissions.find(s => !this.isMainstreamSong(s));
-        return unique || submissions[0];
-      },
-      mainstream: () => {
-        const mainstream = submissions.find(s => this.isMainstreamSong(s));
-        return mainstream || submissions[0];
-      },
-      indie: () => {
-        const indie = submissions.find(s => this.isIndieArtist(s.artist));
-        return indie || submissions[0];
-      },
-      vintage: () => {
-        const vintage = submissions.find(s => this.isVintageSong(s));
-        return vintage || submissions[0];
-      },
-      analytical: () => {
-        // More random for analytical, but could be enhanced with AI
-        const randomIndex = Math.floor(Math.random() * submissions.length);
-        return submissions[randomIndex];
-      }
-    };
-    
-    const votingFunction = votingStyles[this.personality] || votingStyles.analytical;
-    const choice = votingFunction();
-    
-    console.log(`Bot ${this.botName} personality choice: "${choice.songName}" by ${choice.artist}`);
-    return choice;
+  logVoteRationale(rationale) {
+    console.log(`🗳️ Bot ${this.botName} vote rationale: ${rationale}`);
   }
 
   /**
-   * Enhanced voting logic with AI analysis and 2-player fix
+   * How good an answer a submission is, to this bot: the AI's choice, else the personality's favourite,
+   * then songs to its taste (see VOTE_QUALITY)
    */
-  async chooseVote(submissions) {
+  voteQuality(submission, { aiChoice, favourite }) {
+    if (aiChoice) {
+      if (submission === aiChoice) return { value: VOTE_QUALITY.ai, reason: 'the AI\'s pick for the question' };
+    } else if (submission === favourite) {
+      return { value: VOTE_QUALITY.favourite, reason: `the ${this.personality} personality's favourite` };
+    }
+    if (this.matchesVotingPreference(submission)) {
+      return { value: VOTE_QUALITY.taste, reason: `fits a ${this.personalityDef.voting.prefer} taste` };
+    }
+    return { value: VOTE_QUALITY.other, reason: 'another answer' };
+  }
+
+  /**
+   * Enhanced voting logic with AI analysis and 2-player fix; in 3+ player games the scoreboard counts too
+   */
+  async chooseVote(allSubmissions) {
     // Check if bot's own submission is in the list (2-player game)
-    const botSubmission = submissions.find(s => s.player._id === this.botId);
-    const otherSubmissions = submissions.filter(s => s.player._id !== this.botId);
+    const botSubmission = allSubmissions.find(s => s.player._id === this.botId);
+    const otherSubmissions = allSubmissions.filter(s => s.player._id !== this.botId);
     
     // In 2-player games, handle self-voting strategy first
     if (botSubmission && otherSubmissions.length === 1) {
       const shouldVoteForSelf = Math.random() < 0.3;
       if (shouldVoteForSelf) {
         console.log(`Bot ${this.botName} is voting for its own submission (2-player strategy)`);
+        this.logVoteRationale(`"${botSubmission.songName}" by ${botSubmission.artist} (own submission): 2-player self-vote strategy`);
         return botSubmission;
       }
     }
     
-    // Try AI-powered voting if OpenAI is available
-    if (this.openaiApiKey && this.gameState.currentQuestion) {
+    // Try AI-powered voting if the AI is available and within budget (easier bots often skip it)
+    let aiChoice = null;
+    if (this.aiAvailable() && this.gameState.currentQuestion && !this.rollDifficulty('heuristicVoteChance')) {
+      // Submissions whose text tries to instruct the AI are not shown to it; they stay on the ballot for the rest of the vote
+      const honest = allSubmissions.filter(s => !this.hasInstructions(`the submission by ${s.player.displayName || 'a player'}`, s.songName, s.artist));
+      if (honest.length < allSubmissions.length) {
+        console.log(`Bot ${this.botName} left ${allSubmissions.length - honest.length} instruction-like submission(s) out of the AI vote`);
+      }
       try {
-        const aiChoice = await this.getAIVotingChoice(submissions);
+        aiChoice = honest.length > 0 ? await this.getAIVotingChoice(honest) : null;
         if (aiChoice) {
           console.log(`Bot ${this.botName} used AI analysis for voting`);
-          return aiChoice;
         }
       } catch (error) {
         console.error(`Bot ${this.botName} AI voting failed, falling back to personality voting:`, error.message);
       }
     }
     
-    // Fallback to existing personality-based voting
-    return this.getPersonalityBasedVote(submissions);
+    // Without an AI choice, the personality picks a favourite
+    const favourite = aiChoice ? null : this.pickByVotingPreference(allSubmissions);
+    if (favourite) {
+      console.log(`Bot ${this.botName} personality choice: "${favourite.songName}" by ${favourite.artist}`);
+    }
+    
+    const { choice, rationale } = chooseStrategicVote(allSubmissions, {
+      quality: (submission) => this.voteQuality(submission, { aiChoice, favourite }),
+      botId: this.botId,
+      players: this.gameState.players,
+      round: this.gameState.round,
+      maxRounds: this.gameState.maxRounds,
+      competitiveness: this.competitiveness
+    });
+    this.logVoteRationale(rationale);
+    return choice;
   }
 
   /**
    * Use AI to analyze which submission best answers the question
    */
   async getAIVotingChoice(submissions) {
-    if (!this.openaiApiKey || !this.gameState.currentQuestion) {
+    if (!this.aiAvailable() || !this.gameState.currentQuestion) {
       return null;
     }
     
     try {
-      const personalityPrompt = this.getPersonalityPrompt();
-      
       // Create a description of all submissions
       const submissionDescriptions = submissions.map((sub, index) => {
-        return `Option ${index + 1}: "${sub.songName}" by ${sub.artist}`;
+        return `Option ${index + 1}: ${describeSong(sub.songName, sub.artist)}`;
       }).join('\n');
       
-      const prompt = `${personalityPrompt}
-
-Question: "${this.gameState.currentQuestion.text}"
-
-Here are the song submissions to vote on:
-${submissionDescriptions}
-
-Based on your personality and which song best answers the question, which option would you vote for?
-
-Consider:
-- How well each song answers the specific question
-- Your musical preferences as described above
-- The creativity and appropriateness of each choice
-
-Respond with just the option number (1, 2, 3, etc.) and a brief reason why.
-
-Format: Option X - [brief reason]`;
+      const prompt = this.renderPrompt('vote', {
+        personalityPrompt: this.getPersonalityPrompt(),
+        question: this.untrustedQuestion(this.gameState.currentQuestion.text),
+        options: submissionDescriptions
+      });
 
-      const response = await axios.post('https://api.openai.com/v1/chat/completions', {
-        model: 'gpt-4o-mini',
-        messages: [
-          {
-            role: 'system',
-            content: 'You are voting on music submissions in a game. Respond only with the option number and brief reasoning.'
-          },
-          {
-            role: 'user',
-            content: prompt
-          }
-        ],
-        max_tokens: 100,
-        temperature: 0.7
-      }, {
-        headers: {
-          'Authorization': `Bearer ${this.openaiApiKey}`,
-          'Content-Type': 'application/json'
-        },
+      const { value } = await completeStructured(this.llm, {
+        task: 'vote',
+        messages: prompt.messages,
+        maxTokens: 100,
+        temperature: 0.7,
         timeout: 10000
-      });
+      }, { schema: voteSchema(submissions.length), stats: this.outputStats, budget: this.budget, breaker: this.breaker });
 
-      const aiResponse = response.data.choices[0].message.content.trim();
-      console.log(`Bot ${this.botName} AI voting reasoning: ${aiResponse}`);
-      
-      // Extract option number from response
-      const optionMatch = aiResponse.match(/option\s*(\d+)/i);
-      if (optionMatch) {
-        const optionIndex = parseInt(optionMatch[1]) - 1;
-        if (optionIndex >= 0 && optionIndex < submissions.length) {
-          const choice = submissions[optionIndex];
-          console.log(`Bot ${this.botName} AI chose: "${choice.songName}" by ${choice.artist}`);
-          return choice;
-        }
-      }
+      console.log(`Bot ${this.botName} AI voting reasoning: Option ${value.option} - ${value.reason}`);
       
-      console.warn(`Bot ${this.botName} couldn't parse AI voting response: ${aiResponse}`);
-      return null;
+      const choice = submissions[value.option - 1];
+      console.log(`Bot ${this.botName} AI chose: "${choice.songName}" by ${choice.artist} (prompt ${prompt.versionId})`);
+      return choice;
       
     } catch (error) {
+      if (error instanceof LLMOutputError) this.reportOutputError(error);
       console.error(`Bot ${this.botName} AI voting error:`, error.message);
       return null;
     }
   }
 
   /**
-   * Fallback personality-based voting (existing logic)
+   * First submission matching the personality's voting preference, else the first one
    */
-  getPersonalityBasedVote(submissions) {
-    const votingStyles = {
-      eclectic: () => {
-        return submissions.find(s => !this.isMainstreamSong(s)) || submissions[0];
-      },
-      mainstream: () => {
-        return submissions.find(s => this.isMainstreamSong(s)) || submissions[0];
-      },
-      indie: () => {
-        return submissions.find(s => this.isIndieArtist(s.artist)) || submissions[0];
-      },
-      vintage: () => {
-        return submissions.find(s => this.isVintageSong(s)) || submissions[0];
-      },
-      analytical: () => {
-        return submissions[Math.floor(Math.random() * submissions.length)];
-      }
-    };
-    
-    const votingFunction = votingStyles[this.personality] || votingStyles.mainstream;
-    return votingFunction();
+  pickByVotingPreference(submissions) {
+    if (this.personalityDef.voting.prefer === 'random') {
+      return submissions[Math.floor(Math.random() * submissions.length)];
+    }
+    return submissions.find(s => this.matchesVotingPreference(s)) || submissions[0];
+  }
+
+  /**
+   * Whether a submission fits the personality's voting preference ('random' has none)
+   */
+  matchesVotingPreference(submission) {
+    switch (this.personalityDef.voting.prefer) {
+      case 'unique':
+        return !this.isMainstreamSong(submission);
+      case 'popular':
+        return this.isMainstreamSong(submission);
+      case 'indie':
+        return this.isIndieArtist(submission.artist);
+      case 'vintage':
+        return this.isVintageSong(submission);
+      default:
+        return false;
+    }
   }
 
   isMainstreamSong(submission) {
@@ -1251,33 +1464,26 @@ Format: Option X - [brief reason]`;
     }
     
     // Prevent multiple simultaneous question selection attempts
-    if (this._isSelectingQuestion) {
+    if (this.scheduler.has(this.actionKey('question'))) {
       console.log(`Bot ${this.botName} is already in the process of selecting a question...`);
       return;
     }
       
-    this._isSelectingQuestion = true;
+    this.recordDecision('question');
     console.log(`Bot ${this.botName} won the round and needs to choose the next question!`);
     
-    try {
-      // Give the bot some time to "think" before selecting
-      const thinkingDelay = 3000 + Math.random() * 5000; // 3-8 seconds
-        
-      setTimeout(async () => {
-        try {
-          await this.selectWinnerQuestion();
-        } catch (error) {
-          console.error(`Bot ${this.botName} error during question selection:`, error.message);
-        } finally {
-          // Reset the flag after question selection attempt is complete
-          this._isSelectingQuestion = false;
-        }
-      }, thinkingDelay);
-        
-    } catch (error) {
-      console.error(`Bot ${this.botName} failed to handle question selection:`, error.message);
-      this._isSelectingQuestion = false; // Reset flag on error
-    }
+    // Give the bot some time to "think" before selecting
+    const thinkingDelay = this.humanDelay(3000, 5000); // 3-8 seconds
+      
+    this.scheduleAction('question', async () => {
+      try {
+        await this.selectWinnerQuestion();
+      } catch (error) {
+        console.error(`Bot ${this.botName} error during question selection:`, error.message);
+      } finally {
+        this.completeDecision('question');
+      }
+    }, thinkingDelay);
   }
 
   /**
@@ -1288,21 +1494,13 @@ Format: Option X - [brief reason]`;
       return false;
     }
 
-    // Filter out passed submissions
-    const actualSubmissions = this.gameState.submissions.filter(s => !s.hasPassed);
+    // Most votes, then earliest submission (speed bonus consideration)
+    const winnerSubmission = findRoundWinner(this.gameState.submissions);
     
-    if (actualSubmissions.length === 0) {
+    if (!winnerSubmission) {
       return false; // No winner if everyone passed
     }
 
-    // Sort by votes, then by submission time (speed bonus consideration)
-    const sortedSubmissions = [...actualSubmissions].sort((a, b) => {
-      const voteDiff = (b.votes?.length || 0) - (a.votes?.length || 0);
-      if (voteDiff !== 0) return voteDiff;
-      return new Date(a.submittedAt) - new Date(b.submittedAt);
-    });
-
-    const winnerSubmission = sortedSubmissions[0];
     const winnerId = winnerSubmission.player._id || winnerSubmission.player;
     
     const isWinner = winnerId.toString() === this.botId.toString();
@@ -1335,94 +1533,70 @@ Format: Option X - [brief reason]`;
     } catch (error) {
       console.error(`Bot ${this.botName} failed to select winner question:`, error.message);
       
-      // Emergency fallback
-      const emergencyQuestion = {
-        text: "What song always makes you smile?",
-        category: "emotion"
-      };
-      await this.submitWinnerQuestion(emergencyQuestion);
+      // Emergency fallback: draw again, in case the first question is what was rejected
+      await this.submitWinnerQuestion(this.getFallbackQuestion());
     }
   }
 
   /**
-   * Generate a creative question using AI
+   * Generate a creative question using AI. Each reply is normalised and validated; a rejected question is
+   * regenerated with the problems quoted back, up to MAX_QUESTION_ATTEMPTS, then null (use the question bank)
    */
   async generateAIQuestion() {
-    if (!this.openaiApiKey) {
-      console.warn('OpenAI API key not available for question generation');
+    if (!this.aiAvailable()) {
+      console.warn(`AI provider ${this.llm.name} not available (over budget or circuit open) for question generation`);
       return null;
     }
 
     try {
-      const personalityPrompt = this.getQuestionPersonalityPrompt();
-      
-      const prompt = `${personalityPrompt}
-
-You just won a music game round and get to choose the next question for all players to answer.
-
-Create 1 creative, engaging music question that:
-- Is fun and interesting to answer
-- Will generate diverse song choices from different players
-- Fits your personality as described above
-- Is not too specific (avoid naming exact artists unless that's the point)
-- Is clear and easy to understand
-- The question must be answerable with a song title and artist, which is well-known or recognizable
-- You can ask What song? You cannot ask for reasons. The others players can submit songs. Nothing else.
-
-Examples of good questions:
-- "What song would you play during a thunderstorm?"
-- "What's your favorite song that nobody else seems to know?"
-- "What song makes you feel like a main character?"
-
-Format your response as JSON:
-{
-  "question": {
-    "text": "Your question here",
-    "category": "emotion|time|event|activity|personal|fun|genre|etc"
-  },
-  "reasoning": "Why you chose this question (1-2 sentences)"
-}`;
-
-      const response = await axios.post('https://api.openai.com/v1/chat/completions', {
-        model: 'gpt-4o-mini',
-        messages: [
-          {
-            role: 'system',
-            content: 'You are a creative music enthusiast choosing an engaging question for a music game. Always respond with valid JSON in the exact format requested.'
-          },
+      const prompt = this.renderPrompt('question', {
+        personalityPrompt: this.getQuestionPersonalityPrompt(),
+        categories: CATEGORIES.join(', '),
+        askedQuestions: this.memory.toQuestionPromptContext()
+      });
+      let messages = prompt.messages;
+
+      for (let attempt = 1; attempt <= MAX_QUESTION_ATTEMPTS; attempt++) {
+        const { value } = await completeStructured(this.llm, {
+          task: 'question',
+          messages,
+          maxTokens: 300,
+          temperature: 0.8, // Higher creativity for question generation
+          timeout: 10000
+        }, { stats: this.outputStats, budget: this.budget, breaker: this.breaker });
+
+        const question = normalizeQuestion(value.question);
+        let problems = [
+          ...validateQuestion(question, { hasAsked: text => this.memory.hasAsked(text) }),
+          ...this.contentPolicy.checkText(question.text)
+        ];
+        // Moderation only for questions that pass every local check; provider errors fall back to the bank
+        if (problems.length === 0) problems = await this.contentPolicy.moderate(question.text);
+        if (problems.length === 0) {
+          console.log(`Bot ${this.botName} AI question: "${question.text}" (${question.category}, prompt ${prompt.versionId})`);
+          console.log(`Bot ${this.botName} AI reasoning: ${value.reasoning}`);
+          return question;
+        }
+
+        this.outputStats.record('question', 'rejected');
+        console.warn(`Bot ${this.botName}: AI question "${question.text}" rejected (attempt ${attempt}/${MAX_QUESTION_ATTEMPTS}): ${problems.join('; ')}`);
+        messages = [
+          ...prompt.messages,
+          { role: 'assistant', content: JSON.stringify(value) },
           {
             role: 'user',
-            content: prompt
+            content: `That question cannot be used:\n- ${problems.join('\n- ')}\n` +
+              'Choose a different question and reply with only the JSON object.'
           }
-        ],
-        max_tokens: 300,
-        temperature: 0.8 // Higher creativity for question generation
-      }, {
-        headers: {
-          'Authorization': `Bearer ${this.openaiApiKey}`,
-          'Content-Type': 'application/json'
-        },
-        timeout: 10000
-      });
-
-      const aiResponse = response.data.choices[0].message.content;
-      console.log(`Bot ${this.botName} raw AI question response:`, aiResponse);
-      
-      // Parse the JSON response
-      try {
-        const parsed = JSON.parse(aiResponse);
-        if (parsed.question && parsed.question.text) {
-          console.log(`Bot ${this.botName} AI reasoning: ${parsed.reasoning}`);
-          return parsed.question;
-        }
-      } catch (parseError) {
-        console.error('Failed to parse AI question response as JSON:', parseError);
+        ];
       }
-      
+
+      console.warn(`Bot ${this.botName}: no usable AI question after ${MAX_QUESTION_ATTEMPTS} attempts, using the question bank`);
       return null;
       
     } catch (error) {
-      console.error('OpenAI API error for question generation:', error.message);
+      if (error instanceof LLMOutputError) this.reportOutputError(error);
+      console.error(`${this.llm.name} API error for question generation:`, error.message);
       return null;
     }
   }
@@ -1431,54 +1605,25 @@ Format your response as JSON:
    * Get personality-specific prompt for question generation
    */
   getQuestionPersonalityPrompt() {
-    const prompts = {
-      eclectic: "You are an eclectic music lover who enjoys discovering unique and creative songs. You like questions that encourage people to think outside the box and share hidden gems or unusual tracks.",
-      
-      mainstream: "You are a mainstream music fan who loves popular hits. You like questions that will get people sharing well-known songs that everyone can enjoy and sing along to.",
-      
-      indie: "You are an indie music enthusiast who values authenticity and creativity. You like questions that encourage people to share lesser-known artists or songs with deep meaning.",
-      
-      vintage: "You are a music historian who loves classic tracks. You like questions that might bring up timeless songs from different eras or that have nostalgic value.",
-      
-      analytical: "You are a music scholar who appreciates artistic merit. You like questions that encourage people to think about the deeper aspects of music - lyrics, composition, or cultural impact."
-    };
-    
-    return prompts[this.personality] || prompts.eclectic;
+    return this.personalityDef.prompts.questionSelection;
   }
 
   /**
-   * Get fallback questions based on personality
+   * Fallback question when AI is not available: a question bank draw weighted by the personality's
+   * questionPreferences, skipping questions already asked; the personality's own list once the bank runs dry
    */
   getFallbackQuestion() {
-    const personalityQuestions = {
-      eclectic: [
-        { text: "What song would soundtrack your weirdest dream?", category: "creative" },
-        { text: "What song do you love that nobody else seems to know?", category: "personal" },
-        { text: "What song feels like it was made in a different dimension?", category: "creative" }
-      ],
-      mainstream: [
-        { text: "What song gets everyone singing along at parties?", category: "party" },
-        { text: "What's the catchiest song you can't get out of your head?", category: "catchy" },
-        { text: "What song do you hear everywhere but still love?", category: "popular" }
-      ],
-      indie: [
-        { text: "What song feels like a secret only you know?", category: "personal" },
-        { text: "What artist deserves way more recognition?", category: "discovery" },
-        { text: "What song has lyrics that hit different?", category: "meaningful" }
-      ],
-      vintage: [
-        { text: "What song takes you back to a different era?", category: "nostalgia" },
-        { text: "What classic song will never get old?", category: "timeless" },
-        { text: "What song reminds you of your parents' generation?", category: "generational" }
-      ],
-      analytical: [
-        { text: "What song has the most brilliant lyrics?", category: "literary" },
-        { text: "What song shows off incredible musicianship?", category: "technical" },
-        { text: "What song changed how you think about music?", category: "transformative" }
-      ]
-    };
-    
-    const questions = personalityQuestions[this.personality] || personalityQuestions.eclectic;
+    const question = questionBank.pick({
+      preferences: this.personalityDef.questionPreferences,
+      exclude: candidate => this.memory.hasAsked(candidate.text) || this.contentPolicy.checkText(candidate.text).length > 0
+    });
+    if (question) {
+      console.log(`❓ Bot ${this.botName}: bank question from ${question.category} (${question.tone}, ${question.difficulty})`);
+      return { text: question.text, category: question.category };
+    }
+
+    const unasked = this.personalityDef.fallbackQuestions.filter(q => !this.memory.hasAsked(q.text));
+    const questions = unasked.length > 0 ? unasked : this.personalityDef.fallbackQuestions;
     return questions[Math.floor(Math.random() * questions.length)];
   }
 
@@ -1489,13 +1634,7 @@ Format your response as JSON:
     try {
       console.log(`Bot ${this.botName} selected question: "${question.text}"`);
       
-      await axios.post(`${this.apiUrl}/game/set-winner-question`, {
-        gameId: this.gameId,
-        questionText: question.text,
-        questionCategory: question.category || 'general'
-      }, {
-        headers: { Authorization: `Bearer ${this.sessionToken}` }
-      });
+      await this.client.setWinnerQuestion(this.gameId, question);
       
       console.log(`Bot ${this.botName} successfully submitted winner question: "${question.text}"`);
       
@@ -1511,11 +1650,21 @@ Format your response as JSON:
   }
 }
 
+/**
+ * Payload for the next invocation in the chain: the original spawn payload plus a checkpoint
+ */
+function buildContinuationPayload(event, bot) {
+  return { ...event, checkpoint: bot.toCheckpoint() };
+}
+
 exports.handler = async (event, context) => {
   try {
     console.log('Bot worker started with timeout protection:', JSON.stringify(event, null, 2));
     
     const bot = new BotWorker(event);
+    await bot.loadCheckpoint(event.checkpoint);
+    let resumed = false;
+    await bot.updates.start();
     
     const startTime = Date.now();
     const maxRunTime = 14 * 60 * 1000; // 14 minutes (leave 1 minute buffer)
@@ -1523,15 +1672,25 @@ exports.handler = async (event, context) => {
     while (true) {
       if (Date.now() - bot.spawnTime > bot.MAX_AGE) {
         console.log(`Bot ${bot.botName} is 24+ hours old, terminating`);
+        await bot.scheduler.drain({ reason: 'bot expired' });
+        await bot.clearCheckpoint();
         break;
       }
 
       try {
         await bot.getGameState();
+        
+        if (!resumed) {
+          resumed = true;
+          await bot.resumePendingDecisions();
+        }
+        
         const shouldContinue = await bot.processGameState();
         
         if (!shouldContinue) {
           console.log('Bot finished - game ended or timeout reached');
+          await bot.scheduler.drain({ reason: 'bot finished' });
+          await bot.clearCheckpoint();
           break;
         }
         
@@ -1539,26 +1698,31 @@ exports.handler = async (event, context) => {
         const elapsedTime = Date.now() - startTime;
         if (elapsedTime > maxRunTime) {
           console.log('Approaching Lambda timeout, re-invoking bot worker...');
+          // Unstarted actions are handed off as pending decisions in the checkpoint
+          await bot.scheduler.drain({ reason: 'handing off to next invocation' });
+          await bot.saveCheckpoint();
           
-          // Re-invoke self to continue
+          // Re-invoke self to continue, carrying the checkpoint
           await lambda.invoke({
             FunctionName: context.functionName,
             InvocationType: 'Event',
-            Payload: JSON.stringify(event)
+            Payload: JSON.stringify(buildContinuationPayload(event, bot))
           }).promise();
           
           break;
         }
         
-        // Wait before next poll
-        await new Promise(resolve => setTimeout(resolve, 2000));
+        // Wait for a pushed update or the next adaptive poll
+        await bot.updates.wait(bot.gameState);
         
       } catch (error) {
         console.error('Bot processing error:', error.message);
-        await new Promise(resolve => setTimeout(resolve, 5000)); // Wait longer on error
+        await bot.updates.wait(bot.gameState, { error: true }); // Wait longer on error
       }
     }
     
+    bot.updates.close();
+    
     return {
       statusCode: 200,
       body: JSON.stringify({ message: 'Bot worker completed' })
@@ -1572,4 +1736,7 @@ exports.handler = async (event, context) => {
       body: JSON.stringify({ error: 'Bot worker failed', details: error.message })
     };
   }
-};
\ No newline at end of file
+};
+
+exports.BotWorker = BotWorker;
+exports.buildContinuationPayload = buildContinuationPayload;
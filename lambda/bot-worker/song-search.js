@@ -0,0 +1,154 @@
+// lambda/bot-worker/song-search.js
+// Finds an AI suggestion in the music search by trying several queries in
+// turn, stopping at the first confident match:
+//
+//   artist-title  "<artist> <title>"                       (limit 8)
+//   stripped      main artist + title without "(...)" / " - ..." suffixes
+//   title-only    "<title>"
+//   artist-only   "<artist>", keeping only results with a similar title
+//   wide          "<artist> <title>" with a larger limit
+//
+// Each lookup records which strategy won in SearchStats, so hit rates can be
+// compared across games.
+const { rankMatches, titleSimilarity, stripVersionInfo, mainArtist, MATCH_THRESHOLDS, DEFAULT_THRESHOLDS } = require('../shared/song-matcher');
+
+const SEARCH_STRATEGIES = [
+  {
+    name: 'artist-title',
+    query: (suggestion) => `${suggestion.artist} ${suggestion.song}`,
+    limit: 8
+  },
+  {
+    name: 'stripped',
+    query: (suggestion) => `${mainArtist(suggestion.artist)} ${stripVersionInfo(suggestion.song)}`,
+    limit: 8
+  },
+  {
+    name: 'title-only',
+    query: (suggestion) => stripVersionInfo(suggestion.song),
+    limit: 8
+  },
+  {
+    name: 'artist-only',
+    query: (suggestion) => mainArtist(suggestion.artist),
+    limit: 25,
+    // An artist search returns their whole catalogue; only similar titles are candidates
+    filter: (results, suggestion, thresholds) =>
+      results.filter(result => titleSimilarity(result.name, suggestion.song) >= thresholds.title)
+  },
+  {
+    name: 'wide',
+    query: (suggestion) => `${suggestion.artist} ${suggestion.song}`,
+    limit: 25
+  }
+];
+
+/**
+ * Per-strategy attempt and hit counters
+ */
+class SearchStats {
+  /**
+   * @param {Object} [data] - A previous toJSON() snapshot
+   */
+  constructor(data = {}) {
+    this.lookups = data.lookups || 0;
+    this.misses = data.misses || 0;
+    this.strategies = data.strategies || {};
+  }
+
+  static from(data) {
+    return new SearchStats(data || {});
+  }
+
+  recordAttempt(strategy, hit) {
+    const counts = this.strategies[strategy] || (this.strategies[strategy] = { attempts: 0, hits: 0 });
+    counts.attempts++;
+    if (hit) counts.hits++;
+  }
+
+  recordLookup(found) {
+    this.lookups++;
+    if (!found) this.misses++;
+  }
+
+  /**
+   * { lookups, hitRate, strategies: { name: { attempts, hits, hitRate } } }
+   */
+  summary() {
+    const rate = (hits, total) => (total ? Math.round((hits / total) * 1000) / 1000 : 0);
+    const strategies = {};
+    for (const [name, counts] of Object.entries(this.strategies)) {
+      strategies[name] = { ...counts, hitRate: rate(counts.hits, counts.attempts) };
+    }
+    return { lookups: this.lookups, hitRate: rate(this.lookups - this.misses, this.lookups), strategies };
+  }
+
+  toJSON() {
+    return { lookups: this.lookups, misses: this.misses, strategies: this.strategies };
+  }
+}
+
+/**
+ * Run the strategy chain for one suggestion.
+ *
+ * @param {Object} suggestion - { artist, song }
+ * @param {Object} options
+ * @param {Function} options.search - async (query, limit) => results
+ * @param {Object|string} [options.thresholds] - song-matcher thresholds for a confident match
+ * @param {Object} [options.versions] - Version weights from versionWeightsFor()
+ * @param {Function} [options.exclude] - (results) => results the bot may not use
+ * @param {SearchStats} [options.stats]
+ * @param {Array} [options.strategies]
+ * @returns {Promise<{ song, match, strategy, results, attempts }>} song is null when every strategy missed
+ */
+async function findSong(suggestion, {
+  search,
+  thresholds = DEFAULT_THRESHOLDS,
+  versions,
+  exclude = (results) => results,
+  stats = null,
+  strategies = SEARCH_STRATEGIES
+}) {
+  const limits = typeof thresholds === 'string'
+    ? MATCH_THRESHOLDS[thresholds] || MATCH_THRESHOLDS[DEFAULT_THRESHOLDS]
+    : thresholds;
+  const attempts = [];
+  const tried = new Set();
+
+  for (const strategy of strategies) {
+    const query = strategy.query(suggestion).trim();
+    const key = `${query.toLowerCase()}|${strategy.limit}`;
+    if (!query || tried.has(key)) continue;
+    tried.add(key);
+
+    let results = exclude(await search(query, strategy.limit));
+    if (strategy.filter) results = strategy.filter(results, suggestion, limits);
+
+    const ranked = rankMatches(results, suggestion, limits, { versions });
+    const best = ranked[0];
+    const hit = !!best && best.match.isMatch;
+
+    attempts.push({ strategy: strategy.name, query, results: results.length, hit });
+    if (stats) stats.recordAttempt(strategy.name, hit);
+
+    if (hit) {
+      if (stats) stats.recordLookup(true);
+      return {
+        song: best.candidate,
+        match: best.match,
+        strategy: strategy.name,
+        results: ranked.map(({ candidate }) => candidate),
+        attempts
+      };
+    }
+  }
+
+  if (stats) stats.recordLookup(false);
+  return { song: null, match: null, strategy: null, results: [], attempts };
+}
+
+module.exports = {
+  SEARCH_STRATEGIES,
+  SearchStats,
+  findSong
+};
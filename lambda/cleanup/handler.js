@@ -1,5 +1,6 @@
 // lambda/cleanup/handler.js
-const axios = require('axios');
+const { HeartSongsClient } = require('../shared/heartsongs-client');
+const { createUsageStore, loadUsageReport } = require('../shared/usage-budget');
 
 /**
  * Cleanup Bot Handler
@@ -11,11 +12,18 @@ const axios = require('axios');
  * 1. Remove bots from games that have ended
  * 2. Clean up any stuck bot workers
  * 3. Log bot service statistics
+ * 4. Report AI spend (when bots record it in BOT_USAGE_STORE)
  */
 
 class BotCleanupService {
-  constructor() {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.usageStore] - Overrides the BOT_USAGE_STORE backend
+   */
+  constructor(options = {}) {
     this.apiUrl = process.env.HEARTSONGS_API_URL;
+    this.usageStore = options.usageStore !== undefined ? options.usageStore : createUsageStore();
+    this.aiSpend = null;
     this.cleanupStats = {
       gamesChecked: 0,
       botsFound: 0,
@@ -41,6 +49,7 @@ class BotCleanupService {
       
       await this.logBotServiceStatus();
       await this.performBasicMaintenance();
+      await this.logAISpend();
       
       console.log('✅ Bot cleanup completed successfully');
       return this.getCleanupSummary();
@@ -60,11 +69,10 @@ class BotCleanupService {
       console.log('📊 Checking bot service status...');
       
       // Test if the Heart Songs API is accessible
-      const healthResponse = await axios.get(`${this.apiUrl.replace('/api', '')}/health`, {
-        timeout: 5000
-      });
+      const client = new HeartSongsClient({ apiUrl: this.apiUrl, logPrefix: 'Cleanup' });
+      const health = await client.health();
       
-      console.log('✅ Heart Songs API is healthy:', healthResponse.data);
+      console.log('✅ Heart Songs API is healthy:', health);
       
       // Log some basic statistics
       const now = new Date();
@@ -116,6 +124,36 @@ class BotCleanupService {
     console.log(`   - Cleaned ${tempDataCleaned} temporary items`);
   }
 
+  /**
+   * Log AI token and cost totals per day and the most expensive games
+   */
+  async logAISpend() {
+    if (!this.usageStore) {
+      console.log('💰 AI spend: BOT_USAGE_STORE not configured, see bot worker logs for per-bot totals');
+      return;
+    }
+    
+    if (this.usageStore.name !== 'dynamodb') {
+      console.warn(`⚠️ AI spend: the ${this.usageStore.name} usage store only holds this container's records; deployed bots need BOT_USAGE_STORE=dynamodb`);
+    }
+    
+    try {
+      this.aiSpend = await loadUsageReport(this.usageStore);
+      
+      console.log('💰 AI spend (last 7 days):');
+      for (const [day, totals] of Object.entries(this.aiSpend.daily)) {
+        console.log(`   - ${day}: ${totals.calls} calls, ${totals.totalTokens} tokens, $${totals.costUsd}`);
+      }
+      console.log(`   - Total: ${this.aiSpend.total.totalTokens} tokens, $${this.aiSpend.total.costUsd} across ${this.aiSpend.games} game(s)`);
+      this.aiSpend.topGames.forEach(game => {
+        console.log(`   - Game ${game.gameId}: ${game.calls} calls, ${game.totalTokens} tokens, $${game.costUsd}`);
+      });
+    } catch (error) {
+      console.warn('⚠️ Could not read AI spend:', error.message);
+      this.cleanupStats.errors++;
+    }
+  }
+
   /**
    * Get cleanup summary
    */
@@ -129,6 +167,7 @@ class BotCleanupService {
         ...this.cleanupStats,
         endTime: new Date()
       },
+      aiSpend: this.aiSpend,
       message: 'Bot cleanup completed successfully'
     };
   }
@@ -172,6 +211,8 @@ exports.handler = async (event, context) => {
   }
 };
 
+exports.BotCleanupService = BotCleanupService;
+
 /**
  * For testing locally
  */
@@ -0,0 +1,156 @@
+// lambda/shared/cache.js
+// Two-level cache for music search results and AI suggestions. Every worker
+// keeps its own in-process layer; an optional shared layer (any state-store
+// backend) lets bots in other games, and later invocations, reuse entries.
+//
+// Environment: BOT_CACHE_STORE (memory | file | dynamodb | none), BOT_CACHE_DIR
+// (file backend directory, default: OS temp dir/heartsongs-bot-cache),
+// BOT_STORE_TABLE (dynamodb table)
+const os = require('os');
+const path = require('path');
+const { createStateStore } = require('./state-store');
+const { normalizeText } = require('./song-matcher');
+
+const CACHE_TTLS = {
+  search: 6 * 60 * 60 * 1000,
+  // A search that found nothing may have hit a gap the music API fills soon
+  emptySearch: 5 * 60 * 1000,
+  suggestions: 24 * 60 * 60 * 1000
+};
+
+const DEFAULT_MAX_ENTRIES = 500;
+const KEY_PREFIX = 'cache:';
+
+/**
+ * Cache key from parts; text parts are normalised so "Hey Jude!" and "hey jude" share an entry
+ */
+function cacheKey(kind, ...parts) {
+  return [kind, ...parts.map(part => (typeof part === 'string' ? normalizeText(part) : String(part)))].join('|');
+}
+
+class Cache {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.store] - Shared state-store backend (null for in-process only)
+   * @param {number} [options.maxEntries] - In-process entries kept before the oldest are dropped
+   * @param {string} [options.logPrefix]
+   */
+  constructor({ store = null, maxEntries = DEFAULT_MAX_ENTRIES, logPrefix = 'Cache' } = {}) {
+    this.store = store;
+    this.maxEntries = maxEntries;
+    this.logPrefix = logPrefix;
+    this.entries = new Map();
+    this.pending = new Map();
+    this.stats = { hits: 0, sharedHits: 0, misses: 0 };
+  }
+
+  /**
+   * Cached value, or null on a miss
+   */
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (entry && entry.expiresAt > Date.now()) {
+      // Re-insert so the most recently used entries are evicted last
+      this.entries.delete(key);
+      this.entries.set(key, entry);
+      this.stats.hits++;
+      return JSON.parse(entry.json);
+    }
+    if (entry) this.entries.delete(key);
+
+    if (this.store) {
+      try {
+        const shared = await this.store.get(KEY_PREFIX + key);
+        if (shared !== null) {
+          this.remember(key, shared.value, shared.expiresAt - Date.now());
+          this.stats.sharedHits++;
+          return shared.value;
+        }
+      } catch (error) {
+        console.warn(`${this.logPrefix}: could not read ${key} from ${this.store.name} cache:`, error.message);
+      }
+    }
+
+    this.stats.misses++;
+    return null;
+  }
+
+  /**
+   * Store a value; empty arrays are kept for `emptyTtl` instead (default: `ttl`)
+   */
+  async set(key, value, { ttl, emptyTtl = ttl }) {
+    if (value === null || value === undefined) return;
+    if (Array.isArray(value) && value.length === 0) ttl = emptyTtl;
+    if (!(ttl > 0)) return;
+    this.remember(key, value, ttl);
+
+    if (this.store) {
+      try {
+        await this.store.set(KEY_PREFIX + key, { value, expiresAt: Date.now() + ttl }, { ttl });
+      } catch (error) {
+        console.warn(`${this.logPrefix}: could not write ${key} to ${this.store.name} cache:`, error.message);
+      }
+    }
+  }
+
+  /**
+   * Cached value, or the result of `compute` (stored unless null). Concurrent
+   * calls for the same key share one computation; errors are never cached.
+   */
+  async wrap(key, compute, { ttl, emptyTtl }) {
+    const cached = await this.get(key);
+    if (cached !== null) return cached;
+
+    if (this.pending.has(key)) return this.pending.get(key);
+
+    const pending = (async () => {
+      const value = await compute();
+      await this.set(key, value, { ttl, emptyTtl });
+      return value;
+    })();
+    this.pending.set(key, pending);
+
+    try {
+      return await pending;
+    } finally {
+      this.pending.delete(key);
+    }
+  }
+
+  remember(key, value, ttl) {
+    if (!(ttl > 0)) return;
+    this.entries.delete(key);
+    this.entries.set(key, { json: JSON.stringify(value), expiresAt: Date.now() + ttl });
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  /**
+   * { hits, sharedHits, misses, hitRate }
+   */
+  summary() {
+    const lookups = this.stats.hits + this.stats.sharedHits + this.stats.misses;
+    const hitRate = lookups ? Math.round(((lookups - this.stats.misses) / lookups) * 1000) / 1000 : 0;
+    return { ...this.stats, hitRate };
+  }
+}
+
+/**
+ * The shared cache backend from BOT_CACHE_STORE, or null
+ */
+function createCacheStore(env = process.env) {
+  return createStateStore(env, {
+    variable: 'BOT_CACHE_STORE',
+    directoryVariable: 'BOT_CACHE_DIR',
+    directory: path.join(os.tmpdir(), 'heartsongs-bot-cache')
+  });
+}
+
+module.exports = {
+  CACHE_TTLS,
+  Cache,
+  cacheKey,
+  createCacheStore
+};
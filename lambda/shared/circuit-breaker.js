@@ -0,0 +1,236 @@
+// lambda/shared/circuit-breaker.js
+// Circuit breaker around the AI provider. After repeated provider failures
+// (auth, rate limits, server errors, timeouts, network) the circuit opens and
+// calls are refused straight away, so bots use their offline fallbacks
+// instead of waiting out a timeout on every call. Once the cooldown has
+// passed, a single half-open probe call is let through: success closes the
+// circuit, failure opens it again.
+//
+// Circuit state lives in the BOT_CIRCUIT_STORE state store so concurrent bots
+// learn about an outage from the first bot that hits it. Deployed, that must
+// be `dynamodb` (serverless.yaml sets it): `memory` and `file` only reach one
+// Lambda container. Without a store each worker keeps its own circuit. Stores have no compare-and-set, so two bots
+// can occasionally both take the half-open probe.
+const os = require('os');
+const path = require('path');
+const { createStateStore, MemoryStateStore } = require('./state-store');
+
+// Provider error kinds that say the provider (not this request) is in trouble
+const FAILURE_KINDS = ['auth', 'rate_limited', 'server', 'timeout', 'network'];
+
+const DEFAULT_CIRCUIT_OPTIONS = {
+  failureThreshold: 3, // failures within `window` that open the circuit (0 disables the breaker)
+  window: 60 * 1000,
+  cooldown: 30 * 1000, // how long the circuit stays open before a probe
+  probeTimeout: 30 * 1000 // after this a probe that never reported back is abandoned
+};
+
+const CIRCUIT_TTL = 24 * 60 * 60 * 1000;
+
+/**
+ * Raised instead of calling the provider while the circuit is open; `kind` matches provider error kinds
+ */
+class CircuitOpenError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'CircuitOpenError';
+    this.kind = 'circuit_open';
+    this.circuit = details.circuit;
+    this.retryAt = details.retryAt;
+  }
+}
+
+const closedCircuit = () => ({ state: 'closed', failures: 0, firstFailureAt: null });
+
+/**
+ * Breaker settings from the environment: LLM_CIRCUIT_FAILURES, LLM_CIRCUIT_COOLDOWN_MS
+ */
+function readCircuitOptions(env = process.env) {
+  const options = { ...DEFAULT_CIRCUIT_OPTIONS };
+  for (const [variable, key] of [['LLM_CIRCUIT_FAILURES', 'failureThreshold'], ['LLM_CIRCUIT_COOLDOWN_MS', 'cooldown']]) {
+    const raw = env[variable];
+    if (raw === undefined || raw === '') continue;
+    if (!Number.isInteger(Number(raw)) || Number(raw) < 0) {
+      throw new Error(`${variable} must be a non-negative integer, got "${raw}"`);
+    }
+    options[key] = Number(raw);
+  }
+  return options;
+}
+
+/**
+ * Store for circuit state, or null when none is configured.
+ *
+ * Environment: BOT_CIRCUIT_STORE (memory | file | dynamodb), BOT_CIRCUIT_DIR (file backend directory),
+ * BOT_STORE_TABLE (dynamodb table)
+ */
+function createCircuitStore(env = process.env) {
+  return createStateStore(env, {
+    variable: 'BOT_CIRCUIT_STORE',
+    directoryVariable: 'BOT_CIRCUIT_DIR',
+    directory: path.join(os.tmpdir(), 'heartsongs-bot-circuits')
+  });
+}
+
+/**
+ * Circuit name for a provider: one circuit per provider and endpoint
+ */
+function circuitName(llm) {
+  return llm.baseUrl ? `${llm.name}@${llm.baseUrl}` : llm.name;
+}
+
+class CircuitBreaker {
+  /**
+   * @param {Object} options
+   * @param {string} options.name - See circuitName()
+   * @param {Object} [options.store] - Shared store for circuit state (null: this worker only)
+   * @param {number} [options.failureThreshold]
+   * @param {number} [options.window]
+   * @param {number} [options.cooldown]
+   * @param {number} [options.probeTimeout]
+   * @param {string} [options.logPrefix]
+   */
+  constructor({ name, store = null, logPrefix = 'Bot', ...options }) {
+    this.name = name;
+    this.shared = !!store;
+    this.store = store || new MemoryStateStore();
+    this.logPrefix = logPrefix;
+    Object.assign(this, DEFAULT_CIRCUIT_OPTIONS, options);
+    // Last state read from the store, for the synchronous isOpen()
+    this.circuit = closedCircuit();
+    this.skipping = false;
+  }
+
+  get enabled() {
+    return this.failureThreshold > 0;
+  }
+
+  key() {
+    return `circuit:${this.name}`;
+  }
+
+  async read() {
+    try {
+      this.circuit = (await this.store.get(this.key())) || closedCircuit();
+    } catch (error) {
+      console.warn(`${this.logPrefix} could not read ${this.name} circuit from ${this.store.name} store:`, error.message);
+    }
+    return this.circuit;
+  }
+
+  async write(circuit) {
+    this.circuit = circuit;
+    try {
+      await this.store.set(this.key(), { ...circuit, updatedAt: Date.now() }, { ttl: CIRCUIT_TTL });
+    } catch (error) {
+      console.warn(`${this.logPrefix} could not save ${this.name} circuit to ${this.store.name} store:`, error.message);
+    }
+  }
+
+  /**
+   * Whether calls are known to be refused right now (as of the last store read)
+   */
+  isOpen() {
+    const { state, retryAt, probeStartedAt } = this.circuit;
+    if (state === 'open') return Date.now() < retryAt;
+    if (state === 'half_open') return Date.now() - probeStartedAt < this.probeTimeout;
+    return false;
+  }
+
+  refuse(task, retryAt) {
+    if (!this.skipping) {
+      const seconds = Math.max(0, Math.ceil((retryAt - Date.now()) / 1000));
+      console.warn(`⏸️ ${this.logPrefix}: ${this.name} circuit is ${this.circuit.state.replace('_', '-')}, skipping AI calls (next probe in ~${seconds}s)`);
+      this.skipping = true;
+    }
+    throw new CircuitOpenError(`${task} call skipped: ${this.name} circuit is ${this.circuit.state}`, { circuit: this.name, retryAt });
+  }
+
+  /**
+   * Run a provider call through the circuit.
+   * Throws CircuitOpenError without calling `operation` while the circuit is open.
+   */
+  async call(operation, task = 'AI') {
+    if (!this.enabled) return operation();
+
+    const circuit = await this.read();
+    const now = Date.now();
+    let probing = false;
+
+    if (circuit.state === 'open' || circuit.state === 'half_open') {
+      if (circuit.state === 'open' && now < circuit.retryAt) {
+        this.refuse(task, circuit.retryAt);
+      }
+      if (circuit.state === 'half_open' && now - circuit.probeStartedAt < this.probeTimeout) {
+        this.refuse(task, circuit.probeStartedAt + this.probeTimeout);
+      }
+      probing = true;
+      await this.write({ ...circuit, state: 'half_open', probeStartedAt: now });
+      console.log(`🔌 ${this.logPrefix}: ${this.name} circuit half-open, probing with a ${task} call`);
+    }
+    this.skipping = false;
+
+    let result;
+    try {
+      result = await operation();
+    } catch (error) {
+      if (FAILURE_KINDS.includes(error.kind)) {
+        await this.recordFailure(error, probing);
+      }
+      throw error;
+    }
+
+    if (probing) {
+      await this.write(closedCircuit());
+      console.log(`✅ ${this.logPrefix}: ${this.name} circuit closed, probe succeeded`);
+    } else if (this.circuit.failures > 0) {
+      await this.write(closedCircuit());
+    }
+    return result;
+  }
+
+  async recordFailure(error, probing) {
+    const now = Date.now();
+
+    if (probing) {
+      await this.open(now, this.circuit.failures, error);
+      console.warn(`🔌 ${this.logPrefix}: ${this.name} probe failed (${error.kind}), circuit open again for ${this.cooldown / 1000}s`);
+      return;
+    }
+
+    // Another bot may have opened it while this call was waiting
+    const current = await this.read();
+    if (current.state !== 'closed') return;
+
+    const fresh = current.firstFailureAt && now - current.firstFailureAt <= this.window;
+    const failures = fresh ? current.failures + 1 : 1;
+    if (failures < this.failureThreshold) {
+      await this.write({ state: 'closed', failures, firstFailureAt: fresh ? current.firstFailureAt : now });
+      return;
+    }
+
+    await this.open(now, failures, error);
+    console.warn(`🔌 ${this.logPrefix}: ${this.name} circuit opened after ${failures} failures (last: ${error.kind}); skipping AI calls for ${this.cooldown / 1000}s`);
+  }
+
+  async open(now, failures, error) {
+    await this.write({
+      state: 'open',
+      failures,
+      firstFailureAt: null,
+      openedAt: now,
+      retryAt: now + this.cooldown,
+      lastError: error.kind
+    });
+  }
+}
+
+module.exports = {
+  FAILURE_KINDS,
+  DEFAULT_CIRCUIT_OPTIONS,
+  CircuitOpenError,
+  CircuitBreaker,
+  readCircuitOptions,
+  createCircuitStore,
+  circuitName
+};
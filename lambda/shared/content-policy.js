@@ -0,0 +1,240 @@
+// lambda/shared/content-policy.js
+// What bots may say and play. Winner questions are shown to every player, so
+// each AI-generated one is checked against the local word and pattern lists
+// in content-policy.json and, with LLM_MODERATION=provider, the AI provider's
+// moderation endpoint. Bots spawned with `familyFriendly` also apply the
+// stricter `family` lists to questions, and never pick explicit tracks (the
+// `explicit` flag on search results) or songs by blocked artists. Catalog
+// tracks have no `explicit` flag, so offline suggestions are filtered by artist.
+//
+// Rules file shape (CONTENT_POLICY_FILE, default content-policy.json):
+//   { words: [...], patterns: [regex source, ...],
+//     family: { words: [...], patterns: [...], artists: [...] } }
+//
+// Words and phrases match whole words, case-insensitively; patterns are
+// case-insensitive regular expressions for spellings the word list misses.
+// Start them with \b so they do not fire inside longer words ("Scunthorpe").
+const fs = require('fs');
+const path = require('path');
+const { parseArtist } = require('./song-matcher');
+
+const DEFAULT_FILE = path.join(__dirname, '..', '..', 'content-policy.json');
+const MODERATION_MODES = ['none', 'provider'];
+
+/**
+ * Raised when the rules file fails to load or validate; `problems` lists every issue
+ */
+class ContentPolicyError extends Error {
+  constructor(message, problems = []) {
+    super(problems.length ? `${message}:\n  - ${problems.join('\n  - ')}` : message);
+    this.name = 'ContentPolicyError';
+    this.problems = problems;
+  }
+}
+
+const isStringList = (value) => Array.isArray(value) && value.every(item => typeof item === 'string' && item.trim());
+
+/**
+ * Check a rules file; returns a list of problems (empty when valid)
+ */
+function validateContentRules(rules) {
+  const problems = [];
+  if (!rules || typeof rules !== 'object' || Array.isArray(rules)) return ['must be an object'];
+
+  const checkLists = (section, prefix, fields) => {
+    for (const key of Object.keys(section)) {
+      if (!fields.includes(key)) problems.push(`${prefix}unknown field "${key}"`);
+    }
+    for (const field of fields) {
+      if (field === 'family' || section[field] === undefined) continue;
+      if (!isStringList(section[field])) {
+        problems.push(`${prefix}${field} must be a list of non-empty strings`);
+        continue;
+      }
+      if (field !== 'patterns') continue;
+      section.patterns.forEach((pattern, i) => {
+        try {
+          new RegExp(pattern, 'i');
+        } catch (error) {
+          problems.push(`${prefix}patterns[${i}] is not a valid regular expression (${error.message})`);
+        }
+      });
+    }
+  };
+
+  checkLists(rules, '', ['words', 'patterns', 'family']);
+  if (rules.family !== undefined) {
+    if (!rules.family || typeof rules.family !== 'object' || Array.isArray(rules.family)) {
+      problems.push('family must be an object');
+    } else {
+      checkLists(rules.family, 'family.', ['words', 'patterns', 'artists']);
+    }
+  }
+  return problems;
+}
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * One whole-word regex for a word list, plus the compiled patterns
+ */
+function compileLists({ words = [], patterns = [] } = {}) {
+  return {
+    words: words.length ? new RegExp(`(?<![a-z0-9])(${words.map(word => escapeRegExp(word.toLowerCase())).join('|')})(?![a-z0-9])`, 'i') : null,
+    patterns: patterns.map(pattern => new RegExp(pattern, 'i'))
+  };
+}
+
+/**
+ * Load, validate and compile a rules file
+ */
+function loadContentRules(file = DEFAULT_FILE) {
+  let rules;
+  try {
+    rules = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new ContentPolicyError(`Cannot read content policy rules from ${file}: ${error.message}`);
+  }
+
+  const problems = validateContentRules(rules).map(problem => `${path.basename(file)}: ${problem}`);
+  if (problems.length) {
+    throw new ContentPolicyError('Invalid content policy rules', problems);
+  }
+
+  return {
+    base: compileLists(rules),
+    family: compileLists(rules.family),
+    artists: new Set((rules.family?.artists || []).map(artist => parseArtist(artist).primary)),
+    counts: {
+      words: (rules.words || []).length + (rules.family?.words || []).length,
+      patterns: (rules.patterns || []).length + (rules.family?.patterns || []).length,
+      artists: (rules.family?.artists || []).length
+    }
+  };
+}
+
+let sharedRules = null;
+
+/**
+ * Rules for this process, loaded once from CONTENT_POLICY_FILE (or ./content-policy.json)
+ */
+function getContentRules(env = process.env) {
+  if (!sharedRules) {
+    sharedRules = loadContentRules(env.CONTENT_POLICY_FILE || DEFAULT_FILE);
+    const { words, patterns, artists } = sharedRules.counts;
+    console.log(`🛡️ Loaded content policy: ${words} words, ${patterns} patterns, ${artists} blocked artists`);
+  }
+  return sharedRules;
+}
+
+/**
+ * LLM_MODERATION: `none` (default) or `provider`
+ */
+function readModerationMode(env = process.env) {
+  const mode = env.LLM_MODERATION || 'none';
+  if (!MODERATION_MODES.includes(mode)) {
+    throw new Error(`Unknown LLM_MODERATION "${mode}". Expected one of: ${MODERATION_MODES.join(', ')}`);
+  }
+  return mode;
+}
+
+class ContentPolicy {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.rules] - From loadContentRules(); the shared rules by default
+   * @param {boolean} [options.familyFriendly] - Apply the family lists and song filters
+   * @param {Object} [options.moderator] - Provider with moderate(text); null for local checks only
+   */
+  constructor({ rules = getContentRules(), familyFriendly = false, moderator = null } = {}) {
+    this.rules = rules;
+    this.familyFriendly = familyFriendly;
+    this.moderator = moderator;
+  }
+
+  /**
+   * Local word and pattern checks; returns a list of problems
+   */
+  checkText(text) {
+    const problems = [];
+    const check = (lists, describe) => {
+      const hit = lists.words?.exec(text)?.[1] || lists.patterns.map(pattern => pattern.exec(text)?.[0]).find(Boolean);
+      if (hit) problems.push(describe(hit.toLowerCase()));
+    };
+
+    check(this.rules.base, hit => `it uses blocked language ("${hit}")`);
+    if (this.familyFriendly && problems.length === 0) {
+      check(this.rules.family, hit => `it is not suitable for a family game ("${hit}")`);
+    }
+    return problems;
+  }
+
+  /**
+   * The provider's moderation verdict as a list of problems; empty without a moderator.
+   * Provider errors are thrown, so callers can fall back to vetted text.
+   */
+  async moderate(text) {
+    if (!this.moderator) return [];
+    const result = await this.moderator.moderate(text);
+    return result.flagged
+      ? [`it was flagged by ${result.provider} moderation${result.categories.length ? ` (${result.categories.join(', ')})` : ''}`]
+      : [];
+  }
+
+  /**
+   * Local checks, then moderation when they pass
+   */
+  async reviewText(text) {
+    const problems = this.checkText(text);
+    return problems.length ? problems : this.moderate(text);
+  }
+
+  /**
+   * Why a song may not be played in this game, or null. Takes suggestions ({ artist, song }),
+   * search results ({ artist, name, explicit }) and catalog tracks.
+   */
+  songProblem(song) {
+    if (!this.familyFriendly) return null;
+    if (song.explicit === true) return 'explicit';
+    const { primary, featured } = parseArtist(song.artist);
+    if ([primary, ...featured].some(artist => this.rules.artists.has(artist))) return 'blocked artist';
+    return null;
+  }
+
+  allowsSong(song) {
+    return this.songProblem(song) === null;
+  }
+
+  /**
+   * Songs that may be played in this game
+   */
+  filterSongs(songs) {
+    return songs.filter(song => this.allowsSong(song));
+  }
+}
+
+/**
+ * Policy for one bot: its familyFriendly spawn option, and the provider's moderation when LLM_MODERATION=provider
+ */
+function createContentPolicy({ rules, familyFriendly = false, llm = null, moderation, env = process.env } = {}) {
+  const mode = moderation || readModerationMode(env);
+  let moderator = null;
+  if (mode === 'provider') {
+    if (llm?.supportsModeration?.()) {
+      moderator = llm;
+    } else {
+      console.warn(`🛡️ LLM_MODERATION=provider but ${llm?.name || 'no provider'} offers no moderation; using the local lists only`);
+    }
+  }
+  return new ContentPolicy({ rules, familyFriendly, moderator });
+}
+
+module.exports = {
+  ContentPolicy,
+  ContentPolicyError,
+  MODERATION_MODES,
+  validateContentRules,
+  loadContentRules,
+  getContentRules,
+  readModerationMode,
+  createContentPolicy
+};
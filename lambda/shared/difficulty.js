@@ -0,0 +1,49 @@
+// lambda/shared/difficulty.js
+// Per-bot difficulty levels, chosen with `difficulty` on /spawn-bot.
+//
+// `normal` is the bot's full-strength behaviour; `easy` makes it beatable by
+// casual players, `hard` considers more songs and insists on exact matches.
+// Easy bots play worse songs, never wrong ones: they still only submit a
+// track that matches the suggestion.
+
+const DIFFICULTY_LEVELS = {
+  easy: {
+    suggestionCount: 2,        // AI suggestions asked for and tried
+    matchStrictness: 'standard', // song-matcher thresholds (see normal)
+    passChance: 0.2,           // chance to pass a round without trying
+    weakPickChance: 0.5,       // chance to take a lower-ranked version of the suggested song
+    heuristicVoteChance: 0.7   // chance to vote by personality heuristics instead of the AI
+  },
+  normal: {
+    suggestionCount: 5,
+    matchStrictness: 'standard', // artist AND title match, small spelling differences allowed
+    passChance: 0,
+    weakPickChance: 0,
+    heuristicVoteChance: 0
+  },
+  hard: {
+    suggestionCount: 8,
+    matchStrictness: 'strict', // near-exact artist AND title
+    passChance: 0,
+    weakPickChance: 0,
+    heuristicVoteChance: 0
+  }
+};
+
+const DEFAULT_DIFFICULTY = 'normal';
+const DIFFICULTY_NAMES = Object.keys(DIFFICULTY_LEVELS);
+
+/**
+ * Settings for a difficulty name; unknown or missing names get the default
+ */
+function getDifficulty(name) {
+  const level = DIFFICULTY_LEVELS[name] ? name : DEFAULT_DIFFICULTY;
+  return { name: level, ...DIFFICULTY_LEVELS[level] };
+}
+
+module.exports = {
+  DIFFICULTY_LEVELS,
+  DIFFICULTY_NAMES,
+  DEFAULT_DIFFICULTY,
+  getDifficulty
+};
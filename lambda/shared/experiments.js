@@ -0,0 +1,278 @@
+// lambda/shared/experiments.js
+// Prompt A/B experiments. Each experiment is declared in experiments/*.json
+// and splits bots between weighted variants. spawn-bot assigns every bot a
+// variant of each active experiment; the worker renders that variant's
+// prompts (prompts/experiments/<experiment>/<variant>/<task>.txt, falling
+// back to the normal templates) and records how each round went.
+//
+// Definition shape:
+//   id, description, active,
+//   variants: { <variantId>: weight }
+//
+// Round records are kept in the BOT_EXPERIMENT_STORE state store and
+// summarised per variant by scripts/experimentReport.js. Deployed, that must
+// be `dynamodb` (serverless.yaml sets it) so the report, run from anywhere,
+// sees every container's records; `memory` and `file` are for local runs.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { createStateStore } = require('./state-store');
+
+const DEFAULT_DIRECTORY = path.join(__dirname, '..', '..', 'experiments');
+const FIELDS = ['id', 'description', 'active', 'variants'];
+const ID_PATTERN = /^[a-z][a-z0-9-]{0,31}$/;
+
+// Round records outlive any single game so reports can cover weeks of play
+const EXPERIMENT_RECORD_TTL = 30 * 24 * 60 * 60 * 1000;
+
+/**
+ * Raised when experiment definitions fail to load or validate; `problems` lists every issue
+ */
+class ExperimentRegistryError extends Error {
+  constructor(message, problems = []) {
+    super(problems.length ? `${message}:\n  - ${problems.join('\n  - ')}` : message);
+    this.name = 'ExperimentRegistryError';
+    this.problems = problems;
+  }
+}
+
+/**
+ * Check one definition; returns a list of problems (empty when valid)
+ */
+function validateExperiment(definition, source = 'experiment') {
+  const problems = [];
+  const problem = (message) => problems.push(`${source}: ${message}`);
+
+  if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+    problem('must be an object');
+    return problems;
+  }
+
+  for (const key of Object.keys(definition)) {
+    if (!FIELDS.includes(key)) problem(`unknown field "${key}"`);
+  }
+
+  if (typeof definition.id !== 'string' || !ID_PATTERN.test(definition.id)) {
+    problem('id must be lowercase letters, digits or dashes (max 32)');
+  }
+  if (typeof definition.description !== 'string' || !definition.description.trim() || definition.description.length > 200) {
+    problem('description must be a non-empty string (max 200)');
+  }
+  if (typeof definition.active !== 'boolean') problem('active must be true or false');
+
+  const variants = definition.variants;
+  if (!variants || typeof variants !== 'object' || Array.isArray(variants) || Object.keys(variants).length < 2) {
+    problem('variants must map at least two variant ids to weights');
+  } else {
+    for (const [id, weight] of Object.entries(variants)) {
+      if (!ID_PATTERN.test(id)) problem(`variant "${id}" must be lowercase letters, digits or dashes (max 32)`);
+      if (typeof weight !== 'number' || !(weight > 0)) problem(`variants.${id} must be a positive number`);
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Stable number in [0, 1) for a seed, so the same bot always gets the same variant
+ */
+function bucket(seed) {
+  return parseInt(crypto.createHash('sha1').update(seed).digest('hex').slice(0, 8), 16) / 0x100000000;
+}
+
+class ExperimentRegistry {
+  /**
+   * @param {Array} definitions - Validated experiment definitions
+   */
+  constructor(definitions) {
+    this.experiments = new Map(definitions.map(definition => [definition.id, Object.freeze(definition)]));
+  }
+
+  get(id) {
+    return this.experiments.get(id) || null;
+  }
+
+  ids() {
+    return [...this.experiments.keys()];
+  }
+
+  active() {
+    return [...this.experiments.values()].filter(experiment => experiment.active);
+  }
+
+  /**
+   * A variant of every active experiment, picked by weight from a hash of `seed` (the bot name)
+   *
+   * @returns {Object} experiment id → variant id
+   */
+  assign(seed) {
+    const assignments = {};
+    for (const experiment of this.active()) {
+      const entries = Object.entries(experiment.variants);
+      const total = entries.reduce((sum, [, weight]) => sum + weight, 0);
+      let point = bucket(`${experiment.id}:${seed}`) * total;
+
+      const [variant] = entries.find(([, weight]) => (point -= weight) < 0) || entries[entries.length - 1];
+      assignments[experiment.id] = variant;
+    }
+    return assignments;
+  }
+
+  /**
+   * The assignments from a worker payload that name a defined experiment and variant
+   *
+   * @returns {{ assignments: Object, problems: string[] }}
+   */
+  checkAssignments(assignments = {}) {
+    const valid = {};
+    const problems = [];
+    for (const [id, variant] of Object.entries(assignments || {})) {
+      const experiment = this.get(id);
+      if (!experiment) {
+        problems.push(`unknown experiment "${id}"`);
+      } else if (!(variant in experiment.variants)) {
+        problems.push(`experiment "${id}" has no variant "${variant}"`);
+      } else {
+        valid[id] = variant;
+      }
+    }
+    return { assignments: valid, problems };
+  }
+}
+
+/**
+ * Load and validate every *.json definition in a directory; a missing directory means no experiments
+ */
+function loadExperiments(directory = DEFAULT_DIRECTORY) {
+  if (!fs.existsSync(directory)) {
+    return new ExperimentRegistry([]);
+  }
+
+  let files;
+  try {
+    files = fs.readdirSync(directory).filter(file => file.endsWith('.json')).sort();
+  } catch (error) {
+    throw new ExperimentRegistryError(`Cannot read experiments from ${directory}: ${error.message}`);
+  }
+
+  const problems = [];
+  const definitions = [];
+
+  for (const file of files) {
+    let definition;
+    try {
+      definition = JSON.parse(fs.readFileSync(path.join(directory, file), 'utf8'));
+    } catch (error) {
+      problems.push(`${file}: invalid JSON (${error.message})`);
+      continue;
+    }
+
+    const fileProblems = validateExperiment(definition, file);
+    if (!fileProblems.length && definition.id !== path.basename(file, '.json')) {
+      fileProblems.push(`${file}: id "${definition.id}" must match the file name`);
+    }
+
+    if (fileProblems.length) {
+      problems.push(...fileProblems);
+    } else {
+      definitions.push(definition);
+    }
+  }
+
+  if (problems.length) {
+    throw new ExperimentRegistryError('Invalid experiment definitions', problems);
+  }
+
+  return new ExperimentRegistry(definitions);
+}
+
+let sharedRegistry = null;
+
+/**
+ * Registry for this process, loaded once from EXPERIMENTS_DIR (or ./experiments)
+ */
+function getExperimentRegistry(env = process.env) {
+  if (!sharedRegistry) {
+    sharedRegistry = loadExperiments(env.EXPERIMENTS_DIR || DEFAULT_DIRECTORY);
+    const active = sharedRegistry.active().map(experiment => experiment.id);
+    console.log(`🧪 Loaded ${sharedRegistry.ids().length} experiments (active: ${active.join(', ') || 'none'})`);
+  }
+  return sharedRegistry;
+}
+
+/**
+ * Store for round records, or null when none is configured.
+ *
+ * Environment: BOT_EXPERIMENT_STORE (memory | file | dynamodb), BOT_EXPERIMENT_DIR (file backend directory),
+ * BOT_STORE_TABLE (dynamodb table)
+ */
+function createExperimentStore(env = process.env) {
+  return createStateStore(env, {
+    variable: 'BOT_EXPERIMENT_STORE',
+    directoryVariable: 'BOT_EXPERIMENT_DIR',
+    directory: path.join(os.tmpdir(), 'heartsongs-bot-experiments')
+  });
+}
+
+function recordKey(experimentId, { gameId, botId, round }) {
+  return `experiment:${experimentId}:${gameId}:${botId}:${round}`;
+}
+
+/**
+ * Every round record stored for an experiment
+ */
+async function loadExperimentRecords(store, experimentId) {
+  const records = [];
+  for (const key of await store.keys(`experiment:${experimentId}:`)) {
+    const record = await store.get(key);
+    if (record) records.push(record);
+  }
+  return records;
+}
+
+const rate = (count, total) => (total > 0 ? Math.round((count / total) * 1000) / 1000 : 0);
+
+/**
+ * Win, pass and match-failure rates per variant; every rate is over the rounds played
+ *
+ * @param {Array} records - Round records ({ variant, botId, won, passed, matchFailed })
+ * @returns {Object} variant id → { bots, rounds, wins, passes, matchFailures, winRate, passRate, matchFailureRate }
+ */
+function summarizeExperiment(records) {
+  const variants = {};
+  for (const record of records) {
+    const summary = variants[record.variant] || (variants[record.variant] = {
+      bots: new Set(), rounds: 0, wins: 0, passes: 0, matchFailures: 0
+    });
+    summary.bots.add(record.botId);
+    summary.rounds++;
+    if (record.won) summary.wins++;
+    if (record.passed) summary.passes++;
+    if (record.matchFailed) summary.matchFailures++;
+  }
+
+  return Object.fromEntries(Object.entries(variants).sort(([a], [b]) => a.localeCompare(b)).map(([variant, summary]) => [variant, {
+    bots: summary.bots.size,
+    rounds: summary.rounds,
+    wins: summary.wins,
+    passes: summary.passes,
+    matchFailures: summary.matchFailures,
+    winRate: rate(summary.wins, summary.rounds),
+    passRate: rate(summary.passes, summary.rounds),
+    matchFailureRate: rate(summary.matchFailures, summary.rounds)
+  }]));
+}
+
+module.exports = {
+  ExperimentRegistry,
+  ExperimentRegistryError,
+  EXPERIMENT_RECORD_TTL,
+  validateExperiment,
+  loadExperiments,
+  getExperimentRegistry,
+  createExperimentStore,
+  recordKey,
+  loadExperimentRecords,
+  summarizeExperiment
+};
@@ -0,0 +1,391 @@
+// lambda/shared/heartsongs-client.js
+// Single client for every Heart Songs API call made by the bot service.
+// Retries, timeouts, auth headers and error classification live here so
+// that a 429 on /game/vote is treated exactly like a 429 on /game/:id.
+const axios = require('axios');
+const { retryWithBackoff, sleep } = require('./retry');
+
+const USER_AGENT = 'HeartSongs-Bot-Service/1.0';
+
+// Default retry budgets per operation: [retries, baseDelay ms]
+const RETRY_POLICIES = {
+  register: [5, 2000],
+  join: [3, 1000],
+  getGame: [3, 2000],
+  ready: [3, 1000],
+  submit: [3, 1000],
+  pass: [3, 1000],
+  vote: [3, 1000],
+  setWinnerQuestion: [3, 1000],
+  search: [2, 1000],
+  health: [0, 0]
+};
+
+// Game moves the server must not apply twice. A timeout or 5xx may come after
+// the server already applied them, so they are only retried when the request
+// surely never took effect: rate limited, or the connection was never made.
+const SINGLE_DELIVERY_OPERATIONS = ['submit', 'pass', 'vote'];
+const UNSENT_ERROR_CODES = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN'];
+
+/**
+ * Whether a failed request surely never took effect on the server
+ */
+const neverTookEffect = (error) => error.kind === 'rate_limited' ||
+  (error.kind === 'network' && UNSENT_ERROR_CODES.includes(error.code));
+
+/**
+ * Error raised for every failed Heart Songs API call.
+ *
+ * `kind` is one of: rate_limited, server, network, timeout, conflict,
+ * auth, not_found, bad_request, unknown.
+ */
+class HeartSongsApiError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'HeartSongsApiError';
+    this.kind = details.kind || 'unknown';
+    this.operation = details.operation;
+    this.status = details.status;
+    this.code = details.code;
+    this.errorCode = details.data?.errorCode;
+    this.data = details.data;
+    this.url = details.url;
+    this.retryAfter = details.retryAfter;
+    this.attempts = details.attempts || 1;
+    this.retryable = ['rate_limited', 'server', 'network', 'timeout'].includes(this.kind);
+  }
+}
+
+/**
+ * Classify a raw axios error into a HeartSongsApiError kind
+ */
+function classifyError(error) {
+  const status = error.response?.status;
+
+  if (status === 429) return 'rate_limited';
+  if (status >= 500) return 'server';
+  if (status === 409) return 'conflict';
+  if (status === 401 || status === 403) return 'auth';
+  if (status === 404) return 'not_found';
+  if (status >= 400) return 'bad_request';
+
+  if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') return 'timeout';
+  if (['ECONNRESET', 'ENOTFOUND', 'ECONNREFUSED', 'EAI_AGAIN', 'EPIPE'].includes(error.code)) return 'network';
+
+  return 'unknown';
+}
+
+/**
+ * Parse a Retry-After header (seconds or HTTP date) into milliseconds
+ */
+function parseRetryAfter(headers) {
+  const value = headers?.['retry-after'];
+  if (!value) return undefined;
+
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) return seconds * 1000;
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? undefined : Math.max(0, date - Date.now());
+}
+
+function toApiError(error, operation, attempts) {
+  if (error instanceof HeartSongsApiError) return error;
+
+  const kind = classifyError(error);
+  const status = error.response?.status;
+  const data = error.response?.data;
+  const description = data?.error || data?.message || error.message;
+
+  return new HeartSongsApiError(`${operation} failed${status ? ` (${status})` : ''}: ${description}`, {
+    kind,
+    operation,
+    status,
+    code: error.code,
+    data,
+    url: error.config?.url,
+    retryAfter: parseRetryAfter(error.response?.headers),
+    attempts
+  });
+}
+
+/**
+ * Parse one SSE block into { event, data }; comment lines (":") are ignored
+ */
+function parseServerSentEvent(block) {
+  const event = { event: 'message', data: '' };
+  const data = [];
+
+  for (const line of block.split('\n')) {
+    if (!line || line.startsWith(':')) continue;
+    const separator = line.indexOf(':');
+    const field = separator === -1 ? line : line.slice(0, separator);
+    const value = separator === -1 ? '' : line.slice(separator + 1).replace(/^ /, '');
+
+    if (field === 'event') event.event = value;
+    if (field === 'data') data.push(value);
+  }
+
+  event.data = data.join('\n');
+  return event;
+}
+
+class HeartSongsClient {
+  /**
+   * @param {Object} options
+   * @param {string} options.apiUrl - Heart Songs API base URL (ending in /api)
+   * @param {string} [options.sessionToken] - Bearer token for authenticated calls
+   * @param {number} [options.timeout] - Per-request timeout in ms
+   * @param {Object} [options.retryPolicies] - Overrides for RETRY_POLICIES
+   * @param {string} [options.logPrefix] - Prefix for retry log lines
+   */
+  constructor(options = {}) {
+    if (!options.apiUrl) {
+      throw new Error('HeartSongsClient requires an apiUrl');
+    }
+
+    this.apiUrl = options.apiUrl.replace(/\/+$/, '');
+    this.sessionToken = options.sessionToken || null;
+    this.timeout = options.timeout || 15000;
+    this.retryPolicies = { ...RETRY_POLICIES, ...options.retryPolicies };
+    this.logPrefix = options.logPrefix || 'HeartSongsClient';
+    this.http = options.httpClient || axios;
+    this.sleep = options.sleep || sleep;
+  }
+
+  setSessionToken(sessionToken) {
+    this.sessionToken = sessionToken;
+  }
+
+  /**
+   * Perform a request with retries and error classification
+   */
+  async request(operation, { method = 'get', path, url, data, params, auth = true, timeout }) {
+    const [retries, baseDelay] = this.retryPolicies[operation] || [3, 1000];
+    // A Retry-After header never stalls the worker beyond the policy's longest backoff
+    const maxDelay = baseDelay * Math.pow(2, Math.max(0, retries - 1));
+    const singleDelivery = SINGLE_DELIVERY_OPERATIONS.includes(operation);
+    let attempts = 0;
+
+    const headers = { 'User-Agent': USER_AGENT };
+    if (data !== undefined) headers['Content-Type'] = 'application/json';
+
+    try {
+      return await retryWithBackoff(async () => {
+        attempts++;
+        if (auth && this.sessionToken) {
+          headers.Authorization = `Bearer ${this.sessionToken}`;
+        }
+
+        try {
+          const response = await this.http.request({
+            method,
+            url: url || `${this.apiUrl}${path}`,
+            data,
+            params,
+            headers,
+            timeout: timeout || this.timeout
+          });
+          return response.data;
+        } catch (error) {
+          throw toApiError(error, operation, attempts);
+        }
+      }, retries, baseDelay, {
+        sleep: this.sleep,
+        getDelay: (error) => (error.retryAfter === undefined ? undefined : Math.min(error.retryAfter, maxDelay)),
+        shouldRetry: singleDelivery ? neverTookEffect : undefined,
+        onRetry: (error, attempt, delay) => {
+          console.log(`${this.logPrefix} ${operation} attempt ${attempt + 1} failed (${error.kind}), retrying in ${Math.round(delay)}ms...`);
+        }
+      });
+    } catch (error) {
+      error.attempts = attempts;
+      throw error;
+    }
+  }
+
+  /**
+   * Register an anonymous user; stores the returned session token
+   */
+  async register(username) {
+    const data = await this.request('register', {
+      method: 'post',
+      path: '/auth/register-anonymous',
+      data: { username },
+      auth: false
+    });
+
+    if (data?.sessionToken) {
+      this.setSessionToken(data.sessionToken);
+    }
+    return data;
+  }
+
+  async join(gameCode, userId) {
+    return this.request('join', {
+      method: 'post',
+      path: '/game/join',
+      data: { gameCode, userId }
+    });
+  }
+
+  async getGame(gameId) {
+    return this.request('getGame', { path: `/game/${gameId}`, timeout: 10000 });
+  }
+
+  async ready(gameId, userId) {
+    return this.request('ready', {
+      method: 'post',
+      path: '/game/ready',
+      data: { gameId, userId }
+    });
+  }
+
+  /**
+   * Submit a song chosen from /music/search results
+   */
+  async submit(gameId, userId, song) {
+    return this.request('submit', {
+      method: 'post',
+      path: '/game/submit',
+      data: {
+        gameId,
+        userId,
+        songId: song.id,
+        songName: song.name,
+        artist: song.artist,
+        albumCover: song.albumArt || '',
+        hasPassed: false
+      }
+    });
+  }
+
+  async pass(gameId, userId) {
+    return this.request('pass', {
+      method: 'post',
+      path: '/game/submit',
+      data: { gameId, userId, hasPassed: true }
+    });
+  }
+
+  async vote(gameId, userId, submissionId) {
+    return this.request('vote', {
+      method: 'post',
+      path: '/game/vote',
+      data: { gameId, userId, submissionId }
+    });
+  }
+
+  async setWinnerQuestion(gameId, question) {
+    return this.request('setWinnerQuestion', {
+      method: 'post',
+      path: '/game/set-winner-question',
+      data: {
+        gameId,
+        questionText: question.text,
+        questionCategory: question.category || 'general'
+      }
+    });
+  }
+
+  async search(query, { limit = 8 } = {}) {
+    return this.request('search', {
+      path: '/music/search',
+      params: { query, limit },
+      timeout: 10000
+    });
+  }
+
+  /**
+   * Open a Server-Sent Events stream of game snapshots (GET /game/:id/events).
+   *
+   * Resolves with `{ close }` once connected. There are no retries here: the
+   * caller decides whether to reconnect or fall back to polling when
+   * `onClose(error)` fires.
+   */
+  async subscribeToGame(gameId, { onUpdate, onClose } = {}) {
+    const controller = new AbortController();
+    let timedOut = false;
+    const connectTimer = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, this.timeout);
+
+    const headers = { 'User-Agent': USER_AGENT, Accept: 'text/event-stream' };
+    if (this.sessionToken) headers.Authorization = `Bearer ${this.sessionToken}`;
+
+    let response;
+    try {
+      response = await this.http.request({
+        method: 'get',
+        url: `${this.apiUrl}/game/${gameId}/events`,
+        headers,
+        responseType: 'stream',
+        signal: controller.signal
+      });
+    } catch (error) {
+      // Error bodies arrive as streams too; nothing useful to keep
+      error.response?.data?.destroy?.();
+      if (error.response) error.response.data = undefined;
+      if (timedOut) error.code = 'ETIMEDOUT';
+      throw toApiError(error, 'subscribe', 1);
+    } finally {
+      clearTimeout(connectTimer);
+    }
+
+    const stream = response.data;
+    let buffer = '';
+    let closed = false;
+    const finish = (error) => {
+      if (closed) return;
+      closed = true;
+      onClose?.(error ? toApiError(error, 'subscribe', 1) : undefined);
+    };
+
+    stream.setEncoding('utf8');
+    stream.on('data', (chunk) => {
+      buffer += chunk.replace(/\r\n/g, '\n');
+      let boundary;
+      while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+        const event = parseServerSentEvent(buffer.slice(0, boundary));
+        buffer = buffer.slice(boundary + 2);
+
+        if (event.event !== 'game' || !event.data) continue;
+        try {
+          onUpdate?.(JSON.parse(event.data));
+        } catch (error) {
+          console.warn(`${this.logPrefix} ignoring malformed game event:`, error.message);
+        }
+      }
+    });
+    stream.on('end', () => finish());
+    stream.on('error', (error) => finish(error));
+
+    return {
+      close: () => {
+        closed = true;
+        controller.abort();
+        stream.destroy();
+      }
+    };
+  }
+
+  /**
+   * Health check lives outside the /api prefix
+   */
+  async health() {
+    return this.request('health', {
+      url: `${this.apiUrl.replace(/\/api$/, '')}/health`,
+      auth: false,
+      timeout: 5000
+    });
+  }
+}
+
+module.exports = {
+  HeartSongsClient,
+  HeartSongsApiError,
+  classifyError,
+  neverTookEffect,
+  RETRY_POLICIES
+};
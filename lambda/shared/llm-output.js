@@ -0,0 +1,285 @@
+// lambda/shared/llm-output.js
+// Response schemas for every AI task, and the one way the worker gets
+// structured output from a provider: request JSON matching the schema,
+// validate the reply strictly, and on failure ask the model once to repair
+// it. A reply that still fails raises LLMOutputError, which callers count
+// (LLMOutputStats) before falling back. With a UsageBudget, every call
+// (repairs included) is checked against it and its usage recorded.
+//
+// Schemas use a small JSON Schema subset: type, properties, required,
+// additionalProperties, items, enum, minItems/maxItems, minLength/maxLength,
+// minimum/maximum. Every property is required so the same schema works with
+// OpenAI strict structured outputs.
+
+const OUTPUT_ERROR_KINDS = ['invalid_json', 'schema'];
+
+// Keywords only checked locally; strict provider schemas reject them
+const LOCAL_KEYWORDS = ['minItems', 'maxItems', 'minLength', 'maxLength', 'minimum', 'maximum'];
+
+const text = (maxLength = 200) => ({ type: 'string', minLength: 1, maxLength });
+
+const RESPONSE_SCHEMAS = {
+  suggestions: {
+    type: 'object',
+    properties: {
+      suggestions: {
+        type: 'array',
+        minItems: 1,
+        maxItems: 10,
+        items: {
+          type: 'object',
+          properties: { artist: text(), song: text(), reasoning: text(500) },
+          required: ['artist', 'song', 'reasoning'],
+          additionalProperties: false
+        }
+      }
+    },
+    required: ['suggestions'],
+    additionalProperties: false
+  },
+
+  vote: {
+    type: 'object',
+    properties: { option: { type: 'integer', minimum: 1 }, reason: text(500) },
+    required: ['option', 'reason'],
+    additionalProperties: false
+  },
+
+  'self-vote': {
+    type: 'object',
+    properties: { winner: { type: 'string', enum: ['PLAYER1', 'PLAYER2'] }, reason: text(500) },
+    required: ['winner', 'reason'],
+    additionalProperties: false
+  },
+
+  question: {
+    type: 'object',
+    properties: {
+      question: {
+        type: 'object',
+        properties: { text: text(), category: text(40) },
+        required: ['text', 'category'],
+        additionalProperties: false
+      },
+      reasoning: text(500)
+    },
+    required: ['question', 'reasoning'],
+    additionalProperties: false
+  }
+};
+
+/**
+ * Raised when a reply is not valid JSON or does not match its schema, even after a repair
+ */
+class LLMOutputError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'LLMOutputError';
+    this.task = details.task;
+    this.kind = details.kind;
+    this.problems = details.problems || [];
+    this.content = details.content;
+  }
+}
+
+/**
+ * The vote schema for a ballot with `count` options
+ */
+function voteSchema(count) {
+  const schema = RESPONSE_SCHEMAS.vote;
+  return {
+    ...schema,
+    properties: { ...schema.properties, option: { ...schema.properties.option, maximum: count } }
+  };
+}
+
+const typeOf = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+};
+
+/**
+ * Problems with `value` against `schema` (empty when valid)
+ */
+function validateSchema(value, schema, at = '$') {
+  const actual = typeOf(value);
+  const typeMatches = actual === schema.type || (schema.type === 'number' && actual === 'integer');
+  if (!typeMatches) return [`${at} must be ${schema.type === 'integer' ? 'an' : 'a'} ${schema.type}, got ${actual}`];
+
+  const problems = [];
+  if (schema.enum && !schema.enum.includes(value)) problems.push(`${at} must be one of: ${schema.enum.join(', ')}`);
+
+  if (actual === 'string') {
+    if (schema.minLength !== undefined && value.trim().length < schema.minLength) problems.push(`${at} must not be empty`);
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) problems.push(`${at} must be at most ${schema.maxLength} characters`);
+  }
+
+  if (actual === 'integer' || actual === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) problems.push(`${at} must be at least ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) problems.push(`${at} must be at most ${schema.maximum}`);
+  }
+
+  if (actual === 'array') {
+    if (schema.minItems !== undefined && value.length < schema.minItems) problems.push(`${at} needs at least ${schema.minItems} item(s)`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) problems.push(`${at} allows at most ${schema.maxItems} items`);
+    if (schema.items) value.forEach((item, i) => problems.push(...validateSchema(item, schema.items, `${at}[${i}]`)));
+  }
+
+  if (actual === 'object') {
+    for (const key of schema.required || []) {
+      if (!(key in value)) problems.push(`${at}.${key} is required`);
+    }
+    for (const [key, child] of Object.entries(value)) {
+      const childSchema = schema.properties?.[key];
+      if (childSchema) {
+        problems.push(...validateSchema(child, childSchema, `${at}.${key}`));
+      } else if (schema.additionalProperties === false) {
+        problems.push(`${at}.${key} is not allowed`);
+      }
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * The schema as sent to providers: local-only keywords removed
+ */
+function toProviderSchema(schema) {
+  if (Array.isArray(schema)) return schema.map(toProviderSchema);
+  if (!schema || typeof schema !== 'object') return schema;
+
+  const result = {};
+  for (const [key, value] of Object.entries(schema)) {
+    if (LOCAL_KEYWORDS.includes(key)) continue;
+    result[key] = key === 'properties'
+      ? Object.fromEntries(Object.entries(value).map(([name, child]) => [name, toProviderSchema(child)]))
+      : toProviderSchema(value);
+  }
+  return result;
+}
+
+/**
+ * Parse and validate one reply; throws LLMOutputError
+ */
+function parseOutput(content, schema, task) {
+  // Models without a JSON mode like to wrap replies in a code fence
+  const raw = String(content ?? '').trim().replace(/^```(?:json)?\s*([\s\S]*?)\s*```$/i, '$1');
+
+  let value;
+  try {
+    value = JSON.parse(raw);
+  } catch (error) {
+    throw new LLMOutputError(`${task} reply is not valid JSON: ${error.message}`, {
+      task, kind: 'invalid_json', problems: [error.message], content
+    });
+  }
+
+  const problems = validateSchema(value, schema);
+  if (problems.length > 0) {
+    throw new LLMOutputError(`${task} reply does not match its schema: ${problems.join('; ')}`, {
+      task, kind: 'schema', problems, content
+    });
+  }
+  return value;
+}
+
+/**
+ * Per-task outcomes: valid first time, repaired, or failed by error kind
+ */
+class LLMOutputStats {
+  constructor(data = {}) {
+    this.tasks = data.tasks || {};
+  }
+
+  static from(data) {
+    return new LLMOutputStats(data || {});
+  }
+
+  record(task, outcome) {
+    const counts = this.tasks[task] || (this.tasks[task] = { ok: 0, repaired: 0, invalid_json: 0, schema: 0 });
+    counts[outcome] = (counts[outcome] || 0) + 1;
+  }
+
+  failures() {
+    return Object.values(this.tasks).reduce((total, counts) =>
+      total + OUTPUT_ERROR_KINDS.reduce((sum, kind) => sum + (counts[kind] || 0), 0), 0);
+  }
+
+  toJSON() {
+    return { tasks: this.tasks };
+  }
+}
+
+/**
+ * Ask the provider for a reply matching the task's schema, with one repair round-trip.
+ *
+ * @param {Object} llm - Provider from createLLMProvider()
+ * @param {Object} request - complete() request; `task` picks the schema
+ * @param {Object} [options]
+ * @param {Object} [options.schema] - Overrides RESPONSE_SCHEMAS[task] (e.g. voteSchema(n))
+ * @param {LLMOutputStats} [options.stats]
+ * @param {Object} [options.budget] - UsageBudget; throws BudgetExceededError before a call over budget
+ * @param {Object} [options.breaker] - CircuitBreaker; throws CircuitOpenError instead of calling a failing provider
+ * @returns {Promise<{ value, response, repaired }>}
+ */
+async function completeStructured(llm, request, { schema = RESPONSE_SCHEMAS[request.task], stats = null, budget = null, breaker = null } = {}) {
+  const task = request.task;
+  if (!schema) throw new Error(`No response schema for task "${task}"`);
+  const responseFormat = { name: task.replace(/[^a-z0-9_]/gi, '_'), schema: toProviderSchema(schema) };
+
+  const complete = async (body) => {
+    if (budget) await budget.check(task);
+    const result = breaker ? await breaker.call(() => llm.complete(body), task) : await llm.complete(body);
+    if (budget) await budget.record(task, result);
+    return result;
+  };
+
+  const response = await complete({ ...request, responseFormat });
+  try {
+    const value = parseOutput(response.content, schema, task);
+    if (stats) stats.record(task, 'ok');
+    return { value, response, repaired: false };
+  } catch (error) {
+    if (!(error instanceof LLMOutputError)) throw error;
+
+    const repairRequest = {
+      ...request,
+      responseFormat,
+      repair: true,
+      messages: [
+        ...request.messages,
+        { role: 'assistant', content: String(response.content ?? '') },
+        {
+          role: 'user',
+          content: `That reply did not match the required JSON format:\n- ${error.problems.join('\n- ')}\n` +
+            'Reply again with only the corrected JSON object, no other text.'
+        }
+      ]
+    };
+
+    const repairResponse = await complete(repairRequest);
+    try {
+      const value = parseOutput(repairResponse.content, schema, task);
+      if (stats) stats.record(task, 'repaired');
+      return { value, response: repairResponse, repaired: true };
+    } catch (repairError) {
+      if (repairError instanceof LLMOutputError && stats) stats.record(task, repairError.kind);
+      throw repairError;
+    }
+  }
+}
+
+module.exports = {
+  RESPONSE_SCHEMAS,
+  OUTPUT_ERROR_KINDS,
+  LLMOutputError,
+  LLMOutputStats,
+  voteSchema,
+  validateSchema,
+  toProviderSchema,
+  parseOutput,
+  completeStructured
+};
@@ -0,0 +1,405 @@
+// lambda/shared/llm-providers.js
+// Pluggable LLM providers used by the bot worker's AI decisions.
+//
+// Every provider exposes the same interface:
+//   isAvailable()                    → boolean
+//   complete({ task, messages, maxTokens, temperature, timeout, responseFormat })
+//                                    → { content, usage, model, provider }
+//   supportsModeration()             → boolean
+//   moderate(text)                   → { flagged, categories, provider }
+//
+// `task` is one of: suggestions, self-vote, vote, question. Real providers
+// ignore it; the stub uses it to decide what JSON to return.
+// `responseFormat` ({ name, schema }, see llm-output.js) asks for JSON
+// matching the schema, using the provider's structured output mode.
+const fs = require('fs');
+const axios = require('axios');
+const { classifyError } = require('./heartsongs-client');
+
+const DEFAULT_MODEL = 'gpt-4o-mini';
+const DEFAULT_MODERATION_MODEL = 'omni-moderation-latest';
+const OPENAI_BASE_URL = 'https://api.openai.com/v1';
+const PROVIDER_NAMES = ['openai', 'openai-compatible', 'stub'];
+// How a responseFormat is sent: a strict JSON schema, plain JSON mode, or not at all
+const RESPONSE_FORMAT_MODES = ['json_schema', 'json_object', 'none'];
+
+/**
+ * Error raised when a provider call fails; `kind` matches HeartSongsApiError kinds
+ */
+class LLMProviderError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'LLMProviderError';
+    this.provider = details.provider;
+    this.kind = details.kind || 'unknown';
+    this.status = details.status;
+    this.code = details.code;
+    this.data = details.data;
+  }
+}
+
+/**
+ * OpenAI chat completions provider
+ */
+class OpenAIProvider {
+  constructor(options = {}) {
+    this.name = options.name || 'openai';
+    this.apiKey = options.apiKey;
+    this.model = options.model || DEFAULT_MODEL;
+    this.baseUrl = (options.baseUrl || OPENAI_BASE_URL).replace(/\/+$/, '');
+    this.timeout = options.timeout || 15000;
+    this.http = options.httpClient || axios;
+    this.responseFormatMode = options.responseFormatMode || 'json_schema';
+    this.moderationModel = options.moderationModel || DEFAULT_MODERATION_MODEL;
+  }
+
+  isAvailable() {
+    return !!this.apiKey;
+  }
+
+  supportsModeration() {
+    return this.isAvailable();
+  }
+
+  buildHeaders() {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) {
+      headers.Authorization = `Bearer ${this.apiKey}`;
+    }
+    return headers;
+  }
+
+  /**
+   * The chat completions `response_format` for a requested schema, if any
+   */
+  buildResponseFormat(responseFormat) {
+    if (!responseFormat || this.responseFormatMode === 'none') return undefined;
+    if (this.responseFormatMode === 'json_object') return { type: 'json_object' };
+    return {
+      type: 'json_schema',
+      json_schema: { name: responseFormat.name, schema: responseFormat.schema, strict: true }
+    };
+  }
+
+  async complete({ messages, maxTokens = 500, temperature = 0.7, timeout, responseFormat }) {
+    try {
+      const body = {
+        model: this.model,
+        messages,
+        max_tokens: maxTokens,
+        temperature
+      };
+      const format = this.buildResponseFormat(responseFormat);
+      if (format) body.response_format = format;
+
+      const response = await this.http.post(`${this.baseUrl}/chat/completions`, body, {
+        headers: this.buildHeaders(),
+        timeout: timeout || this.timeout
+      });
+
+      return {
+        content: response.data.choices[0].message.content,
+        usage: response.data.usage || null,
+        model: response.data.model || this.model,
+        provider: this.name
+      };
+    } catch (error) {
+      throw new LLMProviderError(`${this.name} request failed: ${error.message}`, {
+        provider: this.name,
+        kind: classifyError(error),
+        status: error.response?.status,
+        code: error.code,
+        data: error.response?.data
+      });
+    }
+  }
+
+  /**
+   * Run text through the moderations endpoint
+   */
+  async moderate(text, { timeout } = {}) {
+    try {
+      const response = await this.http.post(`${this.baseUrl}/moderations`, { model: this.moderationModel, input: text }, {
+        headers: this.buildHeaders(),
+        timeout: timeout || this.timeout
+      });
+      const result = response.data.results[0];
+      return {
+        flagged: !!result.flagged,
+        categories: Object.keys(result.categories || {}).filter(category => result.categories[category]),
+        provider: this.name
+      };
+    } catch (error) {
+      throw new LLMProviderError(`${this.name} moderation failed: ${error.message}`, {
+        provider: this.name,
+        kind: classifyError(error),
+        status: error.response?.status,
+        code: error.code,
+        data: error.response?.data
+      });
+    }
+  }
+}
+
+/**
+ * Any server speaking the OpenAI chat completions API (vLLM, Ollama, LM Studio...)
+ */
+class OpenAICompatibleProvider extends OpenAIProvider {
+  constructor(options = {}) {
+    if (!options.baseUrl) {
+      throw new Error('openai-compatible provider requires a base URL (LLM_BASE_URL)');
+    }
+    // Many self-hosted servers support JSON mode but not strict schemas
+    super({ responseFormatMode: 'json_object', ...options, name: 'openai-compatible' });
+  }
+
+  // Self-hosted servers often run without auth
+  isAvailable() {
+    return true;
+  }
+
+  // ...and rarely implement the moderations endpoint
+  supportsModeration() {
+    return false;
+  }
+}
+
+// Songs the stub suggests; all are well known and present in the local simulator catalog
+const STUB_SONGS = [
+  { keywords: ['beatles'], artist: 'The Beatles', song: 'Hey Jude' },
+  { keywords: ['beatles', 'sun', 'summer', 'morning'], artist: 'The Beatles', song: 'Here Comes The Sun' },
+  { keywords: ['taylor swift', 'dance', 'party'], artist: 'Taylor Swift', song: 'Shake It Off' },
+  { keywords: ['90s', 'grunge', 'teen'], artist: 'Nirvana', song: 'Smells Like Teen Spirit' },
+  { keywords: ['sad', 'cry', 'heartbreak'], artist: 'Johnny Cash', song: 'Hurt' },
+  { keywords: ['happy', 'smile', 'joy'], artist: 'Pharrell Williams', song: 'Happy' },
+  { keywords: ['dance', 'party', 'funk'], artist: 'Mark Ronson', song: 'Uptown Funk' },
+  { keywords: ['road trip', 'drive', 'car'], artist: 'Journey', song: "Don't Stop Believin'" },
+  { keywords: ['storm', 'rain', 'thunder'], artist: 'Toto', song: 'Africa' },
+  { keywords: ['classic', 'rock', 'epic'], artist: 'Queen', song: 'Bohemian Rhapsody' },
+  { keywords: ['night', 'drive', '80s'], artist: 'The Weeknd', song: 'Blinding Lights' },
+  { keywords: ['indie', 'hidden'], artist: 'Arctic Monkeys', song: 'Do I Wanna Know?' },
+  { keywords: ['september', 'autumn', 'fall'], artist: 'Earth, Wind & Fire', song: 'September' },
+  { keywords: ['love', 'romance'], artist: 'Whitney Houston', song: 'I Will Always Love You' }
+];
+
+const STUB_QUESTIONS = [
+  { text: 'What song would you play during a thunderstorm?', category: 'mood' },
+  { text: 'What song makes you feel like a main character?', category: 'personal' },
+  { text: 'What song would you blast on the first day of summer?', category: 'time' },
+  { text: 'What song always gets you dancing in the kitchen?', category: 'activity' }
+];
+
+/**
+ * Small stable hash so stub choices are deterministic per prompt
+ */
+function hashText(text) {
+  let hash = 0;
+  for (let i = 0; i < text.length; i++) {
+    hash = (hash * 31 + text.charCodeAt(i)) >>> 0;
+  }
+  return hash;
+}
+
+/**
+ * Deterministic offline provider for tests and CI.
+ *
+ * Responses come from `script[task]` when present (a list consumed in order,
+ * each entry a string, an object serialised to JSON, or a function of the
+ * request), otherwise from simple rules over the prompt text.
+ * `script.moderation` scripts moderate() the same way ({ flagged, categories }
+ * or a function of the text); unscripted text is never flagged.
+ */
+class StubProvider {
+  constructor(options = {}) {
+    this.name = 'stub';
+    this.model = options.model || 'stub';
+    this.script = { ...(options.script || {}) };
+    this.calls = [];
+    this.moderations = [];
+  }
+
+  isAvailable() {
+    return true;
+  }
+
+  supportsModeration() {
+    return true;
+  }
+
+  async moderate(text) {
+    this.moderations.push(text);
+    const scripted = this.script.moderation;
+    let result = { flagged: false, categories: [] };
+    if (Array.isArray(scripted) && scripted.length > 0) {
+      const next = scripted.length > 1 ? scripted.shift() : scripted[0];
+      result = typeof next === 'function' ? next(text) : next;
+    }
+    if (result instanceof Error) {
+      throw result;
+    }
+    return { flagged: !!result.flagged, categories: result.categories || [], provider: this.name };
+  }
+
+  async complete(request) {
+    this.calls.push(request);
+    const task = request.task || 'suggestions';
+    const prompt = request.messages.map(m => m.content).join('\n');
+
+    let content;
+    const scripted = this.script[task];
+    if (Array.isArray(scripted) && scripted.length > 0) {
+      const next = scripted.length > 1 ? scripted.shift() : scripted[0];
+      content = typeof next === 'function' ? next(request) : next;
+    } else {
+      content = this.respondByRule(task, prompt);
+    }
+
+    if (content instanceof Error) {
+      throw content;
+    }
+    if (typeof content !== 'string') {
+      content = JSON.stringify(content);
+    }
+
+    const promptTokens = Math.ceil(prompt.length / 4);
+    const completionTokens = Math.ceil(content.length / 4);
+    return {
+      content,
+      usage: { prompt_tokens: promptTokens, completion_tokens: completionTokens, total_tokens: promptTokens + completionTokens },
+      model: this.model,
+      provider: this.name
+    };
+  }
+
+  respondByRule(task, prompt) {
+    const text = prompt.toLowerCase();
+    const seed = hashText(prompt);
+
+    switch (task) {
+      case 'self-vote':
+        return JSON.stringify({ winner: seed % 2 === 0 ? 'PLAYER1' : 'PLAYER2', reason: 'Stronger fit for the question' });
+
+      case 'vote': {
+        const options = (prompt.match(/^Option \d+:/gm) || []).length || 1;
+        return JSON.stringify({ option: (seed % options) + 1, reason: 'Best answer to the question' });
+      }
+
+      case 'question': {
+        const question = STUB_QUESTIONS[seed % STUB_QUESTIONS.length];
+        return JSON.stringify({ question, reasoning: 'Stub provider question' });
+      }
+
+      case 'suggestions':
+      default: {
+        const questionLine = (prompt.match(/Question: "([^"]*)"/) || [])[1]?.toLowerCase() || text;
+        const scored = STUB_SONGS
+          .map((song, index) => ({ song, index, hits: song.keywords.filter(k => questionLine.includes(k)).length }))
+          .sort((a, b) => b.hits - a.hits || ((a.index + seed) % STUB_SONGS.length) - ((b.index + seed) % STUB_SONGS.length));
+
+        const suggestions = scored.slice(0, 5).map(({ song, hits }) => ({
+          artist: song.artist,
+          song: song.song,
+          reasoning: hits > 0 ? `Matches "${song.keywords.find(k => questionLine.includes(k))}"` : 'Crowd-pleasing stub pick'
+        }));
+        return JSON.stringify({ suggestions });
+      }
+    }
+  }
+}
+
+/**
+ * Load a stub script from LLM_STUB_SCRIPT (path to a JSON file keyed by task)
+ */
+function loadStubScript(path) {
+  if (!path) return undefined;
+  return JSON.parse(fs.readFileSync(path, 'utf8'));
+}
+
+/**
+ * Why a provider cannot be used with this environment's settings, or null when it can
+ */
+function providerProblem(provider, env = process.env) {
+  switch (provider) {
+    case 'openai':
+      return env.OPENAI_API_KEY ? null : 'openai requires an API key (OPENAI_API_KEY)';
+    case 'openai-compatible':
+      return env.LLM_BASE_URL ? null : 'openai-compatible requires a base URL (LLM_BASE_URL)';
+    case 'stub':
+      return null;
+    default:
+      return `Unknown LLM provider "${provider}". Expected one of: ${PROVIDER_NAMES.join(', ')}`;
+  }
+}
+
+/**
+ * Build a provider from per-bot overrides layered over environment settings.
+ *
+ * Environment: LLM_PROVIDER (openai | openai-compatible | stub), LLM_MODEL,
+ * LLM_BASE_URL, LLM_API_KEY, OPENAI_API_KEY, LLM_STUB_SCRIPT,
+ * LLM_RESPONSE_FORMAT (json_schema | json_object | none).
+ * Overrides (e.g. from the spawn request): { provider, model }.
+ */
+function createLLMProvider(overrides = {}, env = process.env) {
+  const provider = overrides.provider || env.LLM_PROVIDER || 'openai';
+  const model = overrides.model || env.LLM_MODEL || undefined;
+  const responseFormatMode = env.LLM_RESPONSE_FORMAT || undefined;
+  if (responseFormatMode && !RESPONSE_FORMAT_MODES.includes(responseFormatMode)) {
+    throw new Error(`Unknown LLM_RESPONSE_FORMAT "${responseFormatMode}". Expected one of: ${RESPONSE_FORMAT_MODES.join(', ')}`);
+  }
+
+  switch (provider) {
+    case 'openai':
+      return new OpenAIProvider({ apiKey: env.OPENAI_API_KEY, model, responseFormatMode });
+
+    case 'openai-compatible':
+      return new OpenAICompatibleProvider({
+        baseUrl: env.LLM_BASE_URL,
+        apiKey: env.LLM_API_KEY,
+        model,
+        responseFormatMode
+      });
+
+    case 'stub':
+      return new StubProvider({ model, script: overrides.script || loadStubScript(env.LLM_STUB_SCRIPT) });
+
+    default:
+      throw new Error(`Unknown LLM provider "${provider}". Expected one of: ${PROVIDER_NAMES.join(', ')}`);
+  }
+}
+
+/**
+ * createLLMProvider for a bot that must keep playing: a selection that cannot be
+ * built falls back to the environment's default provider, and failing that to an
+ * OpenAI provider without a key, so the bot plays offline (catalog and question bank)
+ */
+function createLLMProviderWithFallback(overrides = {}, env = process.env, { logPrefix = 'Bot' } = {}) {
+  try {
+    return createLLMProvider(overrides, env);
+  } catch (error) {
+    console.warn(`⚠️ ${logPrefix} cannot use the requested AI provider: ${error.message}`);
+  }
+  if (overrides.provider || overrides.model) {
+    try {
+      const fallback = createLLMProvider({}, env);
+      console.warn(`⚠️ ${logPrefix} falling back to the default AI provider (${fallback.name})`);
+      return fallback;
+    } catch (error) {
+      console.warn(`⚠️ ${logPrefix} cannot use the default AI provider either: ${error.message}`);
+    }
+  }
+  console.warn(`⚠️ ${logPrefix} playing without AI`);
+  return new OpenAIProvider({});
+}
+
+module.exports = {
+  OpenAIProvider,
+  OpenAICompatibleProvider,
+  StubProvider,
+  LLMProviderError,
+  createLLMProvider,
+  createLLMProviderWithFallback,
+  providerProblem,
+  PROVIDER_NAMES,
+  RESPONSE_FORMAT_MODES,
+  DEFAULT_MODEL
+};
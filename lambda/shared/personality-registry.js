@@ -0,0 +1,302 @@
+// lambda/shared/personality-registry.js
+// Bot personalities are declared in personalities/*.json, one file per
+// personality. Both Lambdas load and validate the registry when the module is
+// first required, so a bad definition fails the deploy's cold start instead
+// of a game.
+//
+// Definition shape:
+//   id, name, description, namePrefix, temperature, votingStyle,
+//   voting: { prefer: unique | popular | indie | vintage | random, objectivity?, competitiveness? } (see voting-strategy.js)
+//   prompts: { songSelection, questionSelection },
+//   fallbackSongs: [{ artist, song, reasoning? }],
+//   fallbackQuestions: [{ text, category }] (category from question-bank.js CATEGORIES),
+//   versionPreferences?: { weights, whenAsked } (see version-preferences.js)
+//   catalogPreferences?: { genres, decades, years, popularity, popularityWeight } (see song-catalog.js)
+//   questionPreferences?: { categories, tones, difficulties } (see question-bank.js)
+//
+// Spawn requests may also carry an inline custom personality (see
+// buildCustomPersonality), which borrows the default personality's fallbacks.
+const fs = require('fs');
+const path = require('path');
+const { validateVersionPreferences } = require('./version-preferences');
+const { validateCatalogPreferences } = require('./song-catalog');
+const { CATEGORIES, validateQuestionPreferences } = require('./question-bank');
+const { isCompetitiveness } = require('./voting-strategy');
+
+const DEFAULT_DIRECTORY = path.join(__dirname, '..', '..', 'personalities');
+const DEFAULT_PERSONALITY = 'eclectic';
+const VOTING_PREFERENCES = ['unique', 'popular', 'indie', 'vintage', 'random'];
+const MAX_PROMPT_LENGTH = 2000;
+
+// Inline personalities from /spawn-bot requests
+const CUSTOM_PERSONALITY_ID = 'custom';
+const CUSTOM_FIELDS = ['name', 'prompt', 'questionPrompt', 'temperature', 'votingBias'];
+const MAX_CUSTOM_PERSONALITY_BYTES = 4096;
+const MAX_CUSTOM_PROMPT_LENGTH = 1000;
+
+const FIELDS = ['id', 'name', 'description', 'namePrefix', 'temperature', 'votingStyle', 'voting', 'prompts', 'fallbackSongs', 'fallbackQuestions', 'versionPreferences', 'catalogPreferences', 'questionPreferences'];
+
+/**
+ * Raised when personality definitions fail to load or validate; `problems` lists every issue
+ */
+class PersonalityRegistryError extends Error {
+  constructor(message, problems = []) {
+    super(problems.length ? `${message}:\n  - ${problems.join('\n  - ')}` : message);
+    this.name = 'PersonalityRegistryError';
+    this.problems = problems;
+  }
+}
+
+const isNonEmptyString = (value, max = 200) => typeof value === 'string' && value.trim().length > 0 && value.length <= max;
+
+/**
+ * Check one definition; returns a list of problems (empty when valid)
+ */
+function validatePersonality(definition, source = 'personality') {
+  const problems = [];
+  const problem = (message) => problems.push(`${source}: ${message}`);
+
+  if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+    problem('must be an object');
+    return problems;
+  }
+
+  for (const key of Object.keys(definition)) {
+    if (!FIELDS.includes(key)) problem(`unknown field "${key}"`);
+  }
+
+  if (typeof definition.id !== 'string' || !/^[a-z][a-z0-9-]{0,31}$/.test(definition.id)) {
+    problem('id must be lowercase letters, digits or dashes (max 32)');
+  }
+  if (!isNonEmptyString(definition.name, 60)) problem('name must be a non-empty string (max 60)');
+  if (!isNonEmptyString(definition.description)) problem('description must be a non-empty string (max 200)');
+  if (typeof definition.namePrefix !== 'string' || !/^[a-z0-9]{1,12}$/.test(definition.namePrefix)) {
+    problem('namePrefix must be 1-12 lowercase letters or digits');
+  }
+  if (typeof definition.temperature !== 'number' || definition.temperature < 0 || definition.temperature > 2) {
+    problem('temperature must be a number between 0 and 2');
+  }
+  if (!isNonEmptyString(definition.votingStyle, 40)) problem('votingStyle must be a non-empty string (max 40)');
+
+  const voting = definition.voting;
+  if (!voting || !VOTING_PREFERENCES.includes(voting.prefer)) {
+    problem(`voting.prefer must be one of: ${VOTING_PREFERENCES.join(', ')}`);
+  } else if (voting.objectivity !== undefined &&
+             (typeof voting.objectivity !== 'number' || voting.objectivity < 0 || voting.objectivity > 1)) {
+    problem('voting.objectivity must be a number between 0 and 1');
+  }
+  if (voting && voting.competitiveness !== undefined && !isCompetitiveness(voting.competitiveness)) {
+    problem('voting.competitiveness must be a number between 0 and 1');
+  }
+
+  for (const prompt of ['songSelection', 'questionSelection']) {
+    if (!isNonEmptyString(definition.prompts?.[prompt], MAX_PROMPT_LENGTH)) {
+      problem(`prompts.${prompt} must be a non-empty string (max ${MAX_PROMPT_LENGTH})`);
+    }
+  }
+
+  if (!Array.isArray(definition.fallbackSongs) || definition.fallbackSongs.length === 0) {
+    problem('fallbackSongs must be a non-empty array');
+  } else {
+    definition.fallbackSongs.forEach((song, i) => {
+      if (!isNonEmptyString(song?.artist) || !isNonEmptyString(song?.song)) {
+        problem(`fallbackSongs[${i}] needs artist and song`);
+      } else if (song.reasoning !== undefined && typeof song.reasoning !== 'string') {
+        problem(`fallbackSongs[${i}].reasoning must be a string`);
+      }
+    });
+  }
+
+  if (!Array.isArray(definition.fallbackQuestions) || definition.fallbackQuestions.length === 0) {
+    problem('fallbackQuestions must be a non-empty array');
+  } else {
+    definition.fallbackQuestions.forEach((question, i) => {
+      if (!isNonEmptyString(question?.text) || !isNonEmptyString(question?.category, 40)) {
+        problem(`fallbackQuestions[${i}] needs text and category`);
+      } else if (!CATEGORIES.includes(question.category)) {
+        problem(`fallbackQuestions[${i}].category must be one of: ${CATEGORIES.join(', ')}`);
+      }
+    });
+  }
+
+  validateVersionPreferences(definition.versionPreferences).forEach(problem);
+  validateCatalogPreferences(definition.catalogPreferences).forEach(problem);
+  validateQuestionPreferences(definition.questionPreferences).forEach(problem);
+
+  return problems;
+}
+
+class PersonalityRegistry {
+  /**
+   * @param {Array} definitions - Validated personality definitions
+   * @param {string} [defaultId] - Used for unknown personality names
+   */
+  constructor(definitions, defaultId = DEFAULT_PERSONALITY) {
+    this.personalities = new Map(definitions.map(definition => [definition.id, Object.freeze(definition)]));
+    this.defaultId = defaultId;
+
+    if (!this.personalities.has(defaultId)) {
+      throw new PersonalityRegistryError(`Default personality "${defaultId}" is not defined`);
+    }
+  }
+
+  has(id) {
+    return this.personalities.has(id);
+  }
+
+  get(id) {
+    return this.personalities.get(id) || null;
+  }
+
+  /**
+   * The named personality, or the default one when it is unknown
+   */
+  resolve(id) {
+    return this.get(id) || this.get(this.defaultId);
+  }
+
+  ids() {
+    return [...this.personalities.keys()];
+  }
+
+  list() {
+    return [...this.personalities.values()];
+  }
+}
+
+/**
+ * Load and validate every *.json definition in a directory
+ */
+function loadPersonalities(directory = DEFAULT_DIRECTORY, { defaultId = DEFAULT_PERSONALITY } = {}) {
+  let files;
+  try {
+    files = fs.readdirSync(directory).filter(file => file.endsWith('.json')).sort();
+  } catch (error) {
+    throw new PersonalityRegistryError(`Cannot read personalities from ${directory}: ${error.message}`);
+  }
+
+  const problems = [];
+  const definitions = [];
+  const prefixes = new Map();
+
+  for (const file of files) {
+    let definition;
+    try {
+      definition = JSON.parse(fs.readFileSync(path.join(directory, file), 'utf8'));
+    } catch (error) {
+      problems.push(`${file}: invalid JSON (${error.message})`);
+      continue;
+    }
+
+    const fileProblems = validatePersonality(definition, file);
+    if (!fileProblems.length && definition.id === CUSTOM_PERSONALITY_ID) {
+      fileProblems.push(`${file}: id "${CUSTOM_PERSONALITY_ID}" is reserved for inline personalities`);
+    }
+    if (!fileProblems.length && definition.id !== path.basename(file, '.json')) {
+      fileProblems.push(`${file}: id "${definition.id}" must match the file name`);
+    }
+    if (!fileProblems.length && prefixes.has(definition.namePrefix)) {
+      fileProblems.push(`${file}: namePrefix "${definition.namePrefix}" is already used by ${prefixes.get(definition.namePrefix)}`);
+    }
+
+    if (fileProblems.length) {
+      problems.push(...fileProblems);
+    } else {
+      prefixes.set(definition.namePrefix, definition.id);
+      definitions.push(definition);
+    }
+  }
+
+  if (problems.length) {
+    throw new PersonalityRegistryError('Invalid personality definitions', problems);
+  }
+  if (definitions.length === 0) {
+    throw new PersonalityRegistryError(`No personality definitions found in ${directory}`);
+  }
+
+  return new PersonalityRegistry(definitions, defaultId);
+}
+
+/**
+ * Turn an inline personality from a spawn request into a full definition.
+ *
+ * Input: { name, prompt, questionPrompt?, temperature?, votingBias? }
+ * Returns { definition, problems }; definition is null when there are problems.
+ */
+function buildCustomPersonality(input, registry) {
+  const problems = [];
+
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { definition: null, problems: ['personality must be a name or an object'] };
+  }
+  if (Buffer.byteLength(JSON.stringify(input)) > MAX_CUSTOM_PERSONALITY_BYTES) {
+    return { definition: null, problems: [`personality must be at most ${MAX_CUSTOM_PERSONALITY_BYTES} bytes`] };
+  }
+
+  for (const key of Object.keys(input)) {
+    if (!CUSTOM_FIELDS.includes(key)) problems.push(`unknown field "${key}"`);
+  }
+  if (!isNonEmptyString(input.name, 40)) problems.push('name must be a non-empty string (max 40)');
+  if (!isNonEmptyString(input.prompt, MAX_CUSTOM_PROMPT_LENGTH)) {
+    problems.push(`prompt must be a non-empty string (max ${MAX_CUSTOM_PROMPT_LENGTH})`);
+  }
+  if (input.questionPrompt !== undefined && !isNonEmptyString(input.questionPrompt, MAX_CUSTOM_PROMPT_LENGTH)) {
+    problems.push(`questionPrompt must be a non-empty string (max ${MAX_CUSTOM_PROMPT_LENGTH})`);
+  }
+  if (input.temperature !== undefined &&
+      (typeof input.temperature !== 'number' || input.temperature < 0 || input.temperature > 1.5)) {
+    problems.push('temperature must be a number between 0 and 1.5');
+  }
+  if (input.votingBias !== undefined && !VOTING_PREFERENCES.includes(input.votingBias)) {
+    problems.push(`votingBias must be one of: ${VOTING_PREFERENCES.join(', ')}`);
+  }
+
+  if (problems.length) {
+    return { definition: null, problems };
+  }
+
+  const base = registry.resolve(registry.defaultId);
+  const name = input.name.trim();
+  const definition = {
+    id: CUSTOM_PERSONALITY_ID,
+    name,
+    description: `Custom personality: ${name}`,
+    namePrefix: CUSTOM_PERSONALITY_ID,
+    temperature: input.temperature ?? 0.7,
+    votingStyle: CUSTOM_PERSONALITY_ID,
+    voting: { prefer: input.votingBias || 'random' },
+    prompts: {
+      songSelection: input.prompt.trim(),
+      questionSelection: (input.questionPrompt || input.prompt).trim()
+    },
+    fallbackSongs: base.fallbackSongs,
+    fallbackQuestions: base.fallbackQuestions
+  };
+
+  return { definition, problems: validatePersonality(definition, 'personality') };
+}
+
+let sharedRegistry = null;
+
+/**
+ * Registry for this process, loaded once from PERSONALITIES_DIR (or ./personalities)
+ */
+function getPersonalityRegistry(env = process.env) {
+  if (!sharedRegistry) {
+    sharedRegistry = loadPersonalities(env.PERSONALITIES_DIR || DEFAULT_DIRECTORY);
+    console.log(`🎭 Loaded ${sharedRegistry.ids().length} personalities: ${sharedRegistry.ids().join(', ')}`);
+  }
+  return sharedRegistry;
+}
+
+module.exports = {
+  PersonalityRegistry,
+  PersonalityRegistryError,
+  validatePersonality,
+  buildCustomPersonality,
+  loadPersonalities,
+  getPersonalityRegistry,
+  DEFAULT_PERSONALITY,
+  CUSTOM_PERSONALITY_ID,
+  VOTING_PREFERENCES
+};
@@ -0,0 +1,239 @@
+// lambda/shared/prompt-templates.js
+// AI prompts live in prompts/*.txt, one file per task, so wording can change
+// without touching the worker. Like personalities, every template is loaded
+// and validated when the module is first required.
+//
+// File format:
+//   # comment lines
+//   # version: 3
+//   [system]
+//   ...
+//   [user]
+//   ... {{variable}} ...
+//
+// Overrides sit next to the defaults; the most specific file wins:
+//   prompts/experiments/<experiment>/<variant>/<task>.txt (see experiments.js)
+//   prompts/stages/<stage>/personalities/<personality>/<task>.txt
+//   prompts/personalities/<personality>/<task>.txt
+//   prompts/stages/<stage>/<task>.txt
+//   prompts/<task>.txt
+//
+// Every rendered prompt carries a version id (`<template>@<version>#<hash>`)
+// that the worker logs with the decision it produced. The hash changes with
+// any edit, even when the declared version was not bumped.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const DEFAULT_DIRECTORY = path.join(__dirname, '..', '..', 'prompts');
+const SECTIONS = ['system', 'user'];
+
+// Variables each task's templates may use
+const TEMPLATE_VARIABLES = {
+  suggestions: ['personalityPrompt', 'question', 'history', 'versionHints', 'count'],
+  'self-vote': ['question', 'ownSong', 'opponentSong'],
+  vote: ['personalityPrompt', 'question', 'options'],
+  question: ['personalityPrompt', 'categories', 'askedQuestions']
+};
+const PROMPT_TASKS = Object.keys(TEMPLATE_VARIABLES);
+
+/**
+ * Raised when templates fail to load or validate; `problems` lists every issue
+ */
+class PromptTemplateError extends Error {
+  constructor(message, problems = []) {
+    super(problems.length ? `${message}:\n  - ${problems.join('\n  - ')}` : message);
+    this.name = 'PromptTemplateError';
+    this.problems = problems;
+  }
+}
+
+/**
+ * Parse one template file; returns { template, problems }
+ */
+function parseTemplate(source, { id, task }) {
+  const problems = [];
+  const sections = {};
+  let version = null;
+  let current = null;
+
+  for (const line of source.replace(/\r\n/g, '\n').split('\n')) {
+    const section = line.match(/^\[(\w+)\]\s*$/);
+    if (section) {
+      current = section[1];
+      if (!SECTIONS.includes(current)) problems.push(`${id}: unknown section [${current}]`);
+      sections[current] = [];
+    } else if (current) {
+      sections[current].push(line);
+    } else if (line.startsWith('#')) {
+      const declared = line.match(/^#\s*version:\s*(\S+)\s*$/);
+      if (declared) version = declared[1];
+    } else if (line.trim()) {
+      problems.push(`${id}: text before the first section`);
+    }
+  }
+
+  if (!version) problems.push(`${id}: missing "# version: ..." header`);
+
+  const body = {};
+  for (const name of SECTIONS) {
+    body[name] = (sections[name] || []).join('\n').trim();
+    if (!body[name]) problems.push(`${id}: [${name}] section is missing or empty`);
+  }
+
+  const allowed = TEMPLATE_VARIABLES[task] || [];
+  for (const [, variable] of `${body.system}\n${body.user}`.matchAll(/\{\{\s*(\w+)\s*\}\}/g)) {
+    if (!allowed.includes(variable)) problems.push(`${id}: unknown variable {{${variable}}} (allowed: ${allowed.join(', ')})`);
+  }
+
+  const hash = crypto.createHash('sha1').update(source).digest('hex').slice(0, 8);
+  return {
+    template: { id, task, version, system: body.system, user: body.user, versionId: `${id}@${version}#${hash}` },
+    problems
+  };
+}
+
+/**
+ * Fill in {{variables}}; empty ones leave no stray blank lines
+ */
+function fillTemplate(text, variables) {
+  return text
+    .replace(/\{\{\s*(\w+)\s*\}\}/g, (_, name) => {
+      const value = variables[name];
+      if (value === undefined || value === null) {
+        throw new PromptTemplateError(`Missing prompt variable {{${name}}}`);
+      }
+      return String(value);
+    })
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+class PromptRegistry {
+  /**
+   * @param {Map<string, Object>} templates - Parsed templates keyed by id
+   */
+  constructor(templates) {
+    this.templates = templates;
+  }
+
+  /**
+   * The template used for a task, most specific override first
+   *
+   * @param {Object} [context] - { personality, stage, experiments: { experimentId: variantId } }
+   */
+  resolve(task, { personality, stage, experiments = {} } = {}) {
+    const candidates = [
+      ...Object.keys(experiments).sort().map(id => `experiments/${id}/${experiments[id]}/${task}`),
+      stage && personality && `stages/${stage}/personalities/${personality}/${task}`,
+      personality && `personalities/${personality}/${task}`,
+      stage && `stages/${stage}/${task}`,
+      task
+    ].filter(Boolean);
+
+    const id = candidates.find(candidate => this.templates.has(candidate));
+    if (!id) throw new PromptTemplateError(`No prompt template for task "${task}"`);
+    return this.templates.get(id);
+  }
+
+  /**
+   * Chat messages for a task
+   *
+   * @returns {{ messages: Array, versionId: string }}
+   */
+  render(task, variables, context = {}) {
+    const template = this.resolve(task, context);
+    return {
+      versionId: template.versionId,
+      messages: [
+        { role: 'system', content: fillTemplate(template.system, variables) },
+        { role: 'user', content: fillTemplate(template.user, variables) }
+      ]
+    };
+  }
+
+  ids() {
+    return [...this.templates.keys()].sort();
+  }
+}
+
+/**
+ * Template files under a directory, as ids relative to it ("stages/dev/vote")
+ */
+function listTemplateFiles(directory, prefix = '') {
+  const files = [];
+  for (const entry of fs.readdirSync(path.join(directory, prefix), { withFileTypes: true })) {
+    const relative = prefix ? `${prefix}/${entry.name}` : entry.name;
+    if (entry.isDirectory()) {
+      files.push(...listTemplateFiles(directory, relative));
+    } else if (entry.name.endsWith('.txt')) {
+      files.push(relative.slice(0, -'.txt'.length));
+    }
+  }
+  return files.sort();
+}
+
+/**
+ * Load and validate every template in a directory
+ */
+function loadPromptTemplates(directory = DEFAULT_DIRECTORY) {
+  let ids;
+  try {
+    ids = listTemplateFiles(directory);
+  } catch (error) {
+    throw new PromptTemplateError(`Cannot read prompt templates from ${directory}: ${error.message}`);
+  }
+
+  const problems = [];
+  const templates = new Map();
+
+  for (const id of ids) {
+    const placement = id.match(/^(?:experiments\/[\w-]+\/[\w-]+\/|(?:stages\/[\w-]+\/)?(?:personalities\/[\w-]+\/)?)([\w-]+)$/);
+    const task = placement?.[1];
+    if (!placement || !PROMPT_TASKS.includes(task)) {
+      problems.push(`${id}.txt: not a known task or override location (tasks: ${PROMPT_TASKS.join(', ')})`);
+      continue;
+    }
+
+    const parsed = parseTemplate(fs.readFileSync(path.join(directory, `${id}.txt`), 'utf8'), { id, task });
+    if (parsed.problems.length) {
+      problems.push(...parsed.problems);
+    } else {
+      templates.set(id, parsed.template);
+    }
+  }
+
+  for (const task of PROMPT_TASKS) {
+    if (!ids.includes(task)) problems.push(`${task}.txt: missing default template`);
+  }
+
+  if (problems.length) {
+    throw new PromptTemplateError('Invalid prompt templates', problems);
+  }
+
+  return new PromptRegistry(templates);
+}
+
+let sharedRegistry = null;
+
+/**
+ * Registry for this process, loaded once from PROMPTS_DIR (or ./prompts)
+ */
+function getPromptRegistry(env = process.env) {
+  if (!sharedRegistry) {
+    sharedRegistry = loadPromptTemplates(env.PROMPTS_DIR || DEFAULT_DIRECTORY);
+    console.log(`🧾 Loaded ${sharedRegistry.ids().length} prompt templates: ${sharedRegistry.ids().join(', ')}`);
+  }
+  return sharedRegistry;
+}
+
+module.exports = {
+  PromptRegistry,
+  PromptTemplateError,
+  PROMPT_TASKS,
+  TEMPLATE_VARIABLES,
+  parseTemplate,
+  fillTemplate,
+  loadPromptTemplates,
+  getPromptRegistry
+};
@@ -0,0 +1,248 @@
+// lambda/shared/question-bank.js
+// Offline bank of questions a winning bot can set for the next round when the
+// AI is not used. Questions live in questions/<category>.json, one file per
+// category of the taxonomy below:
+//
+//   { "category": "travel", "questions": [
+//       { "text": "What's the best song for a road trip?", "tone": "fun", "difficulty": "easy" }
+//   ] }
+//
+// `tone` is how the question feels to answer and `difficulty` how much music
+// knowledge it takes. A pick is a weighted random draw: every question starts
+// at weight 1, multiplied by the personality's questionPreferences for its
+// category, tone and difficulty (0 rules it out). Questions already asked in
+// the game are skipped.
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_DIRECTORY = path.join(__dirname, '..', '..', 'questions');
+
+const CATEGORIES = [
+  'emotion', 'memories', 'decades', 'party', 'love', 'heartbreak', 'friendship', 'family', 'travel', 'seasons',
+  'activity', 'screen', 'lyrics', 'musicianship', 'discovery', 'guilty-pleasure', 'hypothetical', 'milestones',
+  'covers', 'legacy', 'genres', 'places'
+];
+const TONES = ['fun', 'heartfelt', 'reflective', 'nerdy'];
+const DIFFICULTIES = ['easy', 'medium', 'hard'];
+
+const MAX_WEIGHT = 5;
+const MIN_TEXT_LENGTH = 10;
+const MAX_TEXT_LENGTH = 200;
+
+/**
+ * Raised when question files fail to load or validate; `problems` lists every issue
+ */
+class QuestionBankError extends Error {
+  constructor(message, problems = []) {
+    super(problems.length ? `${message}:\n  - ${problems.join('\n  - ')}` : message);
+    this.name = 'QuestionBankError';
+    this.problems = problems;
+  }
+}
+
+/**
+ * Normalised question text, so "What's the best song?" and "whats the best song" are the same question
+ */
+function questionKey(text) {
+  return String(text || '').toLowerCase().replace(/[’']/g, '').replace(/&/g, ' and ').replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+/**
+ * Check a personality's questionPreferences; returns a list of problems
+ *
+ * Shape: { categories?: { category: weight }, tones?: { tone: weight }, difficulties?: { difficulty: weight } }
+ */
+function validateQuestionPreferences(preferences) {
+  if (preferences === undefined) return [];
+  if (!preferences || typeof preferences !== 'object' || Array.isArray(preferences)) {
+    return ['questionPreferences must be an object'];
+  }
+
+  const problems = [];
+  const vocabularies = { categories: CATEGORIES, tones: TONES, difficulties: DIFFICULTIES };
+  for (const [field, weights] of Object.entries(preferences)) {
+    const valid = vocabularies[field];
+    if (!valid) {
+      problems.push(`questionPreferences: unknown field "${field}"`);
+      continue;
+    }
+    if (!weights || typeof weights !== 'object' || Array.isArray(weights)) {
+      problems.push(`questionPreferences.${field} must map ${field} to weights`);
+      continue;
+    }
+    for (const [key, weight] of Object.entries(weights)) {
+      if (!valid.includes(key)) problems.push(`questionPreferences.${field}: unknown value "${key}"`);
+      if (typeof weight !== 'number' || weight < 0 || weight > MAX_WEIGHT) {
+        problems.push(`questionPreferences.${field}.${key} must be a number between 0 and ${MAX_WEIGHT}`);
+      }
+    }
+  }
+  return problems;
+}
+
+/**
+ * Check one question file; returns a list of problems (empty when valid)
+ */
+function validateQuestionFile(content, source = 'questions') {
+  const problems = [];
+  const problem = (message) => problems.push(`${source}: ${message}`);
+
+  if (!content || typeof content !== 'object') {
+    problem('must be an object with "category" and "questions"');
+    return problems;
+  }
+  for (const key of Object.keys(content)) {
+    if (!['category', 'questions'].includes(key)) problem(`unknown field "${key}"`);
+  }
+  if (!CATEGORIES.includes(content.category)) {
+    problem(`category must be one of: ${CATEGORIES.join(', ')} (got ${JSON.stringify(content.category)})`);
+  }
+  if (!Array.isArray(content.questions) || content.questions.length === 0) {
+    problem('must have a non-empty "questions" array');
+    return problems;
+  }
+
+  content.questions.forEach((question, i) => {
+    const label = `questions[${i}]`;
+    for (const key of Object.keys(question || {})) {
+      if (!['text', 'tone', 'difficulty'].includes(key)) problem(`${label}: unknown field "${key}"`);
+    }
+    const text = question?.text;
+    if (typeof text !== 'string' || text.trim().length < MIN_TEXT_LENGTH || text.length > MAX_TEXT_LENGTH || !text.trim().endsWith('?')) {
+      problem(`${label}: text must be a question of ${MIN_TEXT_LENGTH}-${MAX_TEXT_LENGTH} characters ending in "?"`);
+    }
+    if (!TONES.includes(question?.tone)) problem(`${label}: tone must be one of: ${TONES.join(', ')}`);
+    if (!DIFFICULTIES.includes(question?.difficulty)) problem(`${label}: difficulty must be one of: ${DIFFICULTIES.join(', ')}`);
+  });
+
+  return problems;
+}
+
+class QuestionBank {
+  /**
+   * @param {Array} questions - Validated questions: [{ text, category, tone, difficulty }]
+   */
+  constructor(questions) {
+    this.questions = questions;
+  }
+
+  get size() {
+    return this.questions.length;
+  }
+
+  categories() {
+    return [...new Set(this.questions.map(question => question.category))];
+  }
+
+  /**
+   * A question's selection weight for a personality's questionPreferences
+   */
+  weigh(question, preferences = {}) {
+    return (preferences.categories?.[question.category] ?? 1) *
+      (preferences.tones?.[question.tone] ?? 1) *
+      (preferences.difficulties?.[question.difficulty] ?? 1);
+  }
+
+  /**
+   * Draw one question, weighted by the preferences; null when nothing is left.
+   *
+   * @param {Object} [options]
+   * @param {Object} [options.preferences] - A personality's questionPreferences
+   * @param {Function} [options.exclude] - (question) => true to skip it (e.g. already asked)
+   * @param {Function} [options.random] - Returns a number in [0, 1); Math.random by default
+   */
+  pick({ preferences = {}, exclude = null, random = Math.random } = {}) {
+    const candidates = (exclude ? this.questions.filter(question => !exclude(question)) : this.questions)
+      .map(question => ({ question, weight: this.weigh(question, preferences) }))
+      .filter(candidate => candidate.weight > 0);
+    if (candidates.length === 0) return null;
+
+    const total = candidates.reduce((sum, candidate) => sum + candidate.weight, 0);
+    let target = random() * total;
+    for (const candidate of candidates) {
+      target -= candidate.weight;
+      if (target < 0) return candidate.question;
+    }
+    return candidates[candidates.length - 1].question;
+  }
+}
+
+/**
+ * Load and validate every *.json file in a directory; each file is named after its category
+ */
+function loadQuestionBank(directory = DEFAULT_DIRECTORY) {
+  let files;
+  try {
+    files = fs.readdirSync(directory).filter(file => file.endsWith('.json')).sort();
+  } catch (error) {
+    throw new QuestionBankError(`Cannot read the question bank from ${directory}: ${error.message}`);
+  }
+
+  const problems = [];
+  const questions = [];
+  const seen = new Map();
+
+  for (const file of files) {
+    let content;
+    try {
+      content = JSON.parse(fs.readFileSync(path.join(directory, file), 'utf8'));
+    } catch (error) {
+      problems.push(`${file}: invalid JSON (${error.message})`);
+      continue;
+    }
+
+    const fileProblems = validateQuestionFile(content, file);
+    if (!fileProblems.length && content.category !== path.basename(file, '.json')) {
+      fileProblems.push(`${file}: category "${content.category}" must match the file name`);
+    }
+    if (fileProblems.length) {
+      problems.push(...fileProblems);
+      continue;
+    }
+
+    for (const question of content.questions) {
+      const key = questionKey(question.text);
+      if (seen.has(key)) {
+        problems.push(`${file}: "${question.text}" is already in ${seen.get(key)}`);
+        continue;
+      }
+      seen.set(key, file);
+      questions.push({ text: question.text.trim(), category: content.category, tone: question.tone, difficulty: question.difficulty });
+    }
+  }
+
+  if (problems.length) {
+    throw new QuestionBankError('Invalid question bank', problems);
+  }
+  if (questions.length === 0) {
+    throw new QuestionBankError(`No questions found in ${directory}`);
+  }
+
+  return new QuestionBank(questions);
+}
+
+let sharedBank = null;
+
+/**
+ * Question bank for this process, loaded once from QUESTION_BANK_DIR (or ./questions)
+ */
+function getQuestionBank(env = process.env) {
+  if (!sharedBank) {
+    sharedBank = loadQuestionBank(env.QUESTION_BANK_DIR || DEFAULT_DIRECTORY);
+    console.log(`❓ Loaded ${sharedBank.size} questions in ${sharedBank.categories().length} categories`);
+  }
+  return sharedBank;
+}
+
+module.exports = {
+  QuestionBank,
+  QuestionBankError,
+  CATEGORIES,
+  TONES,
+  DIFFICULTIES,
+  questionKey,
+  validateQuestionFile,
+  validateQuestionPreferences,
+  loadQuestionBank,
+  getQuestionBank
+};
@@ -0,0 +1,113 @@
+// lambda/shared/question-validator.js
+// Checks an AI-generated winner question before it goes to the game. The
+// question prompt asks for one "what song" question with a category, but
+// models drift: they ask why, chain two questions, repeat an earlier round or
+// invent categories. normalizeQuestion fixes what can be fixed (spacing,
+// wrapping quotes, a missing question mark, category synonyms);
+// validateQuestion lists what cannot, so the worker can regenerate with the
+// problems quoted back and fall back to the question bank after
+// MAX_QUESTION_ATTEMPTS.
+const { CATEGORIES } = require('./question-bank');
+const { GENRES } = require('./song-catalog');
+
+const MAX_QUESTION_ATTEMPTS = 3;
+const MIN_QUESTION_LENGTH = 15;
+const MAX_QUESTION_LENGTH = 150;
+
+// Categories models tend to use instead of the question bank's taxonomy
+const CATEGORY_ALIASES = {
+  mood: 'emotion', moods: 'emotion', feeling: 'emotion', feelings: 'emotion', emotions: 'emotion', emotional: 'emotion',
+  personal: 'memories', memory: 'memories', nostalgia: 'memories', nostalgic: 'memories', childhood: 'memories',
+  era: 'decades', decade: 'decades', generational: 'decades', throwback: 'decades', retro: 'decades',
+  dance: 'party', dancing: 'party', celebration: 'party', karaoke: 'party', catchy: 'party', popular: 'party',
+  romance: 'love', romantic: 'love', relationships: 'love',
+  breakup: 'heartbreak', sad: 'heartbreak', sadness: 'heartbreak',
+  friends: 'friendship', social: 'friendship',
+  road: 'travel', 'road trip': 'travel', journey: 'travel',
+  time: 'seasons', season: 'seasons', weather: 'seasons', holiday: 'seasons', holidays: 'seasons', nature: 'seasons',
+  activities: 'activity', workout: 'activity', exercise: 'activity', sport: 'activity', sports: 'activity', work: 'activity',
+  movie: 'screen', movies: 'screen', film: 'screen', tv: 'screen', soundtrack: 'screen', soundtracks: 'screen', gaming: 'screen',
+  lyric: 'lyrics', literary: 'lyrics', storytelling: 'lyrics', meaningful: 'lyrics', words: 'lyrics',
+  technical: 'musicianship', instruments: 'musicianship', instrument: 'musicianship', production: 'musicianship', skill: 'musicianship',
+  'hidden gems': 'discovery', underrated: 'discovery', obscure: 'discovery', indie: 'discovery', 'deep cuts': 'discovery',
+  'guilty pleasure': 'guilty-pleasure', 'guilty pleasures': 'guilty-pleasure', embarrassing: 'guilty-pleasure',
+  fun: 'hypothetical', creative: 'hypothetical', imagination: 'hypothetical', imaginative: 'hypothetical', scenario: 'hypothetical',
+  event: 'milestones', events: 'milestones', 'life events': 'milestones', milestone: 'milestones', occasion: 'milestones',
+  cover: 'covers', versions: 'covers', remix: 'covers', remixes: 'covers',
+  timeless: 'legacy', classics: 'legacy', classic: 'legacy', history: 'legacy', influence: 'legacy', transformative: 'legacy',
+  genre: 'genres', style: 'genres',
+  place: 'places', location: 'places', city: 'places', cities: 'places'
+};
+
+const SONG_WORDS = /\b(songs?|tracks?|tunes?|anthems?|ballads?|singles?|covers?|remix(es)?|versions?|jams?|hits?|bangers?|records?|b-sides?|lullab(y|ies)|duets?|instrumentals?|soundtracks?|carols?|hymns?|riffs?|solos?|cuts?)\b/i;
+const OPENERS = /^(what|which|if|name|pick|choose|in|for|on|at|during|when)\b/i;
+const ASKS_FOR_REASONS = /\b(why|how come|explain why|and explain|give (a |your )?reasons?|what is the reason|describe (why|how)|tell us (why|how|about)|justify)\b/i;
+
+/**
+ * Map a free-form category onto the question bank taxonomy; null when nothing fits
+ */
+function normalizeCategory(category) {
+  const key = String(category || '').toLowerCase().replace(/[_\s]+/g, ' ').trim();
+  const hyphenated = key.replace(/ /g, '-');
+  if (CATEGORIES.includes(hyphenated)) return hyphenated;
+  if (CATEGORY_ALIASES[key]) return CATEGORY_ALIASES[key];
+  if (GENRES.includes(key) || GENRES.includes(hyphenated)) return 'genres';
+  return null;
+}
+
+/**
+ * Tidy an AI question: trimmed single-spaced text without wrapping quotes, a capital first letter,
+ * ending in one "?", and a taxonomy category (the original kept in `category` when unknown)
+ */
+function normalizeQuestion(question) {
+  let text = String(question?.text || '')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(/^["“”'‘’]+|["“”'‘’]+$/g, '')
+    .trim()
+    .replace(/[.!?\s]+$/, '');
+  text = text ? `${text.charAt(0).toUpperCase()}${text.slice(1)}?` : '';
+
+  const category = normalizeCategory(question?.category);
+  return { text, category: category || String(question?.category || '').trim() };
+}
+
+/**
+ * Problems that make a (normalised) question unusable; empty when it can be submitted
+ *
+ * @param {Object} question - { text, category } from normalizeQuestion()
+ * @param {Object} [options]
+ * @param {Function} [options.hasAsked] - (text) => true when the game already had this question
+ */
+function validateQuestion(question, { hasAsked = () => false } = {}) {
+  const problems = [];
+  const text = question?.text || '';
+
+  if (text.length < MIN_QUESTION_LENGTH || text.length > MAX_QUESTION_LENGTH) {
+    problems.push(`the question must be ${MIN_QUESTION_LENGTH}-${MAX_QUESTION_LENGTH} characters long (it is ${text.length})`);
+  }
+  if ((text.match(/\?/g) || []).length > 1) {
+    problems.push('ask exactly one question');
+  }
+  if (!OPENERS.test(text) || !SONG_WORDS.test(text)) {
+    problems.push('it must ask players for a song, like "What song ...?"');
+  }
+  if (ASKS_FOR_REASONS.test(text)) {
+    problems.push('players can only submit a song, so do not ask for reasons or explanations');
+  }
+  if (!CATEGORIES.includes(question?.category)) {
+    problems.push(`category must be one of: ${CATEGORIES.join(', ')}`);
+  }
+  if (text && hasAsked(text)) {
+    problems.push('this question was already asked in this game');
+  }
+
+  return problems;
+}
+
+module.exports = {
+  MAX_QUESTION_ATTEMPTS,
+  normalizeCategory,
+  normalizeQuestion,
+  validateQuestion
+};
@@ -0,0 +1,79 @@
+// lambda/shared/retry.js
+// Backoff helpers shared by every Lambda that talks to an external API
+
+/**
+ * Sleep utility function
+ */
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const NETWORK_ERROR_CODES = ['ECONNRESET', 'ETIMEDOUT', 'ENOTFOUND', 'ECONNREFUSED', 'ECONNABORTED', 'EAI_AGAIN'];
+
+/**
+ * Check if an error is retryable
+ */
+function isRetryableError(error) {
+  // Errors classified by HeartSongsClient carry their own verdict
+  if (typeof error.retryable === 'boolean') {
+    return error.retryable;
+  }
+
+  const status = error.status || error.response?.status;
+
+  // Retry on rate limiting (429)
+  if (status === 429) {
+    return true;
+  }
+
+  // Retry on server errors (5xx)
+  if (status >= 500) {
+    return true;
+  }
+
+  // Retry on network errors
+  return NETWORK_ERROR_CODES.includes(error.code);
+}
+
+/**
+ * Exponential backoff retry function
+ *
+ * `options.onRetry(error, attempt, delay)` is called before each wait,
+ * `options.getDelay(error, attempt)` may override the computed delay
+ * (e.g. to honour a Retry-After header) and `options.shouldRetry(error)`
+ * may replace isRetryableError (e.g. for requests that must not run twice).
+ */
+async function retryWithBackoff(operation, maxRetries = 5, baseDelay = 1000, options = {}) {
+  const wait = options.sleep || sleep;
+  let lastError;
+
+  for (let attempt = 0; attempt <= maxRetries; attempt++) {
+    try {
+      return await operation(attempt);
+    } catch (error) {
+      lastError = error;
+
+      if (attempt === maxRetries || !(options.shouldRetry || isRetryableError)(error)) {
+        throw error;
+      }
+
+      // Calculate delay with exponential backoff and jitter
+      const backoff = baseDelay * Math.pow(2, attempt) + Math.random() * Math.min(baseDelay, 1000);
+      const delay = options.getDelay?.(error, attempt) ?? backoff;
+
+      if (options.onRetry) {
+        options.onRetry(error, attempt, delay);
+      } else {
+        console.log(`Attempt ${attempt + 1} failed, retrying in ${Math.round(delay)}ms...`);
+      }
+
+      await wait(delay);
+    }
+  }
+
+  throw lastError;
+}
+
+module.exports = {
+  sleep,
+  isRetryableError,
+  retryWithBackoff
+};
@@ -0,0 +1,553 @@
+// lambda/shared/song-catalog.js
+// Offline catalog of well-known tracks, used for song suggestions when the AI
+// is unavailable, over budget or failing. Tracks live in catalog/*.json,
+// grouped by artist:
+//
+//   { "artists": [{ "artist": "Queen", "genres": ["rock", "classic rock"], "tracks": [
+//       { "song": "Don't Stop Me Now", "year": 1978, "popularity": 90,
+//         "moods": ["happy", "energetic"], "themes": ["party", "freedom"] }
+//   ] }] }
+//
+// Genres, moods and themes come from fixed vocabularies so questions can be
+// mapped onto them. A question is parsed into decades, genres, moods, themes,
+// named artists and title words; tracks are scored on those, then on the
+// personality's catalogPreferences (genres, decades, year and popularity
+// ranges), with a small per-question jitter so unrelated questions do not all
+// get the same hits.
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_DIRECTORY = path.join(__dirname, '..', '..', 'catalog');
+
+const GENRES = [
+  'pop', 'dance-pop', 'synth-pop', 'new wave', 'rock', 'classic rock', 'hard rock', 'psychedelic', 'punk', 'grunge',
+  'alternative', 'indie', 'britpop', 'emo', 'metal', 'folk', 'country', 'americana', 'singer-songwriter', 'blues',
+  'jazz', 'soul', 'r&b', 'funk', 'disco', 'hip hop', 'electronic', 'house', 'reggae', 'latin', 'k-pop', 'afrobeats'
+];
+
+const MOODS = [
+  'happy', 'sad', 'energetic', 'chill', 'romantic', 'angry', 'nostalgic', 'epic', 'dark', 'uplifting',
+  'dreamy', 'rebellious', 'sexy', 'empowering', 'playful', 'bittersweet'
+];
+
+const THEMES = [
+  'love', 'heartbreak', 'longing', 'cheating', 'jealousy', 'revenge', 'wedding', 'family', 'friendship', 'loneliness',
+  'self-love', 'confidence', 'hope', 'loss', 'youth', 'school', 'work', 'money', 'fame', 'weekend', 'party', 'dance',
+  'drinking', 'workout', 'driving', 'travel', 'escape', 'freedom', 'rebellion', 'protest', 'dreams', 'home', 'city',
+  'small town', 'california', 'new york', 'summer', 'winter', 'christmas', 'rain', 'sun', 'night', 'morning',
+  'beach', 'nature', 'fire', 'space', 'storytelling'
+];
+
+const MIN_YEAR = 1920;
+const MAX_POPULARITY = 100;
+
+// Question words that point at a tag; tag names themselves always match
+const QUERY_TERMS = {
+  moods: {
+    happy: ['joy', 'joyful', 'cheerful', 'smile', 'smiling', 'feel good', 'feel-good', 'good mood', 'sunny'],
+    sad: ['cry', 'crying', 'tears', 'sadness', 'depressing', 'gloomy', 'tearjerker'],
+    energetic: ['hype', 'pump', 'pumped', 'upbeat', 'fast', 'adrenaline', 'energy', 'loud'],
+    chill: ['relax', 'relaxing', 'calm', 'mellow', 'lazy', 'sunday', 'unwind', 'cozy', 'sleep', 'study', 'studying', 'background'],
+    romantic: ['romance', 'crush', 'date', 'valentine', 'slow dance', 'anniversary', 'kiss'],
+    angry: ['rage', 'mad', 'furious', 'scream', 'anger', 'frustrated'],
+    nostalgic: ['nostalgia', 'throwback', 'childhood', 'memories', 'remember', 'old times', 'reminds you of', 'back in the day'],
+    epic: ['anthem', 'anthems', 'grand', 'singalong', 'sing-along', 'sing along', 'stadium', 'karaoke', 'belt'],
+    dark: ['creepy', 'spooky', 'halloween', 'haunting', 'eerie', 'villain', 'scary', 'sinister'],
+    uplifting: ['inspiring', 'inspirational', 'motivating', 'motivational', 'hopeful', 'encouraging'],
+    dreamy: ['dreamlike', 'floating', 'ethereal', 'hazy', 'stargazing'],
+    rebellious: ['rebel', 'defiant', 'against the system'],
+    sexy: ['seductive', 'sultry', 'steamy', 'flirty', 'flirt'],
+    empowering: ['empowerment', 'strong', 'strength', 'fierce', 'boss'],
+    playful: ['silly', 'funny', 'fun', 'goofy', 'quirky', 'cheesy', 'guilty pleasure'],
+    bittersweet: ['goodbye', 'farewell', 'graduation', 'ending']
+  },
+  themes: {
+    love: ['in love', 'lover', 'soulmate', 'love song', 'romantic'],
+    heartbreak: ['breakup', 'break up', 'broken heart', 'heartbroken', 'ex', 'dumped', 'moving on', 'get over'],
+    longing: ['miss you', 'missing', 'long distance', 'waiting', 'yearning'],
+    cheating: ['cheat', 'cheater', 'unfaithful'],
+    revenge: ['payback', 'get even'],
+    wedding: ['married', 'marriage', 'first dance', 'bride', 'groom'],
+    family: ['mom', 'mother', 'dad', 'father', 'parents', 'kids', 'brother', 'sister'],
+    friendship: ['friend', 'friends', 'best friend', 'bestie', 'squad', 'crew'],
+    loneliness: ['lonely', 'alone', 'isolated', 'solitude'],
+    'self-love': ['self love', 'self-care', 'be yourself', 'love yourself'],
+    confidence: ['confident', 'swagger', 'walk into a room', 'entrance', 'walk-up', 'walk up', 'main character'],
+    hope: ['hopeful', 'better days', 'optimism', 'optimistic'],
+    loss: ['funeral', 'grief', 'death', 'died', 'memorial', 'passed away'],
+    youth: ['young', 'teen', 'teenage', 'growing up', 'coming of age', 'prom'],
+    school: ['college', 'teacher', 'graduation'],
+    work: ['job', 'office', 'commute', '9 to 5', 'monday'],
+    money: ['rich', 'cash', 'paycheck', 'payday'],
+    fame: ['famous', 'celebrity', 'star', 'stardom'],
+    weekend: ['friday', 'saturday', 'saturday night'],
+    party: ['club', 'clubbing', 'pregame', 'pre-game', 'celebrate', 'celebration', 'birthday', 'new year'],
+    dance: ['dancing', 'dancefloor', 'dance floor', 'groove', 'kitchen'],
+    drinking: ['bar', 'beer', 'drink', 'drinks', 'whiskey', 'pub'],
+    workout: ['gym', 'run', 'running', 'exercise', 'lifting', 'training', 'sports', 'game day'],
+    driving: ['drive', 'road trip', 'roadtrip', 'car', 'highway', 'windows down', 'cruising', 'road'],
+    travel: ['vacation', 'holiday', 'trip', 'journey', 'airport', 'plane', 'adventure'],
+    escape: ['run away', 'getaway', 'get away', 'leave it all'],
+    protest: ['political', 'change the world', 'war', 'peace', 'justice'],
+    dreams: ['dream', 'dreaming', 'ambition'],
+    home: ['hometown', 'coming home', 'homesick'],
+    city: ['downtown', 'urban', 'streets', 'big city'],
+    'small town': ['countryside', 'rural', 'farm'],
+    'new york': ['nyc', 'manhattan', 'brooklyn'],
+    california: ['los angeles', 'hollywood', 'san francisco'],
+    summer: ['summertime', 'pool', 'bbq', 'barbecue', 'heatwave'],
+    winter: ['snow', 'cold', 'freezing'],
+    christmas: ['xmas', 'holidays', 'festive', 'santa'],
+    rain: ['rainy', 'storm', 'thunderstorm', 'thunder', 'raining'],
+    sun: ['sunshine', 'sunrise', 'sunset', 'sunny'],
+    night: ['late night', 'midnight', 'nighttime', '3am', 'after dark', 'moon'],
+    morning: ['wake up', 'waking up', 'breakfast', 'alarm', 'coffee'],
+    beach: ['ocean', 'sea', 'waves', 'surf', 'island', 'tropical'],
+    nature: ['outdoors', 'forest', 'mountains', 'hiking', 'camping', 'garden'],
+    fire: ['burning', 'flames', 'campfire'],
+    space: ['stars', 'outer space', 'planet', 'rocket', 'astronaut', 'galaxy', 'moon'],
+    storytelling: ['story', 'tells a story', 'narrative']
+  },
+  genres: {
+    pop: ['pop music', 'top 40', 'chart'],
+    'dance-pop': ['dance pop'],
+    'synth-pop': ['synthpop', 'synth pop', 'synth', 'synths'],
+    rock: ['rock and roll', "rock 'n' roll", 'rock n roll', 'guitar'],
+    'classic rock': ['classic rock'],
+    'hard rock': ['hard rock'],
+    psychedelic: ['psychedelia', 'trippy'],
+    punk: ['punk rock', 'pop punk', 'pop-punk'],
+    alternative: ['alt', 'alt-rock', 'alt rock', 'alternative rock'],
+    indie: ['indie rock', 'indie pop', 'underground', 'hidden gem', 'underrated'],
+    emo: ['emo'],
+    metal: ['heavy metal', 'headbang', 'headbanging', 'mosh'],
+    folk: ['acoustic', 'folk music'],
+    country: ['country music', 'cowboy', 'nashville', 'honky tonk', 'western'],
+    americana: ['roots'],
+    'singer-songwriter': ['singer songwriter', 'songwriter'],
+    blues: ['the blues'],
+    jazz: ['swing', 'big band', 'crooner'],
+    soul: ['motown', 'neo-soul', 'neo soul'],
+    'r&b': ['rnb', 'r and b', 'rhythm and blues'],
+    funk: ['funky'],
+    disco: ['disco ball', 'roller disco', 'roller rink'],
+    'hip hop': ['hip-hop', 'hiphop', 'rap', 'rapper', 'rappers', 'rapping'],
+    electronic: ['edm', 'techno', 'electronica', 'rave', 'dj'],
+    house: ['house music', 'deep house'],
+    reggae: ['dancehall', 'ska'],
+    latin: ['reggaeton', 'salsa', 'spanish', 'latino', 'bachata', 'latin music'],
+    'k-pop': ['kpop', 'korean'],
+    afrobeats: ['afrobeat', 'afropop', 'nigerian']
+  }
+};
+
+// Spelled-out decades
+const DECADE_WORDS = {
+  fifties: '1950s', sixties: '1960s', seventies: '1970s', eighties: '1980s', nineties: '1990s',
+  'two thousands': '2000s', 'noughties': '2000s', 'aughts': '2000s', 'twenty tens': '2010s'
+};
+
+// Words never worth matching against song titles
+const STOPWORDS = new Set([
+  'what', 'which', 'song', 'songs', 'track', 'tracks', 'music', 'that', 'this', 'with', 'your', 'you', 'would',
+  'could', 'should', 'best', 'favorite', 'favourite', 'play', 'played', 'playing', 'makes', 'make', 'have', 'from',
+  'about', 'when', 'where', 'there', 'their', 'they', 'them', 'those', 'these', 'most', 'more', 'every', 'ever',
+  'time', 'always', 'feel', 'feels', 'like', 'want', 'gets', 'into', 'just', 'really', 'perfect', 'good', 'great'
+]);
+
+/**
+ * Raised when catalog files fail to load or validate; `problems` lists every issue
+ */
+class SongCatalogError extends Error {
+  constructor(message, problems = []) {
+    super(problems.length ? `${message}:\n  - ${problems.join('\n  - ')}` : message);
+    this.name = 'SongCatalogError';
+    this.problems = problems;
+  }
+}
+
+const normalize = (text) => ` ${String(text).toLowerCase().replace(/[’']/g, '').replace(/&/g, ' and ').replace(/[^a-z0-9]+/g, ' ').trim()} `;
+
+const decadeOf = (year) => `${Math.floor(year / 10) * 10}s`;
+
+/**
+ * Stable 0-1 value for a string, so rankings only change with the question
+ */
+function jitter(text) {
+  let hash = 2166136261;
+  for (let i = 0; i < text.length; i++) {
+    hash = Math.imul(hash ^ text.charCodeAt(i), 16777619) >>> 0;
+  }
+  return hash / 4294967295;
+}
+
+const isTagList = (value, vocabulary) => Array.isArray(value) && value.every(tag => vocabulary.includes(tag));
+
+/**
+ * Check a personality's catalogPreferences; returns a list of problems
+ *
+ * Shape: { genres?: { genre: weight }, decades?: { "1980s": weight },
+ *          years?: { min?, max? }, popularity?: { min?, max? }, popularityWeight? }
+ */
+function validateCatalogPreferences(preferences) {
+  if (preferences === undefined) return [];
+  const problems = [];
+  if (!preferences || typeof preferences !== 'object' || Array.isArray(preferences)) {
+    return ['catalogPreferences must be an object'];
+  }
+
+  for (const key of Object.keys(preferences)) {
+    if (!['genres', 'decades', 'years', 'popularity', 'popularityWeight'].includes(key)) {
+      problems.push(`catalogPreferences: unknown field "${key}"`);
+    }
+  }
+
+  const checkWeights = (field, valid, label) => {
+    const weights = preferences[field];
+    if (weights === undefined) return;
+    if (!weights || typeof weights !== 'object' || Array.isArray(weights)) {
+      problems.push(`catalogPreferences.${field} must map ${label} to weights`);
+      return;
+    }
+    for (const [key, weight] of Object.entries(weights)) {
+      if (!valid(key)) problems.push(`catalogPreferences.${field}: unknown ${label.replace(/s$/, '')} "${key}"`);
+      if (typeof weight !== 'number' || weight < -2 || weight > 2) {
+        problems.push(`catalogPreferences.${field}.${key} must be a number between -2 and 2`);
+      }
+    }
+  };
+  checkWeights('genres', genre => GENRES.includes(genre), 'genres');
+  checkWeights('decades', decade => /^(19|20)\d0s$/.test(decade), 'decades');
+
+  for (const [field, min, max] of [['years', MIN_YEAR, 2100], ['popularity', 0, MAX_POPULARITY]]) {
+    const range = preferences[field];
+    if (range === undefined) continue;
+    if (!range || typeof range !== 'object' || Object.keys(range).some(key => !['min', 'max'].includes(key))) {
+      problems.push(`catalogPreferences.${field} must be { min?, max? }`);
+      continue;
+    }
+    for (const bound of ['min', 'max']) {
+      if (range[bound] !== undefined && (!Number.isInteger(range[bound]) || range[bound] < min || range[bound] > max)) {
+        problems.push(`catalogPreferences.${field}.${bound} must be an integer between ${min} and ${max}`);
+      }
+    }
+  }
+
+  const weight = preferences.popularityWeight;
+  if (weight !== undefined && (typeof weight !== 'number' || weight < -2 || weight > 2)) {
+    problems.push('catalogPreferences.popularityWeight must be a number between -2 and 2');
+  }
+
+  return problems;
+}
+
+/**
+ * Check one catalog file; returns a list of problems (empty when valid)
+ */
+function validateCatalogFile(content, source = 'catalog') {
+  const problems = [];
+  const problem = (message) => problems.push(`${source}: ${message}`);
+
+  if (!content || !Array.isArray(content.artists) || content.artists.length === 0) {
+    problem('must have a non-empty "artists" array');
+    return problems;
+  }
+
+  const maxYear = new Date().getFullYear();
+  content.artists.forEach((entry, a) => {
+    const at = typeof entry?.artist === 'string' ? entry.artist : `artists[${a}]`;
+    if (typeof entry?.artist !== 'string' || !entry.artist.trim()) problem(`artists[${a}] needs an artist name`);
+    if (!Array.isArray(entry?.genres) || entry.genres.length === 0 || !isTagList(entry.genres, GENRES)) {
+      problem(`${at}: genres must be a non-empty list of known genres (got ${JSON.stringify(entry?.genres)})`);
+    }
+    if (!Array.isArray(entry?.tracks) || entry.tracks.length === 0) {
+      problem(`${at}: tracks must be a non-empty array`);
+      return;
+    }
+
+    entry.tracks.forEach((track, t) => {
+      const label = `${at} - ${track?.song || `tracks[${t}]`}`;
+      for (const key of Object.keys(track || {})) {
+        if (!['song', 'year', 'popularity', 'moods', 'themes', 'genres'].includes(key)) problem(`${label}: unknown field "${key}"`);
+      }
+      if (typeof track?.song !== 'string' || !track.song.trim()) problem(`${label}: song must be a non-empty string`);
+      if (!Number.isInteger(track?.year) || track.year < MIN_YEAR || track.year > maxYear) {
+        problem(`${label}: year must be an integer between ${MIN_YEAR} and ${maxYear}`);
+      }
+      if (!Number.isInteger(track?.popularity) || track.popularity < 1 || track.popularity > MAX_POPULARITY) {
+        problem(`${label}: popularity must be an integer between 1 and ${MAX_POPULARITY}`);
+      }
+      if (!isTagList(track?.moods, MOODS) || track.moods.length === 0) {
+        problem(`${label}: moods must be a non-empty list of known moods (got ${JSON.stringify(track?.moods)})`);
+      }
+      if (track?.themes !== undefined && !isTagList(track.themes, THEMES)) {
+        problem(`${label}: unknown theme in ${JSON.stringify(track.themes)}`);
+      }
+      if (track?.genres !== undefined && !isTagList(track.genres, GENRES)) {
+        problem(`${label}: unknown genre in ${JSON.stringify(track.genres)}`);
+      }
+    });
+  });
+
+  return problems;
+}
+
+/**
+ * Tags a question asks for: { decades, years, genres, moods, themes, artists, words }
+ */
+function parseQuestion(text, artistIndex = new Map()) {
+  const raw = String(text || '');
+  const normalized = normalize(raw);
+  const has = (phrase) => normalized.includes(normalize(phrase));
+
+  const query = { decades: new Set(), years: new Set(), genres: new Set(), moods: new Set(), themes: new Set(), artists: new Set(), words: new Set() };
+
+  for (const match of raw.toLowerCase().matchAll(/\b(?:(19|20)?(\d)0)[’']?s\b/g)) {
+    const century = match[1] || (['0', '1', '2'].includes(match[2]) ? '20' : '19');
+    query.decades.add(`${century}${match[2]}0s`);
+  }
+  for (const match of raw.matchAll(/\b(19[2-9]\d|20[0-2]\d)\b/g)) {
+    query.years.add(Number(match[1]));
+    query.decades.add(decadeOf(Number(match[1])));
+  }
+  for (const [words, decade] of Object.entries(DECADE_WORDS)) {
+    if (has(words)) query.decades.add(decade);
+  }
+
+  const collect = (kind, vocabulary) => {
+    for (const tag of vocabulary) {
+      if ([tag, ...(QUERY_TERMS[kind][tag] || [])].some(has)) query[kind].add(tag);
+    }
+  };
+  collect('genres', GENRES);
+  collect('moods', MOODS);
+  collect('themes', THEMES);
+
+  // One-word artist names double as ordinary words ("Queen", "Journey"); only take them when capitalised mid-sentence
+  for (const [key, artist] of artistIndex) {
+    if (!normalized.includes(key)) continue;
+    if (key.trim().includes(' ') || /\d/.test(key)) {
+      query.artists.add(artist);
+    } else {
+      const word = artist.replace(/^the /i, '');
+      const capitalised = new RegExp(`(?<!^\\s*)(?<![.?!]\\s)\\b${word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`);
+      if (word !== word.toLowerCase() && capitalised.test(raw.replace(/[’']s\b/g, ''))) query.artists.add(artist);
+    }
+  }
+
+  for (const word of normalized.trim().split(' ')) {
+    if (word.length >= 4 && !STOPWORDS.has(word)) query.words.add(word);
+  }
+
+  return query;
+}
+
+class SongCatalog {
+  /**
+   * @param {Array} tracks - Flattened, validated tracks
+   */
+  constructor(tracks) {
+    this.tracks = tracks;
+    // Normalised artist name (with and without a leading "The") → display name
+    this.artistIndex = new Map();
+    for (const track of tracks) {
+      const key = normalize(track.artist);
+      this.artistIndex.set(key, track.artist);
+      if (key.startsWith(' the ')) this.artistIndex.set(` ${key.slice(5)}`, track.artist);
+    }
+  }
+
+  get size() {
+    return this.tracks.length;
+  }
+
+  artists() {
+    return [...new Set(this.tracks.map(track => track.artist))];
+  }
+
+  parse(questionText) {
+    return parseQuestion(questionText, this.artistIndex);
+  }
+
+  /**
+   * Tracks ranked for a question.
+   *
+   * @param {string} questionText
+   * @param {Object} [options]
+   * @param {Object} [options.preferences] - A personality's catalogPreferences
+   * @param {number} [options.limit]
+   * @param {Function} [options.exclude] - (track) => true to skip it (e.g. already played)
+   * @returns {Array<{ track, score, reasons }>}
+   */
+  search(questionText, { preferences = {}, limit = 5, exclude = null } = {}) {
+    const query = this.parse(questionText);
+    const seed = normalize(questionText);
+
+    let candidates = exclude ? this.tracks.filter(track => !exclude(track)) : this.tracks;
+
+    // Named artists and decades narrow the field; personality ranges only when enough is left
+    const narrow = (predicate) => {
+      const narrowed = candidates.filter(predicate);
+      if (narrowed.length >= Math.min(limit, candidates.length) && narrowed.length > 0) candidates = narrowed;
+    };
+    if (query.artists.size) narrow(track => query.artists.has(track.artist));
+    if (query.decades.size) narrow(track => query.decades.has(track.decade));
+    if (query.genres.size) narrow(track => track.genres.some(genre => query.genres.has(genre)));
+    const { years = {}, popularity = {} } = preferences;
+    if (!query.artists.size && !query.decades.size) {
+      narrow(track => (years.min === undefined || track.year >= years.min) && (years.max === undefined || track.year <= years.max));
+    }
+    if (!query.artists.size) {
+      narrow(track => (popularity.min === undefined || track.popularity >= popularity.min) &&
+        (popularity.max === undefined || track.popularity <= popularity.max));
+    }
+
+    const relevant = ['genres', 'moods', 'themes', 'artists', 'decades'].some(kind => query[kind].size > 0);
+    const scored = candidates.map(track => {
+      const reasons = [];
+      let score = 0;
+
+      if (query.artists.has(track.artist)) { score += 10; reasons.push(track.artist); }
+      if (query.decades.has(track.decade)) { score += 4; reasons.push(track.decade); }
+      if (query.years.has(track.year)) { score += 2; reasons.push(String(track.year)); }
+      for (const genre of track.genres) {
+        if (query.genres.has(genre)) { score += 3; reasons.push(genre); }
+      }
+      for (const mood of track.moods) {
+        if (query.moods.has(mood)) { score += 2.5; reasons.push(mood); }
+      }
+      for (const theme of track.themes) {
+        if (query.themes.has(theme)) { score += 3; reasons.push(theme); }
+      }
+      const titleWords = normalize(track.song).trim().split(' ');
+      const titleHit = titleWords.find(word => query.words.has(word));
+      if (titleHit) { score += 2; reasons.push(`"${titleHit}" in the title`); }
+
+      // The best and worst genre weights both count, so one liked genre can't hide a disliked one
+      const genreWeights = track.genres.map(genre => preferences.genres?.[genre] || 0);
+      score += Math.max(0, ...genreWeights) + Math.min(0, ...genreWeights);
+      score += preferences.decades?.[track.decade] || 0;
+      score += (preferences.popularityWeight ?? 0.5) * (track.popularity - 50) / 50;
+      // Without anything to match, spread picks widely so every question gets different songs
+      score += jitter(`${seed}|${track.id}`) * (relevant ? 0.75 : 3);
+
+      return { track, score, reasons: [...new Set(reasons)] };
+    });
+
+    scored.sort((a, b) => b.score - a.score);
+
+    // At most two songs per artist unless the question asks for that artist
+    const perArtist = new Map();
+    const picked = [];
+    for (const entry of scored) {
+      const count = perArtist.get(entry.track.artist) || 0;
+      if (count >= 2 && !query.artists.has(entry.track.artist)) continue;
+      perArtist.set(entry.track.artist, count + 1);
+      picked.push(entry);
+      if (picked.length >= limit) break;
+    }
+    return picked;
+  }
+
+  /**
+   * Suggestions in the AI suggestion format: [{ artist, song, reasoning }]
+   */
+  suggest(questionText, options = {}) {
+    return this.search(questionText, options).map(({ track, reasons }) => ({
+      artist: track.artist,
+      song: track.song,
+      reasoning: reasons.length
+        ? `Catalog match: ${reasons.slice(0, 4).join(', ')}`
+        : `Well-known ${track.genres[0]} pick from ${track.year}`
+    }));
+  }
+}
+
+/**
+ * Load and validate every *.json file in a directory
+ */
+function loadSongCatalog(directory = DEFAULT_DIRECTORY) {
+  let files;
+  try {
+    files = fs.readdirSync(directory).filter(file => file.endsWith('.json')).sort();
+  } catch (error) {
+    throw new SongCatalogError(`Cannot read the song catalog from ${directory}: ${error.message}`);
+  }
+
+  const problems = [];
+  const tracks = [];
+  const seen = new Map();
+
+  for (const file of files) {
+    let content;
+    try {
+      content = JSON.parse(fs.readFileSync(path.join(directory, file), 'utf8'));
+    } catch (error) {
+      problems.push(`${file}: invalid JSON (${error.message})`);
+      continue;
+    }
+
+    const fileProblems = validateCatalogFile(content, file);
+    if (fileProblems.length) {
+      problems.push(...fileProblems);
+      continue;
+    }
+
+    for (const entry of content.artists) {
+      for (const track of entry.tracks) {
+        const id = `${normalize(entry.artist).trim()}|${normalize(track.song).trim()}`;
+        if (seen.has(id)) {
+          problems.push(`${file}: ${entry.artist} - ${track.song} is already in ${seen.get(id)}`);
+          continue;
+        }
+        seen.set(id, file);
+        tracks.push({
+          id,
+          artist: entry.artist,
+          song: track.song,
+          year: track.year,
+          decade: decadeOf(track.year),
+          popularity: track.popularity,
+          genres: [...new Set([...entry.genres, ...(track.genres || [])])],
+          moods: track.moods,
+          themes: track.themes || []
+        });
+      }
+    }
+  }
+
+  if (problems.length) {
+    throw new SongCatalogError('Invalid song catalog', problems);
+  }
+  if (tracks.length === 0) {
+    throw new SongCatalogError(`No catalog tracks found in ${directory}`);
+  }
+
+  return new SongCatalog(tracks);
+}
+
+let sharedCatalog = null;
+
+/**
+ * Catalog for this process, loaded once from SONG_CATALOG_DIR (or ./catalog)
+ */
+function getSongCatalog(env = process.env) {
+  if (!sharedCatalog) {
+    sharedCatalog = loadSongCatalog(env.SONG_CATALOG_DIR || DEFAULT_DIRECTORY);
+    console.log(`🎵 Loaded ${sharedCatalog.size} catalog tracks by ${sharedCatalog.artists().length} artists`);
+  }
+  return sharedCatalog;
+}
+
+module.exports = {
+  SongCatalog,
+  SongCatalogError,
+  GENRES,
+  MOODS,
+  THEMES,
+  parseQuestion,
+  validateCatalogFile,
+  validateCatalogPreferences,
+  loadSongCatalog,
+  getSongCatalog
+};
@@ -0,0 +1,254 @@
+// lambda/shared/song-matcher.js
+// Fuzzy matching between an AI suggestion ({ artist, song }) and a music
+// search result ({ artist, name }).
+//
+// Both sides are normalised first: accents folded ("Beyoncé" → "beyonce"),
+// "&"/"+" read as "and", punctuation inside words dropped ("AC/DC" → "acdc"),
+// a leading "The" ignored, and version suffixes removed from titles
+// ("- Remastered 2011", "(Live)", "(feat. ...)"). Artist and title then get
+// separate token-based similarity scores between 0 and 1, and a match needs
+// them to clear the configured thresholds. Which version of a song is
+// preferred (live, remix, karaoke...) is decided by version-preferences.js.
+const { scoreVersion, versionWeightsFor } = require('./version-preferences');
+
+// Threshold presets; difficulty levels pick one by name
+const MATCH_THRESHOLDS = {
+  // Either the artist or the title is enough
+  loose: { artist: 0.7, title: 0.7, requireBoth: false },
+  // Right song by the right artist, small spelling differences allowed
+  standard: { artist: 0.7, title: 0.7, requireBoth: true },
+  // Near-exact artist and title
+  strict: { artist: 0.95, title: 0.9, requireBoth: true }
+};
+
+const DEFAULT_THRESHOLDS = 'standard';
+
+// Two tokens count as the same word at this edit-distance similarity ("beatles"/"beatels")
+const TOKEN_SIMILARITY = 0.8;
+
+// Featured artist credits: "Calvin Harris feat. Rihanna", "Drake ft Rihanna"
+const FEATURING = /\s*[([]?\b(?:feat\.?|ft\.?|featuring)\s+([^)\]]+)[)\]]?/i;
+
+// Title suffixes that name a version of the same recording
+const VERSION_WORDS = 'remaster(?:ed)?|live|edit|version|mix|remix|mono|stereo|acoustic|demo|deluxe|single|radio|explicit|clean|bonus|anniversary|' +
+  'sped up|slowed|reverb|nightcore|karaoke|instrumental|cover';
+const VERSION_SUFFIX = new RegExp(`\\s+-\\s+[^-]*\\b(?:${VERSION_WORDS})\\b.*$`, 'i');
+const VERSION_BRACKETS = new RegExp(`\\s*[([][^)\\]]*\\b(?:${VERSION_WORDS})\\b[^)\\]]*[)\\]]`, 'gi');
+
+const DEFAULT_VERSIONS = versionWeightsFor();
+
+/**
+ * Lowercase, accent-free, punctuation-free text with single spaces
+ */
+function normalizeText(text) {
+  return String(text || '')
+    .normalize('NFKD')
+    .replace(/\p{M}/gu, '')
+    .toLowerCase()
+    .replace(/[&+]/g, ' and ')
+    .replace(/(\w)['’./!$*](?=\w)/g, '$1')
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+}
+
+/**
+ * Split an artist credit into the main artist and featured artists
+ */
+function parseArtist(artist) {
+  const raw = String(artist || '');
+  const featuring = raw.match(FEATURING);
+  const main = featuring ? raw.slice(0, featuring.index) : raw;
+  const featured = featuring
+    ? featuring[1].split(/\s*(?:,|&|\band\b)\s*/i).map(normalizeArtist).filter(Boolean)
+    : [];
+
+  return { primary: normalizeArtist(main), featured };
+}
+
+function normalizeArtist(artist) {
+  return normalizeText(artist).replace(/^the\s+/, '');
+}
+
+/**
+ * Title without version suffixes; featured artists in the title are returned separately
+ */
+function parseTitle(title) {
+  let raw = String(title || '');
+  const featuring = raw.match(FEATURING);
+  const featured = featuring ? featuring[1].split(/\s*(?:,|&)\s*/).map(normalizeArtist).filter(Boolean) : [];
+  if (featuring) raw = raw.slice(0, featuring.index) + raw.slice(featuring.index + featuring[0].length);
+
+  const plain = raw.replace(VERSION_BRACKETS, '').replace(VERSION_SUFFIX, '');
+  return {
+    title: normalizeText(plain),
+    // "(I Can't Get No) Satisfaction" should also match plain "Satisfaction"
+    core: normalizeText(plain.replace(/\s*[([][^)\]]*[)\]]\s*/g, ' ')),
+    featured
+  };
+}
+
+/**
+ * Title as typed, without bracketed parts or a " - ..." suffix ("Hey Jude - Remastered 2015" → "Hey Jude")
+ */
+function stripVersionInfo(title) {
+  const stripped = String(title || '')
+    .replace(/\s*[([][^)\]]*[)\]]/g, '')
+    .replace(/\s+-\s+.*$/, '')
+    .trim();
+  return stripped || String(title || '').trim();
+}
+
+/**
+ * Artist credit as typed, without featured artists ("Calvin Harris feat. Rihanna" → "Calvin Harris")
+ */
+function mainArtist(artist) {
+  const raw = String(artist || '');
+  const featuring = raw.match(FEATURING);
+  return (featuring ? raw.slice(0, featuring.index) : raw).trim();
+}
+
+/**
+ * Edit-distance similarity between two strings (1 = identical)
+ */
+function stringSimilarity(a, b) {
+  if (a === b) return 1;
+  if (!a || !b) return 0;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+
+  return 1 - previous[b.length] / Math.max(a.length, b.length);
+}
+
+/**
+ * Dice similarity of the word sets, counting near-identical words as equal.
+ * Also compares the texts with spaces removed, so "ac dc" matches "acdc".
+ */
+function tokenSimilarity(a, b) {
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+
+  const tokensA = a.split(' ');
+  const tokensB = b.split(' ');
+  const unmatched = [...tokensB];
+  let matched = 0;
+
+  for (const token of tokensA) {
+    const index = unmatched.findIndex(other => other === token ||
+      (token.length > 3 && other.length > 3 && stringSimilarity(token, other) >= TOKEN_SIMILARITY));
+    if (index !== -1) {
+      matched++;
+      unmatched.splice(index, 1);
+    }
+  }
+
+  const dice = (2 * matched) / (tokensA.length + tokensB.length);
+  const compact = stringSimilarity(a.replace(/ /g, ''), b.replace(/ /g, ''));
+  return Math.max(dice, compact);
+}
+
+/**
+ * Best similarity between two artist credits. Main artists score in full;
+ * a main artist matching the other side's featured artist scores 0.9.
+ */
+function artistSimilarity(a, b) {
+  const left = parseArtist(a);
+  const right = parseArtist(b);
+  let best = tokenSimilarity(left.primary, right.primary);
+
+  for (const featured of right.featured) best = Math.max(best, 0.9 * tokenSimilarity(left.primary, featured));
+  for (const featured of left.featured) best = Math.max(best, 0.9 * tokenSimilarity(featured, right.primary));
+
+  return best;
+}
+
+function titleSimilarity(a, b) {
+  const left = parseTitle(a);
+  const right = parseTitle(b);
+  return Math.max(
+    tokenSimilarity(left.title, right.title),
+    tokenSimilarity(left.core, right.core)
+  );
+}
+
+/**
+ * Compare a search result with a suggestion.
+ *
+ * @param {Object} candidate - { artist, name } (or { artist, song })
+ * @param {Object} target - { artist, song } (or { artist, name })
+ * @param {Object|string} [thresholds] - A MATCH_THRESHOLDS preset or name
+ * @param {Object} [options]
+ * @param {Object} [options.versions] - Version weights from versionWeightsFor()
+ * @returns {{ artist: number, title: number, score: number, isMatch: boolean, featured: boolean, versions: string[] }}
+ */
+function matchSong(candidate, target, thresholds = DEFAULT_THRESHOLDS, { versions = DEFAULT_VERSIONS } = {}) {
+  const limits = typeof thresholds === 'string'
+    ? MATCH_THRESHOLDS[thresholds] || MATCH_THRESHOLDS[DEFAULT_THRESHOLDS]
+    : thresholds;
+
+  const candidateTitle = candidate.name ?? candidate.song;
+  const targetTitle = target.song ?? target.name;
+  // Featured artists credited in the title count as part of the artist credit
+  const creditOf = (artist, title) => {
+    const featured = parseTitle(title).featured;
+    return featured.length ? `${artist} feat. ${featured.join(', ')}` : artist;
+  };
+
+  const artist = artistSimilarity(creditOf(candidate.artist, candidateTitle), creditOf(target.artist, targetTitle));
+  const title = titleSimilarity(candidateTitle, targetTitle);
+
+  // Rejected versions rank below everything else
+  const version = scoreVersion(candidate, target, versions);
+  const score = version.reject ? 0 : Math.max(0, 0.45 * artist + 0.55 * title + version.adjustment);
+
+  const artistOk = artist >= limits.artist;
+  const titleOk = title >= limits.title && !version.reject;
+  const isMatch = limits.requireBoth ? artistOk && titleOk : artistOk || titleOk;
+
+  return {
+    artist: round(artist),
+    title: round(title),
+    score: round(score),
+    isMatch,
+    featured: parseArtist(candidate.artist).featured.length > 0 || parseTitle(candidateTitle).featured.length > 0,
+    versions: version.kinds
+  };
+}
+
+/**
+ * Search results ordered from best to worst match, each with its match details
+ */
+function rankMatches(candidates, target, thresholds = DEFAULT_THRESHOLDS, options = {}) {
+  return candidates
+    .map((candidate, index) => ({ candidate, index, match: matchSong(candidate, target, thresholds, options) }))
+    .sort((a, b) => b.match.score - a.match.score || a.index - b.index)
+    .map(({ candidate, match }) => ({ candidate, match }));
+}
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+module.exports = {
+  MATCH_THRESHOLDS,
+  DEFAULT_THRESHOLDS,
+  normalizeText,
+  normalizeArtist,
+  parseArtist,
+  parseTitle,
+  stripVersionInfo,
+  mainArtist,
+  tokenSimilarity,
+  artistSimilarity,
+  titleSimilarity,
+  matchSong,
+  rankMatches
+};
@@ -0,0 +1,315 @@
+// lambda/shared/state-store.js
+// Pluggable key-value store for state that must outlive a single worker
+// invocation (checkpoints) or be shared between bots.
+//
+// Backends implement: get(key), set(key, value, { ttl }), delete(key), keys(prefix)
+// and increment(key, deltas, { ttl }). Values must be JSON-serialisable. `ttl`
+// is in milliseconds.
+//
+// increment() adds numbers to the fields of a counter object (starting from
+// zero) and returns the new counts, so bots sharing a total don't overwrite
+// each other's updates. Counters should only be written with increment().
+//
+// `memory` and `file` only reach bots in the same process or warm container.
+// `dynamodb` is the one backend every Lambda container shares; it needs
+// BOT_STORE_TABLE (created by serverless.yaml).
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * A counter object with deltas added to its fields
+ */
+function addCounts(counts, deltas) {
+  const next = { ...counts };
+  for (const [field, delta] of Object.entries(deltas)) {
+    next[field] = (next[field] || 0) + delta;
+  }
+  return next;
+}
+
+/**
+ * In-process store. One instance is shared by every bot in the same process.
+ */
+class MemoryStateStore {
+  constructor() {
+    this.name = 'memory';
+    this.entries = new Map();
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+
+    if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+    // Hand out copies so callers can't mutate stored state by accident
+    return JSON.parse(entry.json);
+  }
+
+  async increment(key, deltas, { ttl } = {}) {
+    // No await between the read and the write, so increments can't interleave
+    const entry = this.entries.get(key);
+    const live = entry && !(entry.expiresAt && entry.expiresAt <= Date.now());
+    const value = addCounts(live ? JSON.parse(entry.json) : {}, deltas);
+    this.entries.set(key, {
+      json: JSON.stringify(value),
+      expiresAt: ttl ? Date.now() + ttl : null
+    });
+    return value;
+  }
+
+  async set(key, value, { ttl } = {}) {
+    this.entries.set(key, {
+      json: JSON.stringify(value),
+      expiresAt: ttl ? Date.now() + ttl : null
+    });
+  }
+
+  async delete(key) {
+    this.entries.delete(key);
+  }
+
+  async keys(prefix = '') {
+    const now = Date.now();
+    return [...this.entries.entries()]
+      .filter(([key, entry]) => key.startsWith(prefix) && (!entry.expiresAt || entry.expiresAt > now))
+      .map(([key]) => key);
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+}
+
+/**
+ * One JSON file per key. Survives process restarts; on Lambda it is only
+ * shared by invocations that land on the same warm container (/tmp).
+ */
+class FileStateStore {
+  constructor(directory = path.join(os.tmpdir(), 'heartsongs-bot-state')) {
+    this.name = 'file';
+    this.directory = directory;
+    fs.mkdirSync(this.directory, { recursive: true });
+    // Increments in flight per key
+    this.pending = new Map();
+  }
+
+  filePath(key) {
+    return path.join(this.directory, `${encodeURIComponent(key)}.json`);
+  }
+
+  async get(key) {
+    let entry;
+    try {
+      entry = JSON.parse(await fs.promises.readFile(this.filePath(key), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      console.warn(`State store: unreadable entry for ${key}, ignoring:`, error.message);
+      return null;
+    }
+
+    if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+      await this.delete(key);
+      return null;
+    }
+    return entry.value;
+  }
+
+  async set(key, value, { ttl } = {}) {
+    const target = this.filePath(key);
+    const temp = `${target}.${process.pid}.${Date.now()}.tmp`;
+
+    // Write-then-rename so concurrent readers never see a partial file
+    await fs.promises.writeFile(temp, JSON.stringify({ value, expiresAt: ttl ? Date.now() + ttl : null }));
+    await fs.promises.rename(temp, target);
+  }
+
+  async delete(key) {
+    await fs.promises.rm(this.filePath(key), { force: true });
+  }
+
+  // Increments to a key are queued within this process; processes sharing the directory can still interleave
+  async increment(key, deltas, { ttl } = {}) {
+    const previous = this.pending.get(key) || Promise.resolve();
+    const update = previous.catch(() => {}).then(async () => {
+      const value = addCounts((await this.get(key)) || {}, deltas);
+      await this.set(key, value, { ttl });
+      return value;
+    });
+    this.pending.set(key, update);
+    try {
+      return await update;
+    } finally {
+      if (this.pending.get(key) === update) this.pending.delete(key);
+    }
+  }
+
+  async keys(prefix = '') {
+    const files = await fs.promises.readdir(this.directory);
+    const keys = files
+      .filter(file => file.endsWith('.json'))
+      .map(file => decodeURIComponent(file.slice(0, -'.json'.length)))
+      .filter(key => key.startsWith(prefix));
+
+    // Drop expired entries
+    const live = [];
+    for (const key of keys) {
+      if (await this.get(key) !== null) live.push(key);
+    }
+    return live;
+  }
+}
+
+const isExpired = (item) => item.expiresAt && item.expiresAt * 1000 <= Date.now();
+
+// Item attributes that can't be counter fields
+const DYNAMO_ATTRIBUTES = ['key', 'value', 'expiresAt'];
+
+/**
+ * One DynamoDB item per key: { key, value (JSON), expiresAt (epoch seconds, the table's TTL attribute) }.
+ * Counters keep each field as a number attribute instead of `value`, so increment() is a single UpdateItem ADD.
+ * Shared by every Lambda container; DynamoDB deletes expired items lazily, so reads check expiresAt too.
+ */
+class DynamoStateStore {
+  /**
+   * @param {Object} options
+   * @param {string} options.table
+   * @param {Object} [options.client] - AWS.DynamoDB.DocumentClient (or anything with its get/put/update/delete/scan)
+   */
+  constructor({ table, client } = {}) {
+    if (!table) {
+      throw new Error('The dynamodb store requires a table name (BOT_STORE_TABLE)');
+    }
+    this.name = 'dynamodb';
+    this.table = table;
+    this.client = client || new (require('aws-sdk').DynamoDB.DocumentClient)();
+  }
+
+  async get(key) {
+    const { Item: item } = await this.client.get({ TableName: this.table, Key: { key } }).promise();
+    if (!item || isExpired(item)) return null;
+    if (item.value === undefined) return counterFields(item);
+    return JSON.parse(item.value);
+  }
+
+  async set(key, value, { ttl } = {}) {
+    const item = { key, value: JSON.stringify(value) };
+    if (ttl) item.expiresAt = Math.ceil((Date.now() + ttl) / 1000);
+    await this.client.put({ TableName: this.table, Item: item }).promise();
+  }
+
+  async delete(key) {
+    await this.client.delete({ TableName: this.table, Key: { key } }).promise();
+  }
+
+  async increment(key, deltas, { ttl } = {}) {
+    const fields = Object.keys(deltas);
+    const reserved = fields.filter(field => DYNAMO_ATTRIBUTES.includes(field));
+    if (reserved.length > 0) {
+      throw new Error(`Counter fields can't be named ${reserved.join(', ')}`);
+    }
+
+    const names = {};
+    const values = { ':now': Math.floor(Date.now() / 1000) };
+    fields.forEach((field, i) => {
+      names[`#f${i}`] = field;
+      values[`:f${i}`] = deltas[field];
+    });
+    let expression = `ADD ${fields.map((field, i) => `#f${i} :f${i}`).join(', ')}`;
+    if (ttl) {
+      values[':expiresAt'] = Math.ceil((Date.now() + ttl) / 1000);
+      expression += ' SET expiresAt = :expiresAt';
+    }
+    const update = () => this.client.update({
+      TableName: this.table,
+      Key: { key },
+      UpdateExpression: expression,
+      // Don't add to an expired item DynamoDB hasn't removed yet
+      ConditionExpression: 'attribute_not_exists(expiresAt) OR expiresAt > :now',
+      ExpressionAttributeNames: names,
+      ExpressionAttributeValues: values,
+      ReturnValues: 'ALL_NEW'
+    }).promise();
+
+    let result;
+    try {
+      result = await update();
+    } catch (error) {
+      if (error.code !== 'ConditionalCheckFailedException') throw error;
+      await this.delete(key);
+      result = await update();
+    }
+    return counterFields(result.Attributes);
+  }
+
+  // A filtered scan: fine for reports over a small table, not for hot paths
+  async keys(prefix = '') {
+    const keys = [];
+    let ExclusiveStartKey;
+    do {
+      const page = await this.client.scan({
+        TableName: this.table,
+        ProjectionExpression: '#key, expiresAt',
+        FilterExpression: 'begins_with(#key, :prefix)',
+        ExpressionAttributeNames: { '#key': 'key' },
+        ExpressionAttributeValues: { ':prefix': prefix },
+        ExclusiveStartKey
+      }).promise();
+      keys.push(...page.Items.filter(item => !isExpired(item)).map(item => item.key));
+      ExclusiveStartKey = page.LastEvaluatedKey;
+    } while (ExclusiveStartKey);
+    return keys;
+  }
+}
+
+/**
+ * The counts of a DynamoDB counter item
+ */
+function counterFields(item) {
+  const counts = {};
+  for (const [field, value] of Object.entries(item)) {
+    if (!DYNAMO_ATTRIBUTES.includes(field)) counts[field] = value;
+  }
+  return counts;
+}
+
+const sharedMemoryStore = new MemoryStateStore();
+
+/**
+ * Build the configured store, or null when none is configured.
+ *
+ * Environment: BOT_STATE_STORE (memory | file | dynamodb), BOT_STATE_DIR (file backend directory),
+ * BOT_STORE_TABLE (dynamodb table, shared by every store).
+ * Other stores (e.g. the cache) read their own variables via `variable`/`directoryVariable`.
+ */
+function createStateStore(env = process.env, {
+  variable = 'BOT_STATE_STORE',
+  directoryVariable = 'BOT_STATE_DIR',
+  directory = undefined
+} = {}) {
+  switch (env[variable]) {
+    case 'memory':
+      return sharedMemoryStore;
+    case 'file':
+      return new FileStateStore(env[directoryVariable] || directory);
+    case 'dynamodb':
+      return new DynamoStateStore({ table: env.BOT_STORE_TABLE });
+    case undefined:
+    case '':
+    case 'none':
+      return null;
+    default:
+      throw new Error(`Unknown ${variable} "${env[variable]}". Expected memory, file, dynamodb or none`);
+  }
+}
+
+module.exports = {
+  MemoryStateStore,
+  FileStateStore,
+  DynamoStateStore,
+  createStateStore,
+  sharedMemoryStore
+};
@@ -0,0 +1,343 @@
+// lambda/shared/usage-budget.js
+// Token and cost accounting for AI calls. Every response's `usage` is added
+// to three running totals: this bot, its game and the current UTC day. Each
+// total has a token and a USD budget. Once one is used up, the worker stops
+// calling the AI and plays on with its offline fallbacks.
+//
+// Game and day totals live in the BOT_USAGE_STORE state store so bots in the
+// same game (and the cleanup report) see each other's spend. Deployed, that
+// must be `dynamodb` (serverless.yaml sets it): `memory` and `file` only reach
+// one Lambda container. Without a store each worker only counts its own calls.
+// Totals are updated with the store's atomic increment, so bots recording at
+// the same moment don't lose each other's calls.
+//
+// A response from a model with no price can't be held to a USD budget, so once
+// one is seen the worker stops calling the AI while any USD budget is set
+// (add the model to LLM_PRICES to fix it).
+//
+// Only the day budget is on by default, as a cost ceiling; bot and game
+// budgets are opt-in so long games do not quietly drop to the offline path.
+//
+// Budgets are checked before each call, so the call that crosses a budget
+// still completes (it is bounded by its maxTokens).
+const os = require('os');
+const path = require('path');
+const { createStateStore, MemoryStateStore } = require('./state-store');
+
+// USD per million tokens; the longest matching prefix of the response model wins
+const MODEL_PRICES = {
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4.1-nano': { input: 0.1, output: 0.4 },
+  'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+  'gpt-4.1': { input: 2, output: 8 },
+  'gpt-4-turbo': { input: 10, output: 30 },
+  'gpt-3.5-turbo': { input: 0.5, output: 1.5 },
+  stub: { input: 0, output: 0 }
+};
+
+const BUDGET_SCOPES = ['bot', 'game', 'day'];
+
+const DEFAULT_LIMITS = {
+  bot: { tokens: null, usd: null },
+  game: { tokens: null, usd: null },
+  day: { tokens: 20000000, usd: 20 }
+};
+
+// Game totals only matter while the game runs; day totals are kept for a weekly report
+const USAGE_TTLS = {
+  game: 2 * 24 * 60 * 60 * 1000,
+  day: 8 * 24 * 60 * 60 * 1000
+};
+
+/**
+ * Raised before an AI call when a budget is used up; `kind` matches provider error kinds
+ */
+class BudgetExceededError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'BudgetExceededError';
+    this.kind = 'budget';
+    this.scope = details.scope;
+    this.limit = details.limit;
+    this.totals = details.totals;
+  }
+}
+
+const emptyTotals = () => ({ calls: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0, costUsd: 0 });
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+/**
+ * Price table with LLM_PRICES ('{"model": {"input": 1, "output": 2}}') layered over the defaults
+ */
+function readPrices(env = process.env) {
+  if (!env.LLM_PRICES) return MODEL_PRICES;
+  try {
+    return { ...MODEL_PRICES, ...JSON.parse(env.LLM_PRICES) };
+  } catch (error) {
+    throw new Error(`LLM_PRICES must be JSON mapping model names to { input, output } USD per million tokens: ${error.message}`);
+  }
+}
+
+/**
+ * Price for a model name, or null when it is not in the table
+ */
+function priceFor(model, prices = MODEL_PRICES) {
+  const match = Object.keys(prices)
+    .filter(name => String(model || '').startsWith(name))
+    .sort((a, b) => b.length - a.length)[0];
+  return match ? prices[match] : null;
+}
+
+/**
+ * USD cost of one response's usage, or null when the model has no price
+ */
+function estimateCost(model, usage, prices = MODEL_PRICES) {
+  const price = priceFor(model, prices);
+  if (!price) return null;
+  if (!usage) return 0;
+  return ((usage.prompt_tokens || 0) * price.input + (usage.completion_tokens || 0) * price.output) / 1e6;
+}
+
+/**
+ * Budgets from the environment: LLM_BUDGET_<BOT|GAME|DAY>_<TOKENS|USD>.
+ * A number sets the limit, "none" removes it.
+ */
+function readBudgetLimits(env = process.env) {
+  const limits = {};
+  for (const scope of BUDGET_SCOPES) {
+    limits[scope] = {};
+    for (const unit of ['tokens', 'usd']) {
+      const variable = `LLM_BUDGET_${scope.toUpperCase()}_${unit.toUpperCase()}`;
+      const raw = env[variable];
+      if (raw === undefined || raw === '') {
+        limits[scope][unit] = DEFAULT_LIMITS[scope][unit];
+      } else if (raw === 'none') {
+        limits[scope][unit] = null;
+      } else if (Number.isFinite(Number(raw)) && Number(raw) >= 0) {
+        limits[scope][unit] = Number(raw);
+      } else {
+        throw new Error(`${variable} must be a non-negative number or "none", got "${raw}"`);
+      }
+    }
+  }
+  return limits;
+}
+
+/**
+ * Store for game and day totals, or null when none is configured.
+ *
+ * Environment: BOT_USAGE_STORE (memory | file | dynamodb), BOT_USAGE_DIR (file backend directory),
+ * BOT_STORE_TABLE (dynamodb table)
+ */
+function createUsageStore(env = process.env) {
+  return createStateStore(env, {
+    variable: 'BOT_USAGE_STORE',
+    directoryVariable: 'BOT_USAGE_DIR',
+    directory: path.join(os.tmpdir(), 'heartsongs-bot-usage')
+  });
+}
+
+const usageKey = (scope, id) => `usage:${scope}:${id}`;
+
+/**
+ * The limit a set of totals has reached, or null
+ */
+function exceededLimit(totals, limit) {
+  if (limit.tokens !== null && totals.totalTokens >= limit.tokens) return `${limit.tokens} tokens`;
+  if (limit.usd !== null && totals.costUsd >= limit.usd) return `$${limit.usd}`;
+  return null;
+}
+
+const round = (usd) => Math.round(usd * 1e6) / 1e6;
+
+/**
+ * Stored totals with every field present; float sums are rounded to the micro-dollar
+ */
+function toTotals(stored) {
+  if (!stored) return emptyTotals();
+  const totals = { ...emptyTotals(), ...stored };
+  return { ...totals, costUsd: round(totals.costUsd) };
+}
+
+/**
+ * The first scope with a USD budget and that budget, or null
+ */
+function usdLimit(limits) {
+  const scope = BUDGET_SCOPES.find(name => limits[name].usd !== null);
+  return scope ? { scope, limit: `$${limits[scope].usd}` } : null;
+}
+
+class UsageBudget {
+  /**
+   * @param {Object} options
+   * @param {string} options.gameId
+   * @param {Object} [options.limits] - See readBudgetLimits()
+   * @param {Object} [options.prices] - See readPrices()
+   * @param {Object} [options.store] - Shared store for game and day totals (null: this worker only)
+   * @param {string} [options.logPrefix]
+   * @param {Object} [data] - A previous toJSON() snapshot
+   */
+  constructor({ gameId, limits = readBudgetLimits(), prices = readPrices(), store = null, logPrefix = 'Bot' }, data = {}) {
+    this.gameId = gameId;
+    this.limits = limits;
+    this.prices = prices;
+    this.shared = !!store;
+    this.store = store || new MemoryStateStore();
+    this.logPrefix = logPrefix;
+    this.bot = data.bot || emptyTotals();
+    this.exhausted = data.exhausted || null; // { scope, limit, day }
+    // The first model seen without a price
+    this.unpricedModel = data.unpricedModel || null;
+  }
+
+  toJSON() {
+    return { bot: this.bot, exhausted: this.exhausted, unpricedModel: this.unpricedModel };
+  }
+
+  /**
+   * Whether a budget is known to be used up; a day budget frees up again the next day
+   */
+  isExhausted() {
+    if (this.exhausted?.scope === 'day' && this.exhausted.day !== today()) {
+      this.exhausted = null;
+    }
+    return !!this.exhausted;
+  }
+
+  async readTotals(scope, id) {
+    try {
+      return toTotals(await this.store.get(usageKey(scope, id)));
+    } catch (error) {
+      console.warn(`${this.logPrefix} could not read ${scope} usage from ${this.store.name} store:`, error.message);
+      return emptyTotals();
+    }
+  }
+
+  /**
+   * Throw BudgetExceededError if any budget is used up
+   */
+  async check(task) {
+    const day = today();
+    const usd = this.unpricedModel && usdLimit(this.limits);
+    if (usd) {
+      this.exhausted = { ...usd, day };
+      throw new BudgetExceededError(
+        `${task} call skipped: model ${this.unpricedModel} has no price, so the ${usd.scope} AI budget of ${usd.limit} can't be enforced (set LLM_PRICES)`,
+        { ...usd, totals: this.bot }
+      );
+    }
+
+    const scopes = [
+      ['bot', this.bot],
+      ['game', await this.readTotals('game', this.gameId)],
+      ['day', await this.readTotals('day', day)]
+    ];
+
+    for (const [scope, totals] of scopes) {
+      const limit = exceededLimit(totals, this.limits[scope]);
+      if (!limit) continue;
+
+      if (!this.exhausted) {
+        console.warn(`💸 ${this.logPrefix} ${scope} AI budget of ${limit} is used up; using offline fallbacks`);
+      }
+      this.exhausted = { scope, limit, day };
+      throw new BudgetExceededError(`${task} call skipped: ${scope} AI budget of ${limit} is used up`, { scope, limit, totals });
+    }
+  }
+
+  /**
+   * Add a response's usage to the bot, game and day totals
+   */
+  async record(task, response) {
+    const usage = response?.usage;
+    if (!usage) return;
+
+    let cost = estimateCost(response.model, usage, this.prices);
+    if (cost === null) {
+      cost = 0;
+      if (!this.unpricedModel) {
+        this.unpricedModel = response.model;
+        const usd = usdLimit(this.limits);
+        console.warn(usd
+          ? `💸 ${this.logPrefix}: no price for model ${response.model}, so the ${usd.scope} AI budget of ${usd.limit} can't be enforced; using offline fallbacks (set LLM_PRICES)`
+          : `${this.logPrefix}: no price for model ${response.model}; counting tokens only (set LLM_PRICES)`);
+      }
+    }
+
+    const deltas = {
+      calls: 1,
+      promptTokens: usage.prompt_tokens || 0,
+      completionTokens: usage.completion_tokens || 0,
+      totalTokens: usage.total_tokens || (usage.prompt_tokens || 0) + (usage.completion_tokens || 0),
+      costUsd: cost
+    };
+
+    const bot = { ...this.bot };
+    for (const [field, delta] of Object.entries(deltas)) bot[field] += delta;
+    this.bot = toTotals(bot);
+    for (const [scope, id] of [['game', this.gameId], ['day', today()]]) {
+      try {
+        await this.store.increment(usageKey(scope, id), deltas, { ttl: USAGE_TTLS[scope] });
+      } catch (error) {
+        console.warn(`${this.logPrefix} could not save ${scope} usage to ${this.store.name} store:`, error.message);
+      }
+    }
+
+    console.log(`💰 ${this.logPrefix} ${task}: ${usage.total_tokens || 0} tokens ($${round(cost)}); bot total ${this.bot.totalTokens} tokens ($${this.bot.costUsd})`);
+  }
+
+  /**
+   * Totals for the end-of-game log
+   */
+  async summary() {
+    return {
+      bot: this.bot,
+      game: await this.readTotals('game', this.gameId),
+      day: await this.readTotals('day', today()),
+      shared: this.shared,
+      exhausted: this.exhausted
+    };
+  }
+}
+
+/**
+ * Spend per day for the last `days` days and the most expensive games still in the store
+ */
+async function loadUsageReport(store, { days = 7, topGames = 5 } = {}) {
+  const daily = {};
+  for (let i = 0; i < days; i++) {
+    const day = new Date(Date.now() - i * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    daily[day] = toTotals(await store.get(usageKey('day', day)));
+  }
+
+  const games = [];
+  for (const key of await store.keys('usage:game:')) {
+    const totals = await store.get(key);
+    if (totals) games.push({ gameId: key.slice('usage:game:'.length), ...toTotals(totals) });
+  }
+  games.sort((a, b) => b.costUsd - a.costUsd || b.totalTokens - a.totalTokens);
+
+  const week = Object.values(daily).reduce((sum, totals) => ({
+    calls: sum.calls + totals.calls,
+    totalTokens: sum.totalTokens + totals.totalTokens,
+    costUsd: round(sum.costUsd + totals.costUsd)
+  }), { calls: 0, totalTokens: 0, costUsd: 0 });
+
+  return { daily, total: week, games: games.length, topGames: games.slice(0, topGames) };
+}
+
+module.exports = {
+  MODEL_PRICES,
+  BUDGET_SCOPES,
+  DEFAULT_LIMITS,
+  BudgetExceededError,
+  UsageBudget,
+  readPrices,
+  priceFor,
+  estimateCost,
+  readBudgetLimits,
+  createUsageStore,
+  loadUsageReport
+};
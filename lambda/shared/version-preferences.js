@@ -0,0 +1,219 @@
+// lambda/shared/version-preferences.js
+// Which version of a song a bot would rather submit. Search results are
+// classified from their title, artist and album (live, remaster, remix,
+// cover, karaoke, sped up, compilation...), and each kind gets a weight that
+// is added to the match score. A weight of 'reject' means the bot never picks
+// that kind.
+//
+// Kinds the question asks for ("best cover song?", "a great live
+// recording?") or that the suggestion names itself ("Hurt (Live)") are never
+// penalised. Personalities can change weights and add a bonus for requested
+// kinds with `versionPreferences` in their definition:
+//
+//   "versionPreferences": {
+//     "weights": { "live": 0 },
+//     "whenAsked": { "cover": 0.3 }
+//   }
+
+const REJECT = 'reject';
+
+// Kind → how it shows up in search metadata. `versionPart` only looks at
+// bracketed text and " - ..." suffixes, so "Live Forever" is not a live take.
+const VERSION_KINDS = {
+  karaoke: { anywhere: /\bkaraoke\b|\bin the style of\b|\bmade famous by\b|\boriginally performed by\b/ },
+  instrumental: { versionPart: /\binstrumental\b/, album: /\binstrumentals?\b/ },
+  tribute: { artist: /\btribute\b|\bstring quartet\b|\bcover band\b|\blullaby\b/, album: /\btribute\b|\blullaby\b/ },
+  cover: { versionPart: /\bcover\b/, album: /\bcovers\b/ },
+  live: { versionPart: /\blive\b/, album: /^live\b|\blive (at|in|from|on)\b|\bunplugged\b|\(live\)/ },
+  remaster: { versionPart: /\bremaster(ed)?\b/ },
+  remix: { versionPart: /\bremix(ed)?\b|\bmix\b|\bdub\b/ },
+  'sped-up': { anywhere: /\bsped up\b|\bspeed up\b|\bnightcore\b/ },
+  slowed: { anywhere: /\bslowed\b|\breverb\b/ },
+  acoustic: { versionPart: /\bacoustic\b|\bunplugged\b/, album: /\bacoustic\b|\bunplugged\b/ },
+  demo: { versionPart: /\bdemo\b/ },
+  compilation: { album: /\bgreatest hits\b|\bbest of\b|\bessential\b|\bcollection\b|\banthology\b|\bnumber ones\b|\bnow that s what i call\b/ }
+};
+
+const KIND_NAMES = Object.keys(VERSION_KINDS);
+
+// Shared by every bot unless its personality overrides them
+const DEFAULT_WEIGHTS = {
+  karaoke: REJECT,
+  instrumental: REJECT,
+  tribute: REJECT,
+  'sped-up': REJECT,
+  slowed: REJECT,
+  cover: -0.3,
+  remix: -0.2,
+  live: -0.1,
+  acoustic: -0.1,
+  demo: -0.1,
+  compilation: -0.03,
+  remaster: -0.02
+};
+
+// Question wording that asks for a kind of version
+const QUESTION_CUES = {
+  cover: /\bcover(s|ed)?\b|\bremakes?\b|\breinterpret/,
+  live: /\blive\b|\bconcert\b|\bunplugged\b/,
+  acoustic: /\bacoustic\b|\bunplugged\b|\bstripped\b/,
+  remix: /\bremix(es)?\b|\bclub\b|\bdance floor\b/,
+  instrumental: /\binstrumental\b|\bno lyrics\b/
+};
+
+// Added to the suggestion prompt when the bot gets a bonus for what the question asks
+const PROMPT_HINTS = {
+  cover: 'The question is about covers: suggest famous cover versions, credited to the artist who recorded the cover.',
+  live: 'Live recordings are welcome: name the live album or performance when it matters.',
+  acoustic: 'Acoustic and unplugged versions are welcome.',
+  remix: 'Well-known remixes are welcome: include the remixer in the song title.',
+  instrumental: 'Instrumental tracks are welcome.'
+};
+
+function normalize(text) {
+  return String(text || '')
+    .normalize('NFKD')
+    .replace(/\p{M}/gu, '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}()[\]-]+/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Bracketed text and " - ..." suffixes of a title: where version labels live
+ */
+function versionPart(title) {
+  const raw = String(title || '');
+  const brackets = raw.match(/[([][^)\]]*[)\]]/g) || [];
+  const suffix = raw.match(/\s+-\s+(.*)$/);
+  return normalize([...brackets, suffix ? suffix[1] : ''].join(' '));
+}
+
+/**
+ * Kinds of version a search result (or suggestion) is: ['live', 'remaster', ...]
+ */
+function classifyVersion({ name, song, artist, album } = {}) {
+  const title = name ?? song;
+  const text = {
+    versionPart: versionPart(title),
+    artist: normalize(artist),
+    album: normalize(album),
+    anywhere: normalize(`${title || ''} ${artist || ''} ${album || ''}`)
+  };
+
+  return KIND_NAMES.filter(kind =>
+    Object.entries(VERSION_KINDS[kind]).some(([field, pattern]) => pattern.test(text[field]))
+  );
+}
+
+/**
+ * Kinds of version the question asks for
+ */
+function requestedKinds(questionText) {
+  const text = normalize(questionText);
+  return Object.keys(QUESTION_CUES).filter(kind => QUESTION_CUES[kind].test(text));
+}
+
+/**
+ * Problems with a `versionPreferences` definition (empty when valid)
+ */
+function validateVersionPreferences(preferences, source = 'versionPreferences') {
+  const problems = [];
+  if (preferences === undefined) return problems;
+
+  if (!preferences || typeof preferences !== 'object' || Array.isArray(preferences)) {
+    return [`${source} must be an object`];
+  }
+
+  for (const key of Object.keys(preferences)) {
+    if (!['weights', 'whenAsked'].includes(key)) problems.push(`${source}: unknown field "${key}"`);
+  }
+
+  for (const section of ['weights', 'whenAsked']) {
+    const weights = preferences[section];
+    if (weights === undefined) continue;
+    if (!weights || typeof weights !== 'object' || Array.isArray(weights)) {
+      problems.push(`${source}.${section} must be an object`);
+      continue;
+    }
+    for (const [kind, weight] of Object.entries(weights)) {
+      if (!KIND_NAMES.includes(kind)) {
+        problems.push(`${source}.${section}: unknown version kind "${kind}"`);
+      } else if (weight !== REJECT && (typeof weight !== 'number' || weight < -1 || weight > 1)) {
+        problems.push(`${source}.${section}.${kind} must be a number between -1 and 1 or "${REJECT}"`);
+      }
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Weights for one question: defaults, then personality overrides, then what the question asks for
+ *
+ * @param {Object} [preferences] - A personality's versionPreferences
+ * @param {string} [questionText]
+ * @returns {{ weights: Object, requested: string[] }}
+ */
+function versionWeightsFor(preferences = {}, questionText = '') {
+  const weights = { ...DEFAULT_WEIGHTS, ...(preferences?.weights || {}) };
+  const requested = requestedKinds(questionText);
+
+  for (const kind of requested) {
+    const current = weights[kind] === REJECT ? 0 : Math.max(weights[kind] || 0, 0);
+    weights[kind] = Math.max(current, preferences?.whenAsked?.[kind] ?? 0);
+  }
+
+  return { weights, requested };
+}
+
+/**
+ * Score adjustment for a search result
+ *
+ * @param {Object} candidate - Search result ({ name, artist, album })
+ * @param {Object} target - The suggestion; kinds it names itself are not penalised
+ * @param {Object} versions - From versionWeightsFor()
+ * @returns {{ adjustment: number, reject: boolean, kinds: string[] }}
+ */
+function scoreVersion(candidate, target, versions = versionWeightsFor()) {
+  const kinds = classifyVersion(candidate);
+  const named = new Set(classifyVersion(target || {}));
+  let adjustment = 0;
+  let reject = false;
+
+  for (const kind of kinds) {
+    const weight = versions.weights[kind] ?? 0;
+    if (named.has(kind)) {
+      adjustment += Math.max(weight === REJECT ? 0 : weight, 0);
+    } else if (weight === REJECT) {
+      reject = true;
+    } else {
+      adjustment += weight;
+    }
+  }
+
+  return { adjustment, reject, kinds };
+}
+
+/**
+ * Prompt lines for requested kinds this bot gets a bonus for
+ */
+function versionPromptHints(versions) {
+  return versions.requested
+    .filter(kind => typeof versions.weights[kind] === 'number' && versions.weights[kind] > 0)
+    .map(kind => PROMPT_HINTS[kind])
+    .filter(Boolean);
+}
+
+module.exports = {
+  REJECT,
+  KIND_NAMES,
+  DEFAULT_WEIGHTS,
+  classifyVersion,
+  requestedKinds,
+  validateVersionPreferences,
+  versionWeightsFor,
+  scoreVersion,
+  versionPromptHints
+};
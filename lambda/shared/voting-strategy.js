@@ -0,0 +1,114 @@
+// lambda/shared/voting-strategy.js
+// How a bot votes in games of three or more players. Every submission on the
+// ballot gets a quality (the AI's pick, the personality's favourite, a song
+// to its taste or just another answer) and a standing: how little a vote
+// helps its player against the bot, from 0 for the top score to 1 for the
+// bottom. The bot's competitiveness blends the two, and standings count for
+// more as the game goes on:
+//
+//   weight  = competitiveness × (0.5 + 0.5 × round / maxRounds)
+//   utility = (1 − weight) × quality + weight × standing
+//
+// In a close endgame (one of the last two rounds, with the strongest
+// opponent on the ballot within one round of votes of the bot), that
+// opponent's utility is also multiplied by (1 − competitiveness), so a fully
+// competitive bot never hands the leader a vote while anyone else is on the
+// ballot. At competitiveness 0 the bot votes on quality alone.
+//
+// Competitiveness comes from the spawn request, else the personality's
+// `voting.competitiveness`, else DEFAULT_COMPETITIVENESS.
+
+const DEFAULT_COMPETITIVENESS = 0.3;
+
+// Quality of a submission, by why the bot likes it
+const VOTE_QUALITY = {
+  ai: 1,          // the AI's choice for the question
+  favourite: 0.8, // the personality heuristic's pick
+  taste: 0.7,     // fits the personality's voting preference
+  other: 0.5
+};
+
+const isCompetitiveness = (value) => typeof value === 'number' && value >= 0 && value <= 1;
+
+/**
+ * The first valid competitiveness of the candidates (spawn request, personality), else the default
+ */
+function resolveCompetitiveness(...candidates) {
+  return candidates.find(isCompetitiveness) ?? DEFAULT_COMPETITIVENESS;
+}
+
+const round2 = (value) => value.toFixed(2);
+
+/**
+ * Rank a ballot by quality and standings and pick the vote.
+ *
+ * @param {Array} submissions - The ballot; the bot's own submission is only on it in 2-player games
+ * @param {Object} context
+ * @param {Function} context.quality - (submission) => { value: 0-1, reason }
+ * @param {string} context.botId
+ * @param {Array} [context.players] - gameState.players: [{ user: { _id, displayName }, score }]
+ * @param {number} [context.round]
+ * @param {number} [context.maxRounds] - Without it the game is treated as half over and never in its endgame
+ * @param {number} [context.competitiveness]
+ * @returns {{ choice, rationale: string, ranked: Array<{ submission, name, score, quality, standing, utility, notes }> }}
+ */
+function chooseStrategicVote(submissions, { quality, botId, players = [], round, maxRounds, competitiveness = DEFAULT_COMPETITIVENESS }) {
+  const player = (id) => players.find(p => p.user?._id === id);
+  const scoreOf = (id) => player(id)?.score || 0;
+  const nameOf = (submission) => player(submission.player._id)?.user.displayName || submission.player.displayName || 'a player';
+
+  const botScore = scoreOf(botId);
+  const scores = [botScore, ...players.filter(p => p.user?._id !== botId).map(p => p.score || 0)];
+  const top = Math.max(...scores);
+  const bottom = Math.min(...scores);
+
+  const progress = maxRounds > 0 && round > 0 ? Math.min(1, round / maxRounds) : 0.5;
+  const weight = competitiveness * (0.5 + 0.5 * progress);
+
+  // The strongest opponent on the ballot is only held back in a close endgame, and only if someone else is on it
+  const own = (submission) => submission.player._id === botId;
+  const opponents = submissions.filter(s => !own(s));
+  const rivalScore = Math.max(...opponents.map(s => scoreOf(s.player._id)));
+  const endgame = maxRounds > 0 && round >= maxRounds - 1;
+  const closeEndgame = endgame && competitiveness > 0 &&
+    Math.abs(rivalScore - botScore) <= Math.max(1, players.length - 1) &&
+    opponents.some(s => scoreOf(s.player._id) < rivalScore);
+
+  const ranked = submissions.map(submission => {
+    const score = scoreOf(submission.player._id);
+    const judged = quality(submission);
+    // A vote for its own submission (2-player games) never helps an opponent
+    const standing = own(submission) || top === bottom ? 1 : (top - score) / (top - bottom);
+    const notes = [];
+    let utility = (1 - weight) * judged.value + weight * standing;
+    if (closeEndgame && !own(submission) && score === rivalScore) {
+      utility *= 1 - competitiveness;
+      notes.push(`${score >= top ? 'the leader' : 'the closest rival'} in a close endgame`);
+    }
+    return { submission, name: nameOf(submission), score, quality: judged, standing, utility, notes };
+  });
+
+  // Ties keep ballot order
+  const best = ranked.reduce((leader, entry) => entry.utility > leader.utility ? entry : leader);
+  const bestQuality = ranked.reduce((leader, entry) => entry.quality.value > leader.quality.value ? entry : leader);
+
+  const describe = (entry) => `"${entry.submission.songName}" by ${entry.submission.artist} (${entry.name}, ${entry.score} pts)`;
+  const figures = (entry) => `quality ${round2(entry.quality.value)}, standing ${round2(entry.standing)} → ${round2(entry.utility)}` +
+    (entry.notes.length ? `, ${entry.notes.join(', ')}` : '');
+
+  let rationale = `${describe(best)}: ${best.quality.reason}; ${figures(best)}`;
+  if (bestQuality !== best) {
+    rationale += `; over ${describe(bestQuality)}: ${bestQuality.quality.reason}; ${figures(bestQuality)}`;
+  }
+  rationale += ` [competitiveness ${round2(competitiveness)}, standings weight ${round2(weight)}]`;
+
+  return { choice: best.submission, rationale, ranked };
+}
+
+module.exports = {
+  DEFAULT_COMPETITIVENESS,
+  VOTE_QUALITY,
+  isCompetitiveness,
+  resolveCompetitiveness,
+  chooseStrategicVote
+};
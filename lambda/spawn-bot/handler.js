@@ -1,6 +1,16 @@
 // heartsongs-bot-service/lambda/spawn-bot/handler.js
 const AWS = require('aws-sdk');
-const axios = require('axios');
+const { HeartSongsClient, RETRY_POLICIES } = require('../shared/heartsongs-client');
+const { sleep, retryWithBackoff } = require('../shared/retry');
+const { PROVIDER_NAMES, providerProblem } = require('../shared/llm-providers');
+const { DIFFICULTY_NAMES, DEFAULT_DIFFICULTY } = require('../shared/difficulty');
+const { isCompetitiveness, resolveCompetitiveness } = require('../shared/voting-strategy');
+const {
+  getPersonalityRegistry,
+  buildCustomPersonality,
+  CUSTOM_PERSONALITY_ID
+} = require('../shared/personality-registry');
+const { getExperimentRegistry } = require('../shared/experiments');
 
 const lambda = new AWS.Lambda();
 
@@ -10,44 +20,11 @@ let lastSpawnTime = 0;
 const RATE_LIMIT_WINDOW = 60000; // 1 minute
 const MAX_SPAWNS_PER_MINUTE = 10;
 
-// Bot personality configurations
-const PERSONALITIES = {
-  eclectic: {
-    name: 'Eclectic Explorer',
-    description: 'Loves discovering hidden gems across all genres',
-    votingStyle: 'creative',
-    temperature: 0.8,
-    namePrefix: 'eclectic'
-  },
-  mainstream: {
-    name: 'Chart Topper',
-    description: 'Knows all the hits and crowd favorites',
-    votingStyle: 'popular',
-    temperature: 0.4,
-    namePrefix: 'pop'
-  },
-  indie: {
-    name: 'Indie Insider',
-    description: 'Champions underground and alternative artists',
-    votingStyle: 'authentic',
-    temperature: 0.9,
-    namePrefix: 'indie'
-  },
-  vintage: {
-    name: 'Time Traveler',
-    description: 'Expert in classic tracks from decades past',
-    votingStyle: 'nostalgic',
-    temperature: 0.6,
-    namePrefix: 'classic'
-  },
-  analytical: {
-    name: 'Music Scholar',
-    description: 'Makes decisions based on musical theory and lyrics',
-    votingStyle: 'intellectual',
-    temperature: 0.3,
-    namePrefix: 'maestro'
-  }
-};
+// Bot personalities from personalities/*.json (validated at cold start)
+const personalities = getPersonalityRegistry();
+
+// Prompt A/B experiments from experiments/*.json
+const experiments = getExperimentRegistry();
 
 /**
  * Simple rate limiting check
@@ -71,109 +48,140 @@ function checkRateLimit() {
   lastSpawnTime = now;
 }
 
+// Stages where spawn requests may pick the stub provider; local runs have no STAGE
+const STUB_STAGES = ['dev', 'test'];
+
 /**
- * Sleep utility function
+ * Models a spawn request may pick: LLM_ALLOWED_MODELS (comma-separated) plus the default LLM_MODEL
  */
-const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+function allowedModels(env = process.env) {
+  const models = (env.LLM_ALLOWED_MODELS || '').split(',').map(model => model.trim()).filter(Boolean);
+  return env.LLM_MODEL && !models.includes(env.LLM_MODEL) ? [...models, env.LLM_MODEL] : models;
+}
 
 /**
- * Exponential backoff retry function
+ * Validate the optional per-bot AI provider/model selection. A requested
+ * provider must be configured here (key or base URL), or the worker could not use it.
+ * The stub provider is only for test stages, and models must be on the allowlist.
+ * Returns an error message, or null when valid.
  */
-async function retryWithBackoff(operation, maxRetries = 5, baseDelay = 1000) {
-  let lastError;
+function validateLlmSelection(llmProvider, llmModel, env = process.env) {
+  if (llmProvider !== undefined && !PROVIDER_NAMES.includes(llmProvider)) {
+    return `Unknown llmProvider "${llmProvider}". Expected one of: ${PROVIDER_NAMES.join(', ')}`;
+  }
   
-  for (let attempt = 0; attempt <= maxRetries; attempt++) {
-    try {
-      return await operation();
-    } catch (error) {
-      lastError = error;
-      
-      // Check if this is a retryable error
-      const isRetryable = isRetryableError(error);
-      
-      if (attempt === maxRetries || !isRetryable) {
-        throw error;
-      }
-      
-      // Calculate delay with exponential backoff and jitter
-      const delay = baseDelay * Math.pow(2, attempt) + Math.random() * 1000;
-      console.log(`Attempt ${attempt + 1} failed, retrying in ${Math.round(delay)}ms...`);
-      
-      await sleep(delay);
+  if (llmProvider === 'stub' && env.STAGE && !STUB_STAGES.includes(env.STAGE)) {
+    return `llmProvider "stub" is only available in the ${STUB_STAGES.join(' and ')} stages`;
+  }
+  
+  const problem = llmProvider !== undefined && providerProblem(llmProvider, env);
+  if (problem) {
+    return `llmProvider "${llmProvider}" is not configured: ${problem}`;
+  }
+  
+  if (llmModel !== undefined) {
+    const models = allowedModels(env);
+    if (models.length === 0) {
+      return 'llmModel cannot be chosen per bot here: no models are allowed (LLM_ALLOWED_MODELS)';
+    }
+    if (!models.includes(llmModel)) {
+      return `llmModel must be one of: ${models.join(', ')}`;
     }
   }
   
-  throw lastError;
+  return null;
+}
+
+/**
+ * Validate the optional difficulty level.
+ * Returns an error message, or null when valid.
+ */
+function validateDifficulty(difficulty) {
+  if (difficulty !== undefined && !DIFFICULTY_NAMES.includes(difficulty)) {
+    return `Unknown difficulty "${difficulty}". Expected one of: ${DIFFICULTY_NAMES.join(', ')}`;
+  }
+  
+  return null;
+}
+
+/**
+ * Validate the optional familyFriendly flag.
+ * Returns an error message, or null when valid.
+ */
+function validateFamilyFriendly(familyFriendly) {
+  if (familyFriendly !== undefined && typeof familyFriendly !== 'boolean') {
+    return 'familyFriendly must be true or false';
+  }
+  
+  return null;
 }
 
 /**
- * Check if an error is retryable
+ * Validate the optional competitiveness (how much the scoreboard sways the bot's votes).
+ * Returns an error message, or null when valid.
  */
-function isRetryableError(error) {
-  // Retry on rate limiting (429)
-  if (error.response?.status === 429) {
-    return true;
+function validateCompetitiveness(competitiveness) {
+  if (competitiveness !== undefined && !isCompetitiveness(competitiveness)) {
+    return 'competitiveness must be a number between 0 and 1';
   }
   
-  // Retry on server errors (5xx)
-  if (error.response?.status >= 500) {
-    return true;
+  return null;
+}
+
+/**
+ * Resolve the requested personality: a registered name (unknown names fall
+ * back to the default) or an inline custom definition.
+ * Returns { botConfig, problems }; problems is non-empty when the definition is invalid.
+ */
+function selectPersonality(personality) {
+  if (personality === undefined || typeof personality === 'string') {
+    return { botConfig: personalities.resolve(personality), problems: [] };
   }
   
-  // Retry on network errors
-  if (error.code === 'ECONNRESET' || 
-      error.code === 'ETIMEDOUT' || 
-      error.code === 'ENOTFOUND' ||
-      error.code === 'ECONNREFUSED') {
-    return true;
+  const { definition, problems } = buildCustomPersonality(personality, personalities);
+  return { botConfig: definition, problems };
+}
+
+/**
+ * Personality details sent to the worker. Registered personalities are looked
+ * up again from the worker's own registry; custom ones travel in full.
+ */
+function buildPersonalityConfig(botConfig) {
+  if (botConfig.id === CUSTOM_PERSONALITY_ID) {
+    return botConfig;
   }
   
-  return false;
+  return {
+    name: botConfig.name,
+    description: botConfig.description,
+    votingStyle: botConfig.votingStyle,
+    temperature: botConfig.temperature,
+    namePrefix: botConfig.namePrefix
+  };
 }
 
 /**
  * Register bot with retry logic
  */
-async function registerBot(botName, apiUrl) {
+async function registerBot(botName, client) {
   console.log(`🔄 Attempting to register bot: ${botName}`);
   
-  return await retryWithBackoff(async () => {
-    const response = await axios.post(`${apiUrl}/auth/register-anonymous`, {
-      username: botName
-    }, {
-      timeout: 15000, // Increased timeout
-      headers: {
-        'Content-Type': 'application/json',
-        'User-Agent': 'HeartSongs-Bot-Service/1.0'
-      }
-    });
-    
-    console.log(`✅ Bot registration successful: ${botName}`);
-    return response;
-  }, 5, 2000); // 5 retries, 2 second base delay
+  const registration = await client.register(botName);
+  
+  console.log(`✅ Bot registration successful: ${botName}`);
+  return registration;
 }
 
 /**
  * Join game with retry logic
  */
-async function joinGame(gameCode, botUser, sessionToken, apiUrl) {
+async function joinGame(gameCode, botUser, client) {
   console.log(`🔄 Attempting to join game: ${gameCode}`);
   
-  return await retryWithBackoff(async () => {
-    const response = await axios.post(`${apiUrl}/game/join`, {
-      gameCode: gameCode,
-      userId: botUser.id
-    }, {
-      headers: { 
-        Authorization: `Bearer ${sessionToken}`,
-        'User-Agent': 'HeartSongs-Bot-Service/1.0'
-      },
-      timeout: 15000
-    });
-    
-    console.log(`✅ Game join successful: ${gameCode}`);
-    return response;
-  }, 3, 1000); // 3 retries, 1 second base delay
+  const joinResult = await client.join(gameCode, botUser.id);
+  
+  console.log(`✅ Game join successful: ${gameCode}`);
+  return joinResult;
 }
 
 exports.handler = async (event, context) => {
@@ -228,7 +236,7 @@ exports.handler = async (event, context) => {
       };
     }
     
-    const { gameCode, personality = 'eclectic', gameId } = JSON.parse(event.body || '{}');
+    const { gameCode, personality, gameId, llmProvider, llmModel, difficulty, familyFriendly, competitiveness } = JSON.parse(event.body || '{}');
     
     if (!gameCode) {
       return {
@@ -240,9 +248,68 @@ exports.handler = async (event, context) => {
         body: JSON.stringify({ error: 'Game code is required' })
       };
     }
+    
+    const llmError = validateLlmSelection(llmProvider, llmModel);
+    if (llmError) {
+      return {
+        statusCode: 400,
+        headers: { 
+          'Content-Type': 'application/json',
+          'Access-Control-Allow-Origin': '*'
+        },
+        body: JSON.stringify({ error: 'Invalid AI provider selection', details: llmError })
+      };
+    }
+    
+    const difficultyError = validateDifficulty(difficulty);
+    if (difficultyError) {
+      return {
+        statusCode: 400,
+        headers: { 
+          'Content-Type': 'application/json',
+          'Access-Control-Allow-Origin': '*'
+        },
+        body: JSON.stringify({ error: 'Invalid difficulty', details: difficultyError })
+      };
+    }
+    
+    const familyFriendlyError = validateFamilyFriendly(familyFriendly);
+    if (familyFriendlyError) {
+      return {
+        statusCode: 400,
+        headers: { 
+          'Content-Type': 'application/json',
+          'Access-Control-Allow-Origin': '*'
+        },
+        body: JSON.stringify({ error: 'Invalid familyFriendly', details: familyFriendlyError })
+      };
+    }
+    
+    const competitivenessError = validateCompetitiveness(competitiveness);
+    if (competitivenessError) {
+      return {
+        statusCode: 400,
+        headers: { 
+          'Content-Type': 'application/json',
+          'Access-Control-Allow-Origin': '*'
+        },
+        body: JSON.stringify({ error: 'Invalid competitiveness', details: competitivenessError })
+      };
+    }
 
-    const botConfig = PERSONALITIES[personality] || PERSONALITIES.eclectic;
+    const { botConfig, problems: personalityProblems } = selectPersonality(personality);
+    if (personalityProblems.length) {
+      return {
+        statusCode: 400,
+        headers: { 
+          'Content-Type': 'application/json',
+          'Access-Control-Allow-Origin': '*'
+        },
+        body: JSON.stringify({ error: 'Invalid personality', details: personalityProblems })
+      };
+    }
     console.log(`Using bot personality: ${botConfig.name}`);
+    const botCompetitiveness = resolveCompetitiveness(competitiveness, botConfig.voting.competitiveness);
     
     // Generate unique 4-digit number with timestamp to reduce collisions
     const timestamp = Date.now().toString().slice(-4);
@@ -255,27 +322,32 @@ exports.handler = async (event, context) => {
     console.log(`🤖 Generated bot name: ${botName}`);
     console.log(`🔗 Using API URL: ${process.env.HEARTSONGS_API_URL}`);
     
+    const client = new HeartSongsClient({
+      apiUrl: process.env.HEARTSONGS_API_URL,
+      logPrefix: `Spawn ${botName}`
+    });
+    
     try {
       // Step 1: Register the bot with retry logic
       console.log('📝 Step 1: Registering bot with Heart Songs API...');
-      let registrationResponse;
+      let registration;
       
       try {
-        registrationResponse = await registerBot(botName, process.env.HEARTSONGS_API_URL);
-        console.log('Registration response status:', registrationResponse.status);
-        console.log('Registration response data:', registrationResponse.data);
+        registration = await registerBot(botName, client);
+        console.log('Registration response data:', registration);
         
       } catch (regError) {
         console.error('❌ Bot registration failed after all retries:', {
           message: regError.message,
-          status: regError.response?.status,
-          data: regError.response?.data,
-          url: regError.config?.url,
-          attempts: '5+'
+          kind: regError.kind,
+          status: regError.status,
+          data: regError.data,
+          url: regError.url,
+          attempts: regError.attempts
         });
         
         // Special handling for rate limiting errors
-        if (regError.response?.status === 429) {
+        if (regError.kind === 'rate_limited') {
           return {
             statusCode: 429,
             headers: { 
@@ -299,36 +371,36 @@ exports.handler = async (event, context) => {
           },
           body: JSON.stringify({
             error: 'Bot registration failed',
-            details: regError.response?.data || regError.message,
+            details: regError.data || regError.message,
             step: 'registration',
             apiUrl: `${process.env.HEARTSONGS_API_URL}/auth/register-anonymous`,
             botName: botName,
-            retryAttempts: 5
+            retryAttempts: regError.attempts ?? RETRY_POLICIES.register[0]
           })
         };
       }
       
-      const { user: botUser, sessionToken } = registrationResponse.data;
+      const { user: botUser, sessionToken } = registration;
       console.log(`✅ Bot registered successfully: ${botUser.displayName} (ID: ${botUser.id})`);
       
       // Step 2: Join the game with retry logic
       console.log('🎮 Step 2: Bot joining game...');
-      let joinResponse;
+      let joinResult;
       
       try {
-        joinResponse = await joinGame(gameCode, botUser, sessionToken, process.env.HEARTSONGS_API_URL);
-        console.log('Join response status:', joinResponse.status);
-        console.log('Join response data:', joinResponse.data);
+        joinResult = await joinGame(gameCode, botUser, client);
+        console.log('Join response data:', joinResult);
         
       } catch (joinError) {
         console.error('❌ Game join failed after all retries:', {
           message: joinError.message,
-          status: joinError.response?.status,
-          data: joinError.response?.data,
-          url: joinError.config?.url,
+          kind: joinError.kind,
+          status: joinError.status,
+          data: joinError.data,
+          url: joinError.url,
           gameCode: gameCode,
           botUserId: botUser.id,
-          attempts: '3+'
+          attempts: joinError.attempts
         });
         
         return {
@@ -339,25 +411,39 @@ exports.handler = async (event, context) => {
           },
           body: JSON.stringify({
             error: 'Game join failed',
-            details: joinError.response?.data || joinError.message,
+            details: joinError.data || joinError.message,
             step: 'game_join',
             gameCode: gameCode,
             botId: botUser.id,
             botName: botUser.displayName,
-            retryAttempts: 3
+            retryAttempts: joinError.attempts ?? RETRY_POLICIES.join[0]
           })
         };
       }
       
+      // Each active experiment puts the bot in one of its prompt variants
+      const experimentVariants = experiments.assign(botUser.displayName);
+      if (Object.keys(experimentVariants).length > 0) {
+        console.log('🧪 Experiment variants:', experimentVariants);
+      }
+      
       // Step 3: Start the bot worker function
       const workerPayload = {
         botId: botUser.id,
         botName: botUser.displayName,
         gameCode: gameCode,
-        gameId: joinResponse.data.gameId,
+        gameId: joinResult.gameId,
         sessionToken: sessionToken,
-        personality: personality,
-        personalityConfig: botConfig
+        personality: botConfig.id,
+        personalityConfig: buildPersonalityConfig(botConfig),
+        difficulty: difficulty || DEFAULT_DIFFICULTY,
+        familyFriendly: familyFriendly === true,
+        competitiveness: botCompetitiveness,
+        experiments: experimentVariants,
+        llm: {
+          provider: llmProvider || process.env.LLM_PROVIDER || 'openai',
+          model: llmModel || process.env.LLM_MODEL || undefined
+        }
       };
       
       console.log('🚀 Starting bot worker with payload:', workerPayload);
@@ -389,6 +475,9 @@ exports.handler = async (event, context) => {
             botId: botUser.id,
             botName: botUser.displayName,
             personality: botConfig.name,
+            difficulty: difficulty || DEFAULT_DIFFICULTY,
+            familyFriendly: familyFriendly === true,
+            competitiveness: botCompetitiveness,
             message: 'Bot joined game but worker startup may have failed',
             warning: workerError.message
           })
@@ -406,6 +495,9 @@ exports.handler = async (event, context) => {
           botId: botUser.id,
           botName: botUser.displayName,
           personality: botConfig.name,
+          difficulty: difficulty || DEFAULT_DIFFICULTY,
+          familyFriendly: familyFriendly === true,
+          competitiveness: botCompetitiveness,
           message: 'Bot is joining the game...'
         })
       };
@@ -443,4 +535,8 @@ exports.handler = async (event, context) => {
       })
     };
   }
-};
\ No newline at end of file
+};
+
+exports.validateLlmSelection = validateLlmSelection;
+exports.selectPersonality = selectPersonality;
+exports.buildPersonalityConfig = buildPersonalityConfig;
@@ -0,0 +1,68 @@
+// scripts/experimentReport.js
+// Per-variant results of the prompt A/B experiments: win rate, pass rate and
+// match-failure rate over the rounds recorded in BOT_EXPERIMENT_STORE.
+//
+// Usage: BOT_EXPERIMENT_STORE=file node scripts/experimentReport.js [experimentId] [--json]
+// Deployed bots: BOT_EXPERIMENT_STORE=dynamodb BOT_STORE_TABLE=heartsongs-bot-service-<stage>-store
+// (with AWS credentials and AWS_REGION for the table)
+const dotenv = require('dotenv');
+const {
+  getExperimentRegistry,
+  createExperimentStore,
+  loadExperimentRecords,
+  summarizeExperiment
+} = require('../lambda/shared/experiments');
+
+dotenv.config();
+
+const percent = (value) => `${(value * 100).toFixed(1)}%`;
+
+async function main() {
+  const args = process.argv.slice(2);
+  const json = args.includes('--json');
+  const [experimentId] = args.filter(arg => arg !== '--json');
+
+  const store = createExperimentStore();
+  if (!store) {
+    throw new Error('Set BOT_EXPERIMENT_STORE (and BOT_EXPERIMENT_DIR for the file store, BOT_STORE_TABLE for dynamodb) to where the bots record rounds');
+  }
+
+  const registry = getExperimentRegistry();
+  const ids = experimentId ? [experimentId] : registry.ids();
+  if (experimentId && !registry.get(experimentId)) {
+    console.warn(`⚠️ Experiment "${experimentId}" is not defined in experiments/; reporting stored rounds anyway`);
+  }
+
+  const report = {};
+  for (const id of ids) {
+    report[id] = summarizeExperiment(await loadExperimentRecords(store, id));
+  }
+
+  if (json) {
+    console.log(JSON.stringify(report, null, 2));
+    return;
+  }
+
+  for (const [id, variants] of Object.entries(report)) {
+    const experiment = registry.get(id);
+    console.log(`\n🧪 ${id}${experiment ? ` (${experiment.active ? 'active' : 'inactive'}): ${experiment.description}` : ''}`);
+
+    if (Object.keys(variants).length === 0) {
+      console.log('   No rounds recorded yet');
+      continue;
+    }
+
+    console.table(Object.fromEntries(Object.entries(variants).map(([variant, summary]) => [variant, {
+      bots: summary.bots,
+      rounds: summary.rounds,
+      'win rate': percent(summary.winRate),
+      'pass rate': percent(summary.passRate),
+      'match failures': percent(summary.matchFailureRate)
+    }])));
+  }
+}
+
+main().catch(error => {
+  console.error('💥 Experiment report failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,61 @@
+// scripts/simulateGame.js
+// Play a full game locally: one bot worker against the in-process Heart Songs
+// simulator and scripted human players. No network or AWS access needed.
+//
+// Usage: node scripts/simulateGame.js [personality] [humans] [rounds]
+const { HeartSongsSimulator } = require('../test/simulator/heartsongs-simulator');
+const { HeartSongsClient } = require('../lambda/shared/heartsongs-client');
+const { handler } = require('../lambda/bot-worker/handler');
+const { getExperimentRegistry } = require('../lambda/shared/experiments');
+
+async function main() {
+  const [personality = 'eclectic', humans = '2', rounds = '3'] = process.argv.slice(2);
+  const humanCount = Math.max(1, parseInt(humans, 10));
+
+  const sim = await new HeartSongsSimulator({
+    maxRounds: parseInt(rounds, 10),
+    minPlayers: humanCount + 1,
+    resultsDuration: 500
+  }).start();
+
+  console.log(`🎮 Simulator listening on ${sim.apiUrl}`);
+
+  const { gameId, gameCode } = sim.createScriptedGame('host_human');
+  for (let i = 1; i < humanCount; i++) {
+    sim.addScriptedPlayer(gameId, `guest_human_${i}`);
+  }
+
+  const client = new HeartSongsClient({ apiUrl: sim.apiUrl });
+  const { user, sessionToken } = await client.register(`${personality}_bot_${Math.floor(1000 + Math.random() * 9000)}`);
+  await client.join(gameCode, user.id);
+
+  sim.on('update', (game) => {
+    if (game._id === gameId) {
+      console.log(`📣 [sim] round ${game.round}/${game.maxRounds} → ${game.status}`);
+    }
+  });
+
+  await handler({
+    botId: user.id,
+    botName: user.displayName,
+    gameCode,
+    gameId,
+    sessionToken,
+    personality,
+    personalityConfig: {},
+    experiments: getExperimentRegistry().assign(user.displayName),
+    apiUrl: sim.apiUrl,
+    timeScale: Number(process.env.BOT_TIME_SCALE || 0.1)
+  }, { functionName: 'local-bot-worker' });
+
+  const finalGame = sim.snapshot(sim.getGame(gameId));
+  console.log('\n🏁 Final scores:');
+  finalGame.players.forEach(p => console.log(`   ${p.user.displayName}: ${p.score}`));
+
+  await sim.stop();
+}
+
+main().catch(error => {
+  console.error('💥 Local game failed:', error);
+  process.exit(1);
+});
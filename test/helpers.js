@@ -0,0 +1,77 @@
+// test/helpers.js
+// Helpers shared by the offline test scripts: muting the workers' logs and
+// building a BotWorker that plays against a stub AI without touching the network.
+
+/**
+ * Run fn with console output muted (set VERBOSE=1 to see it)
+ */
+async function quietly(fn) {
+  const original = { log: console.log, warn: console.warn, error: console.error };
+  if (process.env.VERBOSE !== '1') {
+    console.log = () => {};
+    console.warn = () => {};
+    console.error = () => {};
+  }
+  try {
+    return await fn();
+  } finally {
+    Object.assign(console, original);
+  }
+}
+
+/**
+ * Run fn quietly and return what it logged
+ */
+async function capturingLogs(fn) {
+  const lines = [];
+  await quietly(() => {
+    console.log = (...args) => lines.push(args.join(' '));
+    return fn();
+  });
+  return lines;
+}
+
+/**
+ * A BotWorker with test defaults: stub AI, no state or cache store, no pauses.
+ * `config` overrides the worker config, `gameState` the current game's fields
+ * and `dependencies` the injected stores and options.
+ */
+function createTestBot(config = {}, gameState = {}, dependencies = {}) {
+  // Required lazily so client-only tests do not load the worker
+  const { BotWorker } = require('../lambda/bot-worker/handler');
+  const bot = new BotWorker({
+    botId: 'bot-1',
+    botName: 'pop_bot_0001',
+    gameId: 'game-1',
+    personality: 'mainstream',
+    timeScale: 0,
+    llm: { provider: 'stub' },
+    apiUrl: process.env.HEARTSONGS_API_URL,
+    ...config
+  }, { stateStore: null, cacheStore: null, ...dependencies });
+  bot.gameState = {
+    round: 1,
+    currentQuestion: { text: 'What song makes you want to dance?' },
+    submissions: [],
+    players: [],
+    ...gameState
+  };
+  return bot;
+}
+
+/**
+ * Record the winner questions a bot sets in bot.submitted instead of sending them to the API
+ */
+function captureWinnerQuestions(bot) {
+  bot.memory.observe(bot.gameState, bot.botId);
+  bot.submitted = [];
+  bot.client.setWinnerQuestion = async (gameId, question) => { bot.submitted.push(question); };
+  return bot;
+}
+
+module.exports = {
+  quietly,
+  capturingLogs,
+  createTestBot,
+  captureWinnerQuestions
+};
@@ -0,0 +1,68 @@
+// test/simulator/catalog.js
+// Songs served by the simulator's /music/search. Shaped like the real
+// search results (id, name, artist, album, albumArt) and deliberately
+// includes tricky variants: remasters, live takes, covers, karaoke.
+
+const song = (id, artist, name, album, extra = {}) => ({
+  id,
+  name,
+  artist,
+  album,
+  albumArt: `https://example.test/art/${id}.jpg`,
+  explicit: false,
+  popularity: 50,
+  ...extra
+});
+
+module.exports = [
+  song('sim-001', 'The Beatles', 'Hey Jude', 'Hey Jude', { popularity: 90 }),
+  song('sim-002', 'The Beatles', 'Let It Be', 'Let It Be', { popularity: 88 }),
+  song('sim-003', 'The Beatles', 'Come Together', 'Abbey Road', { popularity: 85 }),
+  song('sim-004', 'The Beatles', 'Here Comes The Sun - Remastered 2009', 'Abbey Road (Remastered)', { popularity: 92 }),
+  song('sim-005', 'Taylor Swift', 'Shake It Off', '1989', { popularity: 89 }),
+  song('sim-006', 'Taylor Swift', 'Love Story', 'Fearless', { popularity: 84 }),
+  song('sim-007', 'Taylor Swift', 'Anti-Hero', 'Midnights', { popularity: 91 }),
+  song('sim-008', 'Nirvana', 'Smells Like Teen Spirit', 'Nevermind', { popularity: 87 }),
+  song('sim-009', 'Alanis Morissette', 'You Oughta Know', 'Jagged Little Pill', { popularity: 74, explicit: true }),
+  song('sim-010', 'TLC', 'Waterfalls', 'CrazySexyCool', { popularity: 78 }),
+  song('sim-011', 'Johnny Cash', 'Hurt', 'American IV: The Man Comes Around', { popularity: 80 }),
+  song('sim-012', 'Gary Jules', 'Mad World', 'Trading Snakeoil For Wolftickets', { popularity: 72 }),
+  song('sim-013', 'Simon & Garfunkel', 'The Sound of Silence', 'Sounds of Silence', { popularity: 83 }),
+  song('sim-014', 'Pharrell Williams', 'Happy', 'G I R L', { popularity: 82 }),
+  song('sim-015', 'Mark Ronson', 'Uptown Funk (feat. Bruno Mars)', 'Uptown Special', { popularity: 88 }),
+  song('sim-016', 'Daft Punk', 'Get Lucky (feat. Pharrell Williams & Nile Rodgers)', 'Random Access Memories', { popularity: 86 }),
+  song('sim-017', 'Tame Impala', 'The Less I Know The Better', 'Currents', { popularity: 85 }),
+  song('sim-018', 'FKA twigs', 'Two Weeks', 'LP1', { popularity: 60 }),
+  song('sim-019', 'King Gizzard & The Lizard Wizard', 'Inner Cell', 'Murder of the Universe', { popularity: 40 }),
+  song('sim-020', 'Ed Sheeran', 'Shape of You', '÷ (Deluxe)', { popularity: 93 }),
+  song('sim-021', 'Adele', 'Rolling in the Deep', '21', { popularity: 87 }),
+  song('sim-022', 'The Weeknd', 'Blinding Lights', 'After Hours', { popularity: 95 }),
+  song('sim-023', 'Arctic Monkeys', 'Do I Wanna Know?', 'AM', { popularity: 89 }),
+  song('sim-024', 'Vampire Weekend', 'A-Punk', 'Vampire Weekend', { popularity: 70 }),
+  song('sim-025', 'The Strokes', 'Last Nite', 'Is This It', { popularity: 77 }),
+  song('sim-026', 'Fleetwood Mac', 'Dreams - 2004 Remaster', 'Rumours (Super Deluxe)', { popularity: 88 }),
+  song('sim-027', 'David Bowie', '"Heroes" - 2017 Remaster', '"Heroes" (2017 Remaster)', { popularity: 79 }),
+  song('sim-028', 'Queen', 'Bohemian Rhapsody - Remastered 2011', 'A Night At The Opera (2011 Remaster)', { popularity: 91 }),
+  song('sim-029', 'Radiohead', 'Paranoid Android', 'OK Computer', { popularity: 76 }),
+  song('sim-030', 'Pink Floyd', 'Comfortably Numb', 'The Wall', { popularity: 82 }),
+  song('sim-031', 'TOOL', 'Schism', 'Lateralus', { popularity: 68 }),
+  song('sim-032', 'Beyoncé', 'Halo', 'I AM...SASHA FIERCE', { popularity: 84 }),
+  song('sim-033', 'AC/DC', 'Back In Black', 'Back In Black', { popularity: 86 }),
+  song('sim-034', 'AC/DC', 'Highway to Hell', 'Highway to Hell', { popularity: 87 }),
+  song('sim-035', 'Earth, Wind & Fire', 'September', 'The Best Of Earth, Wind & Fire Vol. 1', { popularity: 85 }),
+  song('sim-036', 'Queen', 'Bohemian Rhapsody - Live Aid', 'Bohemian Rhapsody (Original Soundtrack)', { popularity: 70 }),
+  song('sim-037', 'Karaoke Hits Band', 'Shape of You (Karaoke Version)', 'Karaoke Hits 2017', { popularity: 20 }),
+  song('sim-038', 'Vitamin String Quartet', 'Smells Like Teen Spirit', 'The String Quartet Tribute to Nirvana', { popularity: 30 }),
+  song('sim-039', 'Jeff Buckley', 'Hallelujah', 'Grace', { popularity: 80 }),
+  song('sim-040', 'Leonard Cohen', 'Hallelujah', 'Various Positions', { popularity: 72 }),
+  song('sim-041', 'Whitney Houston', 'I Will Always Love You', 'The Bodyguard', { popularity: 84 }),
+  song('sim-042', 'Dolly Parton', 'I Will Always Love You', 'Jolene', { popularity: 65 }),
+  song('sim-043', 'The Weeknd', 'Blinding Lights - Sped Up', 'Blinding Lights (Sped Up)', { popularity: 45 }),
+  song('sim-044', 'Lizzo', 'Good as Hell', 'Cuz I Love You', { popularity: 78, explicit: true }),
+  song('sim-045', 'OutKast', 'Hey Ya!', 'Speakerboxxx/The Love Below', { popularity: 86 }),
+  song('sim-046', 'Guns N\' Roses', 'Sweet Child O\' Mine', 'Appetite For Destruction', { popularity: 89 }),
+  song('sim-047', 'Journey', 'Don\'t Stop Believin\'', 'Escape', { popularity: 88 }),
+  song('sim-048', 'Bon Jovi', 'Livin\' On A Prayer', 'Slippery When Wet', { popularity: 87 }),
+  song('sim-049', 'Toto', 'Africa', 'Toto IV', { popularity: 88 }),
+  song('sim-050', 'Eminem', 'Lose Yourself', '8 Mile', { popularity: 86, explicit: true })
+];
@@ -0,0 +1,618 @@
+// test/simulator/heartsongs-simulator.js
+// In-process fake Heart Songs API for offline end-to-end games.
+//
+// Implements the endpoints the bot service uses and walks each game through
+// waiting → selecting → voting → results → question-selection → ended.
+// Scripted "human" players can be added to act alongside real BotWorkers.
+// GET /api/game/:id/events streams every change as Server-Sent Events.
+const http = require('http');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const DEFAULT_CATALOG = require('./catalog');
+
+const DEFAULT_QUESTIONS = [
+  { text: 'What song always makes you smile?', category: 'emotion' },
+  { text: 'What song would you play on a road trip?', category: 'activity' },
+  { text: 'What song reminds you of summer?', category: 'time' },
+  { text: 'What song gets everyone on the dance floor?', category: 'party' },
+  { text: 'What song would you play during a thunderstorm?', category: 'mood' }
+];
+
+class SimulatorError extends Error {
+  constructor(status, message, errorCode) {
+    super(message);
+    this.status = status;
+    this.errorCode = errorCode;
+  }
+}
+
+const newId = () => crypto.randomBytes(12).toString('hex');
+
+function newGameCode() {
+  const letters = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+  let code = '';
+  for (let i = 0; i < 6; i++) {
+    code += letters[Math.floor(Math.random() * letters.length)];
+  }
+  return code;
+}
+
+const tokenize = (text) => text.toLowerCase().normalize('NFKD').replace(/[\u0300-\u036f]/g, '')
+  .split(/[^a-z0-9]+/).filter(Boolean);
+
+class HeartSongsSimulator extends EventEmitter {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.maxRounds=3] - Rounds before the game ends
+   * @param {number} [options.resultsDuration=100] - ms spent in `results`
+   * @param {number} [options.nextRoundDelay=50] - ms between the winner's question and the next round
+   * @param {boolean} [options.autoStart=true] - Start once `minPlayers` players are all ready
+   * @param {number} [options.minPlayers=2] - Players needed before an auto start
+   * @param {Array} [options.catalog] - Songs served by /music/search
+   * @param {Array} [options.questions] - Round 1 and no-winner questions
+   */
+  constructor(options = {}) {
+    super();
+    this.options = {
+      maxRounds: 3,
+      resultsDuration: 100,
+      nextRoundDelay: 50,
+      autoStart: true,
+      minPlayers: 2,
+      ...options
+    };
+    this.catalog = options.catalog || DEFAULT_CATALOG;
+    this.questions = options.questions || DEFAULT_QUESTIONS;
+    this.users = new Map();
+    this.sessions = new Map();
+    this.games = new Map();
+    this.timers = new Set();
+    this.failures = [];
+    this.requestLog = [];
+    this.streams = new Set();
+    this.server = null;
+  }
+
+  /**
+   * Start listening on a random local port
+   */
+  async start() {
+    this.server = http.createServer((req, res) => this.handleRequest(req, res));
+    await new Promise(resolve => this.server.listen(0, '127.0.0.1', resolve));
+
+    const { port } = this.server.address();
+    this.url = `http://127.0.0.1:${port}`;
+    this.apiUrl = `${this.url}/api`;
+    return this;
+  }
+
+  async stop() {
+    for (const timer of this.timers) clearTimeout(timer);
+    this.timers.clear();
+
+    for (const stream of this.streams) stream.close();
+    this.streams.clear();
+
+    if (this.server) {
+      this.server.closeAllConnections?.();
+      await new Promise(resolve => this.server.close(resolve));
+      this.server = null;
+    }
+  }
+
+  /**
+   * Make the next `count` requests matching method + path fail with `status`
+   */
+  injectFailure(method, path, { status = 500, count = 1, body } = {}) {
+    this.failures.push({ method: method.toUpperCase(), path, status, remaining: count, body });
+  }
+
+  // ---------------------------------------------------------------------------
+  // HTTP layer
+  // ---------------------------------------------------------------------------
+
+  handleRequest(req, res) {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      const url = new URL(req.url, this.url);
+      const send = (status, body) => {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(body));
+      };
+
+      this.requestLog.push({ method: req.method, path: url.pathname, at: Date.now() });
+
+      const failure = this.failures.find(f => f.method === req.method && f.remaining > 0 &&
+        (f.path instanceof RegExp ? f.path.test(url.pathname) : f.path === url.pathname));
+      if (failure) {
+        failure.remaining--;
+        return send(failure.status, failure.body || { error: 'Injected failure' });
+      }
+
+      const eventsMatch = url.pathname.match(/^\/api\/game\/([^/]+)\/events$/);
+      if (req.method === 'GET' && eventsMatch) {
+        try {
+          return this.openEventStream(req, res, eventsMatch[1]);
+        } catch (error) {
+          return send(error.status || 500, { error: error.message });
+        }
+      }
+
+      try {
+        const body = raw ? JSON.parse(raw) : {};
+        const result = this.route(req.method, url, body, req.headers);
+        send(200, result);
+      } catch (error) {
+        if (error instanceof SimulatorError) {
+          return send(error.status, { error: error.message, errorCode: error.errorCode });
+        }
+        console.error('Simulator error:', error);
+        send(500, { error: error.message });
+      }
+    });
+  }
+
+  route(method, url, body, headers) {
+    const path = url.pathname;
+
+    if (method === 'GET' && path === '/health') {
+      return { status: 'ok', games: this.games.size };
+    }
+
+    if (method === 'POST' && path === '/api/auth/register-anonymous') {
+      return this.register(body.username);
+    }
+
+    const user = this.authenticate(headers);
+
+    if (method === 'GET' && path === '/api/music/search') {
+      return this.search(url.searchParams.get('query') || '', Number(url.searchParams.get('limit')) || 8);
+    }
+
+    if (method === 'POST' && path === '/api/game/create') return this.createGame(user);
+    if (method === 'POST' && path === '/api/game/join') return this.joinGame(user, body.gameCode);
+    if (method === 'POST' && path === '/api/game/ready') return this.setReady(user, body.gameId);
+    if (method === 'POST' && path === '/api/game/submit') return this.submit(user, body);
+    if (method === 'POST' && path === '/api/game/vote') return this.vote(user, body.gameId, body.submissionId);
+    if (method === 'POST' && path === '/api/game/set-winner-question') {
+      return this.setWinnerQuestion(user, body.gameId, { text: body.questionText, category: body.questionCategory });
+    }
+
+    const gameMatch = path.match(/^\/api\/game\/([^/]+)$/);
+    if (method === 'GET' && gameMatch) {
+      return this.snapshot(this.getGame(gameMatch[1]));
+    }
+
+    throw new SimulatorError(404, `No route for ${method} ${path}`);
+  }
+
+  /**
+   * Server-Sent Events: the current snapshot, then one `game` event per change
+   */
+  openEventStream(req, res, gameId) {
+    this.authenticate(req.headers);
+    const game = this.getGame(gameId);
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive'
+    });
+
+    let eventId = 0;
+    const write = (snapshot) => res.write(`id: ${++eventId}\nevent: game\ndata: ${JSON.stringify(snapshot)}\n\n`);
+    const onUpdate = (snapshot) => {
+      if (snapshot._id === gameId) write(snapshot);
+    };
+
+    const stream = {
+      close: () => {
+        this.off('update', onUpdate);
+        this.streams.delete(stream);
+        res.end();
+      }
+    };
+
+    this.on('update', onUpdate);
+    this.streams.add(stream);
+    req.on('close', () => {
+      this.off('update', onUpdate);
+      this.streams.delete(stream);
+    });
+
+    write(this.snapshot(game));
+  }
+
+  authenticate(headers) {
+    const token = (headers.authorization || '').replace(/^Bearer\s+/i, '');
+    const user = this.sessions.get(token);
+    if (!user) {
+      throw new SimulatorError(401, 'Invalid or missing session token');
+    }
+    return user;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Game logic (also callable in-process by scripted players)
+  // ---------------------------------------------------------------------------
+
+  register(username) {
+    if (!username) throw new SimulatorError(400, 'Username is required');
+
+    const user = { id: newId(), displayName: username };
+    const sessionToken = newId();
+    this.users.set(user.id, user);
+    this.sessions.set(sessionToken, user);
+    return { user, sessionToken };
+  }
+
+  createGame(user) {
+    const game = {
+      _id: newId(),
+      gameCode: newGameCode(),
+      host: user.id,
+      status: 'waiting',
+      round: 0,
+      maxRounds: this.options.maxRounds,
+      players: [],
+      submissions: [],
+      currentQuestion: null,
+      winnerSelectedQuestion: null,
+      askedQuestions: [],
+      rounds: []
+    };
+    this.games.set(game._id, game);
+    this.addPlayer(game, user);
+    return { gameId: game._id, gameCode: game.gameCode };
+  }
+
+  joinGame(user, gameCode) {
+    const game = [...this.games.values()].find(g => g.gameCode === gameCode);
+    if (!game) throw new SimulatorError(404, 'Game not found');
+    if (game.status !== 'waiting') throw new SimulatorError(400, 'Game already started');
+
+    if (!game.players.some(p => p.user._id === user.id)) {
+      this.addPlayer(game, user);
+    }
+    return { gameId: game._id, gameCode: game.gameCode };
+  }
+
+  addPlayer(game, user) {
+    game.players.push({ user: { _id: user.id, displayName: user.displayName }, score: 0, isReady: false });
+    this.changed(game);
+  }
+
+  getGame(gameId) {
+    const game = this.games.get(gameId);
+    if (!game) throw new SimulatorError(404, 'Game not found');
+    return game;
+  }
+
+  getPlayer(game, userId) {
+    const player = game.players.find(p => p.user._id === userId);
+    if (!player) throw new SimulatorError(403, 'Not a player in this game');
+    return player;
+  }
+
+  setReady(user, gameId) {
+    const game = this.getGame(gameId);
+    this.getPlayer(game, user.id).isReady = true;
+    this.changed(game);
+
+    if (this.options.autoStart && game.status === 'waiting' &&
+        game.players.length >= this.options.minPlayers && game.players.every(p => p.isReady)) {
+      this.startRound(game, this.questions[0]);
+    }
+    return { success: true };
+  }
+
+  /**
+   * Force a waiting game to start (host action)
+   */
+  startGame(gameId) {
+    const game = this.getGame(gameId);
+    if (game.status !== 'waiting') throw new SimulatorError(400, 'Game already started');
+    this.startRound(game, this.questions[0]);
+  }
+
+  startRound(game, question) {
+    game.round++;
+    game.status = 'selecting';
+    game.currentQuestion = { text: question.text, category: question.category || 'general' };
+    game.askedQuestions.push(game.currentQuestion.text);
+    game.submissions = [];
+    game.winnerSelectedQuestion = null;
+    this.changed(game);
+  }
+
+  submit(user, { gameId, songId, songName, artist, albumCover, hasPassed }) {
+    const game = this.getGame(gameId);
+    const player = this.getPlayer(game, user.id);
+
+    if (game.status !== 'selecting') throw new SimulatorError(400, 'Not accepting submissions');
+    if (game.submissions.some(s => s.player._id === user.id)) {
+      throw new SimulatorError(400, 'Already submitted this round');
+    }
+
+    if (!hasPassed) {
+      if (!songId) throw new SimulatorError(400, 'songId is required');
+      if (game.submissions.some(s => !s.hasPassed && s.songId === songId)) {
+        throw new SimulatorError(409, 'Song already selected by another player', 'DUPLICATE_SONG');
+      }
+    }
+
+    game.submissions.push({
+      _id: newId(),
+      player: { ...player.user },
+      songId: hasPassed ? null : songId,
+      songName: hasPassed ? null : songName,
+      artist: hasPassed ? null : artist,
+      albumCover: hasPassed ? null : albumCover || '',
+      hasPassed: !!hasPassed,
+      votes: [],
+      submittedAt: new Date().toISOString()
+    });
+    this.changed(game);
+
+    if (game.submissions.length === game.players.length) {
+      const songs = game.submissions.filter(s => !s.hasPassed);
+      if (songs.length === 0) {
+        this.finishRound(game);
+      } else {
+        game.status = 'voting';
+        this.changed(game);
+      }
+    }
+    return { success: true };
+  }
+
+  vote(user, gameId, submissionId) {
+    const game = this.getGame(gameId);
+    this.getPlayer(game, user.id);
+
+    if (game.status !== 'voting') throw new SimulatorError(400, 'Not accepting votes');
+    if (game.submissions.some(s => s.votes.some(v => v._id === user.id))) {
+      throw new SimulatorError(400, 'Already voted this round');
+    }
+
+    const submission = game.submissions.find(s => s._id === submissionId && !s.hasPassed);
+    if (!submission) throw new SimulatorError(404, 'Submission not found');
+    if (game.players.length >= 3 && submission.player._id === user.id) {
+      throw new SimulatorError(400, 'Cannot vote for your own submission');
+    }
+
+    submission.votes.push({ _id: user.id, displayName: user.displayName });
+    this.changed(game);
+
+    const totalVotes = game.submissions.reduce((sum, s) => sum + s.votes.length, 0);
+    if (totalVotes === this.countEligibleVoters(game)) {
+      this.finishRound(game);
+    }
+    return { success: true };
+  }
+
+  /**
+   * Players who have at least one submission they are allowed to vote for
+   */
+  countEligibleVoters(game) {
+    const songs = game.submissions.filter(s => !s.hasPassed);
+    if (game.players.length < 3) return game.players.length;
+    return game.players.filter(p => songs.some(s => s.player._id !== p.user._id)).length;
+  }
+
+  finishRound(game) {
+    for (const submission of game.submissions) {
+      const player = game.players.find(p => p.user._id === submission.player._id);
+      if (player) player.score += submission.votes.length;
+    }
+
+    const winner = this.getRoundWinner(game);
+    game.rounds.push({
+      round: game.round,
+      question: game.currentQuestion.text,
+      winnerId: winner?.player._id || null,
+      submissions: game.submissions.map(s => ({ playerId: s.player._id, songId: s.songId, hasPassed: s.hasPassed, votes: s.votes.length }))
+    });
+
+    game.status = 'results';
+    this.changed(game);
+
+    this.schedule(() => {
+      if (game.round >= game.maxRounds) {
+        game.status = 'ended';
+        this.changed(game);
+      } else if (!winner) {
+        this.startRound(game, this.nextDefaultQuestion(game));
+      } else {
+        game.status = 'question-selection';
+        this.changed(game);
+      }
+    }, this.options.resultsDuration);
+  }
+
+  /**
+   * Same ordering the bot uses: most votes, then earliest submission
+   */
+  getRoundWinner(game) {
+    const songs = game.submissions.filter(s => !s.hasPassed);
+    if (songs.length === 0) return null;
+
+    return [...songs].sort((a, b) => {
+      const voteDiff = b.votes.length - a.votes.length;
+      if (voteDiff !== 0) return voteDiff;
+      return new Date(a.submittedAt) - new Date(b.submittedAt);
+    })[0];
+  }
+
+  setWinnerQuestion(user, gameId, question) {
+    const game = this.getGame(gameId);
+
+    if (game.status !== 'question-selection') throw new SimulatorError(400, 'Not selecting a question');
+    if (this.getRoundWinner(game)?.player._id !== user.id) {
+      throw new SimulatorError(403, 'Only the round winner can choose the question');
+    }
+    if (!question.text || !question.text.trim()) throw new SimulatorError(400, 'Question text is required');
+    if (game.winnerSelectedQuestion) throw new SimulatorError(400, 'Question already selected');
+
+    game.winnerSelectedQuestion = { text: question.text.trim(), category: question.category || 'general' };
+    this.changed(game);
+
+    this.schedule(() => this.startRound(game, game.winnerSelectedQuestion), this.options.nextRoundDelay);
+    return { success: true };
+  }
+
+  nextDefaultQuestion(game) {
+    return this.questions.find(q => !game.askedQuestions.includes(q.text)) ||
+      this.questions[game.round % this.questions.length];
+  }
+
+  search(query, limit) {
+    const queryTokens = tokenize(query);
+    if (queryTokens.length === 0) return [];
+
+    return this.catalog
+      .map(song => {
+        const songTokens = new Set(tokenize(`${song.artist} ${song.name}`));
+        const hits = queryTokens.filter(t => songTokens.has(t)).length;
+        return { song, score: hits / queryTokens.length };
+      })
+      .filter(r => r.score > 0)
+      .sort((a, b) => b.score - a.score || (b.song.popularity || 0) - (a.song.popularity || 0))
+      .slice(0, limit)
+      .map(r => ({ ...r.song }));
+  }
+
+  // ---------------------------------------------------------------------------
+  // Helpers
+  // ---------------------------------------------------------------------------
+
+  snapshot(game) {
+    return JSON.parse(JSON.stringify(game));
+  }
+
+  changed(game) {
+    this.emit('update', this.snapshot(game));
+  }
+
+  schedule(fn, delay) {
+    const timer = setTimeout(() => {
+      this.timers.delete(timer);
+      fn();
+    }, delay);
+    this.timers.add(timer);
+  }
+
+  /**
+   * Resolve once the game reaches `status` (or any status when a predicate is given)
+   */
+  waitFor(gameId, predicate, timeout = 30000) {
+    const test = typeof predicate === 'function' ? predicate : (game) => game.status === predicate;
+    const current = this.snapshot(this.getGame(gameId));
+    if (test(current)) return Promise.resolve(current);
+
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.off('update', onUpdate);
+        reject(new Error(`Timed out waiting for game ${gameId}`));
+      }, timeout);
+
+      const onUpdate = (game) => {
+        if (game._id === gameId && test(game)) {
+          clearTimeout(timer);
+          this.off('update', onUpdate);
+          resolve(game);
+        }
+      };
+      this.on('update', onUpdate);
+    });
+  }
+
+  /**
+   * Create a game whose host is a scripted player
+   */
+  createScriptedGame(hostName = 'host_human', behaviour = {}) {
+    const { user } = this.register(hostName);
+    const { gameId, gameCode } = this.createGame(user);
+    this.attachScript(gameId, user, behaviour);
+    return { gameId, gameCode, host: user };
+  }
+
+  /**
+   * Add an in-process "human" who joins the game and reacts to every phase change
+   */
+  addScriptedPlayer(gameId, username, behaviour = {}) {
+    const { user } = this.register(username);
+    this.joinGame(user, this.getGame(gameId).gameCode);
+    this.attachScript(gameId, user, behaviour);
+    return user;
+  }
+
+  /**
+   * `behaviour` may override: pickSong(game, catalog) → song|null,
+   * pickVote(game, votable) → submission, pickQuestion(game) → {text, category},
+   * ready (false to never ready up) and actionDelay (ms)
+   */
+  attachScript(gameId, user, behaviour = {}) {
+    const game = this.getGame(gameId);
+    const actionDelay = behaviour.actionDelay ?? 20;
+    const pickSong = behaviour.pickSong || ((g) => {
+      const taken = g.submissions.map(s => s.songId);
+      const free = this.catalog.filter(s => !taken.includes(s.id));
+      return free[Math.floor(Math.random() * free.length)];
+    });
+    const pickVote = behaviour.pickVote || ((g, votable) => votable[Math.floor(Math.random() * votable.length)]);
+    const pickQuestion = behaviour.pickQuestion || ((g) => this.nextDefaultQuestion(g));
+
+    // One pending action per round + phase; a rejected action is retried on the next update
+    const pending = new Set();
+    const act = (key, fn) => {
+      if (pending.has(key)) return;
+      pending.add(key);
+      this.schedule(() => {
+        try {
+          fn();
+        } catch (error) {
+          if (!(error instanceof SimulatorError)) throw error;
+          pending.delete(key);
+        }
+      }, actionDelay);
+    };
+
+    const onUpdate = (snapshot) => {
+      if (snapshot._id !== gameId) return;
+      const live = this.getGame(gameId);
+      const me = live.players.find(p => p.user._id === user.id);
+      if (!me) return;
+      const key = `${live.round}:${live.status}`;
+
+      if (live.status === 'waiting' && !me.isReady && behaviour.ready !== false) {
+        act(key, () => this.setReady(user, gameId));
+      } else if (live.status === 'selecting' && !live.submissions.some(s => s.player._id === user.id)) {
+        act(key, () => {
+          const song = pickSong(this.snapshot(live), this.catalog);
+          this.submit(user, song
+            ? { gameId, songId: song.id, songName: song.name, artist: song.artist, albumCover: song.albumArt, hasPassed: false }
+            : { gameId, hasPassed: true });
+        });
+      } else if (live.status === 'voting' && !live.submissions.some(s => s.votes.some(v => v._id === user.id))) {
+        act(key, () => {
+          const votable = live.submissions.filter(s => !s.hasPassed &&
+            (live.players.length < 3 || s.player._id !== user.id));
+          if (votable.length > 0) this.vote(user, gameId, pickVote(this.snapshot(live), votable)._id);
+        });
+      } else if (live.status === 'question-selection' && !live.winnerSelectedQuestion &&
+                 this.getRoundWinner(live)?.player._id === user.id) {
+        act(key, () => this.setWinnerQuestion(user, gameId, pickQuestion(this.snapshot(live))));
+      }
+    };
+
+    this.on('update', onUpdate);
+    onUpdate(this.snapshot(game));
+  }
+}
+
+module.exports = {
+  HeartSongsSimulator,
+  DEFAULT_QUESTIONS
+};
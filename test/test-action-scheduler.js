@@ -0,0 +1,111 @@
+// test/test-action-scheduler.js
+// Offline tests for the bot worker's per-bot action scheduler
+const { ActionScheduler } = require('../lambda/bot-worker/action-scheduler');
+const { quietly } = require('./helpers');
+
+// Test results
+let results = {
+  passed: 0,
+  failed: 0,
+  tests: []
+};
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Helper function to run a test
+async function runTest(name, testFunction) {
+  console.log(`🧪 Running: ${name}`);
+  try {
+    await quietly(testFunction);
+    console.log(`✅ PASSED: ${name}`);
+    results.passed++;
+    results.tests.push({ name, status: 'PASSED' });
+  } catch (error) {
+    console.log(`❌ FAILED: ${name}`);
+    console.log(`   Error: ${error.message}`);
+    results.failed++;
+    results.tests.push({ name, status: 'FAILED', error: error.message });
+  }
+}
+
+async function runAllTests() {
+  await runTest('Actions are deduped by key, including after they run', async () => {
+    const scheduler = new ActionScheduler();
+    let runs = 0;
+
+    assert(scheduler.schedule('1:q:vote', async () => { runs++; }, { delay: 5 }), 'First schedule should succeed');
+    assert(!scheduler.schedule('1:q:vote', async () => { runs++; }, { delay: 5 }), 'Duplicate should be rejected');
+    await wait(15);
+
+    assert(runs === 1, `Expected one run, got ${runs}`);
+    assert(!scheduler.schedule('1:q:vote', async () => { runs++; }), 'Completed key should stay deduped');
+    assert(scheduler.schedule('2:q:vote', async () => {}), 'Next round should use a new key');
+  });
+
+  await runTest('Failed actions are released for retry', async () => {
+    const scheduler = new ActionScheduler();
+    scheduler.schedule('ready', async () => { throw new Error('503'); });
+    await wait(5);
+
+    assert(!scheduler.has('ready'), 'Failed action should be released');
+    assert(scheduler.size === 0, 'No actions should remain');
+  });
+
+  await runTest('State changes cancel pending actions from other states', async () => {
+    const scheduler = new ActionScheduler();
+    let submitted = false;
+    let voted = false;
+
+    scheduler.schedule('1:q:submit', async () => { submitted = true; }, { delay: 20, state: 'selecting' });
+    scheduler.schedule('1:q:vote', async () => { voted = true; }, { delay: 20, state: 'voting' });
+
+    assert(scheduler.cancelStale('voting') === 1, 'Expected the submit to be cancelled');
+    await wait(30);
+
+    assert(!submitted, 'Cancelled submit must not run');
+    assert(voted, 'Vote for the current state should run');
+  });
+
+  await runTest('Drain waits for running actions and drops pending ones', async () => {
+    const scheduler = new ActionScheduler();
+    let finished = false;
+    let pendingRan = false;
+
+    scheduler.schedule('running', async () => { await wait(20); finished = true; });
+    scheduler.schedule('pending', async () => { pendingRan = true; }, { delay: 1000 });
+    await wait(5);
+
+    assert(await scheduler.drain({ timeout: 1000 }), 'Drain should finish');
+    assert(finished, 'Running action should have completed before drain returned');
+    assert(!pendingRan && scheduler.size === 0, 'Pending action should be cancelled');
+  });
+
+  await runTest('Drain gives up after its timeout', async () => {
+    const scheduler = new ActionScheduler();
+    scheduler.schedule('stuck', () => wait(200));
+    await wait(5);
+
+    const startedAt = Date.now();
+    assert(await scheduler.drain({ timeout: 20 }) === false, 'Drain should report it timed out');
+    assert(Date.now() - startedAt < 150, 'Drain should not wait for the stuck action');
+    await wait(200);
+  });
+
+  // Print results
+  console.log('\n==================================================');
+  console.log(`✅ Passed: ${results.passed}`);
+  console.log(`❌ Failed: ${results.failed}`);
+
+  if (results.failed > 0) {
+    process.exit(1);
+  }
+}
+
+runAllTests().catch(error => {
+  console.error('💥 Test runner crashed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,202 @@
+// test/test-cache.js
+// Offline tests for the search/suggestion cache
+process.env.HEARTSONGS_API_URL = process.env.HEARTSONGS_API_URL || 'http://127.0.0.1:9/api';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Cache, cacheKey, createCacheStore } = require('../lambda/shared/cache');
+const { MemoryStateStore, FileStateStore } = require('../lambda/shared/state-store');
+const { quietly, createTestBot } = require('./helpers');
+
+// Test results
+let results = {
+  passed: 0,
+  failed: 0,
+  tests: []
+};
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+// Helper function to run a test
+async function runTest(name, testFunction) {
+  console.log(`🧪 Running: ${name}`);
+  try {
+    await testFunction();
+    console.log(`✅ PASSED: ${name}`);
+    results.passed++;
+    results.tests.push({ name, status: 'PASSED' });
+  } catch (error) {
+    console.log(`❌ FAILED: ${name}`);
+    console.log(`   Error: ${error.message}`);
+    results.failed++;
+    results.tests.push({ name, status: 'FAILED', error: error.message });
+  }
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const QUESTION = { text: 'What song makes you want to dance?' };
+const QUEEN_AI = { provider: 'stub', script: { suggestions: [{ suggestions: [{ artist: 'Queen', song: "Don't Stop Me Now", reasoning: 'test' }] }] } };
+
+/**
+ * Answer the bot's /music/search calls locally, recording each query in bot.apiSearches
+ */
+function stubSearch(bot) {
+  bot.apiSearches = [];
+  bot.client.search = async (query, { limit }) => {
+    bot.apiSearches.push(query);
+    return [{ id: `song-${limit}`, artist: 'Queen', name: "Don't Stop Me Now" }];
+  };
+  return bot;
+}
+
+async function runAllTests() {
+  await runTest('Entries expire and keys are normalised', async () => {
+    const cache = new Cache();
+    assert(cacheKey('search', 'Hey Jude!', 8) === cacheKey('search', '  hey   JUDE', 8), 'Keys should ignore case and punctuation');
+
+    await cache.set('short', { a: 1 }, { ttl: 20 });
+    const value = await cache.get('short');
+    value.a = 2;
+    assert((await cache.get('short')).a === 1, 'Callers should get copies');
+
+    await sleep(30);
+    assert(await cache.get('short') === null, 'Expired entries should miss');
+    assert(cache.summary().hits === 2 && cache.summary().misses === 1, `Unexpected stats ${JSON.stringify(cache.summary())}`);
+  });
+
+  await runTest('The least recently used entries are evicted', async () => {
+    const cache = new Cache({ maxEntries: 2 });
+    await cache.set('a', 1, { ttl: 1000 });
+    await cache.set('b', 2, { ttl: 1000 });
+    await cache.get('a');
+    await cache.set('c', 3, { ttl: 1000 });
+
+    assert(await cache.get('a') === 1 && await cache.get('c') === 3, 'Recent entries should stay');
+    assert(await cache.get('b') === null, 'The oldest entry should be evicted');
+  });
+
+  await runTest('wrap shares one computation and never caches failures', async () => {
+    const cache = new Cache();
+    let calls = 0;
+    const compute = async () => { calls++; await sleep(5); return ['result']; };
+
+    await Promise.all([cache.wrap('k', compute, { ttl: 1000 }), cache.wrap('k', compute, { ttl: 1000 })]);
+    await cache.wrap('k', compute, { ttl: 1000 });
+    assert(calls === 1, `Expected one computation, got ${calls}`);
+
+    await cache.wrap('missing', async () => null, { ttl: 1000 });
+    let threw = false;
+    await cache.wrap('broken', async () => { throw new Error('down'); }, { ttl: 1000 }).catch(() => { threw = true; });
+    assert(threw, 'Errors should reach the caller');
+    assert(await cache.get('missing') === null && await cache.get('broken') === null, 'Nulls and errors should not be cached');
+  });
+
+  await runTest('Empty results get the short TTL', async () => {
+    const store = new MemoryStateStore();
+    const cache = new Cache({ store });
+    let calls = 0;
+    const search = async () => { calls++; return []; };
+
+    await cache.wrap('search|nothing', search, { ttl: 60000, emptyTtl: 1 });
+    await sleep(5);
+    await cache.wrap('search|nothing', search, { ttl: 60000, emptyTtl: 1 });
+    assert(calls === 2, `An empty result should be searched again once its short TTL is up, got ${calls} search(es)`);
+    await sleep(5);
+    assert(await new Cache({ store }).get('search|nothing') === null, 'The shared entry should expire as fast');
+
+    await cache.set('search|skipped', [], { ttl: 60000, emptyTtl: 0 });
+    assert(await cache.get('search|skipped') === null, 'An emptyTtl of 0 should skip caching');
+  });
+
+  await runTest('Shared stores serve other caches', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hs-cache-'));
+    try {
+      for (const store of [new MemoryStateStore(), new FileStateStore(dir)]) {
+        await new Cache({ store }).set('search|queen|8', ['song'], { ttl: 1000 });
+        const other = new Cache({ store });
+        assert((await other.get('search|queen|8'))[0] === 'song', `${store.name}: expected a shared hit`);
+        assert(other.summary().sharedHits === 1, `${store.name}: shared hit not counted`);
+      }
+
+      const broken = { name: 'broken', get: async () => { throw new Error('disk'); }, set: async () => { throw new Error('disk'); } };
+      const cache = new Cache({ store: broken });
+      await quietly(() => cache.set('k', 1, { ttl: 1000 }));
+      assert(await cache.get('k') === 1, 'Store failures should fall back to the in-process layer');
+
+      assert(createCacheStore({}) === null, 'No shared store by default');
+      assert(createCacheStore({ BOT_CACHE_STORE: 'file', BOT_CACHE_DIR: dir }).name === 'file', 'File backend from BOT_CACHE_STORE');
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  await runTest('Workers reuse searches and suggestions', async () => {
+    const bot = await quietly(() => stubSearch(createTestBot({ llm: QUEEN_AI }, { currentQuestion: QUESTION })));
+    await quietly(async () => {
+      await bot.searchSongs("Queen Don't Stop Me Now", 8);
+      await bot.searchSongs("queen dont stop me now", 8);
+      await bot.searchSongs("Queen Don't Stop Me Now", 25);
+    });
+    assert(bot.apiSearches.length === 2, `Expected 2 API searches, got ${bot.apiSearches.length}`);
+
+    // A duplicate retry asks for the same question again
+    await quietly(() => bot.getAISongSuggestions(QUESTION.text));
+    await quietly(() => bot.getAISongSuggestions(QUESTION.text));
+    assert(bot.llm.calls.length === 1, `Expected one AI call, got ${bot.llm.calls.length}`);
+
+    // Once every cached suggestion has been played, the AI is asked again
+    bot.memory.recordSubmission(1, QUESTION.text, { id: 'song-8', artist: 'Queen', name: "Don't Stop Me Now" });
+    await quietly(() => bot.getAISongSuggestions(QUESTION.text));
+    assert(bot.llm.calls.length === 2, 'Played-out cached suggestions should not be reused');
+  });
+
+  await runTest('Repeated questions across games share the store', async () => {
+    const store = new MemoryStateStore();
+    const first = await quietly(() => stubSearch(createTestBot({ gameId: 'game-1', llm: QUEEN_AI }, { currentQuestion: QUESTION }, { cacheStore: store })));
+    await quietly(() => first.chooseSongForQuestion(QUESTION));
+
+    const second = await quietly(() => stubSearch(createTestBot({ gameId: 'game-2', llm: QUEEN_AI }, { currentQuestion: QUESTION }, { cacheStore: store })));
+    const song = await quietly(() => second.chooseSongForQuestion(QUESTION));
+    assert(song?.name === "Don't Stop Me Now", `Expected the cached song, got ${song?.name}`);
+    assert(second.llm.calls.length === 0, 'The second game should not call the AI');
+    assert(second.apiSearches.length === 0, 'The second game should not search the API');
+  });
+
+  await runTest('Cached suggestions are used with the budget spent or the circuit open', async () => {
+    const store = new MemoryStateStore();
+    const first = await quietly(() => stubSearch(createTestBot({ gameId: 'game-1', llm: QUEEN_AI }, { currentQuestion: QUESTION }, { cacheStore: store })));
+    await quietly(() => first.getAISongSuggestions(QUESTION.text));
+
+    const spent = await quietly(() => stubSearch(createTestBot({ gameId: 'game-2', llm: QUEEN_AI }, { currentQuestion: QUESTION }, { cacheStore: store })));
+    spent.budget.isExhausted = () => true;
+    const open = await quietly(() => stubSearch(createTestBot({ gameId: 'game-3', llm: QUEEN_AI }, { currentQuestion: QUESTION }, { cacheStore: store })));
+    open.breaker.isOpen = () => true;
+    for (const bot of [spent, open]) {
+      const suggestions = await quietly(() => bot.getAISongSuggestions(QUESTION.text));
+      assert(suggestions?.[0]?.reasoning === 'test', `Expected the cached AI suggestions, got ${JSON.stringify(suggestions)}`);
+      assert(bot.llm.calls.length === 0, 'No AI call expected');
+    }
+
+    // Without a cached answer they still fall back to the catalog
+    const other = await quietly(() => spent.getAISongSuggestions('Best song for a road trip?'));
+    assert(other.every(s => s.reasoning.startsWith('Catalog match')), 'Expected catalog suggestions');
+  });
+
+  // Print results
+  console.log('\n==================================================');
+  console.log(`✅ Passed: ${results.passed}`);
+  console.log(`❌ Failed: ${results.failed}`);
+
+  if (results.failed > 0) {
+    process.exit(1);
+  }
+}
+
+runAllTests().catch(error => {
+  console.error('💥 Test runner crashed:', error);
+  process.exit(1);
+});
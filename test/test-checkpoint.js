@@ -0,0 +1,176 @@
+// test/test-checkpoint.js
+// Offline tests for state stores and BotWorker checkpoints across re-invocations
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MemoryStateStore, FileStateStore, createStateStore } = require('../lambda/shared/state-store');
+const { BotWorker, buildContinuationPayload, handler } = require('../lambda/bot-worker/handler');
+const { HeartSongsSimulator } = require('./simulator/heartsongs-simulator');
+const { HeartSongsClient } = require('../lambda/shared/heartsongs-client');
+const { quietly } = require('./helpers');
+
+// Test results
+let results = {
+  passed: 0,
+  failed: 0,
+  tests: []
+};
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+// Helper function to run a test
+async function runTest(name, testFunction) {
+  console.log(`🧪 Running: ${name}`);
+  try {
+    await testFunction();
+    console.log(`✅ PASSED: ${name}`);
+    results.passed++;
+    results.tests.push({ name, status: 'PASSED' });
+  } catch (error) {
+    console.log(`❌ FAILED: ${name}`);
+    console.log(`   Error: ${error.message}`);
+    results.failed++;
+    results.tests.push({ name, status: 'FAILED', error: error.message });
+  }
+}
+
+const basePayload = {
+  botId: 'bot-1',
+  botName: 'classic_bot_0001',
+  gameCode: 'ABC123',
+  gameId: 'game-1',
+  sessionToken: 'token',
+  personality: 'vintage',
+  personalityConfig: { temperature: 0.6 },
+  llm: { provider: 'stub' },
+  apiUrl: 'http://127.0.0.1:9/api',
+  timeScale: 0
+};
+
+async function runAllTests() {
+  await runTest('Memory store expires entries and returns copies', async () => {
+    const store = new MemoryStateStore();
+    await store.set('a', { n: 1 }, { ttl: 20 });
+    await store.set('b', { n: 2 });
+
+    const copy = await store.get('a');
+    copy.n = 99;
+    assert((await store.get('a')).n === 1, 'Stored value should not be mutated through a copy');
+
+    await new Promise(resolve => setTimeout(resolve, 30));
+    assert(await store.get('a') === null, 'Expired entry should be gone');
+    assert((await store.keys()).join() === 'b', 'Only live keys should be listed');
+  });
+
+  await runTest('File store persists between instances', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hs-state-'));
+    try {
+      await new FileStateStore(dir).set('checkpoint:bot:game', { round: 3 });
+      await new FileStateStore(dir).set('short', 1, { ttl: 1 });
+      await new Promise(resolve => setTimeout(resolve, 10));
+
+      const reopened = new FileStateStore(dir);
+      assert((await reopened.get('checkpoint:bot:game')).round === 3, 'Expected persisted value');
+      assert(await reopened.get('short') === null, 'Expected expired value to be dropped');
+      assert((await reopened.keys('checkpoint:')).length === 1, 'Expected one checkpoint key');
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  await runTest('Continuation payload carries age and state timer', async () => {
+    await quietly(async () => {
+      const first = new BotWorker(basePayload, { stateStore: null });
+      first.spawnTime = Date.now() - 3 * 60 * 60 * 1000;
+      first.currentState = 'voting';
+      first.stateStartTime = Date.now() - 5 * 60 * 1000;
+
+      const payload = JSON.parse(JSON.stringify(buildContinuationPayload(basePayload, first)));
+      const second = new BotWorker(payload, { stateStore: null });
+      assert(await second.loadCheckpoint(payload.checkpoint), 'Checkpoint should restore');
+
+      // Same state on the next poll must not restart the 15-minute timer
+      second.client = { getGame: async () => ({ status: 'voting', players: [], submissions: [] }) };
+      await second.getGameState();
+
+      assert(second.spawnTime === first.spawnTime, 'Spawn time should survive re-invocation');
+      assert(second.stateStartTime === first.stateStartTime, 'State timer should survive re-invocation');
+      assert(second.invocation === 2, 'Invocation counter should advance');
+    });
+  });
+
+  await runTest('24-hour MAX_AGE fires across a chain of invocations', async () => {
+    const old = new BotWorker(basePayload, { stateStore: null });
+    old.spawnTime = Date.now() - 25 * 60 * 60 * 1000;
+
+    const result = await quietly(() => handler(buildContinuationPayload(basePayload, old), { functionName: 'local' }));
+    assert(result.statusCode === 200, 'Worker should exit cleanly');
+  });
+
+  await runTest('Checkpoint is recovered from the state store', async () => {
+    const store = new MemoryStateStore();
+    await quietly(async () => {
+      const first = new BotWorker(basePayload, { stateStore: store });
+      first.spawnTime = 12345;
+      await first.saveCheckpoint();
+
+      const second = new BotWorker(basePayload, { stateStore: store });
+      assert(await second.loadCheckpoint(undefined), 'Checkpoint should load from the store');
+      assert(second.spawnTime === 12345, 'Spawn time should come from the store');
+    });
+  });
+
+  await runTest('Pending decisions are replayed after re-invocation', async () => {
+    const sim = await new HeartSongsSimulator({ minPlayers: 3 }).start();
+    try {
+      const { gameId, gameCode } = sim.createScriptedGame('host_human', { actionDelay: 100000 });
+      sim.addScriptedPlayer(gameId, 'guest_human', { actionDelay: 100000 });
+
+      const client = new HeartSongsClient({ apiUrl: sim.apiUrl });
+      const { user, sessionToken } = await client.register('classic_bot_0002');
+      await client.join(gameCode, user.id);
+      for (const player of sim.getGame(gameId).players) player.isReady = true;
+      sim.startGame(gameId);
+
+      const payload = { ...basePayload, botId: user.id, gameId, gameCode, sessionToken, apiUrl: sim.apiUrl };
+      const song = sim.catalog.find(s => s.artist === 'Queen');
+
+      await quietly(async () => {
+        // First invocation picks a song, then the Lambda hands off before the delayed submit fires
+        const first = new BotWorker(payload, { stateStore: null });
+        await first.getGameState();
+        first.recordDecision('submit', { song });
+
+        const next = buildContinuationPayload(payload, first);
+        const second = new BotWorker(next, { stateStore: null });
+        await second.loadCheckpoint(next.checkpoint);
+        await second.getGameState();
+        await second.resumePendingDecisions();
+
+        assert(second.llm.calls.length === 0, 'Resumed worker should not ask the AI again');
+        assert(second.roundMemory.decisions.submit.status === 'done', 'Decision should be marked done');
+      });
+
+      const submission = sim.getGame(gameId).submissions.find(s => s.player._id === user.id);
+      assert(submission && submission.songId === song.id, 'Pending song should have been submitted');
+    } finally {
+      await sim.stop();
+    }
+  });
+
+  // Print results
+  console.log('\n==================================================');
+  console.log(`✅ Passed: ${results.passed}`);
+  console.log(`❌ Failed: ${results.failed}`);
+
+  if (results.failed > 0) {
+    process.exit(1);
+  }
+}
+
+runAllTests().catch(error => {
+  console.error('💥 Test runner crashed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,191 @@
+// test/test-circuit-breaker.js
+// Offline tests for the circuit breaker around the AI provider
+process.env.HEARTSONGS_API_URL = process.env.HEARTSONGS_API_URL || 'http://127.0.0.1:9/api';
+
+const {
+  CircuitBreaker,
+  CircuitOpenError,
+  readCircuitOptions,
+  createCircuitStore,
+  circuitName
+} = require('../lambda/shared/circuit-breaker');
+const { LLMProviderError, createLLMProvider } = require('../lambda/shared/llm-providers');
+const { MemoryStateStore } = require('../lambda/shared/state-store');
+const { sleep } = require('../lambda/shared/retry');
+const { quietly, createTestBot } = require('./helpers');
+
+// Test results
+let results = {
+  passed: 0,
+  failed: 0,
+  tests: []
+};
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+// Helper function to run a test
+async function runTest(name, testFunction) {
+  console.log(`🧪 Running: ${name}`);
+  try {
+    await testFunction();
+    console.log(`✅ PASSED: ${name}`);
+    results.passed++;
+    results.tests.push({ name, status: 'PASSED' });
+  } catch (error) {
+    console.log(`❌ FAILED: ${name}`);
+    console.log(`   Error: ${error.message}`);
+    results.failed++;
+    results.tests.push({ name, status: 'FAILED', error: error.message });
+  }
+}
+
+const failure = (kind) => new LLMProviderError(`openai request failed: ${kind}`, { provider: 'openai', kind });
+
+/**
+ * An operation that fails with the given kinds in order, then succeeds
+ */
+function flaky(...kinds) {
+  const operation = async () => {
+    operation.calls++;
+    const kind = kinds.shift();
+    if (kind) throw failure(kind);
+    return 'ok';
+  };
+  operation.calls = 0;
+  return operation;
+}
+
+/**
+ * Run a call and return what it threw (or null)
+ */
+async function attempt(breaker, operation) {
+  try {
+    await quietly(() => breaker.call(operation, 'suggestions'));
+    return null;
+  } catch (error) {
+    return error;
+  }
+}
+
+async function runAllTests() {
+  await runTest('Settings come from the environment', async () => {
+    const options = readCircuitOptions({ LLM_CIRCUIT_FAILURES: '5', LLM_CIRCUIT_COOLDOWN_MS: '10000' });
+    assert(options.failureThreshold === 5 && options.cooldown === 10000, `Unexpected options ${JSON.stringify(options)}`);
+    assert(readCircuitOptions({}).failureThreshold === 3, 'Expected a default threshold of 3');
+
+    let error = null;
+    try {
+      readCircuitOptions({ LLM_CIRCUIT_FAILURES: 'many' });
+    } catch (e) {
+      error = e;
+    }
+    assert(error && error.message.includes('LLM_CIRCUIT_FAILURES'), 'Invalid settings should be rejected');
+
+    assert(circuitName(createLLMProvider({ provider: 'stub' })) === 'stub', 'The stub circuit is named after the provider');
+    assert(circuitName({ name: 'openai-compatible', baseUrl: 'http://llm:8000/v1' }) === 'openai-compatible@http://llm:8000/v1',
+      'Self-hosted circuits include the endpoint');
+
+    // Deployed bots share the circuit through DynamoDB
+    assert(createCircuitStore({ BOT_CIRCUIT_STORE: 'dynamodb', BOT_STORE_TABLE: 'bots' }).name === 'dynamodb', 'Expected the dynamodb backend');
+    assert(createCircuitStore({}) === null, 'Without a store each bot keeps its own circuit');
+  });
+
+  await runTest('Repeated provider failures open the circuit', async () => {
+    const breaker = new CircuitBreaker({ name: 'openai', failureThreshold: 3, cooldown: 60000 });
+    const operation = flaky('server', 'bad_request', 'rate_limited', 'timeout');
+
+    assert((await attempt(breaker, operation)).kind === 'server', 'The first failure should pass through');
+    assert((await attempt(breaker, operation)).kind === 'bad_request', 'Request errors pass through');
+    assert(!breaker.isOpen() && breaker.circuit.failures === 1, 'Request errors say nothing about the provider');
+    await attempt(breaker, operation);
+    await attempt(breaker, operation);
+    assert(breaker.isOpen(), 'Three provider failures should open the circuit');
+
+    const refused = await attempt(breaker, operation);
+    assert(refused instanceof CircuitOpenError && refused.kind === 'circuit_open', `Expected CircuitOpenError, got ${refused?.message}`);
+    assert(operation.calls === 4, `The provider should not be called while open, got ${operation.calls} calls`);
+
+    const recovered = new CircuitBreaker({ name: 'openai', failureThreshold: 2 });
+    const intermittent = flaky('server', undefined, 'server', undefined);
+    for (let i = 0; i < 4; i++) await attempt(recovered, intermittent);
+    assert(!recovered.isOpen() && recovered.circuit.failures === 0, 'A success should reset the failure count');
+  });
+
+  await runTest('A half-open probe closes or reopens the circuit', async () => {
+    const breaker = new CircuitBreaker({ name: 'openai', failureThreshold: 1, cooldown: 20 });
+    await attempt(breaker, flaky('auth'));
+    assert(breaker.isOpen(), 'The circuit should be open');
+    await sleep(30);
+
+    // The probe fails: open again
+    assert((await attempt(breaker, flaky('server'))).kind === 'server', 'The probe should reach the provider');
+    assert(breaker.circuit.state === 'open' && breaker.isOpen(), 'A failed probe should reopen the circuit');
+    await sleep(30);
+
+    // Only one probe at a time; the rest are refused until it reports back
+    let release;
+    const slowProbe = () => new Promise(resolve => { release = () => resolve('ok'); });
+    const probe = quietly(() => breaker.call(slowProbe, 'suggestions'));
+    await sleep(5);
+    const other = flaky();
+    assert((await attempt(breaker, other)) instanceof CircuitOpenError && other.calls === 0, 'Calls during a probe should be refused');
+
+    release();
+    assert(await probe === 'ok', 'The probe result should be returned');
+    assert(breaker.circuit.state === 'closed' && !breaker.isOpen(), 'A successful probe should close the circuit');
+    assert(await attempt(breaker, other) === null && other.calls === 1, 'Calls should go through once closed');
+  });
+
+  await runTest('Bots sharing a store share the circuit', async () => {
+    const store = new MemoryStateStore();
+    const first = new CircuitBreaker({ name: 'openai', store, failureThreshold: 2, logPrefix: 'Bot one' });
+    const second = new CircuitBreaker({ name: 'openai', store, failureThreshold: 2, logPrefix: 'Bot two' });
+    const otherProvider = new CircuitBreaker({ name: 'stub', store, failureThreshold: 2, logPrefix: 'Bot three' });
+
+    // Failures from different bots add up
+    await attempt(first, flaky('rate_limited'));
+    await attempt(second, flaky('rate_limited'));
+
+    const operation = flaky();
+    assert((await attempt(first, operation)) instanceof CircuitOpenError, 'The first bot should see the shared open circuit');
+    assert(operation.calls === 0, 'No provider call while the shared circuit is open');
+    assert(await attempt(otherProvider, operation) === null, 'Other providers have their own circuit');
+  });
+
+  await runTest('Bots with an open circuit play on with offline fallbacks', async () => {
+    const bot = await quietly(() => createTestBot({
+      llm: { provider: 'stub', script: { suggestions: [failure('server')], vote: [failure('server')] } }
+    }, {}, { usageStore: null, circuitStore: null, circuitOptions: { failureThreshold: 2, cooldown: 60000 } }));
+
+    const afterFailure = await quietly(() => bot.getAISongSuggestions('What song makes you want to dance?'));
+    assert(afterFailure.length > 0 && afterFailure.every(s => s.reasoning.startsWith('Catalog match')), 'A failed call should fall back to the song catalog');
+    const submissions = [
+      { _id: 's1', songName: 'A', artist: 'X', player: { _id: 'p1' } },
+      { _id: 's2', songName: 'B', artist: 'Taylor Swift', player: { _id: 'p2' } }
+    ];
+    assert((await quietly(() => bot.getAIVotingChoice(submissions))) === null, 'A failed vote falls back');
+    assert(bot.breaker.isOpen() && !bot.aiAvailable(), 'Two failures should open the circuit');
+
+    const suggestions = await quietly(() => bot.getAISongSuggestions('Best song for a road trip?'));
+    assert(suggestions.length > 0 && suggestions.every(s => s.reasoning.startsWith('Catalog match')), 'Suggestions should come from the song catalog');
+    assert((await quietly(() => bot.chooseVote(submissions)))._id === 's2', 'Voting should fall back to the personality');
+    assert(await quietly(() => bot.generateAIQuestion()) === null, 'Question generation should fall back');
+    assert(bot.llm.calls.length === 2, `No AI calls expected while open, got ${bot.llm.calls.length}`);
+  });
+
+  // Print results
+  console.log('\n==================================================');
+  console.log(`✅ Passed: ${results.passed}`);
+  console.log(`❌ Failed: ${results.failed}`);
+
+  if (results.failed > 0) {
+    process.exit(1);
+  }
+}
+
+runAllTests().catch(error => {
+  console.error('💥 Test runner crashed:', error);
+  process.exit(1);
+});
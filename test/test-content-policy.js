@@ -0,0 +1,285 @@
+// test/test-content-policy.js
+// Offline tests for the content policy over AI questions and family-friendly songs
+process.env.HEARTSONGS_API_URL = process.env.HEARTSONGS_API_URL || 'http://127.0.0.1:9/api';
+// Bots without a key have no AI provider
+delete process.env.OPENAI_API_KEY;
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  ContentPolicy,
+  ContentPolicyError,
+  validateContentRules,
+  loadContentRules,
+  getContentRules,
+  readModerationMode,
+  createContentPolicy
+} = require('../lambda/shared/content-policy');
+const { createLLMProvider, LLMProviderError } = require('../lambda/shared/llm-providers');
+const { getQuestionBank } = require('../lambda/shared/question-bank');
+const { handler: spawnHandler } = require('../lambda/spawn-bot/handler');
+const { quietly, createTestBot, captureWinnerQuestions } = require('./helpers');
+
+// Test results
+let results = {
+  passed: 0,
+  failed: 0,
+  tests: []
+};
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+// Helper function to run a test
+async function runTest(name, testFunction) {
+  console.log(`🧪 Running: ${name}`);
+  try {
+    await testFunction();
+    console.log(`✅ PASSED: ${name}`);
+    results.passed++;
+    results.tests.push({ name, status: 'PASSED' });
+  } catch (error) {
+    console.log(`❌ FAILED: ${name}`);
+    console.log(`   Error: ${error.message}`);
+    results.failed++;
+    results.tests.push({ name, status: 'FAILED', error: error.message });
+  }
+}
+
+/**
+ * Write a rules file to a temporary directory and load it
+ */
+function loadRules(rules) {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'content-policy-'));
+  try {
+    const file = path.join(directory, 'rules.json');
+    fs.writeFileSync(file, JSON.stringify(rules));
+    return loadContentRules(file);
+  } finally {
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+}
+
+const stub = (script) => ({ provider: 'stub', script });
+// No API key, so the bot plays without AI
+const NO_AI = { provider: 'openai' };
+const reply = (text, category = 'emotion') => ({ question: { text, category }, reasoning: 'Good question' });
+
+async function spawn(body) {
+  const response = await quietly(() => spawnHandler({ body: JSON.stringify(body) }, {}));
+  return { statusCode: response.statusCode, body: JSON.parse(response.body) };
+}
+
+async function runAllTests() {
+  await runTest('Invalid rules are rejected with every problem', async () => {
+    const shipped = getContentRules();
+    assert(shipped.counts.words > 0 && shipped.counts.patterns > 0 && shipped.counts.artists > 0, `Unexpected counts ${JSON.stringify(shipped.counts)}`);
+
+    assert(validateContentRules({ words: ['heck'], family: { artists: ['Band'] } }).length === 0, 'Valid rules should pass');
+    const problems = validateContentRules({ words: 'heck', patterns: ['(unclosed'], family: { artists: [''], songs: [] }, extra: true });
+    assert(problems.length === 5, `Expected 5 problems, got ${JSON.stringify(problems)}`);
+    assert(problems.some(p => p.includes('patterns[0] is not a valid regular expression')), 'The bad regex should be reported');
+
+    let error = null;
+    try {
+      loadRules({ family: [] });
+    } catch (e) {
+      error = e;
+    }
+    assert(error instanceof ContentPolicyError, `Expected ContentPolicyError, got ${error}`);
+    assert(error.problems.length === 1 && error.problems[0] === 'rules.json: family must be an object', JSON.stringify(error.problems));
+  });
+
+  await runTest('Text is checked against whole words and patterns', async () => {
+    const policy = new ContentPolicy();
+    const family = new ContentPolicy({ familyFriendly: true });
+
+    assert(policy.checkText('What song makes you want to dance?').length === 0, 'Clean text should pass');
+    for (const text of ['What song is the SHIT?', 'What f*ck@ing song?', 'What song makes you sh1t yourself?']) {
+      const problems = policy.checkText(text);
+      assert(problems.length === 1 && problems[0].startsWith('it uses blocked language'), `"${text}" should be blocked, got ${JSON.stringify(problems)}`);
+    }
+
+    // Patterns are anchored to word starts, so place names and longer words pass
+    for (const text of ['What song reminds you of Scunthorpe?', 'What song makes you snigger?']) {
+      assert(policy.checkText(text).length === 0, `"${text}" should pass, got ${JSON.stringify(policy.checkText(text))}`);
+    }
+    assert(policy.checkText('What song would a c*nt play?').length === 1, 'Masked words are still blocked');
+
+    const drinking = 'What song do you play when you get drunk?';
+    assert(policy.checkText(drinking).length === 0, 'The family list only applies in family games');
+    assert(family.checkText(drinking)[0] === 'it is not suitable for a family game ("drunk")', `Unexpected ${family.checkText(drinking)}`);
+    for (const text of ['What song sounds like a seashell?', 'What song would an assassin hum?', 'What song has a classic killer riff?']) {
+      assert(family.checkText(text).length === 0, `"${text}" only contains blocked words inside longer words`);
+    }
+  });
+
+  await runTest('Moderation verdicts become problems and errors are thrown', async () => {
+    const llm = createLLMProvider({
+      provider: 'stub',
+      script: { moderation: [{ flagged: true, categories: ['harassment'] }, { flagged: false }, new LLMProviderError('down', { kind: 'server' })] }
+    });
+    const policy = createContentPolicy({ llm, moderation: 'provider' });
+
+    assert((await policy.reviewText('What song is the shit?'))[0].startsWith('it uses blocked language'), 'Local checks come first');
+    assert(llm.moderations.length === 0, 'Text that fails locally is never sent for moderation');
+    const flagged = await policy.reviewText('What song suits your worst enemy?');
+    assert(flagged[0] === 'it was flagged by stub moderation (harassment)', `Unexpected ${JSON.stringify(flagged)}`);
+    assert((await policy.moderate('What song feels like summer?')).length === 0, 'Unflagged text passes');
+
+    let error = null;
+    try {
+      await policy.moderate('What song feels like winter?');
+    } catch (e) {
+      error = e;
+    }
+    assert(error instanceof LLMProviderError, `Expected the provider error, got ${error}`);
+  });
+
+  await runTest('Moderation follows LLM_MODERATION and the provider', async () => {
+    assert(readModerationMode({}) === 'none', 'Moderation is off by default');
+    assert(readModerationMode({ LLM_MODERATION: 'provider' }) === 'provider', 'provider is accepted');
+    let error = null;
+    try {
+      readModerationMode({ LLM_MODERATION: 'strict' });
+    } catch (e) {
+      error = e;
+    }
+    assert(error && error.message.includes('Unknown LLM_MODERATION "strict"'), `Expected an error, got ${error}`);
+
+    const stub = createLLMProvider({ provider: 'stub' });
+    assert(createContentPolicy({ llm: stub, env: {} }).moderator === null, 'No moderator unless asked for');
+    assert(createContentPolicy({ llm: stub, env: { LLM_MODERATION: 'provider' } }).moderator === stub, 'The environment turns it on');
+
+    const keyless = createLLMProvider({ provider: 'openai' });
+    const policy = await quietly(() => createContentPolicy({ llm: keyless, moderation: 'provider' }));
+    assert(policy.moderator === null, 'A provider without moderation leaves the local lists only');
+  });
+
+  await runTest('Family games reject explicit songs and blocked artists', async () => {
+    const policy = new ContentPolicy();
+    const family = new ContentPolicy({ familyFriendly: true });
+    const explicit = { id: 's1', artist: 'Queen', name: 'Fat Bottomed Girls', explicit: true };
+    const blocked = { artist: 'N.W.A.', song: 'Express Yourself' };
+    const featuring = { artist: 'Someone feat. Marilyn Manson', song: 'Duet' };
+
+    assert([explicit, blocked, featuring].every(song => policy.allowsSong(song)), 'Only family games filter songs');
+    assert(family.songProblem(explicit) === 'explicit', 'The explicit flag is honoured');
+    assert(family.songProblem(blocked) === 'blocked artist', 'Blocked artists match however they are written');
+    assert(family.songProblem(featuring) === 'blocked artist', 'Featured blocked artists count');
+    assert(family.songProblem({ artist: 'Queen', name: 'Fat Bottomed Girls', explicit: false }) === null, 'Clean versions pass');
+    assert(family.filterSongs([explicit, blocked, { artist: 'Queen', song: 'Under Pressure' }]).length === 1, 'filterSongs keeps the allowed songs');
+  });
+
+  await runTest('Family bots skip blocked artists and explicit search results', async () => {
+    const bot = await quietly(() => createTestBot({
+      familyFriendly: true,
+      llm: stub({
+        suggestions: [{
+          suggestions: [
+            { artist: 'Marilyn Manson', song: 'The Beautiful People', reasoning: 'x' },
+            { artist: 'Queen', song: "Don't Stop Me Now", reasoning: 'x' }
+          ]
+        }]
+      })
+    }));
+    const searches = [];
+    bot.client.search = async (query) => {
+      searches.push(query);
+      return [
+        { id: 'explicit', artist: 'Queen', name: "Don't Stop Me Now", explicit: true },
+        { id: 'clean', artist: 'Queen', name: "Don't Stop Me Now", explicit: false }
+      ];
+    };
+
+    const song = await quietly(() => bot.chooseSongForQuestion(bot.gameState.currentQuestion));
+    assert(song && song.id === 'clean', `Expected the clean version, got ${JSON.stringify(song)}`);
+    assert(searches.every(query => !/manson/i.test(query)), `Blocked artists should never be searched, got ${searches}`);
+
+    const everyone = await quietly(() => createTestBot({ llm: stub({ suggestions: [{ suggestions: [{ artist: 'Queen', song: "Don't Stop Me Now", reasoning: 'x' }] }] }) }));
+    everyone.client.search = bot.client.search;
+    const any = await quietly(() => everyone.chooseSongForQuestion(everyone.gameState.currentQuestion));
+    assert(any && any.id === 'explicit', `Other games keep the best match, got ${JSON.stringify(any)}`);
+  });
+
+  await runTest('Family bots never fall back to blocked catalog artists', async () => {
+    const bot = await quietly(() => createTestBot({ familyFriendly: true, llm: NO_AI }));
+    bot.contentPolicy = new ContentPolicy({ rules: loadRules({ family: { artists: ['Queen'] } }), familyFriendly: true });
+
+    for (let i = 0; i < 20; i++) {
+      const suggestions = await quietly(() => bot.getFallbackSuggestions('What Queen song makes you want to dance?'));
+      assert(suggestions.length > 0, 'Other catalog artists should still be suggested');
+      assert(suggestions.every(s => s.artist !== 'Queen'), `Blocked artist suggested: ${JSON.stringify(suggestions)}`);
+    }
+  });
+
+  await runTest('Blocked or flagged AI questions are regenerated', async () => {
+    const bot = await quietly(() => captureWinnerQuestions(createTestBot({
+      familyFriendly: true,
+      llm: stub({
+        question: [
+          reply('What song do you play when you get drunk?', 'party'),
+          reply('What song would you dedicate to your enemies?', 'friendship'),
+          reply('What song would you play at a sunrise?', 'seasons')
+        ],
+        moderation: [{ flagged: true, categories: ['harassment'] }, { flagged: false }]
+      })
+    }, {}, { moderation: 'provider' })));
+    await quietly(() => bot.selectWinnerQuestion());
+
+    assert(bot.llm.calls.length === 3, `Expected 3 AI calls, got ${bot.llm.calls.length}`);
+    const feedback = (call) => call.messages[call.messages.length - 1].content;
+    assert(feedback(bot.llm.calls[1]).includes('not suitable for a family game ("drunk")'), `Unexpected feedback "${feedback(bot.llm.calls[1])}"`);
+    assert(feedback(bot.llm.calls[2]).includes('flagged by stub moderation (harassment)'), `Unexpected feedback "${feedback(bot.llm.calls[2])}"`);
+    assert(bot.llm.moderations.length === 2, `Only locally valid questions are moderated, got ${bot.llm.moderations.length}`);
+    assert(bot.submitted[0].text === 'What song would you play at a sunrise?', `Unexpected question ${JSON.stringify(bot.submitted[0])}`);
+    assert(bot.outputStats.tasks.question.rejected === 2, 'Both rejections should be counted');
+  });
+
+  await runTest('A moderation outage falls back to the question bank', async () => {
+    const bot = await quietly(() => captureWinnerQuestions(createTestBot({
+      familyFriendly: true,
+      llm: stub({
+        question: [reply('What song would you play at a sunrise?', 'seasons')],
+        moderation: [new LLMProviderError('down', { kind: 'server', status: 503 })]
+      })
+    }, {}, { moderation: 'provider' })));
+    await quietly(() => bot.selectWinnerQuestion());
+
+    assert(bot.llm.calls.length === 1, 'A provider error is not retried');
+    assert(bot.submitted.length === 1 && getQuestionBank().questions.some(q => q.text === bot.submitted[0].text),
+      `Expected a bank question, got ${JSON.stringify(bot.submitted)}`);
+  });
+
+  await runTest('Family games skip bank questions that fail the family lists', async () => {
+    const bot = await quietly(() => createTestBot({ familyFriendly: true, llm: NO_AI }));
+    bot.contentPolicy = new ContentPolicy({ rules: loadRules({ family: { words: ['party', 'dance'] } }), familyFriendly: true });
+
+    for (let i = 0; i < 50; i++) {
+      const question = await quietly(() => bot.getFallbackQuestion());
+      assert(!/\b(party|dance)\b/i.test(question.text), `Blocked bank question "${question.text}"`);
+    }
+  });
+
+  await runTest('Spawn requests validate familyFriendly', async () => {
+    const { statusCode, body } = await spawn({ gameCode: 'ABC123', familyFriendly: 'yes' });
+    assert(statusCode === 400, `Expected 400, got ${statusCode}`);
+    assert(body.error === 'Invalid familyFriendly' && body.details === 'familyFriendly must be true or false', JSON.stringify(body));
+  });
+
+  // Print results
+  console.log('\n==================================================');
+  console.log(`✅ Passed: ${results.passed}`);
+  console.log(`❌ Failed: ${results.failed}`);
+
+  if (results.failed > 0) {
+    process.exit(1);
+  }
+}
+
+runAllTests().catch(error => {
+  console.error('💥 Test runner crashed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,158 @@
+// test/test-difficulty.js
+// Offline tests for per-bot difficulty levels
+process.env.HEARTSONGS_API_URL = process.env.HEARTSONGS_API_URL || 'http://127.0.0.1:9/api';
+
+const { getDifficulty, DIFFICULTY_NAMES } = require('../lambda/shared/difficulty');
+const { quietly, createTestBot } = require('./helpers');
+
+// Test results
+let results = {
+  passed: 0,
+  failed: 0,
+  tests: []
+};
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+// Pin Math.random so chance-based decisions are predictable
+async function withRandom(value, fn) {
+  const original = Math.random;
+  Math.random = () => value;
+  try {
+    return await fn();
+  } finally {
+    Math.random = original;
+  }
+}
+
+// Helper function to run a test
+async function runTest(name, testFunction) {
+  console.log(`🧪 Running: ${name}`);
+  try {
+    await testFunction();
+    console.log(`✅ PASSED: ${name}`);
+    results.passed++;
+    results.tests.push({ name, status: 'PASSED' });
+  } catch (error) {
+    console.log(`❌ FAILED: ${name}`);
+    console.log(`   Error: ${error.message}`);
+    results.failed++;
+    results.tests.push({ name, status: 'FAILED', error: error.message });
+  }
+}
+
+const stub = (script) => ({ provider: 'stub', script });
+const eightSongs = Array.from({ length: 8 }, (_, i) => ({ artist: `Artist ${i}`, song: `Song ${i}`, reasoning: 'test' }));
+
+const submissions = [
+  { _id: 's1', songName: 'Obscure B-side', artist: 'Nobody Knows', player: { _id: 'p1' } },
+  { _id: 's2', songName: 'Shake It Off', artist: 'Taylor Swift', player: { _id: 'p2' } },
+  { _id: 's3', songName: 'Another Deep Cut', artist: 'Someone Else', player: { _id: 'p3' } }
+];
+
+async function runAllTests() {
+  await runTest('Levels resolve, unknown names get normal', async () => {
+    assert(DIFFICULTY_NAMES.join() === 'easy,normal,hard', `Unexpected levels ${DIFFICULTY_NAMES}`);
+    assert(getDifficulty('hard').suggestionCount === 8, 'Hard should consider 8 suggestions');
+    assert(getDifficulty('impossible').name === 'normal', 'Unknown levels should fall back to normal');
+    assert(getDifficulty(undefined).name === 'normal', 'Missing level should be normal');
+
+    const normal = getDifficulty('normal');
+    assert(normal.passChance === 0 && normal.weakPickChance === 0 && normal.heuristicVoteChance === 0,
+      'Normal should never deliberately weaken play');
+  });
+
+  await runTest('isGoodMatch strictness follows the level', async () => {
+    const suggestion = { artist: 'Queen', song: 'Bohemian Rhapsody' };
+    const sameArtist = { artist: 'Queen', name: 'Radio Ga Ga' };
+    const sameSong = { artist: 'Panic! At The Disco', name: 'Bohemian Rhapsody' };
+    const exact = { artist: 'Queen', name: 'Bohemian Rhapsody - Remastered 2011' };
+    const featured = { artist: 'David Bowie feat. Queen', name: 'Bohemian Rhapsody' };
+
+    await quietly(() => {
+      const [easy, normal, hard] = DIFFICULTY_NAMES.map(level => createTestBot({ difficulty: level }));
+      const verdicts = (match) => [easy, normal, hard].map(bot => bot.isGoodMatch(match, suggestion)).join();
+
+      assert(verdicts(sameArtist) === 'false,false,false', `Same artist: ${verdicts(sameArtist)}`);
+      assert(verdicts(sameSong) === 'false,false,false', `Same song: ${verdicts(sameSong)}`);
+      assert(verdicts(featured) === 'true,true,false', `Featured credit: ${verdicts(featured)}`);
+      assert(verdicts(exact) === 'true,true,true', `Exact: ${verdicts(exact)}`);
+    });
+  });
+
+  await runTest('Suggestion count follows the level', async () => {
+    for (const [level, expected] of [['easy', 2], ['normal', 5], ['hard', 8]]) {
+      const bot = await quietly(() => createTestBot({ difficulty: level, llm: stub({ suggestions: [{ suggestions: eightSongs }] }) }));
+      const searches = [];
+      // Count suggestions tried: the first search strategy runs once per suggestion
+      bot.searchSongs = async (query, limit) => {
+        if (/^Artist \d Song \d$/.test(query) && limit === 8) searches.push(query);
+        return [];
+      };
+
+      const choice = await quietly(() => withRandom(0.99, () => bot.chooseSongForQuestion(bot.gameState.currentQuestion)));
+
+      assert(choice === null, `${level}: nothing matched, so the bot should pass`);
+      assert(searches.length === expected, `${level}: expected ${expected} searches, got ${searches.length}`);
+      assert(bot.llm.calls[0].messages[1].content.includes(`suggest ${expected} songs`), `${level}: prompt should ask for ${expected} songs`);
+    }
+  });
+
+  await runTest('Easy bots sometimes pass or settle for a weaker version', async () => {
+    const easy = await quietly(() => createTestBot({ difficulty: 'easy', llm: stub({ suggestions: [{ suggestions: eightSongs }] }) }));
+    const choice = await quietly(() => withRandom(0, () => easy.chooseSongForQuestion(easy.gameState.currentQuestion)));
+    assert(choice === null && easy.llm.calls.length === 0, 'A pass roll should skip the AI entirely');
+
+    const searchResults = [
+      { id: 'cover', artist: 'Tribute Band', name: 'Song 1 (Karaoke)' },
+      { id: 'other', artist: 'Artist 1', name: 'Another Song' },
+      { id: 'live', artist: 'Artist 1', name: 'Song 1 - Live' },
+      { id: 'best', artist: 'Artist 1', name: 'Song 1' }
+    ];
+    const suggestion = eightSongs[1];
+    const weak = await quietly(() => withRandom(0.3, () => easy.pickCandidate(searchResults, suggestion)));
+    assert(weak.id === 'live', `Easy bot should settle for another version below its weak-pick chance, got ${weak.id}`);
+
+    // Help! is by the right artist but is not the suggested song
+    const wrongTrack = [{ id: 'help', artist: 'The Beatles', name: 'Help!' }, { id: 'jude', artist: 'The Beatles', name: 'Hey Jude' }];
+    const jude = await quietly(() => withRandom(0.3, () => easy.pickCandidate(wrongTrack, { artist: 'The Beatles', song: 'Hey Jude' })));
+    assert(jude.id === 'jude', `A weaker pick must not be a different song, got ${jude.id}`);
+    assert(!(await quietly(() => easy.isGoodMatch(wrongTrack[0], { artist: 'The Beatles', song: 'Hey Jude' }))), 'Easy bots should not accept another song by the artist');
+
+    const normal = await quietly(() => createTestBot({ difficulty: 'normal' }));
+    const best = await quietly(() => withRandom(0, () => normal.pickCandidate(searchResults, suggestion)));
+    assert(best.id === 'best', `Normal bot should always take the best match, got ${best.id}`);
+  });
+
+  await runTest('Heuristic votes replace AI votes by level', async () => {
+    const normal = await quietly(() => createTestBot({ difficulty: 'normal', llm: stub({ vote: [{ option: 3, reason: 'deep cut' }] }) }));
+    const aiChoice = await quietly(() => withRandom(0, () => normal.makeSmartVotingChoice(submissions, false)));
+    assert(normal.llm.calls.some(c => c.task === 'vote'), 'Normal bots should ask the AI in 3+ player games');
+    assert(aiChoice._id === 's3', `Expected the AI's choice, got ${aiChoice._id}`);
+
+    const easy = await quietly(() => createTestBot({ difficulty: 'easy', llm: stub({ vote: [{ option: 3, reason: 'deep cut' }] }) }));
+    const heuristicChoice = await quietly(() => withRandom(0, () => easy.makeSmartVotingChoice(submissions, false)));
+    assert(easy.llm.calls.length === 0, 'Easy bots below the heuristic chance should not ask the AI');
+    assert(heuristicChoice._id === 's2', `Mainstream heuristic should pick the popular song, got ${heuristicChoice._id}`);
+
+    const own = { ...submissions[0], player: { _id: 'bot-1' } };
+    await quietly(() => withRandom(0, () => easy.makeSmartVotingChoice([own, submissions[1]], true)));
+    assert(easy.llm.calls.length === 0, 'Easy 2-player self-votes should use the personality heuristic');
+  });
+
+  // Print results
+  console.log('\n==================================================');
+  console.log(`✅ Passed: ${results.passed}`);
+  console.log(`❌ Failed: ${results.failed}`);
+
+  if (results.failed > 0) {
+    process.exit(1);
+  }
+}
+
+runAllTests().catch(error => {
+  console.error('💥 Test runner crashed:', error);
+  process.exit(1);
+});
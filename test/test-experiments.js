@@ -0,0 +1,243 @@
+// test/test-experiments.js
+// Offline tests for prompt A/B experiments: assignment, variant prompts,
+// round outcome tracking and the per-variant report
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The worker loads experiments and picks its record store when first required
+const experimentsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hs-experiments-'));
+const shipped = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'experiments', 'suggestion-wording.json'), 'utf8'));
+fs.writeFileSync(path.join(experimentsDir, 'suggestion-wording.json'), JSON.stringify({ ...shipped, active: true }));
+process.env.EXPERIMENTS_DIR = experimentsDir;
+process.env.BOT_EXPERIMENT_STORE = 'memory';
+
+const {
+  loadExperiments,
+  ExperimentRegistryError,
+  summarizeExperiment,
+  loadExperimentRecords,
+  createExperimentStore
+} = require('../lambda/shared/experiments');
+const { ExperimentTracker } = require('../lambda/bot-worker/experiment-tracker');
+const { MemoryStateStore, sharedMemoryStore } = require('../lambda/shared/state-store');
+const { loadPromptTemplates } = require('../lambda/shared/prompt-templates');
+const { HeartSongsSimulator } = require('./simulator/heartsongs-simulator');
+const { HeartSongsClient } = require('../lambda/shared/heartsongs-client');
+const { handler } = require('../lambda/bot-worker/handler');
+const { quietly } = require('./helpers');
+
+// Test results
+let results = {
+  passed: 0,
+  failed: 0,
+  tests: []
+};
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+// Helper function to run a test
+async function runTest(name, testFunction) {
+  console.log(`🧪 Running: ${name}`);
+  try {
+    await testFunction();
+    console.log(`✅ PASSED: ${name}`);
+    results.passed++;
+    results.tests.push({ name, status: 'PASSED' });
+  } catch (error) {
+    console.log(`❌ FAILED: ${name}`);
+    console.log(`   Error: ${error.message}`);
+    results.failed++;
+    results.tests.push({ name, status: 'FAILED', error: error.message });
+  }
+}
+
+/**
+ * Write definitions to a temp directory and load them
+ */
+function loadDefinitions(files) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hs-experiments-'));
+  try {
+    for (const [file, content] of Object.entries(files)) {
+      fs.writeFileSync(path.join(dir, file), typeof content === 'string' ? content : JSON.stringify(content));
+    }
+    return loadExperiments(dir);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+const experiment = (id, variants, active = true) => ({ id, description: `Test ${id}`, active, variants });
+
+async function runAllTests() {
+  await runTest('Definitions are validated', async () => {
+    try {
+      loadDefinitions({
+        'one.json': { ...experiment('one', { control: 1 }), owner: 'me' },
+        'two.json': experiment('two', { control: 1, Bold: 0 }, 'yes'),
+        'three.json': experiment('other', { control: 1, bold: 1 }),
+        'four.json': '{ nope'
+      });
+      throw new Error('Expected the definitions to be rejected');
+    } catch (error) {
+      assert(error instanceof ExperimentRegistryError, `Expected ExperimentRegistryError, got ${error.name}: ${error.message}`);
+      for (const expected of [
+        'one.json: unknown field "owner"',
+        'one.json: variants must map at least two variant ids to weights',
+        'two.json: active must be true or false',
+        'two.json: variant "Bold" must be lowercase',
+        'two.json: variants.Bold must be a positive number',
+        'three.json: id "other" must match the file name',
+        'four.json: invalid JSON'
+      ]) {
+        assert(error.message.includes(expected), `Expected "${expected}" in:\n${error.message}`);
+      }
+    }
+
+    assert(loadExperiments(path.join(experimentsDir, 'missing')).ids().length === 0, 'A missing directory means no experiments');
+  });
+
+  await runTest('Bots are assigned stable variants by weight', async () => {
+    const registry = loadDefinitions({
+      'wording.json': experiment('wording', { control: 3, bold: 1 }),
+      'paused.json': experiment('paused', { control: 1, other: 1 }, false)
+    });
+
+    const first = registry.assign('pop_bot_1234');
+    assert(JSON.stringify(first) === JSON.stringify(registry.assign('pop_bot_1234')), 'The same bot should get the same variant');
+    assert(Object.keys(first).join() === 'wording', `Only active experiments should be assigned, got ${JSON.stringify(first)}`);
+
+    const bold = Array.from({ length: 2000 }, (_, i) => registry.assign(`bot_${i}`).wording).filter(v => v === 'bold').length;
+    assert(bold > 400 && bold < 600, `Expected about a quarter of bots in "bold", got ${bold}/2000`);
+
+    const { assignments, problems } = registry.checkAssignments({ wording: 'bold', paused: 'nope', gone: 'control' });
+    assert(JSON.stringify(assignments) === '{"wording":"bold"}', `Unexpected assignments ${JSON.stringify(assignments)}`);
+    assert(problems.length === 2, `Expected 2 problems, got ${problems.join('; ')}`);
+  });
+
+  await runTest('Variant templates override the normal prompts', async () => {
+    const prompts = loadPromptTemplates();
+    const variables = { personalityPrompt: 'You love pop.', question: 'Best song?', history: '', versionHints: '', count: 5 };
+    const render = (experiments) => prompts.render('suggestions', variables, { personality: 'mainstream', experiments });
+
+    const variant = render({ 'suggestion-wording': 'crowd-pleaser' });
+    assert(variant.versionId.startsWith('experiments/suggestion-wording/crowd-pleaser/suggestions@2#'), `Unexpected version ${variant.versionId}`);
+    assert(variant.messages[1].content.includes('would win that vote'), 'Expected the variant wording');
+    assert(render({ 'suggestion-wording': 'control' }).versionId.startsWith('suggestions@2#'), 'Control should use the normal template');
+    assert(prompts.render('vote', { personalityPrompt: 'p', question: 'q', options: 'o' }, {
+      experiments: { 'suggestion-wording': 'crowd-pleaser' }
+    }).versionId.startsWith('vote@2#'), 'Tasks without a variant template should use the normal one');
+  });
+
+  await runTest('Rounds are joined to their outcome once', async () => {
+    const store = new MemoryStateStore();
+    const options = { assignments: { wording: 'bold' }, store, gameId: 'game-1', botId: 'bot-1', personality: 'indie', logPrefix: 'Bot test' };
+    const tracker = new ExperimentTracker(options);
+
+    tracker.recordMatchFailure(1);
+    assert(!tracker.isPending(1), 'A round is only pending once the bot played or passed');
+    tracker.recordPlay(1, 'Best song?', { passed: false, promptVersions: { suggestions: 'suggestions@1#aaaaaaaa' } });
+    tracker.recordPlay(1, 'Best song?', { passed: true, promptVersions: { suggestions: 'suggestions@1#aaaaaaaa' } });
+
+    // A re-invoked worker picks up the pending round from its checkpoint
+    const resumed = new ExperimentTracker(options, JSON.parse(JSON.stringify(tracker.toJSON())));
+    const [record] = await quietly(() => resumed.recordOutcome(1, false));
+    assert(record.passed && record.matchFailed && !record.won && record.variant === 'bold', `Unexpected record ${JSON.stringify(record)}`);
+    assert(record.promptVersions.suggestions === 'suggestions@1#aaaaaaaa', 'The prompt version should be recorded');
+    assert((await quietly(() => resumed.recordOutcome(1, true))).length === 0, 'A round should only be reported once');
+    assert((await loadExperimentRecords(store, 'wording')).length === 1, 'Expected one stored record');
+
+    const untracked = new ExperimentTracker({ ...options, assignments: {} });
+    untracked.recordPlay(2, 'Q', { passed: false });
+    assert(!untracked.isPending(2), 'Bots outside experiments should not track rounds');
+  });
+
+  await runTest('The report gives rates per variant', async () => {
+    const round = (variant, botId, outcome) => ({ variant, botId, won: outcome === 'won', passed: outcome === 'passed', matchFailed: outcome === 'passed' });
+    const summary = summarizeExperiment([
+      round('control', 'a', 'won'), round('control', 'a', 'lost'), round('control', 'b', 'passed'), round('control', 'b', 'lost'),
+      round('bold', 'c', 'won'), round('bold', 'c', 'won')
+    ]);
+
+    assert(Object.keys(summary).join() === 'bold,control', 'Variants should be sorted');
+    const control = summary.control;
+    assert(control.bots === 2 && control.rounds === 4, `Unexpected counts ${JSON.stringify(control)}`);
+    assert(control.winRate === 0.25 && control.passRate === 0.25 && control.matchFailureRate === 0.25, `Unexpected rates ${JSON.stringify(control)}`);
+    assert(summary.bold.winRate === 1, `Unexpected rates ${JSON.stringify(summary.bold)}`);
+
+    // Deployed workers and the report meet in the DynamoDB table
+    const store = createExperimentStore({ BOT_EXPERIMENT_STORE: 'dynamodb', BOT_STORE_TABLE: 'bots' });
+    assert(store.name === 'dynamodb' && store.table === 'bots', `Expected the dynamodb backend, got ${store.name}`);
+  });
+
+  await runTest('A simulated game records every round for the bot\'s variant', async () => {
+    const sim = await new HeartSongsSimulator({ maxRounds: 3, minPlayers: 3, resultsDuration: 50 }).start();
+    try {
+      const votesForBot = (game, votable) => votable.find(s => s.player.displayName.includes('_bot_')) || votable[0];
+      const { gameId, gameCode } = sim.createScriptedGame('host_human', { pickVote: votesForBot });
+      sim.addScriptedPlayer(gameId, 'guest_human', { pickVote: votesForBot });
+
+      const client = new HeartSongsClient({ apiUrl: sim.apiUrl });
+      const { user, sessionToken } = await client.register('pop_bot_4321');
+      await client.join(gameCode, user.id);
+
+      const prompts = [];
+      const suggest = (artist, song) => (request) => {
+        prompts.push(request.messages[1].content);
+        return { suggestions: [{ artist, song, reasoning: 'test' }] };
+      };
+
+      await quietly(() => Promise.all([
+        handler({
+          botId: user.id,
+          botName: user.displayName,
+          gameCode,
+          gameId,
+          sessionToken,
+          personality: 'mainstream',
+          personalityConfig: {},
+          experiments: { 'suggestion-wording': 'crowd-pleaser' },
+          // Round 1 plays a catalog song; later rounds suggest one the search cannot find
+          llm: { provider: 'stub', script: { suggestions: [suggest('Queen', 'Bohemian Rhapsody'), suggest('No Such Band', 'Zzyzx Nowhere')] } },
+          apiUrl: sim.apiUrl,
+          timeScale: 0.005
+        }, { functionName: 'local-bot-worker' }),
+        sim.waitFor(gameId, 'ended', 20000)
+      ]));
+
+      assert(prompts.length > 0 && prompts.every(p => p.includes('would win that vote')), 'The bot should use its variant prompt');
+
+      const records = (await loadExperimentRecords(sharedMemoryStore, 'suggestion-wording'))
+        .filter(record => record.gameId === gameId)
+        .sort((a, b) => a.round - b.round);
+      assert(records.length === 3, `Expected a record per round, got ${records.length}`);
+      assert(records.every(record => record.variant === 'crowd-pleaser' && record.botId === user.id), 'Records should carry the variant');
+      assert(records[0].won && !records[0].passed, `Round 1 should be a win, got ${JSON.stringify(records[0])}`);
+      assert(records.slice(1).every(record => record.passed && record.matchFailed && !record.won), 'Later rounds should be match failures');
+
+      const summary = summarizeExperiment(records)['crowd-pleaser'];
+      assert(summary.winRate === 0.333 && summary.passRate === 0.667 && summary.matchFailureRate === 0.667,
+        `Unexpected summary ${JSON.stringify(summary)}`);
+    } finally {
+      await sim.stop();
+    }
+  });
+
+  fs.rmSync(experimentsDir, { recursive: true, force: true });
+
+  // Print results
+  console.log('\n==================================================');
+  console.log(`✅ Passed: ${results.passed}`);
+  console.log(`❌ Failed: ${results.failed}`);
+
+  if (results.failed > 0) {
+    process.exit(1);
+  }
+}
+
+runAllTests().catch(error => {
+  console.error('💥 Test runner crashed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,163 @@
+// test/test-game-memory.js
+// Offline tests for the bot's per-game memory
+process.env.HEARTSONGS_API_URL = process.env.HEARTSONGS_API_URL || 'http://127.0.0.1:9/api';
+
+const { GameMemory, findRoundWinner, PROMPT_HISTORY_LIMIT } = require('../lambda/bot-worker/game-memory');
+const { BotWorker } = require('../lambda/bot-worker/handler');
+const { quietly } = require('./helpers');
+
+// Test results
+let results = {
+  passed: 0,
+  failed: 0,
+  tests: []
+};
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+// Helper function to run a test
+async function runTest(name, testFunction) {
+  console.log(`🧪 Running: ${name}`);
+  try {
+    await testFunction();
+    console.log(`✅ PASSED: ${name}`);
+    results.passed++;
+    results.tests.push({ name, status: 'PASSED' });
+  } catch (error) {
+    console.log(`❌ FAILED: ${name}`);
+    console.log(`   Error: ${error.message}`);
+    results.failed++;
+    results.tests.push({ name, status: 'FAILED', error: error.message });
+  }
+}
+
+const submission = (id, playerId, votes, extra = {}) => ({
+  _id: id,
+  songId: `song-${id}`,
+  songName: `Song ${id}`,
+  artist: `Artist ${id}`,
+  player: { _id: playerId, displayName: playerId },
+  votes: Array.from({ length: votes }, (_, i) => ({ _id: `voter-${i}` })),
+  submittedAt: new Date(Date.UTC(2024, 0, 1, 0, 0, Number(id.replace(/\D/g, '')) || 0)).toISOString(),
+  ...extra
+});
+
+function resultsState(round, question, submissions) {
+  return { round, status: 'results', currentQuestion: { text: question }, submissions };
+}
+
+const heyJude = { id: 'song-1', name: 'Hey Jude', artist: 'The Beatles' };
+
+async function runAllTests() {
+  await runTest('Rounds, questions and winners are recorded once', async () => {
+    const memory = new GameMemory();
+    const state = resultsState(1, 'Best road trip song?', [submission('s1', 'bot-1', 2), submission('s2', 'p2', 1)]);
+
+    memory.observe({ ...state, status: 'selecting', submissions: [] }, 'bot-1');
+    memory.observe(state, 'bot-1');
+    memory.observe(state, 'bot-1');
+
+    assert(memory.questions.length === 1, `Expected 1 question, got ${memory.questions.length}`);
+    assert(memory.winners.length === 1 && memory.winners[0].isBot, 'Expected one winner, the bot');
+    assert(memory.winners[0].songName === 'Song s1', `Unexpected winner ${memory.winners[0].songName}`);
+
+    const tie = [submission('s5', 'p2', 1), submission('s3', 'p3', 1), submission('s4', 'p4', 0, { hasPassed: true })];
+    assert(findRoundWinner(tie)._id === 's3', 'Ties go to the earliest submission');
+    assert(findRoundWinner([submission('s6', 'p2', 0, { hasPassed: true })]) === null, 'No winner when everyone passed');
+  });
+
+  await runTest('Played songs are excluded by id or by name', async () => {
+    const memory = new GameMemory();
+    memory.recordSubmission(1, 'Best road trip song?', heyJude);
+    memory.recordSubmission(1, 'Best road trip song?', { id: 'song-2', name: 'Let It Be', artist: 'The Beatles' });
+
+    assert(memory.submissions.length === 1, 'Only one submission per round');
+    assert(memory.hasPlayed({ artist: 'beatles', song: 'hey  jude ' }), 'Suggestions should match regardless of case and "The"');
+    assert(memory.hasPlayed({ id: 'song-1', artist: 'Somebody', name: 'Cover' }), 'Search results should match by id');
+
+    const fresh = memory.excludePlayed([
+      { artist: 'The Beatles', song: 'Hey Jude' },
+      { artist: 'The Beatles', song: 'Here Comes The Sun' }
+    ]);
+    assert(fresh.length === 1 && fresh[0].song === 'Here Comes The Sun', 'Expected only the unplayed suggestion');
+  });
+
+  await runTest('Prompt context lists played songs and earlier winners', async () => {
+    const memory = new GameMemory();
+    assert(memory.toPromptContext(1) === '', 'No context before anything happened');
+
+    memory.observe(resultsState(1, 'Best road trip song?', [submission('s1', 'p2', 2)]), 'bot-1');
+    memory.recordSubmission(1, 'Best road trip song?', heyJude);
+    memory.observe({ round: 2, status: 'selecting', currentQuestion: { text: 'Best rainy day song?' }, submissions: [] }, 'bot-1');
+
+    const context = memory.toPromptContext(2);
+    assert(context.includes('"Hey Jude" by "The Beatles"'), 'Should list the song already played');
+    assert(context.includes('Round 1: "Best road trip song?" won by "Song s1"'), 'Should list the earlier winner');
+    assert(!context.includes('rainy day'), 'Should not repeat the current question');
+
+    for (let round = 3; round < 30; round++) {
+      memory.recordSubmission(round, `Question ${round}`, { id: `song-${round}`, name: `Song ${round}`, artist: 'Someone' });
+    }
+    const lines = memory.toPromptContext(30).split('\n').filter(line => line.startsWith('- Round') && line.includes('Someone'));
+    assert(lines.length === PROMPT_HISTORY_LIMIT, `Expected ${PROMPT_HISTORY_LIMIT} recent songs, got ${lines.length}`);
+  });
+
+  await runTest('The worker skips songs it already played', async () => {
+    const bot = await quietly(() => new BotWorker({
+      botId: 'bot-1',
+      botName: 'pop_bot_0001',
+      gameId: 'game-1',
+      personality: 'analytical',
+      timeScale: 0,
+      llm: {
+        provider: 'stub',
+        script: {
+          suggestions: [{
+            suggestions: [
+              { artist: 'The Beatles', song: 'Hey Jude', reasoning: 'Classic' },
+              { artist: 'Queen', song: "Don't Stop Me Now", reasoning: 'Energy' }
+            ]
+          }]
+        }
+      },
+      apiUrl: process.env.HEARTSONGS_API_URL
+    }, { stateStore: null }));
+    bot.gameState = { round: 2, status: 'selecting', currentQuestion: { text: 'Best song to sing along to?' }, submissions: [] };
+    bot.memory.recordSubmission(1, 'Best road trip song?', heyJude);
+
+    const searches = [];
+    bot.searchSongs = async (query) => {
+      searches.push(query);
+      return query.startsWith('Queen')
+        ? [{ id: 'song-9', name: "Don't Stop Me Now", artist: 'Queen' }]
+        : [heyJude];
+    };
+
+    const choice = await quietly(() => bot.chooseSongForQuestion(bot.gameState.currentQuestion));
+
+    assert(choice?.id === 'song-9', `Expected the unplayed song, got ${choice?.name}`);
+    assert(searches.length === 1, `Played suggestions should not be searched, got ${searches}`);
+    const prompt = bot.llm.calls[0].messages[1].content;
+    assert(prompt.includes('never suggest these again') && prompt.includes('Hey Jude'), 'History should be in the prompt');
+
+    const resumed = await quietly(() => new BotWorker({ botId: 'bot-1', botName: 'pop_bot_0001', gameId: 'game-1' }, { stateStore: null }));
+    await quietly(() => resumed.restoreCheckpoint(JSON.parse(JSON.stringify(bot.toCheckpoint()))));
+    assert(resumed.memory.hasPlayed(heyJude), 'Memory should survive a checkpoint round trip');
+  });
+
+  // Print results
+  console.log('\n==================================================');
+  console.log(`✅ Passed: ${results.passed}`);
+  console.log(`❌ Failed: ${results.failed}`);
+
+  if (results.failed > 0) {
+    process.exit(1);
+  }
+}
+
+runAllTests().catch(error => {
+  console.error('💥 Test runner crashed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,163 @@
+// test/test-game-updates.js
+// Offline tests for adaptive polling intervals and the SSE fallback
+const { GameUpdates, nextPollInterval, POLL_INTERVALS } = require('../lambda/bot-worker/game-updates');
+const { quietly } = require('./helpers');
+
+// Test results
+let results = {
+  passed: 0,
+  failed: 0,
+  tests: []
+};
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+// Helper function to run a test
+async function runTest(name, testFunction) {
+  console.log(`🧪 Running: ${name}`);
+  try {
+    await quietly(testFunction);
+    console.log(`✅ PASSED: ${name}`);
+    results.passed++;
+    results.tests.push({ name, status: 'PASSED' });
+  } catch (error) {
+    console.log(`❌ FAILED: ${name}`);
+    console.log(`   Error: ${error.message}`);
+    results.failed++;
+    results.tests.push({ name, status: 'FAILED', error: error.message });
+  }
+}
+
+const player = (id, isReady = true) => ({ user: { _id: id }, isReady });
+const submission = (playerId, voters = []) => ({ player: { _id: playerId }, votes: voters.map(_id => ({ _id })) });
+const players = [player('bot'), player('p1'), player('p2'), player('p3')];
+
+async function runAllTests() {
+  await runTest('Intervals follow what the bot is waiting for', async () => {
+    const { fast, normal, idle } = POLL_INTERVALS;
+    const cases = [
+      ['lobby, bot not ready', { status: 'waiting', players: [player('bot', false), player('p1', false)] }, normal],
+      ['lobby, others not ready', { status: 'waiting', players: [player('bot'), player('p1', false), player('p2', false)] }, idle],
+      ['lobby, everyone ready', { status: 'waiting', players }, fast],
+      ['selecting, bot to submit', { status: 'selecting', players, submissions: [] }, normal],
+      ['selecting, many left', { status: 'selecting', players, submissions: [submission('bot')] }, idle],
+      ['selecting, one left', { status: 'selecting', players, submissions: ['bot', 'p1', 'p2'].map(id => submission(id)) }, fast],
+      ['voting, bot to vote', { status: 'voting', players, submissions: [submission('p1', ['p2'])] }, normal],
+      ['voting, one vote left', { status: 'voting', players, submissions: [submission('p1', ['bot', 'p2', 'p3'])] }, fast],
+      ['results', { status: 'results', players }, idle],
+      ['question picked', { status: 'question-selection', players, winnerSelectedQuestion: { text: 'Q?' } }, fast]
+    ];
+
+    for (const [label, game, expected] of cases) {
+      const interval = nextPollInterval(game, { botId: 'bot' });
+      assert(interval === expected, `${label}: expected ${expected}ms, got ${interval}ms`);
+    }
+  });
+
+  await runTest('Idle phases back off while nothing changes', async () => {
+    const game = { status: 'results', players };
+    const intervals = [0, 1, 2, 10].map(unchangedPolls => nextPollInterval(game, { botId: 'bot', unchangedPolls }));
+
+    assert(intervals[0] < intervals[1] && intervals[1] < intervals[2], `Expected growing intervals, got ${intervals}`);
+    assert(intervals[3] === POLL_INTERVALS.max, `Expected backoff to cap at ${POLL_INTERVALS.max}, got ${intervals[3]}`);
+    assert(nextPollInterval({ status: 'selecting', players, submissions: [] }, { botId: 'bot', unchangedPolls: 10 }) === POLL_INTERVALS.normal,
+      'Active phases should not back off');
+  });
+
+  await runTest('Unchanged polls are counted per game signature', async () => {
+    const updates = new GameUpdates({ botId: 'bot', timeScale: 0 });
+    const game = { status: 'selecting', round: 1, players, submissions: [submission('bot')] };
+
+    await updates.wait(game);
+    await updates.wait(game);
+    assert(updates.unchangedPolls === 1, `Expected 1 unchanged poll, got ${updates.unchangedPolls}`);
+
+    await updates.wait({ ...game, submissions: [submission('bot'), submission('p1')] });
+    assert(updates.unchangedPolls === 0, 'A new submission should reset the backoff');
+  });
+
+  await runTest('SSE mode falls back to polling when subscribing keeps failing', async () => {
+    let attempts = 0;
+    const client = {
+      subscribeToGame: async () => {
+        attempts++;
+        throw Object.assign(new Error('down'), { kind: 'server' });
+      }
+    };
+    const updates = new GameUpdates({ client, gameId: 'g1', botId: 'bot', mode: 'sse', timeScale: 0, reconnectLimit: 2 });
+
+    await updates.start();
+    assert(updates.mode === 'sse', 'One failure should not give up yet');
+    await updates.wait(null);
+    assert(updates.mode === 'poll' && attempts === 2, `Expected fallback after 2 attempts, got ${attempts}`);
+  });
+
+  await runTest('SSE mode falls back to polling when the stream keeps dropping', async () => {
+    let attempts = 0;
+    let handlers;
+    const client = {
+      subscribeToGame: async (gameId, callbacks) => {
+        attempts++;
+        handlers = callbacks;
+        return { close: () => {} };
+      }
+    };
+    const updates = new GameUpdates({ client, gameId: 'g1', botId: 'bot', mode: 'sse', timeScale: 1, reconnectLimit: 3 });
+    await updates.start();
+
+    // Every subscribe succeeds, but the stream closes right away
+    for (let i = 0; i < 3; i++) {
+      setTimeout(() => handlers.onClose(i === 1 ? { kind: 'network' } : undefined), 5);
+      await updates.wait(null);
+    }
+    assert(updates.mode === 'poll' && attempts === 3, `Expected fallback after 3 short-lived streams, got ${updates.mode} after ${attempts}`);
+
+    // A stream that stays up clears the earlier drops
+    const steady = new GameUpdates({ client, gameId: 'g1', botId: 'bot', mode: 'sse', timeScale: 1, reconnectLimit: 2, stableAfter: 20 });
+    await steady.start();
+    setTimeout(() => handlers.onClose(), 5);
+    await steady.wait(null);
+    assert(steady.failedConnects === 1, `Expected one early drop, got ${steady.failedConnects}`);
+    setTimeout(() => handlers.onClose(), 40);
+    await steady.wait(null);
+    assert(steady.mode === 'sse' && steady.failedConnects === 0, `A stable stream should reset the count, got ${steady.failedConnects}`);
+    steady.close();
+  });
+
+  await runTest('Pushed states wake the waiting worker', async () => {
+    let handlers;
+    const client = {
+      subscribeToGame: async (gameId, callbacks) => {
+        handlers = callbacks;
+        return { close: () => {} };
+      }
+    };
+    const updates = new GameUpdates({ client, gameId: 'g1', botId: 'bot', mode: 'sse', timeScale: 1 });
+    await updates.start();
+
+    const startedAt = Date.now();
+    setTimeout(() => handlers.onUpdate({ status: 'voting' }), 10);
+    await updates.wait({ status: 'selecting' });
+
+    assert(Date.now() - startedAt < 1000, 'Push should end the wait long before the safety poll');
+    assert(updates.takePushedState().status === 'voting', 'Expected the pushed state');
+    assert(updates.takePushedState() === null, 'A pushed state is only handed out once');
+    updates.close();
+  });
+
+  // Print results
+  console.log('\n==================================================');
+  console.log(`✅ Passed: ${results.passed}`);
+  console.log(`❌ Failed: ${results.failed}`);
+
+  if (results.failed > 0) {
+    process.exit(1);
+  }
+}
+
+runAllTests().catch(error => {
+  console.error('💥 Test runner crashed:', error);
+  process.exit(1);
+});
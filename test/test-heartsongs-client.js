@@ -0,0 +1,285 @@
+// test/test-heartsongs-client.js
+// Offline tests for the shared HeartSongsClient (retries, auth, error classification)
+const http = require('http');
+const { HeartSongsClient, HeartSongsApiError } = require('../lambda/shared/heartsongs-client');
+const { quietly, createTestBot } = require('./helpers');
+
+// Test results
+let results = {
+  passed: 0,
+  failed: 0,
+  tests: []
+};
+
+// Scripted responses per "METHOD path": an array consumed one entry per request
+let script = {};
+let requestLog = [];
+
+function startServer() {
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const path = req.url.split('?')[0];
+      const key = `${req.method} ${path}`;
+      requestLog.push({ key, url: req.url, headers: req.headers, body: body ? JSON.parse(body) : null });
+
+      const queue = script[key] || [];
+      const next = queue.length > 1 ? queue.shift() : queue[0] || { status: 404, body: { error: 'Not found' } };
+
+      if (next.hang) return; // Never respond - used for timeout tests
+
+      res.writeHead(next.status, { 'Content-Type': 'application/json', ...(next.headers || {}) });
+      res.end(next.raw !== undefined ? next.raw : JSON.stringify(next.body || {}));
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => resolve(server));
+  });
+}
+
+function createClient(port, options = {}) {
+  return new HeartSongsClient({
+    apiUrl: `http://127.0.0.1:${port}/api`,
+    sleep: async () => {}, // No real backoff waits in tests
+    ...options
+  });
+}
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+// Helper function to run a test
+async function runTest(name, testFunction) {
+  console.log(`🧪 Running: ${name}`);
+  script = {};
+  requestLog = [];
+
+  try {
+    await testFunction();
+    console.log(`✅ PASSED: ${name}`);
+    results.passed++;
+    results.tests.push({ name, status: 'PASSED' });
+  } catch (error) {
+    console.log(`❌ FAILED: ${name}`);
+    console.log(`   Error: ${error.message}`);
+    results.failed++;
+    results.tests.push({ name, status: 'FAILED', error: error.message });
+  }
+}
+
+async function runAllTests() {
+  const server = await startServer();
+  const { port } = server.address();
+
+  await runTest('Register stores session token and later calls send it', async () => {
+    script['POST /api/auth/register-anonymous'] = [{ status: 200, body: { user: { id: 'u1', displayName: 'pop_bot_1234' }, sessionToken: 'tok-1' } }];
+    script['POST /api/game/ready'] = [{ status: 200, body: { ok: true } }];
+
+    const client = createClient(port);
+    const data = await client.register('pop_bot_1234');
+    await client.ready('g1', 'u1');
+
+    assert(data.sessionToken === 'tok-1', 'Expected session token in registration data');
+    assert(!requestLog[0].headers.authorization, 'Registration should not send auth header');
+    assert(requestLog[1].headers.authorization === 'Bearer tok-1', 'Ready should send bearer token');
+    assert(requestLog[1].headers['user-agent'] === 'HeartSongs-Bot-Service/1.0', 'Expected bot user agent');
+  });
+
+  await runTest('429 on /game/vote is retried like 429 on /game/:id', async () => {
+    script['POST /api/game/vote'] = [{ status: 429, body: { error: 'Too many' } }, { status: 200, body: { ok: true } }];
+    script['GET /api/game/g1'] = [{ status: 429, body: { error: 'Too many' } }, { status: 200, body: { status: 'voting' } }];
+
+    const client = createClient(port, { sessionToken: 'tok' });
+    await client.vote('g1', 'u1', 's1');
+    const game = await client.getGame('g1');
+
+    assert(game.status === 'voting', 'Expected game state after retry');
+    assert(requestLog.filter(r => r.key === 'POST /api/game/vote').length === 2, 'Vote should be attempted twice');
+    assert(requestLog.filter(r => r.key === 'GET /api/game/g1').length === 2, 'getGame should be attempted twice');
+  });
+
+  await runTest('Duplicate song is a non-retryable conflict', async () => {
+    script['POST /api/game/submit'] = [{ status: 409, body: { error: 'Song already selected', errorCode: 'DUPLICATE_SONG' } }];
+
+    const client = createClient(port, { sessionToken: 'tok' });
+    try {
+      await client.submit('g1', 'u1', { id: 'sp1', name: 'Hey Jude', artist: 'The Beatles' });
+      throw new Error('Expected submit to fail');
+    } catch (error) {
+      assert(error instanceof HeartSongsApiError, 'Expected HeartSongsApiError');
+      assert(error.kind === 'conflict', `Expected conflict, got ${error.kind}`);
+      assert(error.errorCode === 'DUPLICATE_SONG', 'Expected DUPLICATE_SONG error code');
+      assert(error.attempts === 1, 'Conflicts must not be retried');
+    }
+  });
+
+  await runTest('Server errors exhaust the retry budget', async () => {
+    script['GET /api/music/search'] = [{ status: 503, body: { error: 'Down' } }];
+
+    const client = createClient(port, { sessionToken: 'tok', retryPolicies: { search: [2, 1] } });
+    try {
+      await client.search('queen bohemian rhapsody');
+      throw new Error('Expected search to fail');
+    } catch (error) {
+      assert(error.kind === 'server', `Expected server, got ${error.kind}`);
+      assert(error.attempts === 3, `Expected 3 attempts, got ${error.attempts}`);
+      assert(requestLog[0].url.includes('limit=8'), 'Expected default search limit');
+    }
+  });
+
+  await runTest('Timeouts are classified and retried', async () => {
+    script['POST /api/game/join'] = [{ hang: true }, { status: 200, body: { gameId: 'g1' } }];
+
+    const client = createClient(port, { sessionToken: 'tok', timeout: 200 });
+    const data = await client.join('ABC123', 'u1');
+
+    assert(data.gameId === 'g1', 'Expected join to succeed after timeout');
+    assert(requestLog.length === 2, 'Expected one retry after timeout');
+  });
+
+  await runTest('Game moves are not retried once the server may have applied them', async () => {
+    // Passing posts to /game/submit as well
+    script['POST /api/game/submit'] = [{ status: 502, body: { error: 'Bad gateway' } }, { hang: true }, { status: 200, body: { ok: true } }];
+
+    const client = createClient(port, { sessionToken: 'tok', timeout: 200 });
+    for (const [operation, move, kind] of [
+      ['submit', () => client.submit('g1', 'u1', { id: 'sp1', name: 'Hey Jude', artist: 'The Beatles' }), 'server'],
+      ['pass', () => client.pass('g1', 'u1'), 'timeout']
+    ]) {
+      try {
+        await move();
+        throw new Error(`Expected ${operation} to fail`);
+      } catch (error) {
+        assert(error.kind === kind && error.attempts === 1, `${operation}: expected one ${kind} attempt, got ${error.attempts} (${error.kind})`);
+      }
+    }
+
+    // A refused connection never reached the server, so it is safe to try again
+    const refused = createClient(0, { sessionToken: 'tok', retryPolicies: { vote: [1, 1] } });
+    try {
+      await refused.vote('g1', 'u1', 's1');
+      throw new Error('Expected vote to fail');
+    } catch (error) {
+      assert(error.kind === 'network' && error.attempts === 2, `Expected 2 network attempts, got ${error.attempts} (${error.kind})`);
+    }
+  });
+
+  await runTest('A submit that timed out but landed is not followed by a pass', async () => {
+    const bot = await quietly(() => createTestBot({ botId: 'u1', gameId: 'g1', apiUrl: `http://127.0.0.1:${port}/api` }));
+
+    const song = { id: 'sp1', name: 'Hey Jude', artist: 'The Beatles' };
+    const moves = [];
+    let landed = true;
+    bot.client = {
+      submit: async () => { moves.push('submit'); throw new HeartSongsApiError('timed out', { kind: 'timeout', operation: 'submit' }); },
+      pass: async () => { moves.push('pass'); },
+      getGame: async () => ({ submissions: landed ? [{ player: { _id: 'u1' }, songId: 'sp1' }] : [] })
+    };
+
+    await quietly(() => bot.submitSong(song));
+    assert(moves.join() === 'submit', `Expected no pass after a landed submit, got ${moves.join()}`);
+
+    landed = false;
+    await quietly(() => bot.submitSong(song));
+    assert(moves.join() === 'submit,submit,pass', `Expected a pass when the submit did not land, got ${moves.join()}`);
+  });
+
+  await runTest('An alternative submit that timed out but landed is not followed by a pass', async () => {
+    const bot = await quietly(() => createTestBot({ botId: 'u1', gameId: 'g1', apiUrl: `http://127.0.0.1:${port}/api` }));
+
+    const song = { id: 'sp1', name: 'Hey Jude', artist: 'The Beatles' };
+    const alternative = { id: 'sp2', name: 'Let It Be', artist: 'The Beatles' };
+    const moves = [];
+    const submissions = [{ player: { _id: 'u2' }, songId: 'sp1' }];
+    bot.client = {
+      submit: async (gameId, botId, submitted) => {
+        moves.push(`submit ${submitted.id}`);
+        if (submitted === song) throw new HeartSongsApiError('Song already selected', { kind: 'conflict', status: 409, data: { errorCode: 'DUPLICATE_SONG' }, operation: 'submit' });
+        submissions.push({ player: { _id: 'u1' }, songId: submitted.id });
+        throw new HeartSongsApiError('timed out', { kind: 'timeout', operation: 'submit' });
+      },
+      pass: async () => { moves.push('pass'); },
+      getGame: async () => ({ ...bot.gameState, submissions })
+    };
+    bot.lookupSong = async () => ({ song: alternative });
+
+    await quietly(() => bot.submitSong(song));
+    assert(moves.join() === 'submit sp1,submit sp2', `Expected no pass after a landed alternative, got ${moves.join()}`);
+    assert(bot.memory.hasPlayed(alternative) && !bot.memory.hasPlayed(song), 'The landed alternative should be remembered');
+  });
+
+  await runTest('Retry-After is capped at the policy\'s longest backoff', async () => {
+    script['GET /api/game/g1'] = [
+      { status: 429, headers: { 'Retry-After': '3600' }, body: { error: 'Too many' } },
+      { status: 429, headers: { 'Retry-After': '1' }, body: { error: 'Too many' } },
+      { status: 200, body: { status: 'voting' } }
+    ];
+
+    const delays = [];
+    const client = createClient(port, { sessionToken: 'tok', retryPolicies: { getGame: [3, 500] }, sleep: async (ms) => { delays.push(ms); } });
+    await client.getGame('g1');
+
+    assert(delays[0] === 2000 && delays[1] === 1000, `Unexpected delays ${delays.join(', ')}`);
+  });
+
+  await runTest('Health check lives outside /api', async () => {
+    script['GET /health'] = [{ status: 200, body: { status: 'ok' } }];
+
+    const client = createClient(port);
+    const health = await client.health();
+
+    assert(health.status === 'ok', 'Expected healthy response');
+  });
+
+  await runTest('Game event stream parses SSE blocks and reports the close', async () => {
+    script['GET /api/game/g1/events'] = [{
+      status: 200,
+      headers: { 'Content-Type': 'text/event-stream' },
+      raw: ': connected\n\nid: 1\r\nevent: game\r\ndata: {"status":"voting",\r\ndata: "round":2}\r\n\r\n' +
+        'event: ping\ndata: {}\n\nevent: game\ndata: not json\n\nevent: game\ndata: {"status":"results"}\n\n'
+    }];
+
+    const client = createClient(port, { sessionToken: 'tok-2' });
+    const updates = [];
+    const closed = new Promise(resolve => {
+      client.subscribeToGame('g1', { onUpdate: (game) => updates.push(game), onClose: resolve });
+    });
+    await quietly(() => closed);
+
+    assert(requestLog[0].headers.authorization === 'Bearer tok-2', 'Expected auth header on the stream');
+    assert(updates.length === 2, `Expected 2 game events, got ${updates.length}`);
+    assert(updates[0].status === 'voting' && updates[0].round === 2, 'Multi-line data should be joined');
+    assert(updates[1].status === 'results', 'Expected second event');
+  });
+
+  await runTest('Missing game event endpoint is not_found', async () => {
+    const client = createClient(port);
+    try {
+      await client.subscribeToGame('g1', {});
+      throw new Error('Expected subscribe to fail');
+    } catch (error) {
+      assert(error instanceof HeartSongsApiError, 'Expected HeartSongsApiError');
+      assert(error.kind === 'not_found' && error.operation === 'subscribe', `Unexpected ${error.kind}/${error.operation}`);
+    }
+  });
+
+  server.close();
+  server.closeAllConnections?.();
+
+  // Print results
+  console.log('\n==================================================');
+  console.log(`✅ Passed: ${results.passed}`);
+  console.log(`❌ Failed: ${results.failed}`);
+
+  if (results.failed > 0) {
+    process.exit(1);
+  }
+}
+
+runAllTests().catch(error => {
+  console.error('💥 Test runner crashed:', error);
+  process.exit(1);
+});
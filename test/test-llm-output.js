@@ -0,0 +1,159 @@
+// test/test-llm-output.js
+// Offline tests for schema-validated AI replies and the repair round-trip
+process.env.HEARTSONGS_API_URL = process.env.HEARTSONGS_API_URL || 'http://127.0.0.1:9/api';
+
+const {
+  RESPONSE_SCHEMAS,
+  LLMOutputError,
+  LLMOutputStats,
+  voteSchema,
+  validateSchema,
+  toProviderSchema,
+  parseOutput,
+  completeStructured
+} = require('../lambda/shared/llm-output');
+const { StubProvider, OpenAIProvider, OpenAICompatibleProvider } = require('../lambda/shared/llm-providers');
+const { quietly, createTestBot } = require('./helpers');
+
+// Test results
+let results = {
+  passed: 0,
+  failed: 0,
+  tests: []
+};
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+// Helper function to run a test
+async function runTest(name, testFunction) {
+  console.log(`🧪 Running: ${name}`);
+  try {
+    await testFunction();
+    console.log(`✅ PASSED: ${name}`);
+    results.passed++;
+    results.tests.push({ name, status: 'PASSED' });
+  } catch (error) {
+    console.log(`❌ FAILED: ${name}`);
+    console.log(`   Error: ${error.message}`);
+    results.failed++;
+    results.tests.push({ name, status: 'FAILED', error: error.message });
+  }
+}
+
+const messages = [{ role: 'user', content: 'Vote' }];
+
+async function runAllTests() {
+  await runTest('Replies are validated strictly', async () => {
+    const valid = { suggestions: [{ artist: 'Queen', song: 'Under Pressure', reasoning: 'Classic' }] };
+    assert(validateSchema(valid, RESPONSE_SCHEMAS.suggestions).length === 0, 'Valid suggestions rejected');
+
+    const cases = [
+      [{ suggestions: [] }, RESPONSE_SCHEMAS.suggestions, '$.suggestions needs at least 1 item(s)'],
+      [{ suggestions: [{ artist: 'Queen', song: '' }] }, RESPONSE_SCHEMAS.suggestions, '$.suggestions[0].reasoning is required'],
+      [{ suggestions: [{ artist: 'Queen', song: ' ', reasoning: 'x' }] }, RESPONSE_SCHEMAS.suggestions, '$.suggestions[0].song must not be empty'],
+      [{ option: '2', reason: 'x' }, RESPONSE_SCHEMAS.vote, '$.option must be an integer, got string'],
+      [{ option: 4, reason: 'x' }, voteSchema(3), '$.option must be at most 3'],
+      [{ winner: 'ME', reason: 'x' }, RESPONSE_SCHEMAS['self-vote'], '$.winner must be one of: PLAYER1, PLAYER2'],
+      [{ question: { text: 'Q?', category: 'fun', extra: 1 }, reasoning: 'x' }, RESPONSE_SCHEMAS.question, '$.question.extra is not allowed']
+    ];
+    for (const [value, schema, expected] of cases) {
+      const problems = validateSchema(value, schema);
+      assert(problems.includes(expected), `Expected "${expected}", got ${JSON.stringify(problems)}`);
+    }
+  });
+
+  await runTest('Parse failures are typed', async () => {
+    assert(parseOutput('```json\n{"option": 1, "reason": "x"}\n```', RESPONSE_SCHEMAS.vote, 'vote').option === 1, 'Code fences should be stripped');
+
+    for (const [content, kind] of [['Option 2 - great song', 'invalid_json'], ['{"option": 0, "reason": "x"}', 'schema']]) {
+      try {
+        parseOutput(content, RESPONSE_SCHEMAS.vote, 'vote');
+        throw new Error(`Expected an error for ${content}`);
+      } catch (error) {
+        assert(error instanceof LLMOutputError, `Expected LLMOutputError, got ${error.name}`);
+        assert(error.kind === kind && error.task === 'vote', `Expected ${kind}, got ${error.kind}`);
+      }
+    }
+  });
+
+  await runTest('One repair round-trip fixes a bad reply', async () => {
+    const stub = new StubProvider({ script: { vote: ['Option 2 - great song', { option: 2, reason: 'great song' }] } });
+    const stats = new LLMOutputStats();
+    const { value, repaired } = await completeStructured(stub, { task: 'vote', messages }, { schema: voteSchema(2), stats });
+
+    assert(value.option === 2 && repaired, 'Expected the repaired vote');
+    assert(stub.calls.length === 2, `Expected 2 calls, got ${stub.calls.length}`);
+    const repair = stub.calls[1];
+    assert(repair.repair && repair.messages.length === 3, 'Repair should replay the conversation');
+    assert(repair.messages[1].role === 'assistant' && repair.messages[1].content === 'Option 2 - great song', 'Repair should quote the bad reply');
+    assert(repair.messages[2].content.includes('not valid JSON'), 'Repair should explain the problem');
+    assert(stats.tasks.vote.repaired === 1 && stats.failures() === 0, `Unexpected stats ${JSON.stringify(stats)}`);
+  });
+
+  await runTest('A reply still invalid after repair is counted and thrown', async () => {
+    const stub = new StubProvider({ script: { 'self-vote': [{ winner: 'BOTH', reason: 'tie' }] } });
+    const stats = new LLMOutputStats();
+    let error = null;
+    await completeStructured(stub, { task: 'self-vote', messages }, { stats }).catch(e => { error = e; });
+
+    assert(error instanceof LLMOutputError && error.kind === 'schema', `Expected a schema error, got ${error?.message}`);
+    assert(stub.calls.length === 2, 'Exactly one repair should be attempted');
+    assert(stats.tasks['self-vote'].schema === 1 && stats.failures() === 1, `Unexpected stats ${JSON.stringify(stats)}`);
+    assert(LLMOutputStats.from(JSON.parse(JSON.stringify(stats))).failures() === 1, 'Stats should survive a checkpoint');
+  });
+
+  await runTest('Providers request structured output', async () => {
+    const bodies = [];
+    const httpClient = {
+      post: async (url, body) => {
+        bodies.push(body);
+        return { data: { choices: [{ message: { content: '{"option": 1, "reason": "x"}' } }] } };
+      }
+    };
+
+    await completeStructured(new OpenAIProvider({ apiKey: 'key', httpClient }), { task: 'vote', messages }, { schema: voteSchema(3) });
+    const format = bodies[0].response_format;
+    assert(format.type === 'json_schema' && format.json_schema.strict, `Unexpected format ${JSON.stringify(format)}`);
+    assert(!('maximum' in format.json_schema.schema.properties.option), 'Local-only keywords should not be sent');
+    assert(toProviderSchema(RESPONSE_SCHEMAS.suggestions).properties.suggestions.minItems === undefined, 'minItems should be stripped');
+
+    await completeStructured(new OpenAICompatibleProvider({ baseUrl: 'http://local/v1', httpClient }), { task: 'vote', messages });
+    assert(bodies[1].response_format.type === 'json_object', 'Compatible servers default to JSON mode');
+
+    await new OpenAIProvider({ apiKey: 'key', httpClient, responseFormatMode: 'none' }).complete({ messages, responseFormat: { name: 'vote', schema: {} } });
+    assert(!('response_format' in bodies[2]), 'Mode none should send no response_format');
+  });
+
+  await runTest('The worker counts rejected replies and falls back', async () => {
+    const bot = await quietly(() => createTestBot({ llm: { provider: 'stub', script: { suggestions: ['Here are some songs: Queen - Under Pressure'], vote: [{ option: 7, reason: 'x' }] } } }));
+
+    const suggestions = await quietly(() => bot.getAISongSuggestions(bot.gameState.currentQuestion.text));
+    assert(suggestions[0]?.reasoning.startsWith('Catalog match'), `Expected catalog fallback songs, got ${JSON.stringify(suggestions[0])}`);
+    assert(bot.outputStats.tasks.suggestions.invalid_json === 1, `Unexpected stats ${JSON.stringify(bot.outputStats)}`);
+
+    const submissions = [
+      { _id: 's1', songName: 'A', artist: 'X', player: { _id: 'p1' } },
+      { _id: 's2', songName: 'B', artist: 'Y', player: { _id: 'p2' } }
+    ];
+    const vote = await quietly(() => bot.getAIVotingChoice(submissions));
+    assert(vote === null, 'An out-of-range option should not pick a submission');
+    assert(bot.outputStats.tasks.vote.schema === 1 && bot.outputStats.failures() === 2, `Unexpected stats ${JSON.stringify(bot.outputStats)}`);
+    assert(bot.toCheckpoint().outputStats.tasks.vote.schema === 1, 'Checkpoint should carry the output stats');
+  });
+
+  // Print results
+  console.log('\n==================================================');
+  console.log(`✅ Passed: ${results.passed}`);
+  console.log(`❌ Failed: ${results.failed}`);
+
+  if (results.failed > 0) {
+    process.exit(1);
+  }
+}
+
+runAllTests().catch(error => {
+  console.error('💥 Test runner crashed:', error);
+  process.exit(1);
+});
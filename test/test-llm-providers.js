@@ -0,0 +1,226 @@
+// test/test-llm-providers.js
+// Offline tests for the pluggable LLM provider layer
+const http = require('http');
+const {
+  OpenAIProvider,
+  OpenAICompatibleProvider,
+  StubProvider,
+  LLMProviderError,
+  createLLMProvider,
+  createLLMProviderWithFallback,
+  providerProblem
+} = require('../lambda/shared/llm-providers');
+
+// Test results
+let results = {
+  passed: 0,
+  failed: 0,
+  tests: []
+};
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+// Helper function to run a test
+async function runTest(name, testFunction) {
+  console.log(`🧪 Running: ${name}`);
+  try {
+    await testFunction();
+    console.log(`✅ PASSED: ${name}`);
+    results.passed++;
+    results.tests.push({ name, status: 'PASSED' });
+  } catch (error) {
+    console.log(`❌ FAILED: ${name}`);
+    console.log(`   Error: ${error.message}`);
+    results.failed++;
+    results.tests.push({ name, status: 'FAILED', error: error.message });
+  }
+}
+
+/**
+ * Minimal OpenAI-compatible server that records requests
+ */
+async function startCompletionServer(handler) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const request = { url: req.url, headers: req.headers, body: JSON.parse(body) };
+      requests.push(request);
+      const { status, payload } = handler(request);
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(payload));
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return { server, requests, baseUrl: `http://127.0.0.1:${server.address().port}/v1` };
+}
+
+const messagesFor = (question) => [
+  { role: 'system', content: 'You are a music expert.' },
+  { role: 'user', content: `Question: "${question}"\n\nPlease suggest 5 songs.` }
+];
+
+async function runAllTests() {
+  await runTest('Environment selects the provider and model', async () => {
+    const openai = createLLMProvider({}, { OPENAI_API_KEY: 'sk-test', LLM_MODEL: 'gpt-4o' });
+    assert(openai instanceof OpenAIProvider && openai.model === 'gpt-4o', 'Expected OpenAI provider with env model');
+    assert(openai.isAvailable(), 'OpenAI provider with key should be available');
+
+    const noKey = createLLMProvider({}, {});
+    assert(!noKey.isAvailable(), 'OpenAI provider without key should be unavailable');
+
+    const stub = createLLMProvider({}, { LLM_PROVIDER: 'stub' });
+    assert(stub instanceof StubProvider, 'Expected stub provider');
+  });
+
+  await runTest('Per-bot overrides win over the environment', async () => {
+    const provider = createLLMProvider({ provider: 'stub', model: 'stub-v2' }, { LLM_PROVIDER: 'openai', OPENAI_API_KEY: 'sk' });
+    assert(provider.name === 'stub' && provider.model === 'stub-v2', 'Expected per-bot stub override');
+
+    try {
+      createLLMProvider({ provider: 'nope' }, {});
+      throw new Error('Expected unknown provider to throw');
+    } catch (error) {
+      assert(error.message.includes('Unknown LLM provider'), error.message);
+    }
+  });
+
+  await runTest('Unusable selections fall back to the default provider, then to no AI', async () => {
+    assert(providerProblem('openai-compatible', { LLM_BASE_URL: '' }).includes('LLM_BASE_URL'), 'A base URL is required');
+    assert(providerProblem('openai', {}).includes('OPENAI_API_KEY'), 'An OpenAI key is required');
+    assert(providerProblem('openai-compatible', { LLM_BASE_URL: 'http://localhost:11434/v1' }) === null, 'No key is needed for self-hosted servers');
+    assert(providerProblem('stub', {}) === null, 'The stub needs nothing');
+
+    const warn = console.warn;
+    console.warn = () => {};
+    try {
+      const fallback = createLLMProviderWithFallback({ provider: 'openai-compatible' }, { LLM_PROVIDER: 'stub' });
+      assert(fallback instanceof StubProvider, `Expected the default provider, got ${fallback.name}`);
+
+      const offline = createLLMProviderWithFallback({ provider: 'openai-compatible' }, { LLM_PROVIDER: 'openai-compatible' });
+      assert(offline instanceof OpenAIProvider && !offline.isAvailable(), 'Expected a provider without AI');
+    } finally {
+      console.warn = warn;
+    }
+  });
+
+  await runTest('Stub suggestions are deterministic JSON keyed on the question', async () => {
+    const stub = new StubProvider();
+    const first = await stub.complete({ task: 'suggestions', messages: messagesFor('What song reminds you of a rainy thunderstorm?') });
+    const second = await stub.complete({ task: 'suggestions', messages: messagesFor('What song reminds you of a rainy thunderstorm?') });
+
+    const parsed = JSON.parse(first.content);
+    assert(first.content === second.content, 'Stub output should be deterministic');
+    assert(parsed.suggestions.length === 5, 'Expected 5 suggestions');
+    assert(parsed.suggestions[0].artist === 'Toto', `Expected keyword match first, got ${parsed.suggestions[0].artist}`);
+    assert(first.usage.total_tokens > 0, 'Stub should report usage');
+  });
+
+  await runTest('Stub covers every AI task', async () => {
+    const stub = new StubProvider();
+    const vote = await stub.complete({ task: 'vote', messages: [{ role: 'user', content: 'Option 1: "A" by X\nOption 2: "B" by Y' }] });
+    const selfVote = await stub.complete({ task: 'self-vote', messages: [{ role: 'user', content: 'judge' }] });
+    const question = await stub.complete({ task: 'question', messages: [{ role: 'user', content: 'ask' }] });
+
+    assert([1, 2].includes(JSON.parse(vote.content).option), `Unexpected vote: ${vote.content}`);
+    assert(/^PLAYER[12]$/.test(JSON.parse(selfVote.content).winner), `Unexpected self-vote: ${selfVote.content}`);
+    assert(JSON.parse(question.content).question.text.startsWith('What song'), 'Expected a question');
+  });
+
+  await runTest('Scripted stub responses are consumed in order', async () => {
+    const stub = new StubProvider({
+      script: {
+        vote: ['Option 2 - scripted', 'Option 1 - scripted'],
+        question: [{ question: { text: 'What song is scripted?', category: 'fun' } }],
+        suggestions: [new LLMProviderError('down', { kind: 'server', status: 503 })]
+      }
+    });
+
+    const first = await stub.complete({ task: 'vote', messages: [] });
+    const second = await stub.complete({ task: 'vote', messages: [] });
+    const third = await stub.complete({ task: 'vote', messages: [] });
+    const question = await stub.complete({ task: 'question', messages: [] });
+
+    assert(first.content === 'Option 2 - scripted' && second.content === 'Option 1 - scripted', 'Expected scripted order');
+    assert(third.content === 'Option 1 - scripted', 'Last scripted response should repeat');
+    assert(JSON.parse(question.content).question.text === 'What song is scripted?', 'Objects should be serialised');
+
+    try {
+      await stub.complete({ task: 'suggestions', messages: [] });
+      throw new Error('Expected scripted error');
+    } catch (error) {
+      assert(error.kind === 'server', 'Scripted errors should be thrown');
+    }
+  });
+
+  await runTest('OpenAI-compatible provider posts chat completions to the base URL', async () => {
+    const { server, requests, baseUrl } = await startCompletionServer(() => ({
+      status: 200,
+      payload: { model: 'llama3', choices: [{ message: { content: '{"suggestions":[]}' } }], usage: { total_tokens: 12 } }
+    }));
+
+    try {
+      const provider = new OpenAICompatibleProvider({ baseUrl, model: 'llama3' });
+      const result = await provider.complete({ messages: messagesFor('x'), maxTokens: 50, temperature: 0.2 });
+
+      assert(requests[0].url === '/v1/chat/completions', `Unexpected path ${requests[0].url}`);
+      assert(requests[0].body.model === 'llama3' && requests[0].body.max_tokens === 50, 'Expected model and max_tokens');
+      assert(!requests[0].headers.authorization, 'No auth header without an API key');
+      assert(result.content === '{"suggestions":[]}' && result.usage.total_tokens === 12, 'Expected parsed response');
+    } finally {
+      server.close();
+    }
+  });
+
+  await runTest('Provider HTTP errors are classified', async () => {
+    const { server, baseUrl } = await startCompletionServer(() => ({ status: 429, payload: { error: { message: 'slow down' } } }));
+
+    try {
+      const provider = new OpenAIProvider({ apiKey: 'sk-test', baseUrl });
+      await provider.complete({ messages: messagesFor('x') });
+      throw new Error('Expected provider error');
+    } catch (error) {
+      assert(error instanceof LLMProviderError, 'Expected LLMProviderError');
+      assert(error.kind === 'rate_limited' && error.status === 429, `Unexpected classification ${error.kind}`);
+    } finally {
+      server.close();
+    }
+  });
+
+  await runTest('OpenAI moderation reports flagged categories', async () => {
+    const { server, requests, baseUrl } = await startCompletionServer(() => ({
+      status: 200,
+      payload: { results: [{ flagged: true, categories: { harassment: true, violence: false } }] }
+    }));
+
+    try {
+      const provider = new OpenAIProvider({ apiKey: 'sk-test', baseUrl });
+      assert(provider.supportsModeration(), 'OpenAI offers moderation with a key');
+      assert(!new OpenAICompatibleProvider({ baseUrl }).supportsModeration(), 'Compatible servers have no moderation');
+
+      const result = await provider.moderate('What song would you play at a roast?');
+      assert(requests[0].url === '/v1/moderations', `Unexpected URL ${requests[0].url}`);
+      assert(requests[0].body.input === 'What song would you play at a roast?', 'The text should be sent as input');
+      assert(result.flagged && result.categories.length === 1 && result.categories[0] === 'harassment', `Unexpected result ${JSON.stringify(result)}`);
+    } finally {
+      server.close();
+    }
+  });
+
+  // Print results
+  console.log('\n==================================================');
+  console.log(`✅ Passed: ${results.passed}`);
+  console.log(`❌ Failed: ${results.failed}`);
+
+  if (results.failed > 0) {
+    process.exit(1);
+  }
+}
+
+runAllTests().catch(error => {
+  console.error('💥 Test runner crashed:', error);
+  process.exit(1);
+});
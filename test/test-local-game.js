@@ -0,0 +1,240 @@
+// test/test-local-game.js
+// Offline end-to-end games: a real BotWorker plays against the local
+// Heart Songs simulator alongside scripted "human" players.
+const { HeartSongsSimulator } = require('./simulator/heartsongs-simulator');
+const { HeartSongsClient } = require('../lambda/shared/heartsongs-client');
+const { handler } = require('../lambda/bot-worker/handler');
+const { selectPersonality, buildPersonalityConfig } = require('../lambda/spawn-bot/handler');
+const { quietly } = require('./helpers');
+
+// Test results
+let results = {
+  passed: 0,
+  failed: 0,
+  tests: []
+};
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+/**
+ * Register and join a bot the same way spawn-bot does, returning the worker payload
+ */
+async function spawnLocalBot(sim, gameCode, personality = 'mainstream', llm = undefined) {
+  const client = new HeartSongsClient({ apiUrl: sim.apiUrl });
+  const { user, sessionToken } = await client.register(`${personality}_bot_${Math.floor(1000 + Math.random() * 9000)}`);
+  const { gameId } = await client.join(gameCode, user.id);
+
+  return {
+    botId: user.id,
+    botName: user.displayName,
+    gameCode,
+    gameId,
+    sessionToken,
+    personality,
+    personalityConfig: { temperature: 0.4 },
+    llm,
+    apiUrl: sim.apiUrl,
+    timeScale: 0.005
+  };
+}
+
+// Helper function to run a test
+async function runTest(name, testFunction, simOptions = {}) {
+  console.log(`🧪 Running: ${name}`);
+  const sim = await new HeartSongsSimulator({ maxRounds: 3, resultsDuration: 50, ...simOptions }).start();
+
+  try {
+    await testFunction(sim);
+    console.log(`✅ PASSED: ${name}`);
+    results.passed++;
+    results.tests.push({ name, status: 'PASSED' });
+  } catch (error) {
+    console.log(`❌ FAILED: ${name}`);
+    console.log(`   Error: ${error.message}`);
+    results.failed++;
+    results.tests.push({ name, status: 'FAILED', error: error.message });
+  } finally {
+    await sim.stop();
+  }
+}
+
+async function playGame(sim, gameId, payload) {
+  const [workerResult, finalGame] = await quietly(() => Promise.all([
+    handler(payload, { functionName: 'local-bot-worker' }),
+    sim.waitFor(gameId, 'ended', 20000)
+  ]));
+  return { workerResult, finalGame };
+}
+
+async function testThreePlayerGame(sim) {
+  const { gameId, gameCode } = sim.createScriptedGame('host_human');
+  sim.addScriptedPlayer(gameId, 'guest_human');
+  const payload = await spawnLocalBot(sim, gameCode);
+
+  const { workerResult, finalGame } = await playGame(sim, gameId, payload);
+
+  assert(workerResult.statusCode === 200, `Worker exited with ${workerResult.statusCode}`);
+  assert(finalGame.status === 'ended', 'Game should have ended');
+  assert(finalGame.rounds.length === 3, `Expected 3 rounds, got ${finalGame.rounds.length}`);
+
+  for (const round of finalGame.rounds) {
+    assert(round.submissions.some(s => s.playerId === payload.botId), `Bot did not act in round ${round.round}`);
+  }
+
+  const botVotes = sim.requestLog.filter(r => r.path === '/api/game/vote').length;
+  const botSubmits = sim.requestLog.filter(r => r.path === '/api/game/submit').length;
+  assert(botVotes >= 1, 'Bot should have voted at least once');
+  // Fast polling must not schedule duplicate actions
+  assert(botVotes <= finalGame.rounds.length, `Expected at most one vote per round, got ${botVotes}`);
+  assert(botSubmits <= finalGame.rounds.length, `Expected at most one submission per round, got ${botSubmits}`);
+  console.log(`   Played ${finalGame.rounds.length} rounds, bot voted ${botVotes} times, ${gamePolls(sim, gameId)} polls`);
+}
+
+async function testTwoPlayerGame(sim) {
+  const { gameId, gameCode } = sim.createScriptedGame('host_human');
+  const payload = await spawnLocalBot(sim, gameCode, 'vintage');
+
+  const { workerResult, finalGame } = await playGame(sim, gameId, payload);
+
+  assert(workerResult.statusCode === 200, `Worker exited with ${workerResult.statusCode}`);
+  assert(finalGame.players.length === 2, 'Expected a 2-player game');
+  assert(finalGame.rounds.length === 3, `Expected 3 rounds, got ${finalGame.rounds.length}`);
+}
+
+async function testRecoversFromRateLimiting(sim) {
+  const { gameId, gameCode } = sim.createScriptedGame('host_human');
+  sim.addScriptedPlayer(gameId, 'guest_human');
+  const payload = await spawnLocalBot(sim, gameCode, 'indie');
+
+  sim.injectFailure('GET', `/api/game/${gameId}`, { status: 429, count: 2 });
+  sim.injectFailure('POST', '/api/game/ready', { status: 503, count: 1 });
+
+  const { finalGame } = await playGame(sim, gameId, payload);
+
+  const botPlayer = finalGame.players.find(p => p.user._id === payload.botId);
+  assert(botPlayer.isReady, 'Bot should have readied up after a 503');
+  assert(finalGame.status === 'ended', 'Game should have ended despite API errors');
+}
+
+async function testStubProviderGame(sim) {
+  const { gameId, gameCode } = sim.createScriptedGame('host_human', {
+    // Humans always vote for the bot so it gets to pick questions
+    pickVote: (game, votable) => votable.find(s => s.player.displayName.includes('_bot_')) || votable[0]
+  });
+  sim.addScriptedPlayer(gameId, 'guest_human', {
+    pickVote: (game, votable) => votable.find(s => s.player.displayName.includes('_bot_')) || votable[0]
+  });
+  const payload = await spawnLocalBot(sim, gameCode, 'eclectic', { provider: 'stub' });
+
+  const { finalGame } = await playGame(sim, gameId, payload);
+
+  const botSongs = finalGame.rounds.flatMap(r => r.submissions).filter(s => s.playerId === payload.botId && !s.hasPassed);
+  assert(botSongs.length > 0, 'Bot should submit songs chosen by the stub provider');
+  assert(new Set(botSongs.map(s => s.songId)).size === botSongs.length, 'Bot should never repeat a song within a game');
+
+  const botWins = finalGame.rounds.filter(r => r.winnerId === payload.botId && r.round < finalGame.maxRounds);
+  const defaultQuestions = sim.questions.map(q => q.text);
+  const botQuestions = finalGame.askedQuestions.filter(q => !defaultQuestions.includes(q));
+  assert(botWins.length === 0 || botQuestions.length > 0, 'Bot should have chosen a question after winning');
+  console.log(`   Bot submitted ${botSongs.length} songs and asked ${botQuestions.length} questions`);
+}
+
+async function testCustomPersonalityGame(sim) {
+  const votesForBot = (game, votable) => votable.find(s => s.player.displayName.includes('_bot_')) || votable[0];
+  const { gameId, gameCode } = sim.createScriptedGame('host_human', { pickVote: votesForBot });
+  sim.addScriptedPlayer(gameId, 'guest_human', { pickVote: votesForBot });
+
+  const persona = 'You are a grumpy jazz purist who only respects bebop.';
+  const { botConfig } = selectPersonality({ name: 'Grumpy Jazz Purist', prompt: persona, votingBias: 'vintage' });
+  const prompts = { suggestions: [], vote: [], question: [] };
+  const record = (task, content) => (request) => {
+    prompts[task].push(request.messages.map(m => m.content).join('\n'));
+    return content;
+  };
+
+  const payload = {
+    ...await spawnLocalBot(sim, gameCode, 'custom', {
+      provider: 'stub',
+      script: {
+        suggestions: [record('suggestions', { suggestions: [{ artist: 'Queen', song: 'Bohemian Rhapsody', reasoning: 'Fine, it has a solo' }] })],
+        vote: [record('vote', { option: 1, reason: 'least offensive' })],
+        question: [record('question', { question: { text: 'What song swings the hardest?', category: 'jazz' }, reasoning: 'Swing matters' })]
+      }
+    }),
+    personality: botConfig.id,
+    personalityConfig: buildPersonalityConfig(botConfig)
+  };
+
+  const { finalGame } = await playGame(sim, gameId, payload);
+
+  assert(finalGame.status === 'ended', 'Game should have ended');
+  assert(prompts.suggestions.length > 0 && prompts.suggestions.every(p => p.includes(persona)), 'Song prompts should use the custom persona');
+  assert(prompts.vote.length > 0 && prompts.vote.every(p => p.includes(persona)), 'Vote prompts should use the custom persona');
+  assert(prompts.question.length > 0 && prompts.question.every(p => p.includes(persona)), 'Question prompts should use the custom persona');
+}
+
+const gamePolls = (sim, gameId) => sim.requestLog.filter(r => r.method === 'GET' && r.path === `/api/game/${gameId}`).length;
+
+async function testEventDrivenGame(sim) {
+  const { gameId, gameCode } = sim.createScriptedGame('host_human');
+  sim.addScriptedPlayer(gameId, 'guest_human');
+  const payload = { ...await spawnLocalBot(sim, gameCode, 'pop'), updateMode: 'sse' };
+  let changes = 0;
+  sim.on('update', (game) => { if (game._id === gameId) changes++; });
+
+  const { workerResult, finalGame } = await playGame(sim, gameId, payload);
+
+  const subscribes = sim.requestLog.filter(r => r.path === `/api/game/${gameId}/events`).length;
+  const polls = gamePolls(sim, gameId);
+  assert(workerResult.statusCode === 200, `Worker exited with ${workerResult.statusCode}`);
+  assert(finalGame.rounds.length === 3, `Expected 3 rounds, got ${finalGame.rounds.length}`);
+  assert(subscribes === 1, `Expected one event subscription, got ${subscribes}`);
+  // Only the slow safety poll should hit GET /game/:id
+  assert(polls < changes / 2, `Expected far fewer polls than game changes, saw ${polls} polls for ${changes} changes`);
+  console.log(`   ${changes} pushed changes, ${polls} safety polls`);
+  assert(sim.streams.size === 0, 'Worker should close its event stream');
+}
+
+async function testEventFallbackToPolling(sim) {
+  const { gameId, gameCode } = sim.createScriptedGame('host_human');
+  sim.addScriptedPlayer(gameId, 'guest_human');
+  const payload = { ...await spawnLocalBot(sim, gameCode, 'rock'), updateMode: 'sse' };
+
+  // An API without the events endpoint
+  sim.injectFailure('GET', /\/events$/, { status: 404, count: 100 });
+
+  const { finalGame } = await playGame(sim, gameId, payload);
+
+  const subscribes = sim.requestLog.filter(r => r.path === `/api/game/${gameId}/events`).length;
+  assert(finalGame.status === 'ended', 'Game should end on polling alone');
+  assert(subscribes === 1, `A 404 should switch to polling straight away, saw ${subscribes} subscribe attempts`);
+  assert(gamePolls(sim, gameId) > 0, 'Worker should have polled');
+}
+
+async function runAllTests() {
+  delete process.env.OPENAI_API_KEY;
+
+  await runTest('Bot plays a full 3-player game', testThreePlayerGame, { minPlayers: 3 });
+  await runTest('Bot plays a full 2-player game', testTwoPlayerGame);
+  await runTest('Bot recovers from 429 and 503 responses', testRecoversFromRateLimiting, { minPlayers: 3 });
+  await runTest('Bot uses every AI path with the stub provider', testStubProviderGame, { minPlayers: 3 });
+  await runTest('Custom personality drives every AI prompt', testCustomPersonalityGame, { minPlayers: 3 });
+  await runTest('Bot follows the game over server-sent events', testEventDrivenGame, { minPlayers: 3 });
+  await runTest('Bot falls back to polling without an events endpoint', testEventFallbackToPolling, { minPlayers: 3 });
+
+  // Print results
+  console.log('\n==================================================');
+  console.log(`✅ Passed: ${results.passed}`);
+  console.log(`❌ Failed: ${results.failed}`);
+
+  if (results.failed > 0) {
+    process.exit(1);
+  }
+}
+
+runAllTests().catch(error => {
+  console.error('💥 Test runner crashed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,146 @@
+// test/test-personality-registry.js
+// Offline tests for the declarative personality registry
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  loadPersonalities,
+  validatePersonality,
+  PersonalityRegistryError,
+  DEFAULT_PERSONALITY
+} = require('../lambda/shared/personality-registry');
+
+// Test results
+let results = {
+  passed: 0,
+  failed: 0,
+  tests: []
+};
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+// Helper function to run a test
+async function runTest(name, testFunction) {
+  console.log(`🧪 Running: ${name}`);
+  try {
+    await testFunction();
+    console.log(`✅ PASSED: ${name}`);
+    results.passed++;
+    results.tests.push({ name, status: 'PASSED' });
+  } catch (error) {
+    console.log(`❌ FAILED: ${name}`);
+    console.log(`   Error: ${error.message}`);
+    results.failed++;
+    results.tests.push({ name, status: 'FAILED', error: error.message });
+  }
+}
+
+const shipped = loadPersonalities();
+const validDefinition = () => JSON.parse(JSON.stringify(shipped.get('indie')));
+
+/**
+ * Write definitions to a temp directory, run fn(dir), then clean up
+ */
+function withDefinitions(files, fn) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hs-personalities-'));
+  try {
+    for (const [file, content] of Object.entries(files)) {
+      fs.writeFileSync(path.join(dir, file), typeof content === 'string' ? content : JSON.stringify(content));
+    }
+    return fn(dir);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+function expectRegistryError(fn, expected) {
+  try {
+    fn();
+  } catch (error) {
+    assert(error instanceof PersonalityRegistryError, `Expected PersonalityRegistryError, got ${error.name}`);
+    for (const text of expected) {
+      assert(error.message.includes(text), `Expected "${text}" in:\n${error.message}`);
+    }
+    return error;
+  }
+  throw new Error('Expected registry to reject the definitions');
+}
+
+async function runAllTests() {
+  await runTest('Shipped personalities load and validate', async () => {
+    assert(shipped.ids().join() === 'analytical,eclectic,indie,mainstream,vintage', `Unexpected ids ${shipped.ids()}`);
+    for (const personality of shipped.list()) {
+      assert(validatePersonality(personality).length === 0, `${personality.id} should be valid`);
+    }
+    assert(shipped.get('mainstream').namePrefix === 'pop', 'Expected the pop name prefix');
+  });
+
+  await runTest('Unknown personalities resolve to the default', async () => {
+    assert(shipped.resolve('polka').id === DEFAULT_PERSONALITY, 'Expected default personality');
+    assert(shipped.get('polka') === null, 'get() should not fall back');
+  });
+
+  await runTest('A new personality ships as a file', async () => {
+    const polka = { ...validDefinition(), id: 'polka', name: 'Polka Pro', namePrefix: 'polka' };
+    const registry = withDefinitions({ 'eclectic.json': shipped.get('eclectic'), 'polka.json': polka }, loadPersonalities);
+
+    assert(registry.has('polka') && registry.resolve('polka').name === 'Polka Pro', 'Expected the new personality');
+  });
+
+  await runTest('Every problem is reported at once', async () => {
+    const broken = {
+      ...validDefinition(),
+      id: 'broken',
+      temperature: 5,
+      voting: { prefer: 'loud' },
+      fallbackSongs: [{ artist: 'Nobody' }],
+      fallbackQuestions: [{ text: 'What song would soundtrack your weirdest dream?', category: 'creative' }],
+      versionPreferences: { weights: { bootleg: 0.5 } },
+      colour: 'blue'
+    };
+    delete broken.prompts.questionSelection;
+
+    const error = withDefinitions({
+      'eclectic.json': shipped.get('eclectic'),
+      'broken.json': broken,
+      'typo.json': '{ "id": "typo", '
+    }, (dir) => expectRegistryError(() => loadPersonalities(dir), [
+      'broken.json: temperature',
+      'broken.json: voting.prefer',
+      'broken.json: prompts.questionSelection',
+      'broken.json: fallbackSongs[0]',
+      'broken.json: fallbackQuestions[0].category must be one of: emotion, memories',
+      'broken.json: versionPreferences.weights: unknown version kind "bootleg"',
+      'broken.json: unknown field "colour"',
+      'typo.json: invalid JSON'
+    ]));
+    assert(error.problems.length === 8, `Expected 8 problems, got ${error.problems.length}`);
+  });
+
+  await runTest('File names, name prefixes and the default are checked', async () => {
+    withDefinitions({ 'eclectic.json': shipped.get('eclectic'), 'other.json': validDefinition() },
+      (dir) => expectRegistryError(() => loadPersonalities(dir), ['id "indie" must match the file name']));
+
+    withDefinitions({ 'eclectic.json': shipped.get('eclectic'), 'indie.json': { ...validDefinition(), namePrefix: 'eclectic' } },
+      (dir) => expectRegistryError(() => loadPersonalities(dir), ['namePrefix "eclectic" is already used']));
+
+    withDefinitions({ 'indie.json': validDefinition() },
+      (dir) => expectRegistryError(() => loadPersonalities(dir), ['Default personality "eclectic"']));
+  });
+
+  // Print results
+  console.log('\n==================================================');
+  console.log(`✅ Passed: ${results.passed}`);
+  console.log(`❌ Failed: ${results.failed}`);
+
+  if (results.failed > 0) {
+    process.exit(1);
+  }
+}
+
+runAllTests().catch(error => {
+  console.error('💥 Test runner crashed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,193 @@
+// test/test-prompt-templates.js
+// Offline tests for the versioned prompt templates in prompts/
+process.env.HEARTSONGS_API_URL = process.env.HEARTSONGS_API_URL || 'http://127.0.0.1:9/api';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  loadPromptTemplates,
+  PromptTemplateError,
+  PROMPT_TASKS
+} = require('../lambda/shared/prompt-templates');
+const { BotWorker } = require('../lambda/bot-worker/handler');
+const { quietly } = require('./helpers');
+
+// Test results
+let results = {
+  passed: 0,
+  failed: 0,
+  tests: []
+};
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+// Helper function to run a test
+async function runTest(name, testFunction) {
+  console.log(`🧪 Running: ${name}`);
+  try {
+    await testFunction();
+    console.log(`✅ PASSED: ${name}`);
+    results.passed++;
+    results.tests.push({ name, status: 'PASSED' });
+  } catch (error) {
+    console.log(`❌ FAILED: ${name}`);
+    console.log(`   Error: ${error.message}`);
+    results.failed++;
+    results.tests.push({ name, status: 'FAILED', error: error.message });
+  }
+}
+
+const shippedDir = path.join(__dirname, '..', 'prompts');
+const shippedFiles = () => Object.fromEntries(PROMPT_TASKS.map(task =>
+  [`${task}.txt`, fs.readFileSync(path.join(shippedDir, `${task}.txt`), 'utf8')]));
+
+const template = (version, user, system = 'You are a music expert. Respond with JSON.') =>
+  `# test template\n# version: ${version}\n[system]\n${system}\n[user]\n${user}\n`;
+
+/**
+ * Write the shipped templates plus `files` to a temp directory, run fn(dir), then clean up
+ */
+function withTemplates(files, fn) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hs-prompts-'));
+  try {
+    for (const [file, content] of Object.entries({ ...shippedFiles(), ...files })) {
+      fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+      fs.writeFileSync(path.join(dir, file), content);
+    }
+    return fn(dir);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+function expectTemplateError(fn, expected) {
+  try {
+    fn();
+  } catch (error) {
+    assert(error instanceof PromptTemplateError, `Expected PromptTemplateError, got ${error.name}: ${error.message}`);
+    for (const text of expected) {
+      assert(error.message.includes(text), `Expected "${text}" in:\n${error.message}`);
+    }
+    return error;
+  }
+  throw new Error('Expected the templates to be rejected');
+}
+
+const VOTE_VARIABLES = { personalityPrompt: 'You love jazz.', question: 'Best song?', options: 'Option 1: "A" by X' };
+
+async function runAllTests() {
+  await runTest('Shipped templates load and render', async () => {
+    const registry = loadPromptTemplates();
+    assert(PROMPT_TASKS.every(task => registry.ids().includes(task)), `Missing default templates in ${registry.ids()}`);
+
+    const prompt = registry.render('suggestions', {
+      personalityPrompt: 'You love jazz.', question: 'Best rainy day song?', history: '', versionHints: '', count: 5
+    });
+    assert(/^suggestions@2#[0-9a-f]{8}$/.test(prompt.versionId), `Unexpected version id ${prompt.versionId}`);
+    assert(prompt.messages[0].role === 'system' && prompt.messages[1].role === 'user', 'Expected system and user messages');
+    assert(prompt.messages[1].content.startsWith('You love jazz.\n\nQuestion: "Best rainy day song?"\n\nPlease suggest 5 songs'),
+      `Empty variables should not leave blank lines:\n${prompt.messages[1].content.slice(0, 120)}`);
+  });
+
+  await runTest('The most specific override wins', async () => {
+    withTemplates({
+      'personalities/indie/vote.txt': template(2, 'Indie vote: {{options}}'),
+      'stages/dev/vote.txt': template(3, 'Dev vote: {{options}}'),
+      'stages/dev/personalities/indie/vote.txt': template(4, 'Dev indie vote: {{options}}')
+    }, (dir) => {
+      const registry = loadPromptTemplates(dir);
+      const render = (context) => registry.render('vote', VOTE_VARIABLES, context);
+
+      assert(render({}).versionId.startsWith('vote@2#'), 'Default template expected');
+      assert(render({ personality: 'mainstream', stage: 'prod' }).versionId.startsWith('vote@2#'), 'Unrelated overrides should not apply');
+      assert(render({ personality: 'indie' }).versionId.startsWith('personalities/indie/vote@2#'), 'Personality override expected');
+      assert(render({ personality: 'mainstream', stage: 'dev' }).versionId.startsWith('stages/dev/vote@3#'), 'Stage override expected');
+      assert(render({ personality: 'indie', stage: 'dev' }).messages[1].content === 'Dev indie vote: Option 1: "A" by X', 'Stage and personality override expected');
+    });
+  });
+
+  await runTest('Edits change the version id', async () => {
+    const versionOf = (user) => withTemplates({ 'vote.txt': template(1, user) },
+      (dir) => loadPromptTemplates(dir).render('vote', VOTE_VARIABLES).versionId);
+    const first = versionOf('Pick one: {{options}}');
+    assert(first === versionOf('Pick one: {{options}}'), 'Same content should give the same id');
+    assert(first !== versionOf('Pick the best one: {{options}}'), 'An edit without a version bump should still change the id');
+  });
+
+  await runTest('Every problem is reported at once', async () => {
+    const error = withTemplates({
+      'vote.txt': '[system]\nVote.\n[user]\n{{options}} {{mood}}\n',
+      'question.txt': template(1, 'Ask something.', ''),
+      'personalities/indie/encore.txt': template(1, 'Encore?'),
+      'stages/dev/notes.md': 'ignored'
+    }, (dir) => expectTemplateError(() => loadPromptTemplates(dir), [
+      'vote: missing "# version: ..." header',
+      'vote: unknown variable {{mood}}',
+      'question: [system] section is missing or empty',
+      'personalities/indie/encore.txt: not a known task'
+    ]));
+    assert(error.problems.length === 4, `Expected 4 problems, got ${error.problems.join('; ')}`);
+
+    const missing = fs.mkdtempSync(path.join(os.tmpdir(), 'hs-prompts-'));
+    try {
+      expectTemplateError(() => loadPromptTemplates(missing), ['suggestions.txt: missing default template']);
+    } finally {
+      fs.rmSync(missing, { recursive: true, force: true });
+    }
+
+    expectTemplateError(() => loadPromptTemplates().render('vote', { question: 'Q' }), ['Missing prompt variable']);
+  });
+
+  await runTest('The worker renders overrides and logs the version', async () => {
+    await withTemplates({ 'stages/dev/personalities/mainstream/vote.txt': template(7, 'Chart vote: {{options}}') }, async (dir) => {
+      const prompts = loadPromptTemplates(dir);
+      const bot = await quietly(() => new BotWorker({
+        botId: 'bot-1',
+        botName: 'pop_bot_0001',
+        gameId: 'game-1',
+        personality: 'mainstream',
+        timeScale: 0,
+        llm: { provider: 'stub' },
+        apiUrl: process.env.HEARTSONGS_API_URL
+      }, { stateStore: null, prompts, stage: 'dev' }));
+      bot.gameState = { round: 1, currentQuestion: { text: 'What song makes you want to dance?' }, submissions: [] };
+
+      const submissions = [
+        { _id: 's1', songName: 'A', artist: 'X', player: { _id: 'p1' } },
+        { _id: 's2', songName: 'B', artist: 'Y', player: { _id: 'p2' } }
+      ];
+      const logs = [];
+      const original = console.log;
+      console.log = (...args) => logs.push(args.join(' '));
+      try {
+        await bot.getAIVotingChoice(submissions);
+      } finally {
+        console.log = original;
+      }
+
+      assert(bot.llm.calls[0].messages[1].content.startsWith('Chart vote: Option 1: "A" by "X"'), 'Override should be rendered');
+      assert(bot.promptVersions.vote.startsWith('stages/dev/personalities/mainstream/vote@7#'), `Unexpected version ${bot.promptVersions.vote}`);
+      assert(logs.some(line => line.includes('AI chose') && line.includes(bot.promptVersions.vote)), 'The decision log should name the prompt version');
+
+      const before = bot.suggestionsCacheKey('Best song?', 'suggestions@1#aaaaaaaa');
+      assert(before !== bot.suggestionsCacheKey('Best song?', 'suggestions@2#bbbbbbbb'), 'A new prompt version should not reuse cached suggestions');
+    });
+  });
+
+  // Print results
+  console.log('\n==================================================');
+  console.log(`✅ Passed: ${results.passed}`);
+  console.log(`❌ Failed: ${results.failed}`);
+
+  if (results.failed > 0) {
+    process.exit(1);
+  }
+}
+
+runAllTests().catch(error => {
+  console.error('💥 Test runner crashed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,219 @@
+// test/test-question-bank.js
+// Offline tests for the question bank behind the bots' fallback questions
+process.env.HEARTSONGS_API_URL = process.env.HEARTSONGS_API_URL || 'http://127.0.0.1:9/api';
+// Bots without a key have no AI provider
+delete process.env.OPENAI_API_KEY;
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  QuestionBank,
+  QuestionBankError,
+  CATEGORIES,
+  TONES,
+  DIFFICULTIES,
+  questionKey,
+  validateQuestionFile,
+  validateQuestionPreferences,
+  loadQuestionBank,
+  getQuestionBank
+} = require('../lambda/shared/question-bank');
+const { validatePersonality } = require('../lambda/shared/personality-registry');
+const { GameMemory } = require('../lambda/bot-worker/game-memory');
+const { quietly, createTestBot, captureWinnerQuestions } = require('./helpers');
+
+// Test results
+let results = {
+  passed: 0,
+  failed: 0,
+  tests: []
+};
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+// Helper function to run a test
+async function runTest(name, testFunction) {
+  console.log(`🧪 Running: ${name}`);
+  try {
+    await testFunction();
+    console.log(`✅ PASSED: ${name}`);
+    results.passed++;
+    results.tests.push({ name, status: 'PASSED' });
+  } catch (error) {
+    console.log(`❌ FAILED: ${name}`);
+    console.log(`   Error: ${error.message}`);
+    results.failed++;
+    results.tests.push({ name, status: 'FAILED', error: error.message });
+  }
+}
+
+const bank = getQuestionBank();
+
+/**
+ * Repeatable stand-in for Math.random
+ */
+function seededRandom(seed = 1) {
+  let state = seed;
+  return () => {
+    state = (Math.imul(state, 1664525) + 1013904223) >>> 0;
+    return state / 4294967296;
+  };
+}
+
+/**
+ * Write question files to a temporary directory and load them
+ */
+function loadFiles(files) {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'question-bank-'));
+  try {
+    for (const [name, content] of Object.entries(files)) {
+      fs.writeFileSync(path.join(directory, name), JSON.stringify(content));
+    }
+    return loadQuestionBank(directory);
+  } finally {
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+}
+
+const question = (text, extra = {}) => ({ text, tone: 'fun', difficulty: 'easy', ...extra });
+
+// No API key, so the bot plays without AI
+const NO_AI = { provider: 'openai' };
+const SMILE = { currentQuestion: { text: 'What song always makes you smile?' } };
+
+async function runAllTests() {
+  await runTest('The shipped bank loads', async () => {
+    assert(bank instanceof QuestionBank, 'Expected a QuestionBank');
+    assert(bank.size >= 300, `Expected at least 300 questions, got ${bank.size}`);
+    assert(bank.categories().length === CATEGORIES.length, `Every category needs questions, got ${bank.categories()}`);
+    for (const tone of TONES) assert(bank.questions.some(q => q.tone === tone), `No ${tone} questions`);
+    for (const difficulty of DIFFICULTIES) assert(bank.questions.some(q => q.difficulty === difficulty), `No ${difficulty} questions`);
+  });
+
+  await runTest('Invalid question files are rejected with every problem', async () => {
+    const problems = validateQuestionFile({
+      category: 'sports',
+      questions: [question('What song is best?'), question('Song?'), question('What song rocks?', { tone: 'angry' }), question('What song is loud?', { source: 'x' })]
+    }, 'bad.json');
+    assert(problems.length === 4, `Expected 4 problems, got ${JSON.stringify(problems)}`);
+    assert(problems.every(p => p.startsWith('bad.json: ')), 'Problems should name the file');
+
+    let error = null;
+    try {
+      loadFiles({
+        'party.json': { category: 'party', questions: [question("What's the best party song?")] },
+        'emotion.json': { category: 'emotion', questions: [question('Whats the best party song?')] },
+        'love.json': { category: 'family', questions: [question('What song reminds you of home?')] }
+      });
+    } catch (e) {
+      error = e;
+    }
+    assert(error instanceof QuestionBankError, `Expected QuestionBankError, got ${error}`);
+    assert(error.problems.length === 2, `Unexpected problems ${JSON.stringify(error?.problems)}`);
+    assert(error.problems.includes('love.json: category "family" must match the file name'), 'The file name should match the category');
+    assert(error.problems.includes('party.json: "What\'s the best party song?" is already in emotion.json'), 'Duplicates should be reported');
+  });
+
+  await runTest('Personality question preferences are validated', async () => {
+    assert(validateQuestionPreferences(undefined).length === 0, 'Preferences are optional');
+    assert(validateQuestionPreferences({ categories: { party: 2, discovery: 0 }, tones: { nerdy: 1.5 } }).length === 0, 'Valid preferences should pass');
+    const problems = validateQuestionPreferences({ categories: { sports: 1 }, tones: { fun: -1 }, difficulties: 'hard', mood: {} });
+    assert(problems.length === 4, `Expected 4 problems, got ${JSON.stringify(problems)}`);
+
+    const definition = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'personalities', 'analytical.json'), 'utf8'));
+    definition.questionPreferences = { categories: { musicianship: 10 } };
+    assert(validatePersonality(definition, 'analytical.json').some(p => p.includes('questionPreferences.categories.musicianship')),
+      'The registry should report bad question preferences');
+  });
+
+  await runTest('Picks are weighted by the personality', async () => {
+    const random = seededRandom(7);
+    const count = (preferences) => {
+      const counts = {};
+      for (let i = 0; i < 1000; i++) {
+        const picked = bank.pick({ preferences, random });
+        counts[picked.category] = (counts[picked.category] || 0) + 1;
+      }
+      return counts;
+    };
+
+    const neutral = count({});
+    const musical = count({ categories: { musicianship: 5, 'guilty-pleasure': 0 } });
+    assert(!musical['guilty-pleasure'], 'A weight of 0 rules a category out');
+    assert(musical.musicianship > neutral.musicianship * 3, `Expected more musicianship questions, got ${musical.musicianship} vs ${neutral.musicianship}`);
+
+    const first = bank.pick({ random: seededRandom(3) });
+    assert(first === bank.pick({ random: seededRandom(3) }), 'The same random numbers should give the same question');
+    assert(bank.pick({ preferences: { tones: { fun: 0, heartfelt: 0, reflective: 0, nerdy: 0 } } }) === null, 'Nothing left gives null');
+  });
+
+  await runTest('Asked questions are recognised however they are punctuated', async () => {
+    assert(questionKey('What’s the best song for a road trip?') === questionKey('whats the best song for a ROAD TRIP'), 'Punctuation and case should not matter');
+
+    const memory = new GameMemory();
+    memory.observe({ round: 1, currentQuestion: { text: "What's the best song for a road trip?" } }, 'bot-1');
+    assert(memory.hasAsked('Whats the best song for a road trip'), 'The current question counts as asked');
+    assert(!memory.hasAsked('What song feels like summer?'), 'Other questions were not asked');
+    assert(GameMemory.from(memory.toJSON()).hasAsked("What's the best song for a road trip?"), 'Asked questions survive a checkpoint');
+  });
+
+  await runTest('The worker never repeats a question in a game', async () => {
+    const bot = await quietly(() => captureWinnerQuestions(createTestBot({ personality: 'analytical', llm: NO_AI }, SMILE)));
+    const asked = new Set([questionKey(bot.gameState.currentQuestion.text)]);
+    const categories = {};
+
+    for (let round = 2; round <= 60; round++) {
+      await quietly(() => bot.selectWinnerQuestion());
+      const chosen = bot.submitted[bot.submitted.length - 1];
+      assert(!asked.has(questionKey(chosen.text)), `Round ${round} repeated "${chosen.text}"`);
+      assert(CATEGORIES.includes(chosen.category) && Object.keys(chosen).length === 2, `Unexpected question ${JSON.stringify(chosen)}`);
+      asked.add(questionKey(chosen.text));
+      categories[chosen.category] = (categories[chosen.category] || 0) + 1;
+      bot.gameState = { ...bot.gameState, round, currentQuestion: chosen };
+      bot.memory.observe(bot.gameState, 'bot-1');
+    }
+    assert(categories.musicianship > (categories['guilty-pleasure'] || 0), `Analytical bots should lean technical, got ${JSON.stringify(categories)}`);
+
+    // Once the bank is used up, the personality's own questions come back
+    for (const q of bank.questions) bot.memory.questions.push({ round: 0, text: q.text });
+    const fallback = await quietly(() => bot.getFallbackQuestion());
+    assert(bot.personalityDef.fallbackQuestions.includes(fallback), 'An exhausted bank should use the personality questions');
+  });
+
+  await runTest('A repeated AI question is replaced from the bank', async () => {
+    const bot = await quietly(() => captureWinnerQuestions(createTestBot({
+      llm: { provider: 'stub', script: { question: [{ question: { text: 'What song always makes you smile?', category: 'emotion' }, reasoning: 'x' }] } }
+    }, SMILE)));
+    await quietly(() => bot.selectWinnerQuestion());
+    assert(bot.llm.calls.length === 3, `The AI should have been asked three times, got ${bot.llm.calls.length}`);
+    assert(bot.submitted.length === 1 && !bot.memory.hasAsked(bot.submitted[0].text), `Expected a new question, got ${JSON.stringify(bot.submitted)}`);
+
+    // A rejected submission is retried with another draw instead of a fixed question
+    const failing = await quietly(() => captureWinnerQuestions(createTestBot({ llm: NO_AI }, SMILE)));
+    let attempts = 0;
+    failing.client.setWinnerQuestion = async (gameId, chosen) => {
+      attempts++;
+      if (attempts === 1) throw new Error('rejected');
+      failing.submitted.push(chosen);
+    };
+    await quietly(() => failing.selectWinnerQuestion());
+    assert(attempts === 2 && failing.submitted[0].text !== 'What song always makes you smile?', 'The emergency question should come from the bank');
+  });
+
+  // Print results
+  console.log('\n==================================================');
+  console.log(`✅ Passed: ${results.passed}`);
+  console.log(`❌ Failed: ${results.failed}`);
+
+  if (results.failed > 0) {
+    process.exit(1);
+  }
+}
+
+runAllTests().catch(error => {
+  console.error('💥 Test runner crashed:', error);
+  process.exit(1);
+});
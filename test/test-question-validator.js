@@ -0,0 +1,138 @@
+// test/test-question-validator.js
+// Offline tests for validating AI-generated winner questions
+process.env.HEARTSONGS_API_URL = process.env.HEARTSONGS_API_URL || 'http://127.0.0.1:9/api';
+
+const {
+  MAX_QUESTION_ATTEMPTS,
+  normalizeCategory,
+  normalizeQuestion,
+  validateQuestion
+} = require('../lambda/shared/question-validator');
+const { CATEGORIES, getQuestionBank } = require('../lambda/shared/question-bank');
+const { quietly, createTestBot, captureWinnerQuestions } = require('./helpers');
+
+// Test results
+let results = {
+  passed: 0,
+  failed: 0,
+  tests: []
+};
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+// Helper function to run a test
+async function runTest(name, testFunction) {
+  console.log(`🧪 Running: ${name}`);
+  try {
+    await testFunction();
+    console.log(`✅ PASSED: ${name}`);
+    results.passed++;
+    results.tests.push({ name, status: 'PASSED' });
+  } catch (error) {
+    console.log(`❌ FAILED: ${name}`);
+    console.log(`   Error: ${error.message}`);
+    results.failed++;
+    results.tests.push({ name, status: 'FAILED', error: error.message });
+  }
+}
+
+const reply = (text, category = 'emotion') => ({ question: { text, category }, reasoning: 'Good question' });
+
+const questionAI = (replies) => ({ provider: 'stub', script: { question: replies } });
+const SMILE = { currentQuestion: { text: 'What song always makes you smile?' } };
+
+async function runAllTests() {
+  await runTest('Questions are normalised', async () => {
+    const question = normalizeQuestion({ text: '  "what song   would you play at a  wedding."  ', category: ' Life_Events ' });
+    assert(question.text === 'What song would you play at a wedding?', `Unexpected text "${question.text}"`);
+    assert(question.category === 'milestones', `Unexpected category "${question.category}"`);
+
+    assert(normalizeQuestion({ text: 'Best song ever???', category: 'x' }).text === 'Best song ever?', 'Repeated question marks collapse');
+    assert(normalizeCategory('Guilty Pleasure') === 'guilty-pleasure', 'Spaced taxonomy names match');
+    assert(normalizeCategory('mood') === 'emotion' && normalizeCategory('time') === 'seasons', 'Synonyms map onto the taxonomy');
+    assert(normalizeCategory('jazz') === 'genres' && normalizeCategory('hip hop') === 'genres', 'Catalog genres count as the genres category');
+    assert(normalizeCategory('astrology') === null, 'Unknown categories do not map');
+    assert(normalizeQuestion({ text: 'What song?', category: 'Astrology' }).category === 'Astrology', 'An unknown category is kept for the error');
+  });
+
+  await runTest('Unusable questions are rejected with every problem', async () => {
+    const valid = normalizeQuestion({ text: "What's the best song for a rainy day", category: 'weather' });
+    assert(validateQuestion(valid).length === 0, `Expected a valid question, got ${validateQuestion(valid)}`);
+
+    const cases = [
+      [{ text: 'What song?', category: 'emotion' }, 'characters long'],
+      [{ text: `What song ${'really '.repeat(25)}rocks?`, category: 'emotion' }, 'characters long'],
+      [{ text: 'What song is best? And what song is worst?', category: 'emotion' }, 'exactly one question'],
+      [{ text: 'Who is the greatest drummer of all time?', category: 'musicianship' }, 'ask players for a song'],
+      [{ text: 'What do you like about summer evenings?', category: 'seasons' }, 'ask players for a song'],
+      [{ text: 'What song makes you happy and why?', category: 'emotion' }, 'reasons'],
+      [{ text: 'What song changed your life? Explain why', category: 'emotion' }, 'reasons'],
+      [{ text: 'What song is written in the stars?', category: 'astrology' }, 'category must be one of']
+    ];
+    for (const [question, expected] of cases) {
+      const problems = validateQuestion(normalizeQuestion(question));
+      assert(problems.some(p => p.includes(expected)), `"${question.text}" should fail with "${expected}", got ${JSON.stringify(problems)}`);
+    }
+
+    const hasAsked = (text) => text === 'What song always makes you smile?';
+    const repeat = validateQuestion(normalizeQuestion({ text: 'what song always makes you smile', category: 'emotion' }), { hasAsked });
+    assert(repeat.length === 1 && repeat[0].includes('already asked'), `Expected a duplicate, got ${JSON.stringify(repeat)}`);
+  });
+
+  await runTest('Every question bank question passes the validator', async () => {
+    const failing = getQuestionBank().questions.filter(question => validateQuestion(normalizeQuestion(question)).length > 0);
+    assert(failing.length === 0, `Bank questions fail validation: ${failing.map(q => q.text).join(' | ')}`);
+  });
+
+  await runTest('The prompt lists the categories and the questions asked so far', async () => {
+    const bot = await quietly(() => captureWinnerQuestions(createTestBot({ personality: 'eclectic', llm: questionAI([reply('What song would you play at a sunrise?', 'seasons')]) }, SMILE)));
+    await quietly(() => bot.selectWinnerQuestion());
+    const prompt = bot.llm.calls[0].messages.map(m => m.content).join('\n');
+    assert(CATEGORIES.every(category => prompt.includes(category)), 'Every category should be offered');
+    assert(prompt.includes('- "What song always makes you smile?"'), 'Earlier questions should be listed');
+    assert(bot.submitted.length === 1 && bot.submitted[0].text === 'What song would you play at a sunrise?', 'A valid question is submitted as is');
+  });
+
+  await runTest('A rejected question is regenerated with the problems', async () => {
+    const bot = await quietly(() => captureWinnerQuestions(createTestBot({
+      personality: 'eclectic',
+      llm: questionAI([
+        reply('Why do you love music so much?'),
+        reply('  what song would you play on a road trip  ', 'road trip')
+      ])
+    }, SMILE)));
+    await quietly(() => bot.selectWinnerQuestion());
+
+    assert(bot.llm.calls.length === 2, `Expected 2 AI calls, got ${bot.llm.calls.length}`);
+    const feedback = bot.llm.calls[1].messages[bot.llm.calls[1].messages.length - 1].content;
+    assert(feedback.includes('cannot be used') && feedback.includes('reasons'), `The retry should quote the problems, got "${feedback}"`);
+    assert(bot.submitted[0].text === 'What song would you play on a road trip?' && bot.submitted[0].category === 'travel',
+      `Expected the normalised second question, got ${JSON.stringify(bot.submitted[0])}`);
+    assert(bot.outputStats.tasks.question.rejected === 1 && bot.outputStats.tasks.question.ok === 2, `Unexpected stats ${JSON.stringify(bot.outputStats.tasks.question)}`);
+  });
+
+  await runTest('The question bank is used after too many rejections', async () => {
+    const bot = await quietly(() => captureWinnerQuestions(createTestBot({ personality: 'eclectic', llm: questionAI([reply('What song always makes you smile?')]) }, SMILE)));
+    await quietly(() => bot.selectWinnerQuestion());
+
+    assert(bot.llm.calls.length === MAX_QUESTION_ATTEMPTS, `Expected ${MAX_QUESTION_ATTEMPTS} AI calls, got ${bot.llm.calls.length}`);
+    assert(bot.outputStats.tasks.question.rejected === MAX_QUESTION_ATTEMPTS, 'Every attempt should be counted as rejected');
+    assert(bot.submitted.length === 1 && !bot.memory.hasAsked(bot.submitted[0].text), `Expected a new bank question, got ${JSON.stringify(bot.submitted)}`);
+  });
+
+  // Print results
+  console.log('\n==================================================');
+  console.log(`✅ Passed: ${results.passed}`);
+  console.log(`❌ Failed: ${results.failed}`);
+
+  if (results.failed > 0) {
+    process.exit(1);
+  }
+}
+
+runAllTests().catch(error => {
+  console.error('💥 Test runner crashed:', error);
+  process.exit(1);
+});
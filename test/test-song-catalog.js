@@ -0,0 +1,206 @@
+// test/test-song-catalog.js
+// Offline tests for the song catalog behind the bots' fallback suggestions
+process.env.HEARTSONGS_API_URL = process.env.HEARTSONGS_API_URL || 'http://127.0.0.1:9/api';
+// Bots without a key have no AI provider
+delete process.env.OPENAI_API_KEY;
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  SongCatalog,
+  SongCatalogError,
+  parseQuestion,
+  validateCatalogFile,
+  validateCatalogPreferences,
+  loadSongCatalog,
+  getSongCatalog
+} = require('../lambda/shared/song-catalog');
+const { validatePersonality } = require('../lambda/shared/personality-registry');
+const { quietly, createTestBot } = require('./helpers');
+
+// Test results
+let results = {
+  passed: 0,
+  failed: 0,
+  tests: []
+};
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+// Helper function to run a test
+async function runTest(name, testFunction) {
+  console.log(`🧪 Running: ${name}`);
+  try {
+    await testFunction();
+    console.log(`✅ PASSED: ${name}`);
+    results.passed++;
+    results.tests.push({ name, status: 'PASSED' });
+  } catch (error) {
+    console.log(`❌ FAILED: ${name}`);
+    console.log(`   Error: ${error.message}`);
+    results.failed++;
+    results.tests.push({ name, status: 'FAILED', error: error.message });
+  }
+}
+
+const catalog = getSongCatalog();
+
+/**
+ * Write catalog files to a temporary directory and load them
+ */
+function loadFiles(files) {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'song-catalog-'));
+  try {
+    for (const [name, content] of Object.entries(files)) {
+      fs.writeFileSync(path.join(directory, name), JSON.stringify(content));
+    }
+    return loadSongCatalog(directory);
+  } finally {
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+}
+
+const artistFile = (artist, tracks, genres = ['rock']) => ({ artists: [{ artist, genres, tracks }] });
+const track = (song, extra = {}) => ({ song, year: 1985, popularity: 60, moods: ['happy'], ...extra });
+
+async function runAllTests() {
+  await runTest('The shipped catalog loads', async () => {
+    assert(catalog instanceof SongCatalog, 'Expected a SongCatalog');
+    assert(catalog.size >= 2000, `Expected at least 2000 tracks, got ${catalog.size}`);
+    assert(catalog.artists().length >= 500, `Expected at least 500 artists, got ${catalog.artists().length}`);
+    const decades = new Set(catalog.tracks.map(t => t.decade));
+    for (const decade of ['1950s', '1960s', '1970s', '1980s', '1990s', '2000s', '2010s', '2020s']) {
+      assert(decades.has(decade), `No catalog tracks from the ${decade}`);
+    }
+  });
+
+  await runTest('Invalid catalog files are rejected with every problem', async () => {
+    const problems = validateCatalogFile(artistFile('Band', [
+      track('Fine'),
+      track('Bad Mood', { moods: ['grumpy'] }),
+      track('Too Old', { year: 1850 }),
+      track('Extra', { label: 'x' })
+    ], ['polka']), 'bad.json');
+    assert(problems.length === 4, `Expected 4 problems, got ${JSON.stringify(problems)}`);
+    assert(problems.every(p => p.startsWith('bad.json: ')), 'Problems should name the file');
+    assert(problems.some(p => p.includes('"grumpy"')), 'The unknown mood should be reported');
+    assert(validateCatalogFile({ artists: [] }).length === 1, 'An empty catalog file should be rejected');
+
+    let error = null;
+    try {
+      loadFiles({
+        'a.json': artistFile('The Band', [track('Hit')]),
+        'b.json': artistFile('The Band', [track('hit!')])
+      });
+    } catch (e) {
+      error = e;
+    }
+    assert(error instanceof SongCatalogError, `Expected SongCatalogError, got ${error}`);
+    assert(error.problems.length === 1 && error.problems[0] === 'b.json: The Band - hit! is already in a.json',
+      `Unexpected problems ${JSON.stringify(error?.problems)}`);
+  });
+
+  await runTest('Personality catalog preferences are validated', async () => {
+    assert(validateCatalogPreferences(undefined).length === 0, 'Preferences are optional');
+    assert(validateCatalogPreferences({ genres: { indie: 1 }, years: { max: 1989 }, popularityWeight: -1 }).length === 0,
+      'Valid preferences should pass');
+    const problems = validateCatalogPreferences({ genres: { polka: 1, pop: 5 }, decades: { '1985s': 1 }, popularity: { min: 'high' }, mood: 'sad' });
+    assert(problems.length === 5, `Expected 5 problems, got ${JSON.stringify(problems)}`);
+
+    const definition = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'personalities', 'vintage.json'), 'utf8'));
+    definition.catalogPreferences = { years: { max: 3000 } };
+    assert(validatePersonality(definition, 'vintage.json').some(p => p.includes('catalogPreferences.years.max')),
+      'The registry should report bad catalog preferences');
+  });
+
+  await runTest('Questions are parsed into decades, moods, themes and artists', async () => {
+    for (const text of ['Best 80s song?', "Favourite song from the 1980's?", 'An eighties anthem', 'A hit from 1984']) {
+      assert(parseQuestion(text).decades.has('1980s'), `"${text}" should ask for the 1980s`);
+    }
+    assert(parseQuestion('A song from the 00s').decades.has('2000s'), '00s means the 2000s');
+
+    const query = catalog.parse('A sad song about heartbreak by Adele');
+    assert(query.moods.has('sad'), 'Expected the sad mood');
+    assert(query.themes.has('heartbreak'), 'Expected the heartbreak theme');
+    assert(query.artists.has('Adele'), 'Expected Adele');
+
+    assert(catalog.parse('Best Queen song?').artists.has('Queen'), 'A capitalised band name counts');
+    assert(!catalog.parse('A song fit for a queen').artists.has('Queen'), 'An ordinary word does not');
+    assert(!catalog.parse('Journey songs you love?').artists.has('Journey'), 'A capitalised first word does not');
+  });
+
+  await runTest('Search matches the question', async () => {
+    const eighties = catalog.search('Best 80s song to dance to?', { limit: 5 });
+    assert(eighties.length === 5, `Expected 5 results, got ${eighties.length}`);
+    assert(eighties.every(r => r.track.decade === '1980s'), `Expected 80s songs, got ${eighties.map(r => r.track.year)}`);
+
+    const sad = catalog.search('A sad song that always gets you?', { limit: 5 });
+    assert(sad.every(r => r.track.moods.includes('sad')), 'Expected sad songs');
+
+    const beatles = catalog.search('Favourite Beatles song?', { limit: 5 });
+    assert(beatles.every(r => r.track.artist === 'The Beatles'), `Expected Beatles songs, got ${beatles.map(r => r.track.artist)}`);
+
+    const road = catalog.suggest('Best song for a road trip?', { limit: 5 });
+    assert(road.every(s => s.artist && s.song && s.reasoning.startsWith('Catalog match')), `Unexpected suggestions ${JSON.stringify(road)}`);
+
+    const artists = catalog.search('What song makes you smile?', { limit: 10 }).map(r => r.track.artist);
+    assert(artists.every(artist => artists.filter(a => a === artist).length <= 2), 'At most two songs per artist');
+  });
+
+  await runTest('Different questions get different songs', async () => {
+    const questions = ['What song makes you smile?', 'A song for a rainy day', 'Best workout song?', 'Song that reminds you of summer', 'A song you know every word to'];
+    const firstPicks = new Set(questions.map(q => catalog.suggest(q, { limit: 1 })[0].song));
+    assert(firstPicks.size === questions.length, `Expected distinct top picks, got ${[...firstPicks]}`);
+
+    const again = catalog.suggest(questions[0], { limit: 3 });
+    assert(JSON.stringify(again) === JSON.stringify(catalog.suggest(questions[0], { limit: 3 })), 'The same question should rank the same way');
+  });
+
+  await runTest('Personality preferences shape the picks', async () => {
+    const vintage = createTestBot({ personality: 'vintage' }).personalityDef.catalogPreferences;
+    const oldies = catalog.search('A song that makes you happy', { preferences: vintage, limit: 5 });
+    assert(oldies.every(r => r.track.year <= 1989), `Vintage picks should be old, got ${oldies.map(r => r.track.year)}`);
+
+    const indie = createTestBot({ personality: 'indie' }).personalityDef.catalogPreferences;
+    const deepCuts = catalog.search('A song that makes you happy', { preferences: indie, limit: 5 });
+    assert(deepCuts.every(r => r.track.popularity <= 75), `Indie picks should be less popular, got ${deepCuts.map(r => r.track.popularity)}`);
+
+    const mainstream = createTestBot({ personality: 'mainstream' }).personalityDef.catalogPreferences;
+    const hits = catalog.search('A song that makes you happy', { preferences: mainstream, limit: 5 });
+    assert(hits.every(r => r.track.popularity >= 70), `Mainstream picks should be hits, got ${hits.map(r => r.track.popularity)}`);
+
+    // A question that names a decade wins over the personality's range
+    const modern = catalog.search('Best song from the 2010s?', { preferences: vintage, limit: 3 });
+    assert(modern.every(r => r.track.decade === '2010s'), 'The question decade should take priority');
+  });
+
+  await runTest('The worker suggests catalog songs it has not played without a provider', async () => {
+    const bot = await quietly(() => createTestBot({ llm: { provider: 'openai' } }, { currentQuestion: { text: 'Best song for a road trip?' } }));
+    assert(!bot.llm.isAvailable(), 'The test bot should have no provider');
+
+    const first = await quietly(() => bot.getAISongSuggestions('Best song for a road trip?'));
+    assert(first.length === bot.difficulty.suggestionCount, `Expected ${bot.difficulty.suggestionCount} suggestions, got ${first.length}`);
+    assert(first.every(s => s.reasoning.startsWith('Catalog match')), 'Suggestions should come from the catalog');
+
+    bot.memory.recordSubmission(1, 'Best song for a road trip?', { id: 'song-1', artist: first[0].artist, name: first[0].song });
+    const second = await quietly(() => bot.getAISongSuggestions('Best song for a road trip?'));
+    assert(!second.some(s => s.artist === first[0].artist && s.song === first[0].song), 'A played song should not be suggested again');
+  });
+
+  // Print results
+  console.log('\n==================================================');
+  console.log(`✅ Passed: ${results.passed}`);
+  console.log(`❌ Failed: ${results.failed}`);
+
+  if (results.failed > 0) {
+    process.exit(1);
+  }
+}
+
+runAllTests().catch(error => {
+  console.error('💥 Test runner crashed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,154 @@
+// test/test-song-matcher.js
+// Table-driven tests for fuzzy song/artist matching
+const {
+  matchSong,
+  rankMatches,
+  normalizeText,
+  parseArtist,
+  parseTitle
+} = require('../lambda/shared/song-matcher');
+
+// Test results
+let results = {
+  passed: 0,
+  failed: 0,
+  tests: []
+};
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+// Helper function to run a test
+async function runTest(name, testFunction) {
+  console.log(`🧪 Running: ${name}`);
+  try {
+    await testFunction();
+    console.log(`✅ PASSED: ${name}`);
+    results.passed++;
+    results.tests.push({ name, status: 'PASSED' });
+  } catch (error) {
+    console.log(`❌ FAILED: ${name}`);
+    console.log(`   Error: ${error.message}`);
+    results.failed++;
+    results.tests.push({ name, status: 'FAILED', error: error.message });
+  }
+}
+
+// [search result artist, result title, suggested artist, suggested title, thresholds, expected match]
+const PAIRS = [
+  // Accents, symbols and punctuation
+  ['Beyoncé', 'Halo', 'Beyonce', 'Halo', 'standard', true],
+  ['AC/DC', 'Highway to Hell', 'ACDC', 'Highway To Hell', 'standard', true],
+  ['AC/DC', 'Highway to Hell', 'AC DC', 'Highway to Hell', 'standard', true],
+  ['Simon & Garfunkel', 'The Sound of Silence', 'Simon and Garfunkel', 'Sound of Silence', 'standard', true],
+  ['Motörhead', 'Ace of Spades', 'Motorhead', 'Ace Of Spades', 'standard', true],
+  ['Sigur Rós', 'Hoppípolla', 'Sigur Ros', 'Hoppipolla', 'standard', true],
+  ["Guns N' Roses", "Sweet Child O' Mine", 'Guns N Roses', 'Sweet Child o Mine', 'standard', true],
+  ['JAY-Z', 'Empire State of Mind', 'Jay Z', 'Empire State Of Mind', 'standard', true],
+  ['P!nk', 'So What', 'Pink', 'So What', 'standard', true],
+  ['Fleetwood Mac', 'Dreams', 'Fleetwod Mac', 'Dreams', 'standard', true],
+
+  // "The", version suffixes and subtitles
+  ['The Beatles', 'Hey Jude - Remastered 2015', 'Beatles', 'Hey Jude', 'strict', true],
+  ['Queen', 'Bohemian Rhapsody (Remastered 2011)', 'Queen', 'Bohemian Rhapsody', 'strict', true],
+  ['Queen', 'Bohemian Rhapsody - Live Aid', 'Queen', 'Bohemian Rhapsody', 'standard', true],
+  ['The Rolling Stones', "(I Can't Get No) Satisfaction", 'Rolling Stones', 'Satisfaction', 'standard', true],
+  ['Blue Öyster Cult', "(Don't Fear) The Reaper", 'Blue Oyster Cult', "Don't Fear the Reaper", 'standard', true],
+
+  // Featured artists
+  ['Calvin Harris feat. Rihanna', 'This Is What You Came For', 'Calvin Harris', 'This Is What You Came For', 'strict', true],
+  ['Calvin Harris feat. Rihanna', 'This Is What You Came For', 'Rihanna', 'This Is What You Came For', 'standard', true],
+  ['Calvin Harris feat. Rihanna', 'This Is What You Came For', 'Rihanna', 'This Is What You Came For', 'strict', false],
+  ['Mark Ronson', 'Uptown Funk (feat. Bruno Mars)', 'Mark Ronson ft. Bruno Mars', 'Uptown Funk', 'standard', true],
+  ['Mark Ronson', 'Uptown Funk (feat. Bruno Mars)', 'Bruno Mars', 'Uptown Funk', 'standard', true],
+
+  // Right artist, wrong song (and the other way round)
+  ['Queen', 'Radio Ga Ga', 'Queen', 'Bohemian Rhapsody', 'standard', false],
+  ['Queen', 'Radio Ga Ga', 'Queen', 'Bohemian Rhapsody', 'loose', true],
+  ['The Carpenters', 'Yesterday Once More', 'The Beatles', 'Yesterday', 'loose', false],
+  ['Drake Bell', 'Found a Way', 'Drake', 'Hotline Bling', 'loose', false],
+  ['Tribute Band', 'Bohemian Rhapsody', 'Queen', 'Bohemian Rhapsody', 'standard', false],
+
+  // Not the recording anyone meant
+  ['Queen', 'Bohemian Rhapsody (Karaoke Version)', 'Queen', 'Bohemian Rhapsody', 'standard', false],
+  ['Karaoke Kings', 'Bohemian Rhapsody (In the Style of Queen)', 'Queen', 'Bohemian Rhapsody', 'loose', false],
+  ['Vitamin String Quartet', 'Bohemian Rhapsody (Instrumental)', 'Queen', 'Bohemian Rhapsody', 'loose', false]
+];
+
+async function runAllTests() {
+  await runTest('Tricky pairs match as expected', async () => {
+    const failures = [];
+    for (const [artist, name, suggestedArtist, song, thresholds, expected] of PAIRS) {
+      const match = matchSong({ artist, name }, { artist: suggestedArtist, song }, thresholds);
+      if (match.isMatch !== expected) {
+        failures.push(`${thresholds}: "${artist} - ${name}" vs "${suggestedArtist} - ${song}" ` +
+          `expected ${expected}, got ${match.isMatch} (artist ${match.artist}, title ${match.title})`);
+      }
+    }
+    assert(failures.length === 0, `\n     ${failures.join('\n     ')}`);
+  });
+
+  await runTest('Text is normalised', async () => {
+    const cases = [
+      ['Beyoncé', 'beyonce'],
+      ['AC/DC', 'acdc'],
+      ['Simon & Garfunkel', 'simon and garfunkel'],
+      ["Don't Stop Me Now!", 'dont stop me now'],
+      ['  Sigur   Rós ', 'sigur ros']
+    ];
+    for (const [input, expected] of cases) {
+      assert(normalizeText(input) === expected, `normalizeText("${input}") = "${normalizeText(input)}"`);
+    }
+  });
+
+  await runTest('Featured artists are detected in artist and title', async () => {
+    const artist = parseArtist('The Weeknd featuring Daft Punk & Kendrick Lamar');
+    assert(artist.primary === 'weeknd', `Unexpected primary ${artist.primary}`);
+    assert(artist.featured.join() === 'daft punk,kendrick lamar', `Unexpected featured ${artist.featured}`);
+
+    const title = parseTitle('Uptown Funk (feat. Bruno Mars) - Radio Edit');
+    assert(title.title === 'uptown funk', `Unexpected title ${title.title}`);
+    assert(title.featured.join() === 'bruno mars', `Unexpected featured ${title.featured}`);
+
+    const match = matchSong({ artist: 'Mark Ronson', name: 'Uptown Funk (feat. Bruno Mars)' }, { artist: 'Mark Ronson', song: 'Uptown Funk' });
+    assert(match.featured, 'Match should report the featured credit');
+  });
+
+  await runTest('Ranking prefers the original recording', async () => {
+    const searchResults = [
+      { id: 'karaoke', artist: 'Karaoke Kings', name: 'Bohemian Rhapsody (Karaoke Version)' },
+      { id: 'other', artist: 'Queen', name: 'Radio Ga Ga' },
+      { id: 'live', artist: 'Queen', name: 'Bohemian Rhapsody - Live at Wembley' },
+      { id: 'original', artist: 'Queen', name: 'Bohemian Rhapsody' }
+    ];
+    const ranked = rankMatches(searchResults, { artist: 'Queen', song: 'Bohemian Rhapsody' });
+
+    assert(ranked[0].candidate.id === 'original', `Expected the original first, got ${ranked[0].candidate.id}`);
+    assert(ranked[1].candidate.id === 'live', `Expected the live version second, got ${ranked[1].candidate.id}`);
+    assert(ranked[ranked.length - 1].candidate.id === 'karaoke', 'Karaoke should rank last');
+  });
+
+  await runTest('Custom thresholds are honoured', async () => {
+    const candidate = { artist: 'Queen', name: 'Radio Ga Ga' };
+    const target = { artist: 'Queen', song: 'Bohemian Rhapsody' };
+
+    assert(matchSong(candidate, target, { artist: 0.5, title: 0, requireBoth: true }).isMatch, 'A zero title threshold accepts any title');
+    assert(!matchSong(candidate, target, { artist: 1.01, title: 0, requireBoth: true }).isMatch, 'An unreachable artist threshold rejects');
+    assert(matchSong(candidate, target, 'no-such-preset').isMatch === false, 'Unknown presets use the standard thresholds');
+  });
+
+  // Print results
+  console.log('\n==================================================');
+  console.log(`✅ Passed: ${results.passed}`);
+  console.log(`❌ Failed: ${results.failed}`);
+
+  if (results.failed > 0) {
+    process.exit(1);
+  }
+}
+
+runAllTests().catch(error => {
+  console.error('💥 Test runner crashed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,125 @@
+// test/test-song-search.js
+// Offline tests for the song search strategy chain
+const { findSong, SearchStats } = require('../lambda/bot-worker/song-search');
+
+// Test results
+let results = {
+  passed: 0,
+  failed: 0,
+  tests: []
+};
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+// Helper function to run a test
+async function runTest(name, testFunction) {
+  console.log(`🧪 Running: ${name}`);
+  try {
+    await testFunction();
+    console.log(`✅ PASSED: ${name}`);
+    results.passed++;
+    results.tests.push({ name, status: 'PASSED' });
+  } catch (error) {
+    console.log(`❌ FAILED: ${name}`);
+    console.log(`   Error: ${error.message}`);
+    results.failed++;
+    results.tests.push({ name, status: 'FAILED', error: error.message });
+  }
+}
+
+const CATALOG = [
+  { id: 'hey-jude', artist: 'The Beatles', name: 'Hey Jude' },
+  { id: 'let-it-be', artist: 'The Beatles', name: 'Let It Be' },
+  { id: 'halo', artist: 'Beyoncé', name: 'Halo' },
+  { id: 'halo-dm', artist: 'Depeche Mode', name: 'Halo' },
+  { id: 'paradise-city', artist: "Guns N' Roses", name: 'Paradise City' },
+  { id: 'sweet-child', artist: "Guns N' Roses", name: "Sweet Child O' Mine" },
+  { id: 'november-rain', artist: "Guns N' Roses", name: 'November Rain' }
+];
+
+/**
+ * A literal-minded search engine: every query word must appear in "artist title", accents and all
+ */
+function createSearch(catalog = CATALOG) {
+  const calls = [];
+  const search = async (query, limit) => {
+    calls.push({ query, limit });
+    const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+    return catalog
+      .filter(song => words.every(word => `${song.artist} ${song.name}`.toLowerCase().includes(word)))
+      .slice(0, limit);
+  };
+  return { search, calls };
+}
+
+async function runAllTests() {
+  await runTest('A direct hit stops the chain', async () => {
+    const { search, calls } = createSearch();
+    const lookup = await findSong({ artist: 'The Beatles', song: 'Hey Jude' }, { search });
+
+    assert(lookup.song?.id === 'hey-jude', `Expected Hey Jude, got ${lookup.song?.id}`);
+    assert(lookup.strategy === 'artist-title', `Expected artist-title, got ${lookup.strategy}`);
+    assert(calls.length === 1, `Expected one search, got ${calls.length}`);
+  });
+
+  await runTest('Version suffixes are stripped from the query', async () => {
+    const { search, calls } = createSearch();
+    const lookup = await findSong({ artist: 'The Beatles', song: 'Hey Jude (Remastered 2015)' }, { search });
+
+    assert(lookup.strategy === 'stripped', `Expected stripped, got ${lookup.strategy}`);
+    assert(calls[1].query === 'The Beatles Hey Jude', `Unexpected stripped query "${calls[1].query}"`);
+  });
+
+  await runTest('Title-only and artist-only searches find near misses', async () => {
+    const { search } = createSearch();
+
+    const halo = await findSong({ artist: 'Beyonce', song: 'Halo' }, { search });
+    assert(halo.song?.id === 'halo' && halo.strategy === 'title-only', `Expected Beyoncé via title-only, got ${halo.song?.id} via ${halo.strategy}`);
+
+    const sweetChild = await findSong({ artist: "Guns N' Roses", song: 'Sweet Child of Mine' }, { search });
+    assert(sweetChild.strategy === 'artist-only', `Expected artist-only, got ${sweetChild.strategy}`);
+    assert(sweetChild.results.map(r => r.id).join() === 'sweet-child', 'Artist-only results should be filtered by title');
+  });
+
+  await runTest('Every strategy runs in order before giving up', async () => {
+    const { search, calls } = createSearch();
+    const lookup = await findSong({ artist: 'Nobody', song: 'Nothing At All' }, { search });
+
+    assert(lookup.song === null, 'Expected no match');
+    assert(lookup.attempts.map(a => a.strategy).join() === 'artist-title,title-only,artist-only,wide',
+      `Unexpected strategies ${lookup.attempts.map(a => a.strategy)}`);
+    assert(calls[calls.length - 1].limit > calls[0].limit, 'The last strategy should search more results');
+  });
+
+  await runTest('Excluded songs are skipped and stats record the winner', async () => {
+    const { search } = createSearch();
+    const stats = new SearchStats();
+    const exclude = (found) => found.filter(song => song.id !== 'halo');
+
+    await findSong({ artist: 'The Beatles', song: 'Hey Jude' }, { search, stats });
+    const excluded = await findSong({ artist: 'Beyonce', song: 'Halo' }, { search, stats, exclude });
+    assert(excluded.song === null, `Excluded song should not be returned, got ${excluded.song?.id}`);
+
+    const summary = SearchStats.from(JSON.parse(JSON.stringify(stats))).summary();
+    assert(summary.lookups === 2 && summary.hitRate === 0.5, `Unexpected totals ${JSON.stringify(summary)}`);
+    assert(summary.strategies['artist-title'].hits === 1, 'artist-title should have one hit');
+    assert(summary.strategies['title-only'].attempts === 1 && summary.strategies['title-only'].hits === 0,
+      'title-only should have one miss');
+  });
+
+  // Print results
+  console.log('\n==================================================');
+  console.log(`✅ Passed: ${results.passed}`);
+  console.log(`❌ Failed: ${results.failed}`);
+
+  if (results.failed > 0) {
+    process.exit(1);
+  }
+}
+
+runAllTests().catch(error => {
+  console.error('💥 Test runner crashed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,181 @@
+// test/test-spawn-bot.js
+// Offline tests for spawn-bot request validation and custom personalities
+process.env.HEARTSONGS_API_URL = process.env.HEARTSONGS_API_URL || 'http://127.0.0.1:9/api';
+
+const { handler, validateLlmSelection, selectPersonality, buildPersonalityConfig } = require('../lambda/spawn-bot/handler');
+const { BotWorker } = require('../lambda/bot-worker/handler');
+const { quietly } = require('./helpers');
+
+// Test results
+let results = {
+  passed: 0,
+  failed: 0,
+  tests: []
+};
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+// Helper function to run a test
+async function runTest(name, testFunction) {
+  console.log(`🧪 Running: ${name}`);
+  try {
+    await testFunction();
+    console.log(`✅ PASSED: ${name}`);
+    results.passed++;
+    results.tests.push({ name, status: 'PASSED' });
+  } catch (error) {
+    console.log(`❌ FAILED: ${name}`);
+    console.log(`   Error: ${error.message}`);
+    results.failed++;
+    results.tests.push({ name, status: 'FAILED', error: error.message });
+  }
+}
+
+async function spawn(body) {
+  const response = await quietly(() => handler({ body: JSON.stringify(body) }, {}));
+  return { statusCode: response.statusCode, body: JSON.parse(response.body) };
+}
+
+const jazzPurist = {
+  name: 'Grumpy Jazz Purist',
+  prompt: 'You are a grumpy jazz purist. Only bebop and hard bop from 1945-1965 count as real music.',
+  temperature: 0.5,
+  votingBias: 'vintage'
+};
+
+async function runAllTests() {
+  await runTest('Custom personality with unknown keys is rejected', async () => {
+    const { statusCode, body } = await spawn({ gameCode: 'ABC123', personality: { ...jazzPurist, systemPrompt: 'x' } });
+
+    assert(statusCode === 400, `Expected 400, got ${statusCode}`);
+    assert(body.error === 'Invalid personality', `Unexpected error ${body.error}`);
+    assert(body.details.some(d => d.includes('unknown field "systemPrompt"')), JSON.stringify(body.details));
+  });
+
+  await runTest('Custom personality fields are validated', async () => {
+    const { statusCode, body } = await spawn({
+      gameCode: 'ABC123',
+      personality: { name: '', prompt: 42, temperature: 3, votingBias: 'loudest' }
+    });
+
+    assert(statusCode === 400, `Expected 400, got ${statusCode}`);
+    assert(body.details.length === 4, `Expected 4 problems, got ${JSON.stringify(body.details)}`);
+  });
+
+  await runTest('Oversized custom personality is rejected', async () => {
+    const { statusCode, body } = await spawn({
+      gameCode: 'ABC123',
+      personality: { ...jazzPurist, prompt: 'bebop '.repeat(1000) }
+    });
+
+    assert(statusCode === 400, `Expected 400, got ${statusCode}`);
+    assert(body.details[0].includes('at most 4096 bytes'), JSON.stringify(body.details));
+  });
+
+  await runTest('Unknown difficulty is rejected', async () => {
+    const { statusCode, body } = await spawn({ gameCode: 'ABC123', difficulty: 'nightmare' });
+
+    assert(statusCode === 400, `Expected 400, got ${statusCode}`);
+    assert(body.error === 'Invalid difficulty', `Unexpected error ${body.error}`);
+    assert(body.details.includes('easy, normal, hard'), body.details);
+  });
+
+  await runTest('AI providers that are not configured are rejected', async () => {
+    const saved = { LLM_BASE_URL: process.env.LLM_BASE_URL, OPENAI_API_KEY: process.env.OPENAI_API_KEY };
+    process.env.LLM_BASE_URL = '';
+    delete process.env.OPENAI_API_KEY;
+    try {
+      for (const [llmProvider, missing] of [['openai-compatible', 'LLM_BASE_URL'], ['openai', 'OPENAI_API_KEY']]) {
+        const { statusCode, body } = await spawn({ gameCode: 'ABC123', llmProvider });
+        assert(statusCode === 400, `${llmProvider}: expected 400, got ${statusCode}`);
+        assert(body.error === 'Invalid AI provider selection' && body.details.includes(missing), JSON.stringify(body));
+      }
+
+      // A worker given a provider it cannot build still plays, without AI
+      const bot = await quietly(() => new BotWorker({
+        botId: 'bot-1',
+        botName: 'indie_bot_0003',
+        personality: 'indie',
+        llm: { provider: 'openai-compatible' },
+        apiUrl: process.env.HEARTSONGS_API_URL
+      }, { stateStore: null }));
+      assert(bot.llm.name === 'openai' && !bot.aiAvailable(), `Expected an offline fallback, got ${bot.llm.name}`);
+    } finally {
+      for (const [name, value] of Object.entries(saved)) {
+        if (value === undefined) delete process.env[name];
+        else process.env[name] = value;
+      }
+    }
+  });
+
+  await runTest('Models come from the allowlist and stub only from test stages', async () => {
+    const env = { OPENAI_API_KEY: 'sk-test', LLM_MODEL: 'gpt-4o-mini', LLM_ALLOWED_MODELS: 'gpt-4.1-mini, gpt-4o' };
+    assert(validateLlmSelection('openai', 'gpt-4o', env) === null, 'Listed models should be allowed');
+    assert(validateLlmSelection('openai', 'gpt-4o-mini', env) === null, 'The default model should be allowed');
+    assert(validateLlmSelection('openai', 'gpt-4-turbo', env).includes('gpt-4.1-mini, gpt-4o, gpt-4o-mini'), 'Other models should be rejected');
+    assert(validateLlmSelection(undefined, 'gpt-4o', {}).includes('LLM_ALLOWED_MODELS'), 'No allowlist, no per-bot models');
+
+    assert(validateLlmSelection('stub', undefined, {}) === null, 'Local runs may use the stub');
+    assert(validateLlmSelection('stub', undefined, { STAGE: 'dev' }) === null, 'dev may use the stub');
+    assert(validateLlmSelection('stub', undefined, { STAGE: 'prod' }).includes('stub'), 'prod should reject the stub');
+  });
+
+  await runTest('Registered names still resolve, unknown names fall back', async () => {
+    assert(selectPersonality('indie').botConfig.id === 'indie', 'Expected indie');
+    assert(selectPersonality('polka').botConfig.id === 'eclectic', 'Expected default for unknown names');
+    assert(selectPersonality(undefined).botConfig.id === 'eclectic', 'Expected default when omitted');
+
+    const config = buildPersonalityConfig(selectPersonality('indie').botConfig);
+    assert(config.name === 'Indie Insider' && !config.prompts, 'Registered personalities send a summary');
+  });
+
+  await runTest('Custom personality drives the worker', async () => {
+    const { botConfig, problems } = selectPersonality(jazzPurist);
+    assert(problems.length === 0, `Unexpected problems: ${problems}`);
+
+    const payload = JSON.parse(JSON.stringify({
+      botId: 'bot-1',
+      botName: `${botConfig.namePrefix}_bot_0001`,
+      gameId: 'game-1',
+      personality: botConfig.id,
+      personalityConfig: buildPersonalityConfig(botConfig),
+      apiUrl: process.env.HEARTSONGS_API_URL
+    }));
+    const bot = await quietly(() => new BotWorker(payload, { stateStore: null }));
+
+    assert(bot.personality === 'custom', `Expected custom personality, got ${bot.personality}`);
+    assert(bot.getPersonalityPrompt() === jazzPurist.prompt, 'Song prompt should be the custom prompt');
+    assert(bot.getQuestionPersonalityPrompt() === jazzPurist.prompt, 'Question prompt should default to the prompt');
+    assert(bot.personalityDef.voting.prefer === 'vintage', 'Voting bias should carry through');
+    assert(bot.getFallbackQuestion().text, 'Custom personalities borrow fallback questions');
+  });
+
+  await runTest('Tampered custom payloads fall back to the default personality', async () => {
+    const { botConfig } = selectPersonality(jazzPurist);
+    const bot = await quietly(() => new BotWorker({
+      botId: 'bot-1',
+      botName: 'custom_bot_0002',
+      personality: 'custom',
+      personalityConfig: { ...botConfig, temperature: 'hot' },
+      apiUrl: process.env.HEARTSONGS_API_URL
+    }, { stateStore: null }));
+
+    assert(bot.personality === 'eclectic', `Expected fallback to eclectic, got ${bot.personality}`);
+  });
+
+  // Print results
+  console.log('\n==================================================');
+  console.log(`✅ Passed: ${results.passed}`);
+  console.log(`❌ Failed: ${results.failed}`);
+
+  if (results.failed > 0) {
+    process.exit(1);
+  }
+}
+
+runAllTests().catch(error => {
+  console.error('💥 Test runner crashed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,149 @@
+// test/test-state-store.js
+// Offline tests for the DynamoDB state store backend and counter increments
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MemoryStateStore, FileStateStore, DynamoStateStore, createStateStore } = require('../lambda/shared/state-store');
+
+// Test results
+let results = {
+  passed: 0,
+  failed: 0,
+  tests: []
+};
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+// Helper function to run a test
+async function runTest(name, testFunction) {
+  console.log(`🧪 Running: ${name}`);
+  try {
+    await testFunction();
+    console.log(`✅ PASSED: ${name}`);
+    results.passed++;
+    results.tests.push({ name, status: 'PASSED' });
+  } catch (error) {
+    console.log(`❌ FAILED: ${name}`);
+    console.log(`   Error: ${error.message}`);
+    results.failed++;
+    results.tests.push({ name, status: 'FAILED', error: error.message });
+  }
+}
+
+/**
+ * In-memory stand-in for AWS.DynamoDB.DocumentClient, paging scans two items at a time.
+ * update() understands the `ADD ... SET expiresAt = ...` expressions increment() sends.
+ */
+function fakeDocumentClient() {
+  const items = new Map();
+  const request = (fn) => ({ promise: async () => fn() });
+  return {
+    items,
+    get: ({ Key }) => request(() => ({ Item: items.get(Key.key) })),
+    put: ({ Item }) => request(() => { items.set(Item.key, { ...Item }); }),
+    delete: ({ Key }) => request(() => { items.delete(Key.key); }),
+    update: ({ Key, UpdateExpression, ExpressionAttributeNames: names, ExpressionAttributeValues: values }) => request(() => {
+      const item = items.get(Key.key) || { key: Key.key };
+      if (item.expiresAt && item.expiresAt <= values[':now']) {
+        throw Object.assign(new Error('The conditional request failed'), { code: 'ConditionalCheckFailedException' });
+      }
+      const [adds, set] = UpdateExpression.replace(/^ADD /, '').split(' SET ');
+      for (const [name, value] of adds.split(', ').map(part => part.split(' '))) {
+        item[names[name]] = (item[names[name]] || 0) + values[value];
+      }
+      if (set) item.expiresAt = values[':expiresAt'];
+      items.set(Key.key, item);
+      return { Attributes: { ...item } };
+    }),
+    scan: ({ ExpressionAttributeValues, ExclusiveStartKey }) => request(() => {
+      const all = [...items.values()].filter(item => item.key.startsWith(ExpressionAttributeValues[':prefix']));
+      const start = ExclusiveStartKey ? all.findIndex(item => item.key === ExclusiveStartKey.key) + 1 : 0;
+      const page = all.slice(start, start + 2);
+      return { Items: page, LastEvaluatedKey: start + 2 < all.length ? { key: page[page.length - 1].key } : undefined };
+    })
+  };
+}
+
+async function runAllTests() {
+  await runTest('DynamoDB store is shared through the table', async () => {
+    const client = fakeDocumentClient();
+    const writer = new DynamoStateStore({ table: 'bots', client });
+    await writer.set('usage:game:g1', { totalTokens: 10 }, { ttl: 60000 });
+    await writer.set('usage:game:g2', { totalTokens: 20 });
+    await writer.set('usage:game:g3', { totalTokens: 30 });
+    await writer.set('circuit:openai', { state: 'open' });
+    client.items.set('usage:game:old', { key: 'usage:game:old', value: '{}', expiresAt: Math.floor(Date.now() / 1000) - 1 });
+
+    const reader = new DynamoStateStore({ table: 'bots', client });
+    assert((await reader.get('usage:game:g1')).totalTokens === 10, 'Expected the stored value');
+    assert(client.items.get('usage:game:g1').expiresAt > Date.now() / 1000, 'TTLs are stored in epoch seconds');
+    assert(await reader.get('usage:game:old') === null, 'Expired items are not returned before DynamoDB removes them');
+    const keys = await reader.keys('usage:game:');
+    assert(keys.length === 3 && !keys.includes('usage:game:old'), `Expected three live keys across pages, got ${keys}`);
+
+    await reader.delete('circuit:openai');
+    assert(await writer.get('circuit:openai') === null, 'Expected the delete to be shared');
+
+    let error = null;
+    try {
+      createStateStore({ BOT_STATE_STORE: 'dynamodb' });
+    } catch (e) {
+      error = e;
+    }
+    assert(error && error.message.includes('BOT_STORE_TABLE'), `Expected a missing table error, got ${error}`);
+    assert(createStateStore({ BOT_STATE_STORE: 'dynamodb', BOT_STORE_TABLE: 'bots' }).name === 'dynamodb', 'Expected the dynamodb backend');
+  });
+
+  await runTest('Increments from concurrent writers are all kept', async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'heartsongs-state-store-'));
+    const stores = [
+      new MemoryStateStore(),
+      new FileStateStore(directory),
+      new DynamoStateStore({ table: 'bots', client: fakeDocumentClient() })
+    ];
+    try {
+      for (const store of stores) {
+        const returned = await Promise.all(Array.from({ length: 10 }, () => store.increment('usage:day:d1', { calls: 1, costUsd: 0.5 }, { ttl: 60000 })));
+        const totals = await store.get('usage:day:d1');
+        assert(totals.calls === 10 && totals.costUsd === 5, `${store.name}: expected 10 calls and $5, got ${JSON.stringify(totals)}`);
+        assert(Math.max(...returned.map(counts => counts.calls)) === 10, `${store.name}: increment should return the new counts`);
+        assert((await store.keys('usage:')).includes('usage:day:d1'), `${store.name}: counters should be listed`);
+      }
+    } finally {
+      fs.rmSync(directory, { recursive: true, force: true });
+    }
+  });
+
+  await runTest('Expired counters start again from zero', async () => {
+    const memory = new MemoryStateStore();
+    await memory.increment('usage:game:g1', { calls: 3 }, { ttl: 1 });
+    await new Promise(resolve => setTimeout(resolve, 5));
+    assert((await memory.increment('usage:game:g1', { calls: 1 })).calls === 1, 'An expired memory counter should restart');
+
+    const client = fakeDocumentClient();
+    const dynamo = new DynamoStateStore({ table: 'bots', client });
+    client.items.set('usage:game:g1', { key: 'usage:game:g1', calls: 3, expiresAt: Math.floor(Date.now() / 1000) - 1 });
+    const counts = await dynamo.increment('usage:game:g1', { calls: 1 }, { ttl: 60000 });
+    assert(counts.calls === 1 && counts.expiresAt === undefined, `An expired DynamoDB counter should restart, got ${JSON.stringify(counts)}`);
+
+    let error = null;
+    await dynamo.increment('usage:game:g1', { value: 1 }).catch(e => { error = e; });
+    assert(error && error.message.includes('value'), 'Counter fields must not clash with item attributes');
+  });
+
+  // Print results
+  console.log('\n==================================================');
+  console.log(`✅ Passed: ${results.passed}`);
+  console.log(`❌ Failed: ${results.failed}`);
+
+  if (results.failed > 0) {
+    process.exit(1);
+  }
+}
+
+runAllTests().catch(error => {
+  console.error('💥 Test runner crashed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,202 @@
+// test/test-usage-budget.js
+// Offline tests for AI token/cost accounting and budgets
+process.env.HEARTSONGS_API_URL = process.env.HEARTSONGS_API_URL || 'http://127.0.0.1:9/api';
+
+const {
+  UsageBudget,
+  BudgetExceededError,
+  estimateCost,
+  readPrices,
+  readBudgetLimits,
+  loadUsageReport
+} = require('../lambda/shared/usage-budget');
+const { completeStructured } = require('../lambda/shared/llm-output');
+const { StubProvider } = require('../lambda/shared/llm-providers');
+const { MemoryStateStore } = require('../lambda/shared/state-store');
+const { BotCleanupService } = require('../lambda/cleanup/handler');
+const { quietly, createTestBot } = require('./helpers');
+
+// Test results
+let results = {
+  passed: 0,
+  failed: 0,
+  tests: []
+};
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+// Helper function to run a test
+async function runTest(name, testFunction) {
+  console.log(`🧪 Running: ${name}`);
+  try {
+    await testFunction();
+    console.log(`✅ PASSED: ${name}`);
+    results.passed++;
+    results.tests.push({ name, status: 'PASSED' });
+  } catch (error) {
+    console.log(`❌ FAILED: ${name}`);
+    console.log(`   Error: ${error.message}`);
+    results.failed++;
+    results.tests.push({ name, status: 'FAILED', error: error.message });
+  }
+}
+
+const unlimited = { bot: { tokens: null, usd: null }, game: { tokens: null, usd: null }, day: { tokens: null, usd: null } };
+const withLimit = (scope, limit) => ({ ...unlimited, [scope]: { tokens: null, usd: null, ...limit } });
+const response = (totalTokens, model = 'gpt-4o-mini') => ({
+  model,
+  usage: { prompt_tokens: totalTokens / 2, completion_tokens: totalTokens / 2, total_tokens: totalTokens }
+});
+
+async function runAllTests() {
+  await runTest('Costs and limits come from the price table and environment', async () => {
+    const usage = { prompt_tokens: 1000000, completion_tokens: 1000000 };
+    assert(estimateCost('gpt-4o-mini-2024-07-18', usage) === 0.75, 'Dated model names should use their family price');
+    assert(estimateCost('gpt-4o-2024-08-06', usage) === 12.5, 'gpt-4o should not match the mini price');
+    assert(estimateCost('llama3', usage) === null, 'Unknown models have no cost');
+    assert(estimateCost('llama3', usage, readPrices({ LLM_PRICES: '{"llama3": {"input": 1, "output": 1}}' })) === 2, 'LLM_PRICES adds prices');
+
+    const limits = readBudgetLimits({ LLM_BUDGET_BOT_TOKENS: '5000', LLM_BUDGET_DAY_USD: 'none' });
+    assert(limits.bot.tokens === 5000 && limits.bot.usd === null, `Unexpected bot limits ${JSON.stringify(limits.bot)}`);
+    assert(limits.game.tokens === null && limits.game.usd === null, `Bot and game budgets are opt-in, got ${JSON.stringify(limits.game)}`);
+    assert(limits.day.usd === null && limits.day.tokens === 20000000, `Unexpected day limits ${JSON.stringify(limits.day)}`);
+
+    let error = null;
+    try {
+      readBudgetLimits({ LLM_BUDGET_GAME_USD: 'lots' });
+    } catch (e) {
+      error = e;
+    }
+    assert(error && error.message.includes('LLM_BUDGET_GAME_USD'), 'Invalid limits should be rejected');
+  });
+
+  await runTest('A used-up budget blocks further calls', async () => {
+    const budget = new UsageBudget({ gameId: 'game-1', limits: withLimit('bot', { tokens: 1000 }) });
+    await quietly(async () => {
+      await budget.check('suggestions');
+      await budget.record('suggestions', response(600));
+      await budget.check('vote');
+      await budget.record('vote', response(600));
+    });
+
+    let error = null;
+    await quietly(() => budget.check('question')).catch(e => { error = e; });
+    assert(error instanceof BudgetExceededError && error.scope === 'bot', `Expected a bot budget error, got ${error?.message}`);
+    assert(budget.isExhausted(), 'The budget should stay exhausted');
+    assert(budget.bot.calls === 2 && budget.bot.totalTokens === 1200, `Unexpected totals ${JSON.stringify(budget.bot)}`);
+
+    const restored = new UsageBudget({ gameId: 'game-1', limits: unlimited }, JSON.parse(JSON.stringify(budget.toJSON())));
+    assert(restored.isExhausted() && restored.bot.totalTokens === 1200, 'Totals should survive a checkpoint');
+
+    restored.exhausted = { scope: 'day', limit: '$20', day: '2000-01-01' };
+    assert(!restored.isExhausted(), 'A day budget should free up the next day');
+  });
+
+  await runTest('Game and day totals are shared through the store', async () => {
+    const store = new MemoryStateStore();
+    const limits = withLimit('game', { usd: 0.001 });
+    const first = new UsageBudget({ gameId: 'game-1', limits, store, logPrefix: 'Bot one' });
+    const second = new UsageBudget({ gameId: 'game-1', limits, store, logPrefix: 'Bot two' });
+    const otherGame = new UsageBudget({ gameId: 'game-2', limits, store, logPrefix: 'Bot three' });
+
+    // 4000 gpt-4o-mini tokens split evenly cost $0.0015
+    await quietly(() => first.record('suggestions', response(4000)));
+    let error = null;
+    await quietly(() => second.check('suggestions')).catch(e => { error = e; });
+    assert(error?.scope === 'game', `Expected the game budget to block the second bot, got ${error?.message}`);
+    await otherGame.check('suggestions');
+
+    const summary = await second.summary();
+    assert(summary.game.costUsd === 0.0015 && summary.day.calls === 1 && summary.bot.calls === 0, `Unexpected summary ${JSON.stringify(summary)}`);
+  });
+
+  await runTest('Bots recording at the same moment all count', async () => {
+    const store = new MemoryStateStore();
+    const bots = Array.from({ length: 5 }, (_, i) => new UsageBudget({ gameId: 'game-1', limits: unlimited, store, logPrefix: `Bot ${i}` }));
+    await quietly(() => Promise.all(bots.map(budget => budget.record('vote', response(1000)))));
+
+    const summary = await bots[0].summary();
+    assert(summary.game.calls === 5 && summary.game.totalTokens === 5000, `Expected every call in the game total, got ${JSON.stringify(summary.game)}`);
+    assert(summary.game.costUsd === 0.001875 && summary.day.calls === 5, `Unexpected totals ${JSON.stringify(summary)}`);
+  });
+
+  await runTest('Unpriced models stop AI calls while a USD budget is set', async () => {
+    const budget = new UsageBudget({ gameId: 'game-1', limits: withLimit('day', { usd: 20 }) });
+    await quietly(() => budget.record('suggestions', response(1000, 'llama3')));
+
+    let error = null;
+    await quietly(() => budget.check('vote')).catch(e => { error = e; });
+    assert(error instanceof BudgetExceededError && error.message.includes('llama3'), `Expected an unpriced model error, got ${error?.message}`);
+    assert(budget.isExhausted() && budget.bot.totalTokens === 1000, 'Tokens should still be counted');
+
+    const restored = new UsageBudget({ gameId: 'game-1', limits: withLimit('day', { usd: 20 }) }, JSON.parse(JSON.stringify(budget.toJSON())));
+    restored.exhausted = null;
+    await quietly(() => restored.check('vote')).catch(e => { error = e; });
+    assert(restored.isExhausted(), 'The unpriced model should survive a checkpoint');
+
+    const tokensOnly = new UsageBudget({ gameId: 'game-1', limits: withLimit('day', { tokens: 5000 }) });
+    await quietly(() => tokensOnly.record('suggestions', response(1000, 'llama3')));
+    await tokensOnly.check('vote');
+  });
+
+  await runTest('Repair round-trips are counted too', async () => {
+    const budget = new UsageBudget({ gameId: 'game-1', limits: unlimited });
+    const stub = new StubProvider({ script: { vote: ['Option 1', { option: 1, reason: 'x' }] } });
+    await quietly(() => completeStructured(stub, { task: 'vote', messages: [{ role: 'user', content: 'Vote' }] }, { budget }));
+    assert(budget.bot.calls === 2, `Expected 2 counted calls, got ${budget.bot.calls}`);
+  });
+
+  await runTest('Bots over budget use their offline fallbacks', async () => {
+    const bot = await quietly(() => createTestBot({}, {}, { usageStore: null, budgetLimits: withLimit('bot', { tokens: 1 }) }));
+
+    const first = await quietly(() => bot.getAISongSuggestions(bot.gameState.currentQuestion.text));
+    assert(first[0].reasoning !== undefined && bot.llm.calls.length === 1, 'The first call should go through');
+
+    bot.cache = { get: async () => null, set: async () => {} };
+    const suggestions = await quietly(() => bot.getAISongSuggestions('Best song for a road trip?'));
+    assert(suggestions.length > 0 && suggestions.every(s => s.reasoning.startsWith('Catalog match')), 'Suggestions should come from the song catalog');
+
+    const submissions = [
+      { _id: 's1', songName: 'A', artist: 'X', player: { _id: 'p1' } },
+      { _id: 's2', songName: 'B', artist: 'Taylor Swift', player: { _id: 'p2' } }
+    ];
+    const vote = await quietly(() => bot.chooseVote(submissions));
+    assert(vote._id === 's2', 'A mainstream bot should fall back to voting for the popular song');
+    assert(await quietly(() => bot.generateAIQuestion()) === null, 'Question generation should fall back');
+    assert(bot.llm.calls.length === 1, `No further AI calls expected, got ${bot.llm.calls.length}`);
+    assert(bot.toCheckpoint().usage.exhausted.scope === 'bot', 'The checkpoint should remember the exhausted budget');
+  });
+
+  await runTest('The cleanup report shows spend per day and game', async () => {
+    const store = new MemoryStateStore();
+    for (const gameId of ['game-1', 'game-2']) {
+      const bot = await quietly(() => createTestBot({ gameId }, {}, { usageStore: store, budgetLimits: unlimited }));
+      await quietly(() => bot.getAISongSuggestions(bot.gameState.currentQuestion.text));
+    }
+
+    const report = await loadUsageReport(store);
+    assert(Object.keys(report.daily).length === 7, 'Expected a week of days');
+    assert(report.total.calls === 2 && report.games === 2, `Unexpected report ${JSON.stringify(report.total)}`);
+
+    const cleanup = new BotCleanupService({ usageStore: store });
+    await quietly(() => cleanup.logAISpend());
+    assert(cleanup.getCleanupSummary().aiSpend.topGames.length === 2, 'The cleanup summary should include the spend');
+    assert(new BotCleanupService({ usageStore: null }).getCleanupSummary().aiSpend === null, 'No store, no spend report');
+  });
+
+  // Print results
+  console.log('\n==================================================');
+  console.log(`✅ Passed: ${results.passed}`);
+  console.log(`❌ Failed: ${results.failed}`);
+
+  if (results.failed > 0) {
+    process.exit(1);
+  }
+}
+
+runAllTests().catch(error => {
+  console.error('💥 Test runner crashed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,143 @@
+// test/test-version-preferences.js
+// Offline tests for live/remaster/remix/cover version preferences
+process.env.HEARTSONGS_API_URL = process.env.HEARTSONGS_API_URL || 'http://127.0.0.1:9/api';
+
+const {
+  classifyVersion,
+  requestedKinds,
+  validateVersionPreferences,
+  versionWeightsFor,
+  scoreVersion,
+  versionPromptHints
+} = require('../lambda/shared/version-preferences');
+const { rankMatches } = require('../lambda/shared/song-matcher');
+const catalog = require('./simulator/catalog');
+const { quietly, createTestBot } = require('./helpers');
+
+// Test results
+let results = {
+  passed: 0,
+  failed: 0,
+  tests: []
+};
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+// Helper function to run a test
+async function runTest(name, testFunction) {
+  console.log(`🧪 Running: ${name}`);
+  try {
+    await testFunction();
+    console.log(`✅ PASSED: ${name}`);
+    results.passed++;
+    results.tests.push({ name, status: 'PASSED' });
+  } catch (error) {
+    console.log(`❌ FAILED: ${name}`);
+    console.log(`   Error: ${error.message}`);
+    results.failed++;
+    results.tests.push({ name, status: 'FAILED', error: error.message });
+  }
+}
+
+const COVER_QUESTION = 'What is the best cover song of all time?';
+
+const JOLENE = [
+  { id: 'original', artist: 'Miley Cyrus', name: 'Jolene', album: 'Jolene' },
+  { id: 'cover', artist: 'Miley Cyrus', name: 'Jolene (Backyard Sessions Cover)', album: 'The Backyard Sessions' },
+  { id: 'karaoke', artist: 'Karaoke Hits Band', name: 'Jolene (Karaoke Version)', album: 'Karaoke Hits' }
+];
+const JOLENE_AI = { provider: 'stub', script: { suggestions: [{ suggestions: [{ artist: 'Miley Cyrus', song: 'Jolene', reasoning: 'test' }] }] } };
+
+async function runAllTests() {
+  await runTest('Search metadata is classified', async () => {
+    const byId = (id) => catalog.find(song => song.id === id);
+    const cases = [
+      [byId('sim-004'), 'remaster'],
+      [byId('sim-036'), 'live'],
+      [byId('sim-037'), 'karaoke'],
+      [byId('sim-038'), 'tribute'],
+      [byId('sim-043'), 'sped-up'],
+      [byId('sim-035'), 'compilation'],
+      [{ artist: 'Oasis', name: 'Live Forever', album: 'Definitely Maybe' }, ''],
+      [{ artist: 'Nirvana', name: 'The Man Who Sold the World', album: 'MTV Unplugged in New York' }, 'live,acoustic'],
+      [{ artist: 'Daft Punk', name: 'One More Time - Club Mix', album: 'Discovery' }, 'remix']
+    ];
+    for (const [song, expected] of cases) {
+      const kinds = classifyVersion(song).join();
+      assert(kinds === expected, `"${song.artist} - ${song.name}" classified as "${kinds}", expected "${expected}"`);
+    }
+  });
+
+  await runTest('Questions ask for versions', async () => {
+    assert(requestedKinds(COVER_QUESTION).join() === 'cover', 'Cover question not detected');
+    assert(requestedKinds('Best song to hear at a concert?').join() === 'live', 'Live question not detected');
+    assert(requestedKinds('What song makes you want to dance?').length === 0, 'Plain questions ask for nothing');
+  });
+
+  await runTest('Defaults reject karaoke and prefer the original', async () => {
+    const target = { artist: 'Miley Cyrus', song: 'Jolene' };
+    assert(scoreVersion(JOLENE[2], target).reject, 'Karaoke should be rejected');
+    assert(scoreVersion(JOLENE[1], target).adjustment < 0, 'Covers should be penalised by default');
+    assert(scoreVersion(JOLENE[1], { artist: 'Miley Cyrus', song: 'Jolene (Cover)' }).adjustment === 0,
+      'A cover the suggestion names itself is not penalised');
+
+    const ranked = rankMatches(JOLENE, target).map(({ candidate }) => candidate.id).join();
+    assert(ranked === 'original,cover,karaoke', `Unexpected ranking ${ranked}`);
+  });
+
+  await runTest('Personalities opt in to requested versions', async () => {
+    const preferences = { weights: { live: 0 }, whenAsked: { cover: 0.3 } };
+    const asked = versionWeightsFor(preferences, COVER_QUESTION);
+    assert(asked.weights.cover === 0.3 && asked.weights.live === 0, `Unexpected weights ${JSON.stringify(asked.weights)}`);
+    assert(versionPromptHints(asked).length === 1, 'Expected a cover hint in the prompt');
+
+    const defaults = versionWeightsFor(undefined, COVER_QUESTION);
+    assert(defaults.weights.cover === 0, 'Asked-for kinds are never penalised');
+    assert(versionPromptHints(defaults).length === 0, 'No hint without a bonus');
+
+    const ranked = rankMatches(JOLENE, { artist: 'Miley Cyrus', song: 'Jolene' }, 'standard', { versions: asked });
+    assert(ranked[0].candidate.id === 'cover', `Expected the cover first, got ${ranked[0].candidate.id}`);
+  });
+
+  await runTest('Invalid preferences are reported', async () => {
+    assert(validateVersionPreferences(undefined).length === 0, 'Preferences are optional');
+    assert(validateVersionPreferences({ weights: { live: 0, karaoke: 'reject' } }).length === 0, 'Valid preferences rejected');
+
+    const problems = validateVersionPreferences({ weights: { bootleg: 0.1, live: 2 }, whenAsked: [], extra: true });
+    assert(problems.length === 4, `Expected 4 problems, got ${problems.join('; ')}`);
+    assert(validateVersionPreferences('live').length === 1, 'Non-objects should be rejected');
+  });
+
+  await runTest('Eclectic bots submit the cover when the question asks for one', async () => {
+    const cases = [
+      ['eclectic', COVER_QUESTION, 'cover'],
+      ['mainstream', COVER_QUESTION, 'original'],
+      ['eclectic', 'What song makes you want to dance?', 'original']
+    ];
+    for (const [personality, text, expected] of cases) {
+      const bot = await quietly(() => createTestBot({ personality, llm: JOLENE_AI }, { currentQuestion: { text } }));
+      bot.searchSongs = async () => JOLENE;
+      const pick = await quietly(() => bot.chooseSongForQuestion(bot.gameState.currentQuestion));
+      assert(pick?.id === expected, `${personality} should pick the ${expected} for "${text}", got ${pick?.id}`);
+      if (expected === 'cover') {
+        assert(bot.llm.calls[0].messages[1].content.includes('famous cover versions'), 'Prompt should mention covers');
+      }
+    }
+  });
+
+  // Print results
+  console.log('\n==================================================');
+  console.log(`✅ Passed: ${results.passed}`);
+  console.log(`❌ Failed: ${results.failed}`);
+
+  if (results.failed > 0) {
+    process.exit(1);
+  }
+}
+
+runAllTests().catch(error => {
+  console.error('💥 Test runner crashed:', error);
+  process.exit(1);
+});
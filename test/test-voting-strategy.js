@@ -0,0 +1,191 @@
+// test/test-voting-strategy.js
+// Offline tests for scoreboard-aware voting in 3+ player games
+process.env.HEARTSONGS_API_URL = process.env.HEARTSONGS_API_URL || 'http://127.0.0.1:9/api';
+
+const {
+  DEFAULT_COMPETITIVENESS,
+  VOTE_QUALITY,
+  resolveCompetitiveness,
+  chooseStrategicVote
+} = require('../lambda/shared/voting-strategy');
+const { validatePersonality, loadPersonalities } = require('../lambda/shared/personality-registry');
+const { handler: spawnHandler } = require('../lambda/spawn-bot/handler');
+const { quietly, capturingLogs, createTestBot } = require('./helpers');
+
+// Test results
+let results = {
+  passed: 0,
+  failed: 0,
+  tests: []
+};
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+// Helper function to run a test
+async function runTest(name, testFunction) {
+  console.log(`🧪 Running: ${name}`);
+  try {
+    await testFunction();
+    console.log(`✅ PASSED: ${name}`);
+    results.passed++;
+    results.tests.push({ name, status: 'PASSED' });
+  } catch (error) {
+    console.log(`❌ FAILED: ${name}`);
+    console.log(`   Error: ${error.message}`);
+    results.failed++;
+    results.tests.push({ name, status: 'FAILED', error: error.message });
+  }
+}
+
+const player = (id, score) => ({ user: { _id: id, displayName: id }, score });
+const song = (id, songName, artist, playerId) => ({ _id: id, songName, artist, player: { _id: playerId, displayName: playerId } });
+
+// Four players: alice leads, the bot is one point behind, carol trails
+const PLAYERS = [player('bot-1', 4), player('alice', 5), player('bob', 3), player('carol', 1)];
+// The last round of five
+const ENDGAME = { round: 5, maxRounds: 5, players: PLAYERS };
+const stub = (script) => ({ provider: 'stub', script });
+const BALLOT = [
+  song('s1', 'Dancing Queen', 'ABBA', 'alice'),
+  song('s2', 'Hey Ya!', 'Outkast', 'bob'),
+  song('s3', 'Shake It Off', 'Taylor Swift', 'carol')
+];
+
+// The AI picked alice's song; the rest are just answers
+const aliceIsBest = (submission) => submission.player._id === 'alice'
+  ? { value: VOTE_QUALITY.ai, reason: 'the AI\'s pick' }
+  : { value: VOTE_QUALITY.other, reason: 'another answer' };
+
+function vote(options) {
+  return chooseStrategicVote(options.ballot || BALLOT, {
+    quality: aliceIsBest,
+    botId: 'bot-1',
+    players: PLAYERS,
+    round: 5,
+    maxRounds: 5,
+    ...options
+  });
+}
+
+async function spawn(body) {
+  const response = await quietly(() => spawnHandler({ body: JSON.stringify(body) }, {}));
+  return { statusCode: response.statusCode, body: JSON.parse(response.body) };
+}
+
+async function runAllTests() {
+  await runTest('Competitiveness 0 votes on quality alone', async () => {
+    const { choice, ranked } = vote({ competitiveness: 0 });
+    assert(choice === BALLOT[0], `Expected the AI's pick, got ${choice.songName}`);
+    assert(ranked.every(entry => entry.notes.length === 0), 'No one is held back at competitiveness 0');
+  });
+
+  await runTest('The leader is held back in a close endgame', async () => {
+    const { choice, ranked, rationale } = vote({ competitiveness: 0.6 });
+    assert(choice === BALLOT[2], `Expected carol's song, got ${choice.songName}`);
+    assert(ranked[0].notes.includes('the leader in a close endgame'), `Unexpected notes ${JSON.stringify(ranked[0].notes)}`);
+    assert(rationale.startsWith('"Shake It Off" by Taylor Swift (carol, 1 pts)'), `Unexpected rationale ${rationale}`);
+    assert(rationale.includes('; over "Dancing Queen" by ABBA (alice, 5 pts): the AI\'s pick') &&
+           rationale.endsWith('[competitiveness 0.60, standings weight 0.60]'), `Unexpected rationale ${rationale}`);
+
+    // A leader's song is still voted for when it is the only one on the ballot
+    const alone = vote({ competitiveness: 1, ballot: [BALLOT[0]] });
+    assert(alone.choice === BALLOT[0] && alone.ranked[0].notes.length === 0, 'A lone leader is not held back');
+  });
+
+  await runTest('Early rounds and runaway leaders are not held back', async () => {
+    const early = vote({ competitiveness: DEFAULT_COMPETITIVENESS, round: 1 });
+    assert(early.choice === BALLOT[0] && early.ranked[0].notes.length === 0, `Expected the AI's pick early on, got ${early.choice.songName}`);
+
+    const runaway = vote({
+      competitiveness: DEFAULT_COMPETITIVENESS,
+      players: [player('bot-1', 4), player('alice', 12), player('bob', 3), player('carol', 1)]
+    });
+    assert(runaway.choice === BALLOT[0] && runaway.ranked[0].notes.length === 0, `A leader out of reach is not held back, got ${runaway.choice.songName}`);
+  });
+
+  await runTest('Standings break ties in quality and count for more later', async () => {
+    const equal = () => ({ value: VOTE_QUALITY.other, reason: 'another answer' });
+    const { choice } = vote({ quality: equal, competitiveness: 0.2, round: 1 });
+    assert(choice === BALLOT[2], `Equal answers go to the trailing player, got ${choice.songName}`);
+
+    const weightOf = (round) => vote({ competitiveness: 0.4, round, maxRounds: 10 }).rationale.match(/standings weight ([\d.]+)/)[1];
+    assert(weightOf(1) === '0.22' && weightOf(5) === '0.30' && weightOf(10) === '0.40', `Unexpected weights ${weightOf(1)} ${weightOf(5)} ${weightOf(10)}`);
+
+    // With level scores (or no scoreboard) ties keep ballot order
+    const level = vote({ quality: equal, players: [], competitiveness: 1 });
+    assert(level.choice === BALLOT[0], `Expected ballot order, got ${level.choice.songName}`);
+  });
+
+  await runTest('Competitiveness comes from the spawn request, then the personality', async () => {
+    assert(resolveCompetitiveness(0, 0.6) === 0, 'A spawn value of 0 wins');
+    assert(resolveCompetitiveness(undefined, 0.6) === 0.6, 'The personality value is next');
+    assert(resolveCompetitiveness(undefined, undefined) === DEFAULT_COMPETITIVENESS, 'Then the default');
+
+    const shipped = loadPersonalities();
+    for (const personality of shipped.list()) {
+      const competitiveness = personality.voting.competitiveness;
+      assert(typeof competitiveness === 'number', `${personality.id} should declare a competitiveness`);
+    }
+
+    const definition = { ...shipped.get('indie'), voting: { prefer: 'indie', competitiveness: 1.5 } };
+    const problems = validatePersonality(definition, 'indie.json');
+    assert(problems.length === 1 && problems[0] === 'indie.json: voting.competitiveness must be a number between 0 and 1', JSON.stringify(problems));
+
+    const bot = await quietly(() => createTestBot({ personality: 'analytical' }, ENDGAME));
+    assert(bot.competitiveness === shipped.get('analytical').voting.competitiveness, `Unexpected ${bot.competitiveness}`);
+    const custom = await quietly(() => createTestBot({ personality: 'analytical', competitiveness: 0 }, ENDGAME));
+    assert(custom.competitiveness === 0, 'The spawn request overrides the personality');
+  });
+
+  await runTest('Spawn requests validate competitiveness', async () => {
+    for (const competitiveness of ['high', -0.1, 2, null]) {
+      const { statusCode, body } = await spawn({ gameCode: 'ABC123', competitiveness });
+      assert(statusCode === 400, `${JSON.stringify(competitiveness)}: expected 400, got ${statusCode}`);
+      assert(body.error === 'Invalid competitiveness' && body.details === 'competitiveness must be a number between 0 and 1', JSON.stringify(body));
+    }
+  });
+
+  await runTest('Bots vote strategically and log a rationale for every vote', async () => {
+    // The AI picks alice's song, but she leads by a point going into the last round
+    const bot = await quietly(() => createTestBot({ llm: stub({ vote: [{ option: 1, reason: 'Best fit' }] }), competitiveness: 0.8 }, ENDGAME));
+    let choice;
+    const lines = await capturingLogs(async () => { choice = await bot.chooseVote(BALLOT); });
+    assert(choice !== BALLOT[0], `The close leader should not get the vote, got ${choice.songName}`);
+    const rationale = lines.find(line => line.startsWith('🗳️ Bot pop_bot_0001 vote rationale: '));
+    assert(rationale && rationale.includes('the leader in a close endgame'), `Expected a rationale, got:\n${lines.join('\n')}`);
+
+    // A bot that does not care about the scoreboard takes the AI's pick
+    const relaxed = await quietly(() => createTestBot({ llm: stub({ vote: [{ option: 1, reason: 'Best fit' }] }), competitiveness: 0 }, ENDGAME));
+    assert(await quietly(() => relaxed.chooseVote(BALLOT)) === BALLOT[0], 'Expected the AI\'s pick');
+
+    // Without the AI, the personality's favourite carries the quality (mainstream likes Taylor Swift)
+    const offline = await quietly(() => createTestBot({ llm: stub({ vote: [new Error('down')] }), competitiveness: 0 }, ENDGAME));
+    const offlineLines = await capturingLogs(async () => { choice = await offline.chooseVote(BALLOT); });
+    assert(choice === BALLOT[2], `Expected the favourite, got ${choice.songName}`);
+    assert(offlineLines.some(line => line.includes('vote rationale: "Shake It Off" by Taylor Swift (carol, 1 pts): the mainstream personality\'s favourite')),
+      `Expected the favourite's rationale, got:\n${offlineLines.join('\n')}`);
+
+    // 2-player votes get a rationale too
+    const duel = await quietly(() => createTestBot({ llm: stub({ 'self-vote': [{ winner: 'PLAYER2', reason: 'x' }] }) }, ENDGAME));
+    const own = song('s9', 'Dancing Queen', 'ABBA', 'bot-1');
+    const duelLines = await capturingLogs(() => duel.makeSmartVotingChoice([own, BALLOT[1]], true));
+    assert(duelLines.some(line => line.includes('vote rationale: "Hey Ya!" by Outkast (opponent): judged the better answer')),
+      `Expected a 2-player rationale, got:\n${duelLines.join('\n')}`);
+  });
+
+  // Print results
+  console.log('\n==================================================');
+  console.log(`✅ Passed: ${results.passed}`);
+  console.log(`❌ Failed: ${results.failed}`);
+
+  if (results.failed > 0) {
+    process.exit(1);
+  }
+}
+
+runAllTests().catch(error => {
+  console.error('💥 Test runner crashed:', error);
+  process.exit(1);
+});